@@ -27,7 +27,7 @@ async function clearAndTest() {
     
     // Step 3: Fetch media for those properties
     console.log('\n🖼️  Step 3: Fetching media for properties...');
-    const mediaStats = await syncService.syncMediaWithParentIntegrity();
+    const mediaStats = await syncService.syncResource('media');
     
     // Step 4: Analyze media coverage
     console.log('\n📊 Step 4: Analyzing media coverage...');
@@ -94,7 +94,7 @@ async function fetchLimitedProperties(syncService, maxProperties) {
   
   try {
     // Fetch IDX properties only (most common)
-    const stats = await syncService.syncWithTimePagination('idx', 'Property');
+    const stats = await syncService.syncResource('property', { feedType: 'idx' });
     
     console.log(`✅ Property fetch completed:`);
     console.log(`   📥 Fetched: ${stats.totalFetched}`);
@@ -0,0 +1,30 @@
+-- ===========================================
+-- API KEYS MIGRATION
+-- ===========================================
+-- API keys for partners, operators and admins (sent as X-API-Key). Only the
+-- SHA-256 hash of a key is stored; the key itself is shown once, when an
+-- admin creates it through POST /api/admin/keys. Revoked keys are kept for
+-- auditing. Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS "api_keys" (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    role TEXT NOT NULL,
+    key_prefix TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    created_by TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ,
+    last_used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_created_at ON "api_keys" (created_at DESC);
+
+COMMENT ON TABLE "api_keys" IS 'Hashed API keys and the role each grants';
+COMMENT ON COLUMN "api_keys".role IS 'Granted role: public, partner, operator or admin';
+COMMENT ON COLUMN "api_keys".key_prefix IS 'First characters of the key, to tell keys apart';
+COMMENT ON COLUMN "api_keys".key_hash IS 'SHA-256 hex digest of the key';
+COMMENT ON COLUMN "api_keys".created_by IS 'Name of the admin key or token subject that created the key';
+COMMENT ON COLUMN "api_keys".expires_at IS 'The key is rejected after this time (never if null)';
+COMMENT ON COLUMN "api_keys".revoked_at IS 'The key is rejected once revoked';
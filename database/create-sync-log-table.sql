@@ -18,6 +18,8 @@ CREATE TABLE "SyncLog" (
     media_timestamp TIMESTAMPTZ,
     rooms_timestamp TIMESTAMPTZ,
     openhouse_timestamp TIMESTAMPTZ,
+    member_timestamp TIMESTAMPTZ,
+    office_timestamp TIMESTAMPTZ,
     
     -- Sync statistics
     total_processed INTEGER DEFAULT 0,
@@ -29,6 +31,16 @@ CREATE TABLE "SyncLog" (
     error_count INTEGER DEFAULT 0,
     last_error_message TEXT,
     
+    -- Listing reconciliation (NULL when the run did not reconcile)
+    reconcile_policy TEXT,
+    reconcile_missing INTEGER,
+    reconcile_properties INTEGER,
+    reconcile_media INTEGER,
+    reconcile_rooms INTEGER,
+    reconcile_openhouses INTEGER,
+    reconcile_restored INTEGER,
+    reconcile_retagged INTEGER,
+    
     -- Audit fields
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
@@ -175,12 +187,22 @@ COMMENT ON COLUMN "SyncLog".vow_property_timestamp IS 'Last successful VOW prope
 COMMENT ON COLUMN "SyncLog".media_timestamp IS 'Last successful media sync timestamp';
 COMMENT ON COLUMN "SyncLog".rooms_timestamp IS 'Last successful property rooms sync timestamp';
 COMMENT ON COLUMN "SyncLog".openhouse_timestamp IS 'Last successful open house sync timestamp';
+COMMENT ON COLUMN "SyncLog".member_timestamp IS 'Last successful member (agent) sync timestamp';
+COMMENT ON COLUMN "SyncLog".office_timestamp IS 'Last successful office (brokerage) sync timestamp';
 COMMENT ON COLUMN "SyncLog".total_processed IS 'Total number of records processed in this sync';
 COMMENT ON COLUMN "SyncLog".total_successful IS 'Number of successfully processed records';
 COMMENT ON COLUMN "SyncLog".total_failed IS 'Number of failed records';
 COMMENT ON COLUMN "SyncLog".sync_duration_minutes IS 'Duration of the sync operation in minutes';
 COMMENT ON COLUMN "SyncLog".error_count IS 'Number of errors encountered during sync';
 COMMENT ON COLUMN "SyncLog".last_error_message IS 'Last error message encountered';
+COMMENT ON COLUMN "SyncLog".reconcile_policy IS 'Reconciliation policy applied (soft-delete or purge)';
+COMMENT ON COLUMN "SyncLog".reconcile_missing IS 'Stored listings missing from the reconciled feeds';
+COMMENT ON COLUMN "SyncLog".reconcile_properties IS 'Listings soft-deleted or purged by reconciliation';
+COMMENT ON COLUMN "SyncLog".reconcile_media IS 'Media rows soft-deleted or purged by reconciliation';
+COMMENT ON COLUMN "SyncLog".reconcile_rooms IS 'PropertyRooms rows soft-deleted or purged by reconciliation';
+COMMENT ON COLUMN "SyncLog".reconcile_openhouses IS 'OpenHouse rows soft-deleted or purged by reconciliation';
+COMMENT ON COLUMN "SyncLog".reconcile_restored IS 'Soft-deleted listings restored because they reappeared in a feed';
+COMMENT ON COLUMN "SyncLog".reconcile_retagged IS 'Listing feed flags (IdxFeedYN / VowFeedYN) corrected by reconciliation';
 
 -- Display success message
 DO $$
@@ -5,9 +5,12 @@
 
 -- Enable necessary extensions
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+CREATE EXTENSION IF NOT EXISTS postgis;
 
 -- =================================
 -- PROPERTY TABLE
+-- Feed columns follow src/config/schemaFields.js; database/generated/Property.sql
+-- (npm run generate-schema) adds fields adopted after this script was run.
 -- =================================
 CREATE TABLE IF NOT EXISTS "Property" (
     -- Primary Key
@@ -40,6 +43,11 @@ CREATE TABLE IF NOT EXISTS "Property" (
     "CityRegion" TEXT,
     "UnitNumber" TEXT,
     
+    -- Coordinates (WGS 84) and the indexed point kept from them by property_location()
+    "Latitude" DECIMAL,
+    "Longitude" DECIMAL,
+    "Location" GEOGRAPHY(Point, 4326),
+    
     -- Room/Kitchen fields (integers)
     "KitchensAboveGrade" INTEGER,
     "BedroomsAboveGrade" INTEGER,
@@ -49,6 +57,11 @@ CREATE TABLE IF NOT EXISTS "Property" (
     "KitchensTotal" INTEGER,
     "DenFamilyRoomYN" BOOLEAN,
     
+    -- Listing agent and brokerage
+    "ListAgentKey" TEXT, -- Links to Member.MemberKey
+    "ListOfficeKey" TEXT, -- Links to Office.OfficeKey
+    "ListOfficeName" TEXT,
+    
     -- Description fields
     "PublicRemarks" TEXT,
     "PossessionDetails" TEXT,
@@ -65,6 +78,17 @@ CREATE TABLE IF NOT EXISTS "Property" (
     "TerminatedEntryTimestamp" TIMESTAMPTZ,
     "CreatedAt" TIMESTAMPTZ DEFAULT NOW(),
     "UpdatedAt" TIMESTAMPTZ DEFAULT NOW(),
+    "DeletedAt" TIMESTAMPTZ, -- Set when the listing left the feed (soft-delete reconciliation)
+    
+    -- Source feeds that authorize the listing (IDX: public display, VOW: registered consumers only)
+    "IdxFeedYN" BOOLEAN DEFAULT FALSE,
+    "VowFeedYN" BOOLEAN DEFAULT FALSE,
+    
+    -- Latest PhotosChangeTimestamp / MediaChangeTimestamp whose Media has been synced
+    "MediaSyncTimestamp" TIMESTAMPTZ,
+    
+    -- Weighted full-text document, maintained by property_search_vector()
+    "SearchVector" TSVECTOR,
     
     -- Date fields
     "CloseDate" DATE,
@@ -152,7 +176,8 @@ CREATE TABLE IF NOT EXISTS "Media" (
     "MediaModificationTimestamp" TIMESTAMPTZ,
     "ModificationTimestamp" TIMESTAMPTZ,
     "CreatedAt" TIMESTAMPTZ DEFAULT NOW(),
-    "UpdatedAt" TIMESTAMPTZ DEFAULT NOW()
+    "UpdatedAt" TIMESTAMPTZ DEFAULT NOW(),
+    "DeletedAt" TIMESTAMPTZ
 );
 
 -- =================================
@@ -183,7 +208,8 @@ CREATE TABLE IF NOT EXISTS "PropertyRooms" (
     -- Timestamp fields
     "ModificationTimestamp" TIMESTAMPTZ,
     "CreatedAt" TIMESTAMPTZ DEFAULT NOW(),
-    "UpdatedAt" TIMESTAMPTZ DEFAULT NOW()
+    "UpdatedAt" TIMESTAMPTZ DEFAULT NOW(),
+    "DeletedAt" TIMESTAMPTZ
 );
 
 -- =================================
@@ -205,6 +231,73 @@ CREATE TABLE IF NOT EXISTS "OpenHouse" (
     "OpenHouseRemarks" TEXT,
     "OpenHouseType" TEXT,
     
+    -- Timestamp fields
+    "ModificationTimestamp" TIMESTAMPTZ,
+    "CreatedAt" TIMESTAMPTZ DEFAULT NOW(),
+    "UpdatedAt" TIMESTAMPTZ DEFAULT NOW(),
+    "DeletedAt" TIMESTAMPTZ
+);
+
+-- =================================
+-- MEMBER TABLE (AGENTS)
+-- =================================
+CREATE TABLE IF NOT EXISTS "Member" (
+    -- Primary key
+    "MemberKey" TEXT PRIMARY KEY,
+    "MemberMlsId" TEXT,
+    
+    -- Name fields
+    "MemberFirstName" TEXT,
+    "MemberLastName" TEXT,
+    "MemberFullName" TEXT,
+    
+    -- Contact fields
+    "MemberEmail" TEXT,
+    "MemberDirectPhone" TEXT,
+    "MemberMobilePhone" TEXT,
+    "MemberOfficePhone" TEXT,
+    
+    -- Membership details
+    "MemberStatus" TEXT,
+    "MemberType" TEXT,
+    "JobTitle" TEXT,
+    
+    -- Brokerage
+    "OfficeKey" TEXT, -- Links to Office.OfficeKey
+    "OfficeName" TEXT,
+    
+    -- Timestamp fields
+    "ModificationTimestamp" TIMESTAMPTZ,
+    "CreatedAt" TIMESTAMPTZ DEFAULT NOW(),
+    "UpdatedAt" TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- =================================
+-- OFFICE TABLE (BROKERAGES)
+-- =================================
+CREATE TABLE IF NOT EXISTS "Office" (
+    -- Primary key
+    "OfficeKey" TEXT PRIMARY KEY,
+    "OfficeMlsId" TEXT,
+    "OfficeName" TEXT,
+    
+    -- Contact fields
+    "OfficePhone" TEXT,
+    "OfficeFax" TEXT,
+    "OfficeEmail" TEXT,
+    "OfficeURL" TEXT,
+    
+    -- Address fields
+    "OfficeAddress1" TEXT,
+    "OfficeAddress2" TEXT,
+    "OfficeCity" TEXT,
+    "OfficeStateOrProvince" TEXT,
+    "OfficePostalCode" TEXT,
+    
+    -- Office details
+    "OfficeStatus" TEXT,
+    "OfficeType" TEXT,
+    
     -- Timestamp fields
     "ModificationTimestamp" TIMESTAMPTZ,
     "CreatedAt" TIMESTAMPTZ DEFAULT NOW(),
@@ -225,6 +318,12 @@ CREATE INDEX IF NOT EXISTS "idx_property_price" ON "Property" ("ListPrice");
 CREATE INDEX IF NOT EXISTS "idx_property_bedrooms" ON "Property" ("BedroomsAboveGrade");
 CREATE INDEX IF NOT EXISTS "idx_property_bathrooms" ON "Property" ("BathroomsTotalInteger");
 CREATE INDEX IF NOT EXISTS "idx_property_postal_code" ON "Property" ("PostalCode");
+CREATE INDEX IF NOT EXISTS "idx_property_deleted_at" ON "Property" ("DeletedAt") WHERE "DeletedAt" IS NOT NULL;
+CREATE INDEX IF NOT EXISTS "idx_property_idx_feed" ON "Property" ("IdxFeedYN") WHERE "IdxFeedYN" AND "DeletedAt" IS NULL;
+CREATE INDEX IF NOT EXISTS "idx_property_list_agent" ON "Property" ("ListAgentKey");
+CREATE INDEX IF NOT EXISTS "idx_property_list_office" ON "Property" ("ListOfficeKey");
+CREATE INDEX IF NOT EXISTS "idx_property_search" ON "Property" USING GIN ("SearchVector");
+CREATE INDEX IF NOT EXISTS "idx_property_location" ON "Property" USING GIST ("Location");
 
 -- Media indexes
 CREATE INDEX IF NOT EXISTS "idx_media_resource_key" ON "Media" ("ResourceRecordKey");
@@ -246,6 +345,11 @@ CREATE INDEX IF NOT EXISTS "idx_open_house_modification" ON "OpenHouse" ("Modifi
 CREATE INDEX IF NOT EXISTS "idx_open_house_date" ON "OpenHouse" ("OpenHouseDate");
 CREATE INDEX IF NOT EXISTS "idx_open_house_status" ON "OpenHouse" ("OpenHouseStatus");
 
+-- Member / Office indexes
+CREATE INDEX IF NOT EXISTS "idx_member_modification" ON "Member" ("ModificationTimestamp");
+CREATE INDEX IF NOT EXISTS "idx_member_office" ON "Member" ("OfficeKey");
+CREATE INDEX IF NOT EXISTS "idx_office_modification" ON "Office" ("ModificationTimestamp");
+
 -- =================================
 -- FOREIGN KEY RELATIONSHIP
 -- =================================
@@ -308,6 +412,122 @@ CREATE TRIGGER update_open_house_updated_at
     FOR EACH ROW 
     EXECUTE FUNCTION update_updated_at_column();
 
+-- Trigger for Member table
+CREATE TRIGGER update_member_updated_at 
+    BEFORE UPDATE ON "Member" 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Trigger for Office table
+CREATE TRIGGER update_office_updated_at 
+    BEFORE UPDATE ON "Office" 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- =================================
+-- FULL-TEXT SEARCH
+-- =================================
+
+-- Weighted search document: A address, B feature lists, C remarks
+-- (keep in sync with TEXT_SEARCH in src/storage/textSearch.js)
+CREATE OR REPLACE FUNCTION property_search_vector()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW."SearchVector" :=
+        setweight(to_tsvector('english', concat_ws(' ', NEW."UnparsedAddress", NEW."StreetName", NEW."City", NEW."CityRegion")), 'A') ||
+        setweight(to_tsvector('english', concat_ws(' ', array_to_string(NEW."InteriorFeatures", ' '), array_to_string(NEW."ExteriorFeatures", ' '))), 'B') ||
+        setweight(to_tsvector('english', coalesce(NEW."PublicRemarks", '')), 'C');
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER update_property_search_vector
+    BEFORE INSERT OR UPDATE OF "UnparsedAddress", "StreetName", "City", "CityRegion", "InteriorFeatures", "ExteriorFeatures", "PublicRemarks", "SearchVector"
+    ON "Property"
+    FOR EACH ROW
+    EXECUTE FUNCTION property_search_vector();
+
+-- =================================
+-- GEOSPATIAL SEARCH
+-- =================================
+
+CREATE OR REPLACE FUNCTION property_location()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW."Location" := CASE
+        WHEN NEW."Latitude" IS NULL OR NEW."Longitude" IS NULL THEN NULL
+        ELSE ST_SetSRID(ST_MakePoint(NEW."Longitude", NEW."Latitude"), 4326)::geography
+    END;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER update_property_location
+    BEFORE INSERT OR UPDATE OF "Latitude", "Longitude", "Location"
+    ON "Property"
+    FOR EACH ROW
+    EXECUTE FUNCTION property_location();
+
+-- Search RPC used by the Supabase backend: full-text and geo filters
+-- (see database/property-geo.sql)
+CREATE VIEW "PropertySearchResult" AS
+SELECT p.*, NULL::DOUBLE PRECISION AS "SearchRank", NULL::TEXT AS "SearchHighlight", NULL::DOUBLE PRECISION AS "DistanceKm"
+FROM "Property" p
+WHERE FALSE;
+
+CREATE FUNCTION search_properties(
+    search_query TEXT DEFAULT NULL,
+    near_lat DOUBLE PRECISION DEFAULT NULL,
+    near_lng DOUBLE PRECISION DEFAULT NULL,
+    radius_km DOUBLE PRECISION DEFAULT NULL,
+    within_geojson TEXT DEFAULT NULL
+)
+RETURNS SETOF "PropertySearchResult" AS $$
+    SELECT p.*,
+           ts_rank(p."SearchVector", q)::DOUBLE PRECISION AS "SearchRank",
+           ts_headline('english', concat_ws(' … ', p."UnparsedAddress", p."CityRegion", p."PublicRemarks"), q,
+               'StartSel=' || chr(2) || ', StopSel=' || chr(3) || ', MinWords=12, MaxWords=30, MaxFragments=2, FragmentDelimiter=" … "') AS "SearchHighlight",
+           ST_Distance(p."Location", c, false) / 1000 AS "DistanceKm"
+    FROM "Property" p,
+         websearch_to_tsquery('english', search_query) q,
+         ST_SetSRID(ST_MakePoint(near_lng, near_lat), 4326)::geography c
+    WHERE (search_query IS NULL OR p."SearchVector" @@ q)
+      AND (near_lat IS NULL OR ST_DWithin(p."Location", c, radius_km * 1000, false))
+      AND (within_geojson IS NULL OR ST_Covers(ST_SetSRID(ST_GeomFromGeoJSON(within_geojson), 4326)::geography, p."Location"))
+$$ LANGUAGE sql STABLE;
+
+-- =================================
+-- OPEN HOUSE CALENDAR
+-- =================================
+
+-- Open houses joined to their listing (see database/open-house-calendar.sql)
+CREATE VIEW "OpenHouseListing" AS
+SELECT oh."OpenHouseKey",
+       oh."ListingKey",
+       oh."OpenHouseDate",
+       oh."OpenHouseStartTime",
+       oh."OpenHouseEndTime",
+       oh."OpenHouseStatus",
+       oh."OpenHouseType",
+       oh."OpenHouseRemarks",
+       oh."ModificationTimestamp",
+       p."UnparsedAddress",
+       p."City",
+       p."CityRegion",
+       p."ListPrice",
+       p."PropertyType",
+       p."PropertySubType",
+       p."BedroomsAboveGrade",
+       p."BathroomsTotalInteger",
+       p."MlsStatus",
+       p."ListOfficeName",
+       p."DeletedAt",
+       p."IdxFeedYN",
+       p."VowFeedYN"
+FROM "OpenHouse" oh
+JOIN "Property" p ON p."ListingKey" = oh."ListingKey"
+WHERE oh."DeletedAt" IS NULL;
+
 -- =================================
 -- ROW LEVEL SECURITY (OPTIONAL)
 -- =================================
@@ -328,12 +548,20 @@ COMMENT ON TABLE "Property" IS 'RESO-compliant property data from AMPRE IDX/VOW
 COMMENT ON TABLE "Media" IS 'Property media (photos, virtual tours) linked to properties';
 COMMENT ON TABLE "PropertyRooms" IS 'Property room details from PropertyRooms endpoint';
 COMMENT ON TABLE "OpenHouse" IS 'Open house information from OpenHouse endpoint';
+COMMENT ON TABLE "Member" IS 'Agents from the Member endpoint';
+COMMENT ON TABLE "Office" IS 'Brokerages from the Office endpoint';
 
 COMMENT ON COLUMN "Property"."ListingKey" IS 'Unique MLS listing identifier';
 COMMENT ON COLUMN "Property"."ModificationTimestamp" IS 'Used for incremental sync';
+COMMENT ON COLUMN "Property"."MediaSyncTimestamp" IS 'Latest PhotosChangeTimestamp / MediaChangeTimestamp whose Media has been synced';
 COMMENT ON COLUMN "Media"."ResourceRecordKey" IS 'Links to Property.ListingKey';
 COMMENT ON COLUMN "Media"."MediaModificationTimestamp" IS 'Used for incremental media sync';
 COMMENT ON COLUMN "PropertyRooms"."RoomKey" IS 'Unique room identifier';
 COMMENT ON COLUMN "PropertyRooms"."ListingKey" IS 'Links to Property.ListingKey';
 COMMENT ON COLUMN "OpenHouse"."OpenHouseKey" IS 'Unique open house identifier';
 COMMENT ON COLUMN "OpenHouse"."ListingKey" IS 'Links to Property.ListingKey';
+COMMENT ON COLUMN "Property"."ListAgentKey" IS 'Links to Member.MemberKey';
+COMMENT ON COLUMN "Property"."ListOfficeKey" IS 'Links to Office.OfficeKey';
+COMMENT ON COLUMN "Property"."SearchVector" IS 'Weighted full-text document, maintained by property_search_vector()';
+COMMENT ON COLUMN "Property"."Location" IS 'Listing point (WGS 84), maintained by property_location()';
+COMMENT ON VIEW "OpenHouseListing" IS 'Open houses with listing address, price and type (times are America/Toronto local)';
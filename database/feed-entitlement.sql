@@ -0,0 +1,25 @@
+-- ===========================================
+-- FEED ENTITLEMENT MIGRATION
+-- ===========================================
+-- Tags every listing with the feed(s) that authorize it. IDX listings may be
+-- shown publicly; VOW listings and VOW-only fields (ClosePrice, CloseDate, ...)
+-- only to registered, logged-in consumers. Safe to run more than once.
+-- Run after listing-reconciliation.sql (the index below uses "DeletedAt").
+
+ALTER TABLE "Property" ADD COLUMN IF NOT EXISTS "IdxFeedYN" BOOLEAN DEFAULT FALSE;
+ALTER TABLE "Property" ADD COLUMN IF NOT EXISTS "VowFeedYN" BOOLEAN DEFAULT FALSE;
+
+-- Backfill existing rows from the default feed URLs (IDX_URL selects
+-- ContractStatus = 'Available', VOW_URL everything else). The next
+-- reconciliation pass corrects the flags against the live feeds.
+UPDATE "Property"
+SET "IdxFeedYN" = ("ContractStatus" = 'Available'),
+    "VowFeedYN" = ("ContractStatus" IS DISTINCT FROM 'Available')
+WHERE NOT "IdxFeedYN" AND NOT "VowFeedYN";
+
+CREATE INDEX IF NOT EXISTS "idx_property_idx_feed" ON "Property" ("IdxFeedYN") WHERE "IdxFeedYN" AND "DeletedAt" IS NULL;
+
+ALTER TABLE "SyncLog" ADD COLUMN IF NOT EXISTS reconcile_retagged INTEGER;
+
+COMMENT ON COLUMN "Property"."IdxFeedYN" IS 'Listing is carried by the IDX feed (public display)';
+COMMENT ON COLUMN "Property"."VowFeedYN" IS 'Listing is carried by the VOW feed (registered consumers only)';
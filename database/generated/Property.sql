@@ -0,0 +1,93 @@
+-- Generated by src/scripts/generate-schema.js from the RESO $metadata document - do not edit.
+-- Safe to re-run: creates the Property table if needed and adds any missing mapped columns.
+
+CREATE TABLE IF NOT EXISTS "Property" (
+    "ListingKey" TEXT PRIMARY KEY
+);
+
+ALTER TABLE "Property"
+    ADD COLUMN IF NOT EXISTS "ListPrice" DECIMAL,
+    ADD COLUMN IF NOT EXISTS "ClosePrice" DECIMAL,
+    ADD COLUMN IF NOT EXISTS "MlsStatus" TEXT,
+    ADD COLUMN IF NOT EXISTS "ContractStatus" TEXT,
+    ADD COLUMN IF NOT EXISTS "StandardStatus" TEXT,
+    ADD COLUMN IF NOT EXISTS "TransactionType" TEXT,
+    ADD COLUMN IF NOT EXISTS "PropertyType" TEXT,
+    ADD COLUMN IF NOT EXISTS "PropertySubType" TEXT,
+    ADD COLUMN IF NOT EXISTS "ArchitecturalStyle" TEXT[],
+    ADD COLUMN IF NOT EXISTS "UnparsedAddress" TEXT,
+    ADD COLUMN IF NOT EXISTS "StreetNumber" TEXT,
+    ADD COLUMN IF NOT EXISTS "StreetName" TEXT,
+    ADD COLUMN IF NOT EXISTS "StreetSuffix" TEXT,
+    ADD COLUMN IF NOT EXISTS "City" TEXT,
+    ADD COLUMN IF NOT EXISTS "StateOrProvince" TEXT,
+    ADD COLUMN IF NOT EXISTS "PostalCode" TEXT,
+    ADD COLUMN IF NOT EXISTS "CountyOrParish" TEXT,
+    ADD COLUMN IF NOT EXISTS "CityRegion" TEXT,
+    ADD COLUMN IF NOT EXISTS "UnitNumber" TEXT,
+    ADD COLUMN IF NOT EXISTS "Latitude" DECIMAL,
+    ADD COLUMN IF NOT EXISTS "Longitude" DECIMAL,
+    ADD COLUMN IF NOT EXISTS "KitchensAboveGrade" INTEGER,
+    ADD COLUMN IF NOT EXISTS "BedroomsAboveGrade" INTEGER,
+    ADD COLUMN IF NOT EXISTS "BedroomsBelowGrade" INTEGER,
+    ADD COLUMN IF NOT EXISTS "BathroomsTotalInteger" INTEGER,
+    ADD COLUMN IF NOT EXISTS "KitchensBelowGrade" INTEGER,
+    ADD COLUMN IF NOT EXISTS "KitchensTotal" INTEGER,
+    ADD COLUMN IF NOT EXISTS "DenFamilyRoomYN" BOOLEAN,
+    ADD COLUMN IF NOT EXISTS "ListAgentKey" TEXT,
+    ADD COLUMN IF NOT EXISTS "ListOfficeKey" TEXT,
+    ADD COLUMN IF NOT EXISTS "ListOfficeName" TEXT,
+    ADD COLUMN IF NOT EXISTS "PublicRemarks" TEXT,
+    ADD COLUMN IF NOT EXISTS "PossessionDetails" TEXT,
+    ADD COLUMN IF NOT EXISTS "PhotosChangeTimestamp" TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS "MediaChangeTimestamp" TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS "ModificationTimestamp" TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS "SystemModificationTimestamp" TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS "OriginalEntryTimestamp" TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS "SoldConditionalEntryTimestamp" TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS "SoldEntryTimestamp" TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS "SuspendedEntryTimestamp" TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS "TerminatedEntryTimestamp" TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS "CloseDate" DATE,
+    ADD COLUMN IF NOT EXISTS "ConditionalExpiryDate" DATE,
+    ADD COLUMN IF NOT EXISTS "PurchaseContractDate" DATE,
+    ADD COLUMN IF NOT EXISTS "SuspendedDate" DATE,
+    ADD COLUMN IF NOT EXISTS "TerminatedDate" DATE,
+    ADD COLUMN IF NOT EXISTS "UnavailableDate" DATE,
+    ADD COLUMN IF NOT EXISTS "Cooling" TEXT[],
+    ADD COLUMN IF NOT EXISTS "Sewer" TEXT[],
+    ADD COLUMN IF NOT EXISTS "Basement" TEXT[],
+    ADD COLUMN IF NOT EXISTS "BasementEntrance" TEXT,
+    ADD COLUMN IF NOT EXISTS "ExteriorFeatures" TEXT[],
+    ADD COLUMN IF NOT EXISTS "InteriorFeatures" TEXT[],
+    ADD COLUMN IF NOT EXISTS "PoolFeatures" TEXT[],
+    ADD COLUMN IF NOT EXISTS "PropertyFeatures" TEXT[],
+    ADD COLUMN IF NOT EXISTS "HeatType" TEXT,
+    ADD COLUMN IF NOT EXISTS "FireplaceYN" BOOLEAN,
+    ADD COLUMN IF NOT EXISTS "LivingAreaRange" TEXT,
+    ADD COLUMN IF NOT EXISTS "WaterfrontYN" BOOLEAN,
+    ADD COLUMN IF NOT EXISTS "PossessionType" TEXT,
+    ADD COLUMN IF NOT EXISTS "CoveredSpaces" INTEGER,
+    ADD COLUMN IF NOT EXISTS "ParkingSpaces" INTEGER,
+    ADD COLUMN IF NOT EXISTS "ParkingTotal" INTEGER,
+    ADD COLUMN IF NOT EXISTS "AssociationAmenities" TEXT[],
+    ADD COLUMN IF NOT EXISTS "Locker" TEXT,
+    ADD COLUMN IF NOT EXISTS "BalconyType" TEXT,
+    ADD COLUMN IF NOT EXISTS "PetsAllowed" TEXT[],
+    ADD COLUMN IF NOT EXISTS "AssociationFee" DECIMAL,
+    ADD COLUMN IF NOT EXISTS "AssociationFeeIncludes" TEXT[],
+    ADD COLUMN IF NOT EXISTS "ApproximateAge" TEXT,
+    ADD COLUMN IF NOT EXISTS "AdditionalMonthlyFee" DECIMAL,
+    ADD COLUMN IF NOT EXISTS "TaxAnnualAmount" DECIMAL,
+    ADD COLUMN IF NOT EXISTS "TaxYear" INTEGER,
+    ADD COLUMN IF NOT EXISTS "LotDepth" DECIMAL,
+    ADD COLUMN IF NOT EXISTS "LotWidth" DECIMAL,
+    ADD COLUMN IF NOT EXISTS "LotSizeUnits" TEXT,
+    ADD COLUMN IF NOT EXISTS "Furnished" TEXT,
+    ADD COLUMN IF NOT EXISTS "RentIncludes" TEXT[],
+    ADD COLUMN IF NOT EXISTS "CreatedAt" TIMESTAMPTZ DEFAULT NOW(),
+    ADD COLUMN IF NOT EXISTS "UpdatedAt" TIMESTAMPTZ DEFAULT NOW(),
+    ADD COLUMN IF NOT EXISTS "DeletedAt" TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS "IdxFeedYN" BOOLEAN DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS "VowFeedYN" BOOLEAN DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS "MediaSyncTimestamp" TIMESTAMPTZ;
@@ -0,0 +1,24 @@
+-- ===========================================
+-- LISTING RECONCILIATION MIGRATION
+-- ===========================================
+-- Adds soft-delete columns used by ReconciliationService and the
+-- SyncLog counters it records. Safe to run more than once.
+
+-- Soft-delete markers (RECONCILE_POLICY=soft-delete)
+ALTER TABLE "Property" ADD COLUMN IF NOT EXISTS "DeletedAt" TIMESTAMPTZ;
+ALTER TABLE "Media" ADD COLUMN IF NOT EXISTS "DeletedAt" TIMESTAMPTZ;
+ALTER TABLE "PropertyRooms" ADD COLUMN IF NOT EXISTS "DeletedAt" TIMESTAMPTZ;
+ALTER TABLE "OpenHouse" ADD COLUMN IF NOT EXISTS "DeletedAt" TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS "idx_property_deleted_at" ON "Property" ("DeletedAt") WHERE "DeletedAt" IS NOT NULL;
+
+-- Reconciliation counts per sync run
+ALTER TABLE "SyncLog" ADD COLUMN IF NOT EXISTS reconcile_policy TEXT;
+ALTER TABLE "SyncLog" ADD COLUMN IF NOT EXISTS reconcile_missing INTEGER;
+ALTER TABLE "SyncLog" ADD COLUMN IF NOT EXISTS reconcile_properties INTEGER;
+ALTER TABLE "SyncLog" ADD COLUMN IF NOT EXISTS reconcile_media INTEGER;
+ALTER TABLE "SyncLog" ADD COLUMN IF NOT EXISTS reconcile_rooms INTEGER;
+ALTER TABLE "SyncLog" ADD COLUMN IF NOT EXISTS reconcile_openhouses INTEGER;
+ALTER TABLE "SyncLog" ADD COLUMN IF NOT EXISTS reconcile_restored INTEGER;
+
+COMMENT ON COLUMN "Property"."DeletedAt" IS 'Set when the listing left the feed (soft-delete reconciliation)';
@@ -0,0 +1,114 @@
+-- ===========================================
+-- MARKET STATISTICS MIGRATION
+-- ===========================================
+-- Aggregates behind /api/stats/*: inventory, new listings, sales, prices, sale-to-list ratio
+-- and days on market per City / CityRegion / PropertySubType and period, computed in the
+-- database instead of by reading every listing. The PostgreSQL backend calls the function
+-- directly and the Supabase backend through PostgREST (RPC); SQLite runs the same query
+-- from SqliteAdapter.marketStats().
+-- Safe to run more than once.
+
+-- A listing counts as sold on its PurchaseContractDate (firm deal), or CloseDate when the feed
+-- has no contract date, and only when it has a ClosePrice. It is in a period's inventory when
+-- it was listed before the period ended and was not sold by then; listings that left the
+-- market without selling (expired, terminated) are only known while still Active, so past
+-- inventory only includes listings that are Active now or sold later.
+
+CREATE INDEX IF NOT EXISTS "idx_property_market_listed" ON "Property" ("OriginalEntryTimestamp") WHERE "DeletedAt" IS NULL;
+CREATE INDEX IF NOT EXISTS "idx_property_market_sold" ON "Property" ("PurchaseContractDate", "CloseDate") WHERE "ClosePrice" IS NOT NULL AND "DeletedAt" IS NULL;
+
+DROP FUNCTION IF EXISTS property_market_stats(TEXT, DATE, DATE, BOOLEAN, TEXT, BOOLEAN, DOUBLE PRECISION, TEXT, TEXT, TEXT);
+
+-- One row per group and period. Periods are the months from period_start to period_end
+-- (first days of months) when by_month, else one period spanning them. group_by is one of
+-- City, CityRegion, PropertySubType, PropertyType, or NULL for a single group. Without
+-- include_sold (IDX callers) only IDX listings count and no sold data is used.
+CREATE FUNCTION property_market_stats(
+    group_by TEXT DEFAULT NULL,
+    period_start DATE DEFAULT date_trunc('month', now())::date,
+    period_end DATE DEFAULT date_trunc('month', now())::date,
+    by_month BOOLEAN DEFAULT TRUE,
+    transaction_type TEXT DEFAULT 'For Sale',
+    include_sold BOOLEAN DEFAULT FALSE,
+    percentile DOUBLE PRECISION DEFAULT 0.9,
+    city TEXT DEFAULT NULL,
+    city_region TEXT DEFAULT NULL,
+    property_sub_type TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+    "GroupValue" TEXT,
+    "PeriodStart" TEXT,
+    "PeriodEnd" TEXT,
+    "ActiveListings" BIGINT,
+    "NewListings" BIGINT,
+    "ListPriceAvg" DOUBLE PRECISION,
+    "ListPriceMedian" DOUBLE PRECISION,
+    "ListPricePercentile" DOUBLE PRECISION,
+    "Sales" BIGINT,
+    "SalePriceAvg" DOUBLE PRECISION,
+    "SalePriceMedian" DOUBLE PRECISION,
+    "SalePricePercentile" DOUBLE PRECISION,
+    "SaleToListRatio" DOUBLE PRECISION,
+    "DaysOnMarketAvg" DOUBLE PRECISION,
+    "DaysOnMarketMedian" DOUBLE PRECISION
+) AS $$
+    WITH periods AS (
+        SELECT s::date AS start_on,
+               (s + CASE WHEN by_month THEN INTERVAL '1 month'
+                         ELSE (period_end - s::date) * INTERVAL '1 day' + INTERVAL '1 month' END)::date AS end_on
+        FROM generate_series(period_start::timestamp, period_end::timestamp, INTERVAL '1 month') s
+        WHERE by_month OR s = period_start
+    ),
+    facts AS (
+        SELECT CASE group_by
+                   WHEN 'City' THEN p."City"
+                   WHEN 'CityRegion' THEN p."CityRegion"
+                   WHEN 'PropertySubType' THEN p."PropertySubType"
+                   WHEN 'PropertyType' THEN p."PropertyType"
+               END AS group_value,
+               (p."OriginalEntryTimestamp" AT TIME ZONE 'UTC')::date AS listed_on,
+               CASE WHEN include_sold AND p."ClosePrice" IS NOT NULL
+                    THEN COALESCE(p."PurchaseContractDate", p."CloseDate") END AS sold_on,
+               p."StandardStatus" = 'Active' AS is_active,
+               p."ListPrice"::DOUBLE PRECISION AS list_price,
+               p."ClosePrice"::DOUBLE PRECISION AS close_price
+        FROM "Property" p
+        WHERE p."DeletedAt" IS NULL
+          AND p."OriginalEntryTimestamp" IS NOT NULL
+          AND (include_sold OR p."IdxFeedYN")
+          AND (transaction_type IS NULL OR p."TransactionType" = transaction_type)
+          AND (city IS NULL OR p."City" = city)
+          AND (city_region IS NULL OR p."CityRegion" = city_region)
+          AND (property_sub_type IS NULL OR p."PropertySubType" = property_sub_type)
+    ),
+    flagged AS (
+        SELECT f.group_value, b.start_on, b.end_on, f.list_price, f.close_price,
+               f.listed_on >= b.start_on AS is_new,
+               f.sold_on >= b.start_on AND f.sold_on < b.end_on AS is_sale,
+               COALESCE(f.sold_on >= b.end_on, f.is_active) AS is_inventory,
+               (f.sold_on - f.listed_on)::DOUBLE PRECISION AS days_on_market
+        FROM periods b
+        JOIN facts f ON f.listed_on < b.end_on AND (f.sold_on IS NULL OR f.sold_on >= b.start_on)
+    )
+    SELECT group_value,
+           to_char(start_on, 'YYYY-MM-DD'),
+           to_char(end_on, 'YYYY-MM-DD'),
+           count(*) FILTER (WHERE is_inventory),
+           count(*) FILTER (WHERE is_new),
+           avg(list_price) FILTER (WHERE is_inventory),
+           percentile_cont(0.5) WITHIN GROUP (ORDER BY list_price) FILTER (WHERE is_inventory),
+           percentile_cont(percentile) WITHIN GROUP (ORDER BY list_price) FILTER (WHERE is_inventory),
+           count(*) FILTER (WHERE is_sale),
+           avg(close_price) FILTER (WHERE is_sale),
+           percentile_cont(0.5) WITHIN GROUP (ORDER BY close_price) FILTER (WHERE is_sale),
+           percentile_cont(percentile) WITHIN GROUP (ORDER BY close_price) FILTER (WHERE is_sale),
+           avg(close_price / NULLIF(list_price, 0)) FILTER (WHERE is_sale),
+           avg(days_on_market) FILTER (WHERE is_sale),
+           percentile_cont(0.5) WITHIN GROUP (ORDER BY days_on_market) FILTER (WHERE is_sale)
+    FROM flagged
+    GROUP BY group_value, start_on, end_on
+    ORDER BY group_value NULLS FIRST, start_on
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON FUNCTION property_market_stats(TEXT, DATE, DATE, BOOLEAN, TEXT, BOOLEAN, DOUBLE PRECISION, TEXT, TEXT, TEXT) IS
+    'Market statistics (inventory, new listings, sales, prices, days on market) per group and period';
@@ -0,0 +1,12 @@
+-- ===========================================
+-- MEDIA CHANGE DETECTION MIGRATION
+-- ===========================================
+-- Lets incremental media syncs skip listings whose photos have not changed.
+-- The media sync records the listing's latest PhotosChangeTimestamp /
+-- MediaChangeTimestamp once its Media rows are replaced; listings whose
+-- change timestamps are newer (or that were never synced) are re-fetched.
+-- Safe to run more than once.
+
+ALTER TABLE "Property" ADD COLUMN IF NOT EXISTS "MediaSyncTimestamp" TIMESTAMPTZ;
+
+COMMENT ON COLUMN "Property"."MediaSyncTimestamp" IS 'Latest PhotosChangeTimestamp / MediaChangeTimestamp whose Media has been synced';
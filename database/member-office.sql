@@ -0,0 +1,80 @@
+-- ===========================================
+-- MEMBER / OFFICE MIGRATION
+-- ===========================================
+-- Agents (Member) and brokerages (Office) from the AMPRE Member and Office
+-- resources, and the listing agent / brokerage keys on Property that join
+-- to them. Listing pages must show the listing brokerage name (board display
+-- requirement). Safe to run more than once.
+
+ALTER TABLE "Property" ADD COLUMN IF NOT EXISTS "ListAgentKey" TEXT;
+ALTER TABLE "Property" ADD COLUMN IF NOT EXISTS "ListOfficeKey" TEXT;
+ALTER TABLE "Property" ADD COLUMN IF NOT EXISTS "ListOfficeName" TEXT;
+
+CREATE TABLE IF NOT EXISTS "Member" (
+    "MemberKey" TEXT PRIMARY KEY,
+    "MemberMlsId" TEXT,
+    "MemberFirstName" TEXT,
+    "MemberLastName" TEXT,
+    "MemberFullName" TEXT,
+    "MemberEmail" TEXT,
+    "MemberDirectPhone" TEXT,
+    "MemberMobilePhone" TEXT,
+    "MemberOfficePhone" TEXT,
+    "MemberStatus" TEXT,
+    "MemberType" TEXT,
+    "JobTitle" TEXT,
+    "OfficeKey" TEXT, -- Links to Office.OfficeKey
+    "OfficeName" TEXT,
+    "ModificationTimestamp" TIMESTAMPTZ,
+    "CreatedAt" TIMESTAMPTZ DEFAULT NOW(),
+    "UpdatedAt" TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS "Office" (
+    "OfficeKey" TEXT PRIMARY KEY,
+    "OfficeMlsId" TEXT,
+    "OfficeName" TEXT,
+    "OfficePhone" TEXT,
+    "OfficeFax" TEXT,
+    "OfficeEmail" TEXT,
+    "OfficeURL" TEXT,
+    "OfficeAddress1" TEXT,
+    "OfficeAddress2" TEXT,
+    "OfficeCity" TEXT,
+    "OfficeStateOrProvince" TEXT,
+    "OfficePostalCode" TEXT,
+    "OfficeStatus" TEXT,
+    "OfficeType" TEXT,
+    "ModificationTimestamp" TIMESTAMPTZ,
+    "CreatedAt" TIMESTAMPTZ DEFAULT NOW(),
+    "UpdatedAt" TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS "idx_property_list_agent" ON "Property" ("ListAgentKey");
+CREATE INDEX IF NOT EXISTS "idx_property_list_office" ON "Property" ("ListOfficeKey");
+CREATE INDEX IF NOT EXISTS "idx_member_modification" ON "Member" ("ModificationTimestamp");
+CREATE INDEX IF NOT EXISTS "idx_member_office" ON "Member" ("OfficeKey");
+CREATE INDEX IF NOT EXISTS "idx_office_modification" ON "Office" ("ModificationTimestamp");
+
+-- No foreign keys: listings may reference agents and brokerages that are not synced yet
+
+DROP TRIGGER IF EXISTS update_member_updated_at ON "Member";
+CREATE TRIGGER update_member_updated_at 
+    BEFORE UPDATE ON "Member" 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_office_updated_at ON "Office";
+CREATE TRIGGER update_office_updated_at 
+    BEFORE UPDATE ON "Office" 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE "SyncLog" ADD COLUMN IF NOT EXISTS member_timestamp TIMESTAMPTZ;
+ALTER TABLE "SyncLog" ADD COLUMN IF NOT EXISTS office_timestamp TIMESTAMPTZ;
+
+COMMENT ON TABLE "Member" IS 'Agents from the Member endpoint';
+COMMENT ON TABLE "Office" IS 'Brokerages from the Office endpoint';
+COMMENT ON COLUMN "Property"."ListAgentKey" IS 'Links to Member.MemberKey';
+COMMENT ON COLUMN "Property"."ListOfficeKey" IS 'Links to Office.OfficeKey';
+COMMENT ON COLUMN "Property"."ListOfficeName" IS 'Listing brokerage name as published on the listing';
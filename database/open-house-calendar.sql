@@ -0,0 +1,37 @@
+-- ===========================================
+-- OPEN HOUSE CALENDAR MIGRATION
+-- ===========================================
+-- Open houses joined to their listing for GET /api/open-houses and the .ics feeds,
+-- so date, city, price and type filters run in one query. Listing scope columns
+-- ("DeletedAt", "IdxFeedYN", "VowFeedYN") come from Property, so the entitlement
+-- conditions apply unchanged; removed open houses are left out.
+-- Run after feed-entitlement.sql and member-office.sql. Safe to run more than once.
+
+CREATE OR REPLACE VIEW "OpenHouseListing" AS
+SELECT oh."OpenHouseKey",
+       oh."ListingKey",
+       oh."OpenHouseDate",
+       oh."OpenHouseStartTime",
+       oh."OpenHouseEndTime",
+       oh."OpenHouseStatus",
+       oh."OpenHouseType",
+       oh."OpenHouseRemarks",
+       oh."ModificationTimestamp",
+       p."UnparsedAddress",
+       p."City",
+       p."CityRegion",
+       p."ListPrice",
+       p."PropertyType",
+       p."PropertySubType",
+       p."BedroomsAboveGrade",
+       p."BathroomsTotalInteger",
+       p."MlsStatus",
+       p."ListOfficeName",
+       p."DeletedAt",
+       p."IdxFeedYN",
+       p."VowFeedYN"
+FROM "OpenHouse" oh
+JOIN "Property" p ON p."ListingKey" = oh."ListingKey"
+WHERE oh."DeletedAt" IS NULL;
+
+COMMENT ON VIEW "OpenHouseListing" IS 'Open houses with listing address, price and type (times are America/Toronto local)';
@@ -0,0 +1,79 @@
+-- ===========================================
+-- PROPERTY GEOSPATIAL SEARCH MIGRATION
+-- ===========================================
+-- Radius, bounding box and polygon filters for /api/properties/search (near=, bbox=, POST polygon).
+-- "Location" is a PostGIS geography point kept from the feed's Latitude / Longitude and
+-- indexed with GiST; distances are computed on the sphere, like the SQLite backend.
+-- Run after property-search.sql: this redefines search_properties() with geo arguments.
+-- Safe to run more than once. Re-run (instead of property-search.sql) after adding Property
+-- columns: the search_properties() result type lists every Property column.
+
+CREATE EXTENSION IF NOT EXISTS postgis;
+
+ALTER TABLE "Property"
+    ADD COLUMN IF NOT EXISTS "Latitude" DECIMAL,
+    ADD COLUMN IF NOT EXISTS "Longitude" DECIMAL,
+    ADD COLUMN IF NOT EXISTS "Location" GEOGRAPHY(Point, 4326);
+
+CREATE OR REPLACE FUNCTION property_location()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW."Location" := CASE
+        WHEN NEW."Latitude" IS NULL OR NEW."Longitude" IS NULL THEN NULL
+        ELSE ST_SetSRID(ST_MakePoint(NEW."Longitude", NEW."Latitude"), 4326)::geography
+    END;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_property_location ON "Property";
+CREATE TRIGGER update_property_location
+    BEFORE INSERT OR UPDATE OF "Latitude", "Longitude", "Location"
+    ON "Property"
+    FOR EACH ROW
+    EXECUTE FUNCTION property_location();
+
+-- Backfill existing rows (the trigger computes the point)
+UPDATE "Property" SET "Location" = NULL
+WHERE "Location" IS NULL AND "Latitude" IS NOT NULL AND "Longitude" IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS "idx_property_location" ON "Property" USING GIST ("Location");
+
+-- Search RPC for the Supabase backend: full-text and geo filters, each skipped when its
+-- arguments are NULL. Returns the rank and highlight snippet of the text match (matches
+-- delimited by chr(2) / chr(3)) and the distance from near_lat / near_lng in km. PostgREST
+-- applies filters, order and paging on top of the result. The rank is a double so it
+-- round-trips exactly through pagination cursors.
+DROP FUNCTION IF EXISTS search_properties(TEXT);
+DROP FUNCTION IF EXISTS search_properties(TEXT, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, TEXT);
+DROP VIEW IF EXISTS "PropertySearchResult";
+
+CREATE VIEW "PropertySearchResult" AS
+SELECT p.*, NULL::DOUBLE PRECISION AS "SearchRank", NULL::TEXT AS "SearchHighlight", NULL::DOUBLE PRECISION AS "DistanceKm"
+FROM "Property" p
+WHERE FALSE;
+
+CREATE FUNCTION search_properties(
+    search_query TEXT DEFAULT NULL,
+    near_lat DOUBLE PRECISION DEFAULT NULL,
+    near_lng DOUBLE PRECISION DEFAULT NULL,
+    radius_km DOUBLE PRECISION DEFAULT NULL,
+    within_geojson TEXT DEFAULT NULL
+)
+RETURNS SETOF "PropertySearchResult" AS $$
+    SELECT p.*,
+           ts_rank(p."SearchVector", q)::DOUBLE PRECISION AS "SearchRank",
+           ts_headline('english', concat_ws(' … ', p."UnparsedAddress", p."CityRegion", p."PublicRemarks"), q,
+               'StartSel=' || chr(2) || ', StopSel=' || chr(3) || ', MinWords=12, MaxWords=30, MaxFragments=2, FragmentDelimiter=" … "') AS "SearchHighlight",
+           ST_Distance(p."Location", c, false) / 1000 AS "DistanceKm"
+    FROM "Property" p,
+         websearch_to_tsquery('english', search_query) q,
+         ST_SetSRID(ST_MakePoint(near_lng, near_lat), 4326)::geography c
+    WHERE (search_query IS NULL OR p."SearchVector" @@ q)
+      AND (near_lat IS NULL OR ST_DWithin(p."Location", c, radius_km * 1000, false))
+      AND (within_geojson IS NULL OR ST_Covers(ST_SetSRID(ST_GeomFromGeoJSON(within_geojson), 4326)::geography, p."Location"))
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON COLUMN "Property"."Location" IS 'Listing point (WGS 84), maintained by property_location()';
+COMMENT ON FUNCTION search_properties(TEXT, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, TEXT) IS
+    'Full-text (websearch_to_tsquery syntax), radius and GeoJSON polygon search over Property';
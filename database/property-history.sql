@@ -0,0 +1,28 @@
+-- ===========================================
+-- PROPERTY HISTORY MIGRATION
+-- ===========================================
+-- Field-level changes of tracked listing fields (price, status, close), recorded
+-- by the property sync when an incoming record differs from the stored row, and
+-- served at GET /api/properties/:listingKey/history. Values are stored as text
+-- (numbers as plain decimals, dates as YYYY-MM-DD). A new listing records its
+-- initial values with a NULL "PreviousValue". Rows are kept when a listing is
+-- removed. Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS "PropertyHistory" (
+    "Id" BIGSERIAL PRIMARY KEY,
+    "ListingKey" TEXT NOT NULL, -- Links to Property.ListingKey
+    "FieldName" TEXT NOT NULL,
+    "PreviousValue" TEXT,
+    "NewValue" TEXT,
+    "ChangedAt" TIMESTAMPTZ NOT NULL,
+    "RecordedAt" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    "SourceFeed" TEXT
+);
+
+CREATE INDEX IF NOT EXISTS "idx_property_history_listing" ON "PropertyHistory" ("ListingKey", "ChangedAt");
+
+COMMENT ON TABLE "PropertyHistory" IS 'Changes of tracked listing fields, one row per field change';
+COMMENT ON COLUMN "PropertyHistory"."FieldName" IS 'ListPrice, MlsStatus, StandardStatus, ContractStatus, CloseDate or ClosePrice';
+COMMENT ON COLUMN "PropertyHistory"."ChangedAt" IS 'ModificationTimestamp of the record that carried the change';
+COMMENT ON COLUMN "PropertyHistory"."RecordedAt" IS 'When the sync recorded the change';
+COMMENT ON COLUMN "PropertyHistory"."SourceFeed" IS 'Feed of the record that carried the change (idx or vow)';
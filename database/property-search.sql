@@ -0,0 +1,61 @@
+-- ===========================================
+-- PROPERTY FULL-TEXT SEARCH MIGRATION
+-- ===========================================
+-- Ranked full-text search for /api/properties/search?query=...
+-- "SearchVector" holds the listing text, weighted A (address, city, region),
+-- B (interior / exterior feature lists) and C (public remarks); keep the
+-- weights in sync with TEXT_SEARCH in src/storage/textSearch.js.
+-- Safe to run more than once. Re-run after adding Property columns: the
+-- search_properties() result type lists every Property column. Once property-geo.sql
+-- has been applied, re-run that instead: it redefines search_properties().
+
+ALTER TABLE "Property" ADD COLUMN IF NOT EXISTS "SearchVector" TSVECTOR;
+
+-- array_to_string() is not immutable, so the vector is kept by a trigger
+-- rather than a generated column
+CREATE OR REPLACE FUNCTION property_search_vector()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW."SearchVector" :=
+        setweight(to_tsvector('english', concat_ws(' ', NEW."UnparsedAddress", NEW."StreetName", NEW."City", NEW."CityRegion")), 'A') ||
+        setweight(to_tsvector('english', concat_ws(' ', array_to_string(NEW."InteriorFeatures", ' '), array_to_string(NEW."ExteriorFeatures", ' '))), 'B') ||
+        setweight(to_tsvector('english', coalesce(NEW."PublicRemarks", '')), 'C');
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_property_search_vector ON "Property";
+CREATE TRIGGER update_property_search_vector
+    BEFORE INSERT OR UPDATE OF "UnparsedAddress", "StreetName", "City", "CityRegion", "InteriorFeatures", "ExteriorFeatures", "PublicRemarks", "SearchVector"
+    ON "Property"
+    FOR EACH ROW
+    EXECUTE FUNCTION property_search_vector();
+
+-- Backfill existing rows (the trigger computes the vector)
+UPDATE "Property" SET "SearchVector" = NULL WHERE "SearchVector" IS NULL;
+
+CREATE INDEX IF NOT EXISTS "idx_property_search" ON "Property" USING GIN ("SearchVector");
+
+-- Search RPC for the Supabase backend: matching rows with their rank and a highlight
+-- snippet (matches delimited by chr(2) / chr(3)). PostgREST applies filters, order and
+-- paging on top of the result.
+DROP FUNCTION IF EXISTS search_properties(TEXT);
+DROP VIEW IF EXISTS "PropertySearchResult";
+
+CREATE VIEW "PropertySearchResult" AS
+SELECT p.*, NULL::REAL AS "SearchRank", NULL::TEXT AS "SearchHighlight"
+FROM "Property" p
+WHERE FALSE;
+
+CREATE FUNCTION search_properties(search_query TEXT)
+RETURNS SETOF "PropertySearchResult" AS $$
+    SELECT p.*,
+           ts_rank(p."SearchVector", q) AS "SearchRank",
+           ts_headline('english', concat_ws(' … ', p."UnparsedAddress", p."CityRegion", p."PublicRemarks"), q,
+               'StartSel=' || chr(2) || ', StopSel=' || chr(3) || ', MinWords=12, MaxWords=30, MaxFragments=2, FragmentDelimiter=" … "') AS "SearchHighlight"
+    FROM "Property" p, websearch_to_tsquery('english', search_query) q
+    WHERE p."SearchVector" @@ q
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON COLUMN "Property"."SearchVector" IS 'Weighted full-text document, maintained by property_search_vector()';
+COMMENT ON FUNCTION search_properties(TEXT) IS 'Ranked full-text search over Property (websearch_to_tsquery syntax)';
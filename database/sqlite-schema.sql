@@ -0,0 +1,449 @@
+-- =================================
+-- SQLITE SCHEMA
+-- Storage schema for DB_BACKEND=sqlite, applied automatically when the database is opened.
+-- Mirrors create-tables.sql, create-sync-log-table.sql and sync-state-tables.sql; keep in sync.
+-- Column types: BOOLEAN is stored as 0/1 and JSON (Postgres TEXT[] / JSONB) as JSON text,
+-- timestamps as ISO-8601 text. The SQLite adapter converts them back when reading.
+-- =================================
+
+CREATE TABLE IF NOT EXISTS "Property" (
+    "ListingKey" TEXT PRIMARY KEY,
+    "ListPrice" REAL,
+    "ClosePrice" REAL,
+    "MlsStatus" TEXT,
+    "ContractStatus" TEXT,
+    "StandardStatus" TEXT,
+    "TransactionType" TEXT,
+    "PropertyType" TEXT,
+    "PropertySubType" TEXT,
+    "ArchitecturalStyle" JSON,
+    "UnparsedAddress" TEXT,
+    "StreetNumber" TEXT,
+    "StreetName" TEXT,
+    "StreetSuffix" TEXT,
+    "City" TEXT,
+    "StateOrProvince" TEXT,
+    "PostalCode" TEXT,
+    "CountyOrParish" TEXT,
+    "CityRegion" TEXT,
+    "UnitNumber" TEXT,
+    "Latitude" REAL,
+    "Longitude" REAL,
+    "KitchensAboveGrade" INTEGER,
+    "BedroomsAboveGrade" INTEGER,
+    "BedroomsBelowGrade" INTEGER,
+    "BathroomsTotalInteger" INTEGER,
+    "KitchensBelowGrade" INTEGER,
+    "KitchensTotal" INTEGER,
+    "DenFamilyRoomYN" BOOLEAN,
+    "ListAgentKey" TEXT,
+    "ListOfficeKey" TEXT,
+    "ListOfficeName" TEXT,
+    "PublicRemarks" TEXT,
+    "PossessionDetails" TEXT,
+    "PhotosChangeTimestamp" TEXT,
+    "MediaChangeTimestamp" TEXT,
+    "ModificationTimestamp" TEXT,
+    "SystemModificationTimestamp" TEXT,
+    "OriginalEntryTimestamp" TEXT,
+    "SoldConditionalEntryTimestamp" TEXT,
+    "SoldEntryTimestamp" TEXT,
+    "SuspendedEntryTimestamp" TEXT,
+    "TerminatedEntryTimestamp" TEXT,
+    "CreatedAt" TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    "UpdatedAt" TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    "DeletedAt" TEXT,
+    "IdxFeedYN" BOOLEAN DEFAULT 0,
+    "VowFeedYN" BOOLEAN DEFAULT 0,
+    "MediaSyncTimestamp" TEXT,
+    "CloseDate" TEXT,
+    "ConditionalExpiryDate" TEXT,
+    "PurchaseContractDate" TEXT,
+    "SuspendedDate" TEXT,
+    "TerminatedDate" TEXT,
+    "UnavailableDate" TEXT,
+    "Cooling" JSON,
+    "Sewer" JSON,
+    "Basement" JSON,
+    "BasementEntrance" TEXT,
+    "ExteriorFeatures" JSON,
+    "InteriorFeatures" JSON,
+    "PoolFeatures" JSON,
+    "PropertyFeatures" JSON,
+    "HeatType" TEXT,
+    "FireplaceYN" BOOLEAN,
+    "LivingAreaRange" TEXT,
+    "WaterfrontYN" BOOLEAN,
+    "PossessionType" TEXT,
+    "CoveredSpaces" INTEGER,
+    "ParkingSpaces" INTEGER,
+    "ParkingTotal" INTEGER,
+    "AssociationAmenities" JSON,
+    "Locker" TEXT,
+    "BalconyType" TEXT,
+    "PetsAllowed" JSON,
+    "AssociationFee" REAL,
+    "AssociationFeeIncludes" JSON,
+    "ApproximateAge" TEXT,
+    "AdditionalMonthlyFee" REAL,
+    "TaxAnnualAmount" REAL,
+    "TaxYear" INTEGER,
+    "LotDepth" REAL,
+    "LotWidth" REAL,
+    "LotSizeUnits" TEXT,
+    "Furnished" TEXT,
+    "RentIncludes" JSON
+);
+
+CREATE TABLE IF NOT EXISTS "Media" (
+    "MediaKey" TEXT PRIMARY KEY,
+    "ResourceRecordKey" TEXT NOT NULL REFERENCES "Property" ("ListingKey") ON DELETE CASCADE,
+    "MediaObjectID" TEXT,
+    "MediaURL" TEXT,
+    "MediaCategory" TEXT,
+    "MediaType" TEXT,
+    "MediaStatus" TEXT,
+    "ImageOf" TEXT,
+    "ClassName" TEXT,
+    "ImageSizeDescription" TEXT,
+    "Order" INTEGER,
+    "PreferredPhotoYN" BOOLEAN,
+    "ShortDescription" TEXT,
+    "ResourceName" TEXT,
+    "OriginatingSystemID" TEXT,
+    "MediaModificationTimestamp" TEXT,
+    "ModificationTimestamp" TEXT,
+    "CreatedAt" TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    "UpdatedAt" TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    "DeletedAt" TEXT
+);
+
+CREATE TABLE IF NOT EXISTS "PropertyRooms" (
+    "RoomKey" TEXT PRIMARY KEY,
+    "ListingKey" TEXT NOT NULL REFERENCES "Property" ("ListingKey") ON DELETE CASCADE,
+    "RoomDescription" TEXT,
+    "RoomLength" REAL,
+    "RoomWidth" REAL,
+    "RoomLengthWidthUnits" TEXT,
+    "RoomLevel" TEXT,
+    "RoomType" TEXT,
+    "RoomFeature1" TEXT,
+    "RoomFeature2" TEXT,
+    "RoomFeature3" TEXT,
+    "RoomFeatures" JSON,
+    "Order" INTEGER,
+    "ModificationTimestamp" TEXT,
+    "CreatedAt" TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    "UpdatedAt" TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    "DeletedAt" TEXT
+);
+
+CREATE TABLE IF NOT EXISTS "OpenHouse" (
+    "OpenHouseKey" TEXT PRIMARY KEY,
+    "ListingKey" TEXT NOT NULL REFERENCES "Property" ("ListingKey") ON DELETE CASCADE,
+    "OpenHouseDate" TEXT,
+    "OpenHouseStartTime" TEXT,
+    "OpenHouseEndTime" TEXT,
+    "OpenHouseStatus" TEXT,
+    "OpenHouseDateTime" TEXT,
+    "OpenHouseRemarks" TEXT,
+    "OpenHouseType" TEXT,
+    "ModificationTimestamp" TEXT,
+    "CreatedAt" TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    "UpdatedAt" TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    "DeletedAt" TEXT
+);
+
+CREATE TABLE IF NOT EXISTS "Member" (
+    "MemberKey" TEXT PRIMARY KEY,
+    "MemberMlsId" TEXT,
+    "MemberFirstName" TEXT,
+    "MemberLastName" TEXT,
+    "MemberFullName" TEXT,
+    "MemberEmail" TEXT,
+    "MemberDirectPhone" TEXT,
+    "MemberMobilePhone" TEXT,
+    "MemberOfficePhone" TEXT,
+    "MemberStatus" TEXT,
+    "MemberType" TEXT,
+    "JobTitle" TEXT,
+    "OfficeKey" TEXT,
+    "OfficeName" TEXT,
+    "ModificationTimestamp" TEXT,
+    "CreatedAt" TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    "UpdatedAt" TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS "Office" (
+    "OfficeKey" TEXT PRIMARY KEY,
+    "OfficeMlsId" TEXT,
+    "OfficeName" TEXT,
+    "OfficePhone" TEXT,
+    "OfficeFax" TEXT,
+    "OfficeEmail" TEXT,
+    "OfficeURL" TEXT,
+    "OfficeAddress1" TEXT,
+    "OfficeAddress2" TEXT,
+    "OfficeCity" TEXT,
+    "OfficeStateOrProvince" TEXT,
+    "OfficePostalCode" TEXT,
+    "OfficeStatus" TEXT,
+    "OfficeType" TEXT,
+    "ModificationTimestamp" TEXT,
+    "CreatedAt" TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    "UpdatedAt" TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS "PropertyHistory" (
+    "Id" INTEGER PRIMARY KEY AUTOINCREMENT,
+    "ListingKey" TEXT NOT NULL,
+    "FieldName" TEXT NOT NULL,
+    "PreviousValue" TEXT,
+    "NewValue" TEXT,
+    "ChangedAt" TEXT NOT NULL,
+    "RecordedAt" TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    "SourceFeed" TEXT
+);
+
+-- =================================
+-- INDEXES
+-- =================================
+
+CREATE INDEX IF NOT EXISTS "idx_property_modification" ON "Property" ("ModificationTimestamp");
+CREATE INDEX IF NOT EXISTS "idx_property_city" ON "Property" ("City");
+CREATE INDEX IF NOT EXISTS "idx_property_status" ON "Property" ("MlsStatus");
+CREATE INDEX IF NOT EXISTS "idx_property_contract_status" ON "Property" ("ContractStatus");
+CREATE INDEX IF NOT EXISTS "idx_property_type" ON "Property" ("PropertyType");
+CREATE INDEX IF NOT EXISTS "idx_property_price" ON "Property" ("ListPrice");
+CREATE INDEX IF NOT EXISTS "idx_property_postal_code" ON "Property" ("PostalCode");
+CREATE INDEX IF NOT EXISTS "idx_property_deleted_at" ON "Property" ("DeletedAt") WHERE "DeletedAt" IS NOT NULL;
+CREATE INDEX IF NOT EXISTS "idx_property_idx_feed" ON "Property" ("IdxFeedYN") WHERE "IdxFeedYN" AND "DeletedAt" IS NULL;
+CREATE INDEX IF NOT EXISTS "idx_property_list_agent" ON "Property" ("ListAgentKey");
+CREATE INDEX IF NOT EXISTS "idx_property_list_office" ON "Property" ("ListOfficeKey");
+
+CREATE INDEX IF NOT EXISTS "idx_media_resource_key" ON "Media" ("ResourceRecordKey");
+CREATE INDEX IF NOT EXISTS "idx_media_modification" ON "Media" ("MediaModificationTimestamp");
+
+CREATE INDEX IF NOT EXISTS "idx_property_rooms_listing_key" ON "PropertyRooms" ("ListingKey");
+CREATE INDEX IF NOT EXISTS "idx_property_rooms_modification" ON "PropertyRooms" ("ModificationTimestamp");
+
+CREATE INDEX IF NOT EXISTS "idx_open_house_listing_key" ON "OpenHouse" ("ListingKey");
+CREATE INDEX IF NOT EXISTS "idx_open_house_modification" ON "OpenHouse" ("ModificationTimestamp");
+CREATE INDEX IF NOT EXISTS "idx_open_house_date" ON "OpenHouse" ("OpenHouseDate");
+
+CREATE INDEX IF NOT EXISTS "idx_member_modification" ON "Member" ("ModificationTimestamp");
+CREATE INDEX IF NOT EXISTS "idx_member_office" ON "Member" ("OfficeKey");
+CREATE INDEX IF NOT EXISTS "idx_office_modification" ON "Office" ("ModificationTimestamp");
+
+CREATE INDEX IF NOT EXISTS "idx_property_history_listing" ON "PropertyHistory" ("ListingKey", "ChangedAt");
+
+-- Market statistics (database/market-stats.sql)
+CREATE INDEX IF NOT EXISTS "idx_property_market_listed" ON "Property" ("OriginalEntryTimestamp") WHERE "DeletedAt" IS NULL;
+CREATE INDEX IF NOT EXISTS "idx_property_market_sold" ON "Property" ("PurchaseContractDate", "CloseDate") WHERE "ClosePrice" IS NOT NULL AND "DeletedAt" IS NULL;
+
+-- =================================
+-- FULL-TEXT SEARCH
+-- FTS5 index over the Property search columns, in TEXT_SEARCH order
+-- (src/storage/textSearch.js); the triggers keep it in step with "Property".
+-- =================================
+
+CREATE VIRTUAL TABLE IF NOT EXISTS "PropertySearch" USING fts5(
+    "UnparsedAddress", "StreetName", "City", "CityRegion", "InteriorFeatures", "ExteriorFeatures", "PublicRemarks",
+    content='Property',
+    tokenize='porter unicode61'
+);
+
+CREATE TRIGGER IF NOT EXISTS "property_search_insert" AFTER INSERT ON "Property" BEGIN
+    INSERT INTO "PropertySearch" (rowid, "UnparsedAddress", "StreetName", "City", "CityRegion", "InteriorFeatures", "ExteriorFeatures", "PublicRemarks")
+    VALUES (new.rowid, new."UnparsedAddress", new."StreetName", new."City", new."CityRegion", new."InteriorFeatures", new."ExteriorFeatures", new."PublicRemarks");
+END;
+
+CREATE TRIGGER IF NOT EXISTS "property_search_delete" AFTER DELETE ON "Property" BEGIN
+    INSERT INTO "PropertySearch" ("PropertySearch", rowid, "UnparsedAddress", "StreetName", "City", "CityRegion", "InteriorFeatures", "ExteriorFeatures", "PublicRemarks")
+    VALUES ('delete', old.rowid, old."UnparsedAddress", old."StreetName", old."City", old."CityRegion", old."InteriorFeatures", old."ExteriorFeatures", old."PublicRemarks");
+END;
+
+CREATE TRIGGER IF NOT EXISTS "property_search_update" AFTER UPDATE ON "Property" BEGIN
+    INSERT INTO "PropertySearch" ("PropertySearch", rowid, "UnparsedAddress", "StreetName", "City", "CityRegion", "InteriorFeatures", "ExteriorFeatures", "PublicRemarks")
+    VALUES ('delete', old.rowid, old."UnparsedAddress", old."StreetName", old."City", old."CityRegion", old."InteriorFeatures", old."ExteriorFeatures", old."PublicRemarks");
+    INSERT INTO "PropertySearch" (rowid, "UnparsedAddress", "StreetName", "City", "CityRegion", "InteriorFeatures", "ExteriorFeatures", "PublicRemarks")
+    VALUES (new.rowid, new."UnparsedAddress", new."StreetName", new."City", new."CityRegion", new."InteriorFeatures", new."ExteriorFeatures", new."PublicRemarks");
+END;
+
+-- Index listings stored before the search table existed
+INSERT INTO "PropertySearch" ("PropertySearch")
+SELECT 'rebuild'
+WHERE (SELECT COUNT(*) FROM "PropertySearch_docsize") < (SELECT COUNT(*) FROM "Property");
+
+-- =================================
+-- GEOSPATIAL SEARCH
+-- R*Tree index of the Property coordinates (GEO_SEARCH in src/storage/geoSearch.js),
+-- kept in step with "Property" by the triggers. Listings without coordinates are not indexed.
+-- =================================
+
+CREATE VIRTUAL TABLE IF NOT EXISTS "PropertyLocation" USING rtree(
+    id, "MinLatitude", "MaxLatitude", "MinLongitude", "MaxLongitude",
+    +"ListingKey"
+);
+
+CREATE TRIGGER IF NOT EXISTS "property_location_insert" AFTER INSERT ON "Property"
+WHEN new."Latitude" IS NOT NULL AND new."Longitude" IS NOT NULL BEGIN
+    INSERT INTO "PropertyLocation" (id, "MinLatitude", "MaxLatitude", "MinLongitude", "MaxLongitude", "ListingKey")
+    VALUES (new.rowid, new."Latitude", new."Latitude", new."Longitude", new."Longitude", new."ListingKey");
+END;
+
+CREATE TRIGGER IF NOT EXISTS "property_location_delete" AFTER DELETE ON "Property" BEGIN
+    DELETE FROM "PropertyLocation" WHERE id = old.rowid;
+END;
+
+CREATE TRIGGER IF NOT EXISTS "property_location_update" AFTER UPDATE OF "Latitude", "Longitude" ON "Property" BEGIN
+    DELETE FROM "PropertyLocation" WHERE id = old.rowid;
+    INSERT INTO "PropertyLocation" (id, "MinLatitude", "MaxLatitude", "MinLongitude", "MaxLongitude", "ListingKey")
+    SELECT new.rowid, new."Latitude", new."Latitude", new."Longitude", new."Longitude", new."ListingKey"
+    WHERE new."Latitude" IS NOT NULL AND new."Longitude" IS NOT NULL;
+END;
+
+-- Index listings stored before the location table existed
+INSERT INTO "PropertyLocation" (id, "MinLatitude", "MaxLatitude", "MinLongitude", "MaxLongitude", "ListingKey")
+SELECT rowid, "Latitude", "Latitude", "Longitude", "Longitude", "ListingKey"
+FROM "Property"
+WHERE "Latitude" IS NOT NULL AND "Longitude" IS NOT NULL
+  AND rowid NOT IN (SELECT id FROM "PropertyLocation");
+
+-- =================================
+-- OPEN HOUSE CALENDAR
+-- Open houses joined to their listing (see database/open-house-calendar.sql)
+-- =================================
+
+CREATE VIEW IF NOT EXISTS "OpenHouseListing" AS
+SELECT oh."OpenHouseKey",
+       oh."ListingKey",
+       oh."OpenHouseDate",
+       oh."OpenHouseStartTime",
+       oh."OpenHouseEndTime",
+       oh."OpenHouseStatus",
+       oh."OpenHouseType",
+       oh."OpenHouseRemarks",
+       oh."ModificationTimestamp",
+       p."UnparsedAddress",
+       p."City",
+       p."CityRegion",
+       p."ListPrice",
+       p."PropertyType",
+       p."PropertySubType",
+       p."BedroomsAboveGrade",
+       p."BathroomsTotalInteger",
+       p."MlsStatus",
+       p."ListOfficeName",
+       p."DeletedAt",
+       p."IdxFeedYN",
+       p."VowFeedYN"
+FROM "OpenHouse" oh
+JOIN "Property" p ON p."ListingKey" = oh."ListingKey"
+WHERE oh."DeletedAt" IS NULL;
+
+-- =================================
+-- SYNC BOOKKEEPING
+-- =================================
+
+CREATE TABLE IF NOT EXISTS "SyncLog" (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    idx_property_timestamp TEXT,
+    vow_property_timestamp TEXT,
+    media_timestamp TEXT,
+    rooms_timestamp TEXT,
+    openhouse_timestamp TEXT,
+    member_timestamp TEXT,
+    office_timestamp TEXT,
+    total_processed INTEGER DEFAULT 0,
+    total_successful INTEGER DEFAULT 0,
+    total_failed INTEGER DEFAULT 0,
+    sync_duration_minutes REAL,
+    error_count INTEGER DEFAULT 0,
+    last_error_message TEXT,
+    reconcile_policy TEXT,
+    reconcile_missing INTEGER,
+    reconcile_properties INTEGER,
+    reconcile_media INTEGER,
+    reconcile_rooms INTEGER,
+    reconcile_openhouses INTEGER,
+    reconcile_restored INTEGER,
+    reconcile_retagged INTEGER,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_synclog_timestamp ON "SyncLog" (timestamp DESC);
+
+CREATE TABLE IF NOT EXISTS "sync_state" (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    last_media_sync_timestamp TEXT,
+    last_property_sync_timestamp TEXT,
+    last_rooms_sync_timestamp TEXT,
+    last_openhouse_sync_timestamp TEXT,
+    state_data JSON DEFAULT '{}',
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS "sync_cursors" (
+    sync_type TEXT PRIMARY KEY,
+    last_timestamp TEXT NOT NULL,
+    last_key TEXT,
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS "sync_checkpoints" (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    sync_type TEXT NOT NULL UNIQUE,
+    checkpoint_data JSON NOT NULL,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS "sync_jobs" (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    trigger TEXT NOT NULL,
+    state TEXT NOT NULL DEFAULT 'running',
+    options JSON DEFAULT '{}',
+    progress JSON DEFAULT '{}',
+    result JSON,
+    error TEXT,
+    cancel_requested BOOLEAN NOT NULL DEFAULT 0,
+    worker TEXT,
+    started_at TEXT,
+    finished_at TEXT,
+    duration_ms INTEGER,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_jobs_created_at ON "sync_jobs" (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sync_jobs_state ON "sync_jobs" (state);
+
+CREATE TABLE IF NOT EXISTS "sync_locks" (
+    name TEXT PRIMARY KEY,
+    token TEXT NOT NULL,
+    holder TEXT NOT NULL,
+    job_id TEXT,
+    acquired_at TEXT NOT NULL,
+    heartbeat_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS "api_keys" (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    role TEXT NOT NULL,
+    key_prefix TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    created_by TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    expires_at TEXT,
+    last_used_at TEXT,
+    revoked_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_created_at ON "api_keys" (created_at DESC);
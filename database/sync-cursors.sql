@@ -0,0 +1,25 @@
+-- ===========================================
+-- SYNC CURSORS MIGRATION
+-- ===========================================
+-- Incremental sync high-water marks, one row per sync type (idx_property, vow_property, ...).
+-- Each feed's sync upserts only its own row, so the IDX and VOW property syncs, which run
+-- at the same time under separate locks, cannot overwrite each other's cursor.
+-- Replaces the cursors map in sync_state.state_data, which is copied over below.
+-- Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS "sync_cursors" (
+    sync_type TEXT PRIMARY KEY,
+    last_timestamp TEXT NOT NULL,
+    last_key TEXT,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+INSERT INTO "sync_cursors" (sync_type, last_timestamp, last_key)
+SELECT c.key, c.value->>'lastTimestamp', c.value->>'lastKey'
+FROM "sync_state" s, jsonb_each(s.state_data->'cursors') c
+WHERE c.value->>'lastTimestamp' IS NOT NULL
+ON CONFLICT (sync_type) DO NOTHING;
+
+COMMENT ON TABLE "sync_cursors" IS 'Incremental sync cursor (newest ingested record) per sync type';
+COMMENT ON COLUMN "sync_cursors".last_timestamp IS 'ModificationTimestamp of the newest ingested record, as sent in $filter';
+COMMENT ON COLUMN "sync_cursors".last_key IS 'Key of the newest ingested record, breaking timestamp ties';
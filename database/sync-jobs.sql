@@ -0,0 +1,37 @@
+-- ===========================================
+-- SYNC JOBS MIGRATION
+-- ===========================================
+-- One row per sync run, whether started through the API (/api/sync/*), the
+-- scheduler (sync-feeds.js) or the sync CLI. Progress is written after every
+-- batch; setting cancel_requested stops a running job before its next batch.
+-- Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS "sync_jobs" (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    trigger TEXT NOT NULL,
+    state TEXT NOT NULL DEFAULT 'running',
+    options JSONB DEFAULT '{}',
+    progress JSONB DEFAULT '{}',
+    result JSONB,
+    error TEXT,
+    cancel_requested BOOLEAN NOT NULL DEFAULT FALSE,
+    worker TEXT,
+    started_at TIMESTAMPTZ,
+    finished_at TIMESTAMPTZ,
+    duration_ms BIGINT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_jobs_created_at ON "sync_jobs" (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sync_jobs_state ON "sync_jobs" (state);
+
+COMMENT ON TABLE "sync_jobs" IS 'Sync runs started by the API, the scheduler or the CLI';
+COMMENT ON COLUMN "sync_jobs".type IS 'What ran: full, incremental, properties, media or resources';
+COMMENT ON COLUMN "sync_jobs".trigger IS 'Who started the run: api, cron or cli';
+COMMENT ON COLUMN "sync_jobs".state IS 'running, completed, failed or cancelled';
+COMMENT ON COLUMN "sync_jobs".progress IS 'Counters and state per sync type (idx_property, media, ...), updated after every batch';
+COMMENT ON COLUMN "sync_jobs".result IS 'Result returned by the sync run';
+COMMENT ON COLUMN "sync_jobs".cancel_requested IS 'Set by POST /api/sync/jobs/:id/cancel; the run stops before its next batch';
+COMMENT ON COLUMN "sync_jobs".worker IS 'host:pid of the process running the job';
@@ -0,0 +1,25 @@
+-- ===========================================
+-- SYNC LOCKS MIGRATION
+-- ===========================================
+-- Lease locks that keep the scheduler, API-triggered syncs and the sync CLI
+-- from syncing the same resource at once. A lock row exists while a sync of
+-- its sync type runs; the holder renews expires_at every third of the lease
+-- (SYNC_LOCK_TTL_SECONDS), and a lock past expires_at is taken over.
+-- Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS "sync_locks" (
+    name TEXT PRIMARY KEY,
+    token TEXT NOT NULL,
+    holder TEXT NOT NULL,
+    job_id TEXT,
+    acquired_at TIMESTAMPTZ NOT NULL,
+    heartbeat_at TIMESTAMPTZ NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+COMMENT ON TABLE "sync_locks" IS 'Lease locks held by running resource syncs';
+COMMENT ON COLUMN "sync_locks".name IS 'Sync type being synced (idx_property, media, reconcile, ...)';
+COMMENT ON COLUMN "sync_locks".token IS 'Random id of the holding lease; renewals and releases match on it';
+COMMENT ON COLUMN "sync_locks".holder IS 'host:pid of the holding process';
+COMMENT ON COLUMN "sync_locks".job_id IS 'sync_jobs id of the holding run';
+COMMENT ON COLUMN "sync_locks".expires_at IS 'End of the lease; the lock can be taken over after it';
@@ -34,6 +34,7 @@ export default function HomePage() {
       const params = {
         page: 1,
         limit: 20,
+        expand: 'media',
         ...filters,
         ...searchParams
       };
@@ -112,7 +113,8 @@ export default function HomePage() {
         const params = {
           ...filters,
           page: pagination.currentPage + 1,
-          limit: 20
+          limit: 20,
+          expand: 'media'
         };
 
         const response = await propertyApi.getProperties(params);
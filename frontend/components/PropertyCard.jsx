@@ -3,6 +3,7 @@
 import { useState } from 'react';
 import { MapPin, Bed, Bath, Car, Calendar, Eye, ExternalLink } from 'lucide-react';
 import { formatPrice, formatDate, truncateText, getPropertyStatusColor, getPropertyTypeIcon } from '../lib/utils';
+import { mediaUrl } from '../lib/api';
 
 export default function PropertyCard({ property }) {
   const [imageError, setImageError] = useState(false);
@@ -28,19 +29,22 @@ export default function PropertyCard({ property }) {
     ArchitecturalStyle,
     InteriorFeatures,
     ExteriorFeatures,
+    media,
   } = property;
 
   const address = UnparsedAddress || `${City}, ${StateOrProvince} ${PostalCode}`;
   const description = PublicRemarks || 'No description available';
   const features = [...(InteriorFeatures || []), ...(ExteriorFeatures || [])].slice(0, 3);
+  const photos = (media || []).filter((item) => item.MediaCategory === 'Photo');
+  const coverPhoto = photos.find((item) => item.PreferredPhotoYN) || photos[0];
 
   return (
     <div className="card hover:shadow-lg transition-shadow duration-300">
       {/* Image Section */}
       <div className="relative h-48 bg-gray-200 overflow-hidden">
-        {!imageError ? (
+        {coverPhoto && !imageError ? (
           <img
-            src={`https://via.placeholder.com/400x300/3b82f6/ffffff?text=${encodeURIComponent(PropertyType || 'Property')}`}
+            src={mediaUrl(coverPhoto.MediaKey, 'card')}
             alt={address}
             className="w-full h-full object-cover"
             onError={() => setImageError(true)}
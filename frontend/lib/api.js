@@ -65,4 +65,8 @@ export const propertyApi = {
   },
 };
 
+// URL of a cached listing photo (size: thumbnail, card or full)
+export const mediaUrl = (mediaKey, size = 'card') =>
+  `${API_BASE_URL}/api/media/${encodeURIComponent(mediaKey)}/${size}`;
+
 export default api;
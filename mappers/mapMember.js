@@ -0,0 +1,85 @@
+import logger from '../src/utils/logger.js';
+import columnValidator from '../src/utils/columnValidator.js';
+
+/**
+ * Map Member (agent) data to database schema
+ * @param {Object} rawMember - Raw member data from Member endpoint
+ * @returns {Object} Mapped member data
+ */
+async function mapMember(rawMember) {
+  try {
+    const mappedMember = {
+      // Primary key
+      MemberKey: rawMember.MemberKey,
+      MemberMlsId: rawMember.MemberMlsId,
+      
+      // Name fields
+      MemberFirstName: rawMember.MemberFirstName,
+      MemberLastName: rawMember.MemberLastName,
+      MemberFullName: rawMember.MemberFullName,
+      
+      // Contact fields
+      MemberEmail: rawMember.MemberEmail,
+      MemberDirectPhone: rawMember.MemberDirectPhone,
+      MemberMobilePhone: rawMember.MemberMobilePhone,
+      MemberOfficePhone: rawMember.MemberOfficePhone,
+      
+      // Membership details
+      MemberStatus: rawMember.MemberStatus,
+      MemberType: rawMember.MemberType,
+      JobTitle: rawMember.JobTitle,
+      
+      // Brokerage the member belongs to (Office.OfficeKey)
+      OfficeKey: rawMember.OfficeKey,
+      OfficeName: rawMember.OfficeName,
+      
+      // Timestamps
+      ModificationTimestamp: rawMember.ModificationTimestamp,
+      CreatedAt: new Date().toISOString(), // DEFAULT now()
+      UpdatedAt: new Date().toISOString() // DEFAULT now()
+    };
+
+    // Filter out non-existent columns gracefully
+    try {
+      const filteredMember = await columnValidator.filterDataForTable(mappedMember, 'Member');
+      return filteredMember;
+    } catch (filterError) {
+      logger.warn('Error filtering member columns, returning original data:', {
+        MemberKey: rawMember?.MemberKey,
+        error: filterError.message
+      });
+      // Return the original mapped member if column filtering fails
+      return mappedMember;
+    }
+  } catch (error) {
+    logger.error('Error mapping member:', {
+      MemberKey: rawMember?.MemberKey,
+      error: error.message
+    });
+    throw error;
+  }
+}
+
+/**
+ * Validate mapped member data
+ * @param {Object} member - Mapped member data
+ * @returns {Object} { isValid, errors }
+ */
+function validateMember(member) {
+  const requiredFields = ['MemberKey'];
+  const missingFields = requiredFields.filter(field => !member[field]);
+  
+  if (missingFields.length > 0) {
+    return {
+      isValid: false,
+      errors: [`Missing required fields: ${missingFields.join(', ')}`]
+    };
+  }
+  
+  return {
+    isValid: true,
+    errors: []
+  };
+}
+
+export { mapMember, validateMember };
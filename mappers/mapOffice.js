@@ -0,0 +1,85 @@
+import logger from '../src/utils/logger.js';
+import columnValidator from '../src/utils/columnValidator.js';
+
+/**
+ * Map Office (brokerage) data to database schema
+ * @param {Object} rawOffice - Raw office data from Office endpoint
+ * @returns {Object} Mapped office data
+ */
+async function mapOffice(rawOffice) {
+  try {
+    const mappedOffice = {
+      // Primary key
+      OfficeKey: rawOffice.OfficeKey,
+      OfficeMlsId: rawOffice.OfficeMlsId,
+      
+      // Brokerage name, shown on listing pages (board display requirement)
+      OfficeName: rawOffice.OfficeName,
+      
+      // Contact fields
+      OfficePhone: rawOffice.OfficePhone,
+      OfficeFax: rawOffice.OfficeFax,
+      OfficeEmail: rawOffice.OfficeEmail,
+      OfficeURL: rawOffice.OfficeURL,
+      
+      // Address fields
+      OfficeAddress1: rawOffice.OfficeAddress1,
+      OfficeAddress2: rawOffice.OfficeAddress2,
+      OfficeCity: rawOffice.OfficeCity,
+      OfficeStateOrProvince: rawOffice.OfficeStateOrProvince,
+      OfficePostalCode: rawOffice.OfficePostalCode,
+      
+      // Office details
+      OfficeStatus: rawOffice.OfficeStatus,
+      OfficeType: rawOffice.OfficeType,
+      
+      // Timestamps
+      ModificationTimestamp: rawOffice.ModificationTimestamp,
+      CreatedAt: new Date().toISOString(), // DEFAULT now()
+      UpdatedAt: new Date().toISOString() // DEFAULT now()
+    };
+
+    // Filter out non-existent columns gracefully
+    try {
+      const filteredOffice = await columnValidator.filterDataForTable(mappedOffice, 'Office');
+      return filteredOffice;
+    } catch (filterError) {
+      logger.warn('Error filtering office columns, returning original data:', {
+        OfficeKey: rawOffice?.OfficeKey,
+        error: filterError.message
+      });
+      // Return the original mapped office if column filtering fails
+      return mappedOffice;
+    }
+  } catch (error) {
+    logger.error('Error mapping office:', {
+      OfficeKey: rawOffice?.OfficeKey,
+      error: error.message
+    });
+    throw error;
+  }
+}
+
+/**
+ * Validate mapped office data
+ * @param {Object} office - Mapped office data
+ * @returns {Object} { isValid, errors }
+ */
+function validateOffice(office) {
+  const requiredFields = ['OfficeKey'];
+  const missingFields = requiredFields.filter(field => !office[field]);
+  
+  if (missingFields.length > 0) {
+    return {
+      isValid: false,
+      errors: [`Missing required fields: ${missingFields.join(', ')}`]
+    };
+  }
+  
+  return {
+    isValid: true,
+    errors: []
+  };
+}
+
+export { mapOffice, validateOffice };
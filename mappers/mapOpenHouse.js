@@ -1,8 +1,10 @@
 import logger from '../src/utils/logger.js';
 import columnValidator from '../src/utils/columnValidator.js';
+import { toLocalTime } from '../src/utils/listingTime.js';
 
 /**
  * Convert ISO datetime string to time format (HH:MM:SS)
+ * The time is Toronto local time, like the feed's OpenHouseDate, whatever the server's time zone.
  * @param {string} dateTimeString - ISO datetime string
  * @returns {string|null} Time in HH:MM:SS format or null if invalid
  */
@@ -10,11 +12,7 @@ function convertToTime(dateTimeString) {
   if (!dateTimeString) return null;
   
   try {
-    const date = new Date(dateTimeString);
-    if (isNaN(date.getTime())) return null;
-    
-    // Extract time portion in HH:MM:SS format
-    return date.toTimeString().split(' ')[0];
+    return toLocalTime(dateTimeString);
   } catch (error) {
     logger.warn('Failed to convert datetime to time:', { dateTimeString, error: error.message });
     return null;
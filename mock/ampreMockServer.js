@@ -0,0 +1,294 @@
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { applyQuery, ODataQueryError } from './odataQuery.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Cached AMPRE $metadata document, also read by src/scripts/generate-schema.js
+export const DEFAULT_METADATA_FILE = path.join(__dirname, '..', 'database', 'ampre-metadata.xml');
+
+// Key field of each mocked RESO resource, used for ('key') lookups
+export const RESOURCE_KEYS = {
+  Property: 'ListingKey',
+  Media: 'MediaKey',
+  PropertyRooms: 'RoomKey',
+  OpenHouse: 'OpenHouseKey',
+  Member: 'MemberKey',
+  Office: 'OfficeKey'
+};
+
+// /odata/Resource, /odata/Resource('key') and /odata/Resource/$count
+const RESOURCE_PATH = /^\/odata\/(\w+)(?:\('((?:[^']|'')*)'\))?(\/\$count)?\/?$/;
+
+/**
+ * Load <Resource>.json fixture arrays from a directory
+ * @param {string} fixturesDir - Directory with one JSON array per resource
+ * @returns {Object} Records keyed by resource name
+ */
+export function loadFixtures(fixturesDir = DEFAULT_FIXTURES_DIR) {
+  return Object.fromEntries(
+    Object.keys(RESOURCE_KEYS)
+      .filter(resource => fs.existsSync(path.join(fixturesDir, `${resource}.json`)))
+      .map(resource => [
+        resource,
+        JSON.parse(fs.readFileSync(path.join(fixturesDir, `${resource}.json`), 'utf8'))
+      ])
+  );
+}
+
+/**
+ * Local AMPRE RESO Web API mock
+ *
+ * Serves fixture records through the OData subset the sync code uses ($filter, $orderby,
+ * $top, $skip, $select, $count, /$count and ('key') lookups) and the cached $metadata
+ * document, so AmpreApiService and SyncService can run end to end without live tokens. Point AMPRE_BASE_URL (or
+ * `new AmpreApiService({ baseUrl })`) at the server URL.
+ *
+ * Faults can be injected to exercise retry and rate limit handling, either with
+ * injectFault() or over HTTP (POST/DELETE /__mock/faults). Every request is recorded
+ * and available from getRequests() or GET /__mock/requests.
+ */
+class AmpreMockServer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.fixtures - Records keyed by resource name (default: loaded from fixturesDir)
+   * @param {string} options.fixturesDir - Directory of <Resource>.json fixtures
+   * @param {boolean} options.requireAuth - Reject requests without a Bearer token (default true)
+   * @param {string} options.metadataFile - CSDL XML served at /odata/$metadata
+   */
+  constructor(options = {}) {
+    const {
+      fixtures = loadFixtures(options.fixturesDir),
+      requireAuth = true,
+      metadataFile = DEFAULT_METADATA_FILE
+    } = options;
+
+    this.requireAuth = requireAuth;
+    this.metadataFile = metadataFile;
+    this.faults = [];
+    this.requests = [];
+    this.server = null;
+    this.url = null;
+    this.setFixtures(fixtures);
+
+    this.app = express();
+    this.app.set('query parser', 'simple');
+    this.app.use(express.json());
+    this.registerRoutes();
+  }
+
+  /**
+   * Replace the records of one or more resources
+   * @param {Object} fixtures - Records keyed by resource name
+   */
+  setFixtures(fixtures) {
+    this.fixtures = { ...this.fixtures, ...structuredClone(fixtures) };
+  }
+
+  /**
+   * Fail matching requests with an HTTP error
+   * @param {Object} fault
+   * @param {number} fault.status - Status to return, e.g. 429, 500, 503
+   * @param {number} fault.times - Number of requests to fail (default 1, Infinity for all)
+   * @param {string} fault.match - Only fail requests whose path and query contain this text
+   * @param {number} fault.retryAfter - Retry-After header in seconds (429 responses)
+   * @param {string} fault.body - Response body (default: OData error JSON)
+   * @returns {Object} The registered fault
+   */
+  injectFault(fault) {
+    const { status = 500, times = 1, match = '', retryAfter = null, body = null } = fault;
+
+    if (!Number.isInteger(status) || status < 400) {
+      throw new Error(`Invalid fault status: ${status}`);
+    }
+
+    const registered = { status, remaining: times, match, retryAfter, body };
+    this.faults.push(registered);
+    return registered;
+  }
+
+  clearFaults() {
+    this.faults = [];
+  }
+
+  /**
+   * @returns {Array<Object>} Recorded requests ({ method, path, query, status, fault })
+   */
+  getRequests() {
+    return [...this.requests];
+  }
+
+  clearRequests() {
+    this.requests = [];
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port to bind, 0 for a free port
+   * @param {string} host - Interface to bind
+   * @returns {Promise<string>} Base URL of the server
+   */
+  async listen(port = 0, host = '127.0.0.1') {
+    await new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, host, resolve);
+      this.server.once('error', reject);
+    });
+
+    this.url = `http://${host}:${this.server.address().port}`;
+    return this.url;
+  }
+
+  async close() {
+    if (!this.server) {
+      return;
+    }
+
+    await new Promise((resolve, reject) => {
+      this.server.close(error => (error ? reject(error) : resolve()));
+    });
+    this.server = null;
+    this.url = null;
+  }
+
+  registerRoutes() {
+    this.app.get('/__mock/requests', (req, res) => {
+      res.json({ requests: this.getRequests() });
+    });
+
+    this.app.delete('/__mock/requests', (req, res) => {
+      this.clearRequests();
+      res.status(204).end();
+    });
+
+    this.app.post('/__mock/faults', (req, res) => {
+      try {
+        res.status(201).json({ fault: this.injectFault(req.body || {}) });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/__mock/faults', (req, res) => {
+      this.clearFaults();
+      res.status(204).end();
+    });
+
+    this.app.get('/odata/*', (req, res) => this.handleODataRequest(req, res));
+
+    this.app.use((req, res) => {
+      this.sendError(res, 404, `No route for ${req.method} ${req.path}`);
+    });
+  }
+
+  handleODataRequest(req, res) {
+    const entry = { method: req.method, path: decodeURIComponent(req.path), query: { ...req.query }, status: null, fault: false };
+    this.requests.push(entry);
+    res.on('finish', () => {
+      entry.status = res.statusCode;
+    });
+
+    const fault = this.takeFault(decodeURIComponent(req.originalUrl));
+    if (fault) {
+      entry.fault = true;
+      if (fault.retryAfter !== null) {
+        res.set('Retry-After', String(fault.retryAfter));
+      }
+      return fault.body !== null
+        ? res.status(fault.status).send(fault.body)
+        : this.sendError(res, fault.status, `Injected fault (${fault.status})`);
+    }
+
+    if (this.requireAuth && !/^Bearer \S+/.test(req.get('Authorization') || '')) {
+      return this.sendError(res, 401, 'Missing bearer token');
+    }
+
+    if (entry.path === '/odata/$metadata') {
+      if (!fs.existsSync(this.metadataFile)) {
+        return this.sendError(res, 404, 'No $metadata document');
+      }
+      return res.type('application/xml').send(fs.readFileSync(this.metadataFile, 'utf8'));
+    }
+
+    const match = RESOURCE_PATH.exec(entry.path);
+    const records = match && this.fixtures[match[1]];
+
+    if (!records) {
+      return this.sendError(res, 404, `Unknown resource: ${entry.path}`);
+    }
+
+    const [, resource, rawKey, countOnly] = match;
+    const context = `${req.protocol}://${req.get('host')}/odata/$metadata#${resource}`;
+
+    if (rawKey !== undefined) {
+      const key = rawKey.replace(/''/g, "'");
+      const record = records.find(candidate => candidate[RESOURCE_KEYS[resource]] === key);
+
+      if (!record) {
+        return this.sendError(res, 404, `${resource}('${key}') not found`);
+      }
+
+      return res.json({ '@odata.context': `${context}/$entity`, ...record });
+    }
+
+    try {
+      const duplicate = Object.keys(req.query).find(option => Array.isArray(req.query[option]));
+      if (duplicate) {
+        throw new ODataQueryError(`Query option ${duplicate} specified more than once`);
+      }
+
+      const { value, count } = applyQuery(records, req.query);
+
+      if (countOnly) {
+        return res.type('text/plain').send(String(count));
+      }
+
+      const body = { '@odata.context': context };
+      if (String(req.query.$count).toLowerCase() === 'true') {
+        body['@odata.count'] = count;
+      }
+      body.value = value;
+
+      return res.json(body);
+
+    } catch (error) {
+      if (error instanceof ODataQueryError) {
+        return this.sendError(res, 400, error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Consume one use of the first fault matching the request
+   */
+  takeFault(pathAndQuery) {
+    const fault = this.faults.find(candidate => candidate.remaining > 0 && pathAndQuery.includes(candidate.match));
+
+    if (!fault) {
+      return null;
+    }
+
+    fault.remaining--;
+    this.faults = this.faults.filter(candidate => candidate.remaining > 0);
+    return fault;
+  }
+
+  sendError(res, status, message) {
+    res.status(status).json({ error: { code: String(status), message } });
+  }
+}
+
+/**
+ * Create a mock server instance (not yet listening)
+ * @param {Object} options - See AmpreMockServer constructor
+ * @returns {AmpreMockServer}
+ */
+export function createMockAmpreServer(options = {}) {
+  return new AmpreMockServer(options);
+}
+
+export default AmpreMockServer;
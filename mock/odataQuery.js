@@ -0,0 +1,313 @@
+/**
+ * Minimal OData v4 query engine for the AMPRE mock server
+ * Supports the subset the sync code uses: $filter (eq/ne/gt/ge/lt/le, and/or/not, in,
+ * parentheses), $orderby, $top, $skip and $select over plain JSON records.
+ */
+
+export class ODataQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ODataQueryError';
+  }
+}
+
+const COMPARISON_OPERATORS = new Set(['eq', 'ne', 'gt', 'ge', 'lt', 'le']);
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+const TOKEN_PATTERNS = [
+  ['space', /^\s+/],
+  ['paren', /^[(),]/],
+  ['string', /^'(?:[^']|'')*'/],
+  ['datetime', /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?(?![\w.])/],
+  ['number', /^-?\d+(\.\d+)?(?![\w.])/],
+  ['identifier', /^[A-Za-z_][\w/.]*/]
+];
+
+/**
+ * Split a $filter expression into tokens
+ */
+function tokenize(filter) {
+  const tokens = [];
+  let rest = filter;
+
+  while (rest.length > 0) {
+    const match = TOKEN_PATTERNS
+      .map(([type, pattern]) => [type, pattern.exec(rest)])
+      .find(([, result]) => result);
+
+    if (!match) {
+      throw new ODataQueryError(`Unexpected character in $filter at: ${rest.slice(0, 20)}`);
+    }
+
+    const [type, [text]] = match;
+    if (type !== 'space') {
+      tokens.push({ type, text });
+    }
+    rest = rest.slice(text.length);
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser producing a small AST
+ */
+class FilterParser {
+  constructor(filter) {
+    this.tokens = tokenize(filter);
+    this.position = 0;
+  }
+
+  parse() {
+    const expression = this.parseOr();
+    if (this.peek()) {
+      throw new ODataQueryError(`Unexpected token in $filter: ${this.peek().text}`);
+    }
+    return expression;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  isKeyword(keyword) {
+    const token = this.peek();
+    return token?.type === 'identifier' && token.text === keyword;
+  }
+
+  expect(text) {
+    const token = this.next();
+    if (!token || token.text !== text) {
+      throw new ODataQueryError(`Expected '${text}' in $filter but found ${token ? `'${token.text}'` : 'end of input'}`);
+    }
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.isKeyword('or')) {
+      this.next();
+      left = { type: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.isKeyword('and')) {
+      this.next();
+      left = { type: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.isKeyword('not')) {
+      this.next();
+      return { type: 'not', operand: this.parseNot() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    if (this.peek()?.text === '(') {
+      this.next();
+      const expression = this.parseOr();
+      this.expect(')');
+      return expression;
+    }
+
+    const left = this.parseValue();
+    const operator = this.next();
+
+    if (operator?.type === 'identifier' && operator.text === 'in') {
+      this.expect('(');
+      const values = [this.parseValue()];
+      while (this.peek()?.text === ',') {
+        this.next();
+        values.push(this.parseValue());
+      }
+      this.expect(')');
+      return { type: 'in', left, values };
+    }
+
+    if (!operator || !COMPARISON_OPERATORS.has(operator.text)) {
+      throw new ODataQueryError(`Unsupported operator in $filter: ${operator ? operator.text : 'end of input'}`);
+    }
+
+    return { type: 'compare', operator: operator.text, left, right: this.parseValue() };
+  }
+
+  parseValue() {
+    const token = this.next();
+
+    if (!token) {
+      throw new ODataQueryError('Unexpected end of $filter');
+    }
+
+    switch (token.type) {
+      case 'string':
+        return { type: 'literal', value: token.text.slice(1, -1).replace(/''/g, "'") };
+      case 'datetime':
+        return { type: 'literal', value: token.text };
+      case 'number':
+        return { type: 'literal', value: Number(token.text) };
+      case 'identifier':
+        if (token.text === 'null') return { type: 'literal', value: null };
+        if (token.text === 'true') return { type: 'literal', value: true };
+        if (token.text === 'false') return { type: 'literal', value: false };
+        return { type: 'field', name: token.text };
+      default:
+        throw new ODataQueryError(`Unexpected token in $filter: ${token.text}`);
+    }
+  }
+}
+
+/**
+ * Compare two values the way the feed does: numbers numerically, timestamps
+ * chronologically, everything else by code point. null sorts first.
+ * @returns {number} Negative, zero or positive
+ */
+export function compareValues(a, b) {
+  if (a === null || a === undefined) return b === null || b === undefined ? 0 : -1;
+  if (b === null || b === undefined) return 1;
+
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+
+  if (typeof a === 'string' && typeof b === 'string' && DATETIME_PATTERN.test(a) && DATETIME_PATTERN.test(b)) {
+    const difference = Date.parse(a) - Date.parse(b);
+    if (!Number.isNaN(difference)) {
+      return difference;
+    }
+  }
+
+  const left = String(a);
+  const right = String(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+function evaluate(node, record) {
+  switch (node.type) {
+    case 'or':
+      return evaluate(node.left, record) || evaluate(node.right, record);
+    case 'and':
+      return evaluate(node.left, record) && evaluate(node.right, record);
+    case 'not':
+      return !evaluate(node.operand, record);
+    case 'field':
+      return record[node.name] ?? null;
+    case 'literal':
+      return node.value;
+    case 'in': {
+      const value = evaluate(node.left, record);
+      return node.values.some(candidate => compareValues(value, evaluate(candidate, record)) === 0 && value !== null);
+    }
+    case 'compare': {
+      const left = evaluate(node.left, record);
+      const right = evaluate(node.right, record);
+
+      if (node.operator === 'eq') return left === null || right === null ? left === right : compareValues(left, right) === 0;
+      if (node.operator === 'ne') return left === null || right === null ? left !== right : compareValues(left, right) !== 0;
+
+      // Ordering comparisons with null are false, as in OData
+      if (left === null || right === null) return false;
+
+      const result = compareValues(left, right);
+      if (node.operator === 'gt') return result > 0;
+      if (node.operator === 'ge') return result >= 0;
+      if (node.operator === 'lt') return result < 0;
+      return result <= 0;
+    }
+    default:
+      throw new ODataQueryError(`Unsupported $filter node: ${node.type}`);
+  }
+}
+
+/**
+ * Compile a $filter expression into a record predicate
+ * @param {string} filter - OData $filter expression
+ * @returns {Function} (record) => boolean
+ */
+export function compileFilter(filter) {
+  if (!filter || !filter.trim()) {
+    return () => true;
+  }
+
+  const ast = new FilterParser(filter).parse();
+  return record => Boolean(evaluate(ast, record));
+}
+
+/**
+ * Parse $orderby into a comparator
+ * @param {string} orderBy - e.g. "ModificationTimestamp asc,ListingKey asc"
+ * @returns {Function|null} Comparator, or null when no ordering was requested
+ */
+export function compileOrderBy(orderBy) {
+  if (!orderBy || !orderBy.trim()) {
+    return null;
+  }
+
+  const clauses = orderBy.split(',').map(clause => {
+    const [field, direction = 'asc', ...extra] = clause.trim().split(/\s+/);
+    if (!field || extra.length > 0 || !['asc', 'desc'].includes(direction)) {
+      throw new ODataQueryError(`Invalid $orderby clause: ${clause.trim()}`);
+    }
+    return { field, sign: direction === 'desc' ? -1 : 1 };
+  });
+
+  return (a, b) => {
+    for (const { field, sign } of clauses) {
+      const result = compareValues(a[field] ?? null, b[field] ?? null);
+      if (result !== 0) {
+        return result * sign;
+      }
+    }
+    return 0;
+  };
+}
+
+/**
+ * Apply $filter, $orderby, $skip, $top and $select to a collection
+ * @param {Array<Object>} records - Fixture records
+ * @param {Object} query - Raw system query options ($filter, $orderby, $top, $skip, $select)
+ * @returns {Object} { value, count } where count ignores $top/$skip
+ */
+export function applyQuery(records, query = {}) {
+  const predicate = compileFilter(query.$filter);
+  const comparator = compileOrderBy(query.$orderby);
+
+  let results = records.filter(predicate);
+  const count = results.length;
+
+  if (comparator) {
+    results = [...results].sort(comparator);
+  }
+
+  const skip = parseNonNegativeInt(query.$skip, '$skip', 0);
+  const top = parseNonNegativeInt(query.$top, '$top', null);
+  results = results.slice(skip, top === null ? undefined : skip + top);
+
+  if (query.$select && query.$select.trim()) {
+    const fields = query.$select.split(',').map(field => field.trim()).filter(Boolean);
+    results = results.map(record => Object.fromEntries(fields.map(field => [field, record[field] ?? null])));
+  }
+
+  return { value: results, count };
+}
+
+function parseNonNegativeInt(value, name, defaultValue) {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new ODataQueryError(`Invalid ${name}: ${value}`);
+  }
+  return parsed;
+}
@@ -104,13 +104,19 @@ function showUsage() {
   console.log('  --media      Sync Media only (requires Properties)');
   console.log('  --rooms      Sync PropertyRooms only (requires Properties)');
   console.log('  --openhouse  Sync OpenHouses only (requires Properties)');
-  console.log('  --force      Force sync regardless of timestamps\n');
+  console.log('  --force      Force sync regardless of timestamps');
+  console.log('  --full       Ignore incremental cursors and re-pull properties from SYNC_START_DATE and media of every listing');
+  console.log('  --reset-checkpoint  Discard saved checkpoints and start over');
+  console.log('  --reconcile  Soft-delete or purge listings that left the feeds (RECONCILE_POLICY)\n');
   
   console.log('📋 Examples:');
   console.log('  node scripts/sync.js                    # Full sync');
   console.log('  node scripts/sync.js --idx              # IDX only');
   console.log('  node scripts/sync.js --media --rooms    # Media + Rooms');
-  console.log('  node scripts/sync.js --force            # Force full sync\n');
+  console.log('  node scripts/sync.js --force            # Force full sync');
+  console.log('  node scripts/sync.js --idx --full       # Full IDX re-pull');
+  console.log('  node scripts/sync.js --idx --reset-checkpoint  # Restart IDX from the beginning');
+  console.log('  node scripts/sync.js --reconcile        # Only reconcile listings against the feeds\n');
   
   console.log('🔧 Key Features:');
   console.log('  ✅ Time-based pagination (avoids 100K API limit)');
@@ -86,7 +86,7 @@ async function testSyncPerformance() {
     
     console.log('📋 Current Configuration:');
     console.log(`   Media API Batch Size: ${syncService.config.media.batchSize}`);
-    console.log(`   Media Property Batch Size: ${syncService.config.media.propertyBatchSize}`);
+    console.log(`   Media Parent Batch Size: ${syncService.config.media.parentBatchSize}`);
     console.log(`   Media DB Batch Size: ${syncService.config.media.dbBatchSize}`);
     console.log(`   Media Throttle Delay: ${syncService.config.media.throttleDelay}ms`);
 
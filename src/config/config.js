@@ -86,10 +86,25 @@ const validateBoolean = (value, name, defaultValue = false) => {
 // ENVIRONMENT VARIABLE VALIDATION
 // ===========================================
 
+// Storage backend: 'supabase' (default), 'postgres' (direct, via pg) or 'sqlite'
+const DB_BACKEND = process.env.DB_BACKEND || 'supabase';
+if (!['supabase', 'postgres', 'sqlite'].includes(DB_BACKEND)) {
+  throw new Error(`Invalid DB_BACKEND: ${DB_BACKEND} (expected supabase, postgres or sqlite)`);
+}
+
+// Supabase is only required when it is the storage backend; otherwise it is optional (auth only)
+const requireSupabase = DB_BACKEND === 'supabase';
+const optionalSupabase = (value, name) => (requireSupabase || value ? validateRequired(value, name) : null);
+
 // Validate critical variables that must be present
-const SUPABASE_URL = validateUrl(validateRequired(process.env.SUPABASE_URL, 'SUPABASE_URL'), 'SUPABASE_URL');
-const SUPABASE_ANON_KEY = validateRequired(process.env.SUPABASE_ANON_KEY, 'SUPABASE_ANON_KEY');
-const SUPABASE_SERVICE_ROLE_KEY = validateRequired(process.env.SUPABASE_SERVICE_ROLE_KEY, 'SUPABASE_SERVICE_ROLE_KEY');
+const SUPABASE_URL = optionalSupabase(process.env.SUPABASE_URL, 'SUPABASE_URL') &&
+  validateUrl(process.env.SUPABASE_URL, 'SUPABASE_URL');
+const SUPABASE_ANON_KEY = optionalSupabase(process.env.SUPABASE_ANON_KEY, 'SUPABASE_ANON_KEY');
+const SUPABASE_SERVICE_ROLE_KEY = optionalSupabase(process.env.SUPABASE_SERVICE_ROLE_KEY, 'SUPABASE_SERVICE_ROLE_KEY');
+
+const DATABASE_URL = DB_BACKEND === 'postgres'
+  ? validateUrl(validateRequired(process.env.DATABASE_URL, 'DATABASE_URL'), 'DATABASE_URL')
+  : process.env.DATABASE_URL || null;
 
 const IDX_TOKEN = validateRequired(process.env.IDX_TOKEN, 'IDX_TOKEN');
 const VOW_TOKEN = validateRequired(process.env.VOW_TOKEN, 'VOW_TOKEN');
@@ -101,6 +116,9 @@ const ROOMS_URL = validateUrl(validateRequired(process.env.ROOMS_URL, 'ROOMS_URL
 const OPEN_URL = validateUrl(validateRequired(process.env.OPEN_URL, 'OPEN_URL'), 'OPEN_URL');
 const MEDIA_URL = validateUrl(validateRequired(process.env.MEDIA_URL, 'MEDIA_URL'), 'MEDIA_URL');
 
+// Origin of the RESO Web API; overrides the host of the complete URLs above (e.g. a local mock server)
+const AMPRE_BASE_URL = validateUrl(process.env.AMPRE_BASE_URL || 'https://query.ampre.ca', 'AMPRE_BASE_URL');
+
 // ===========================================
 // CONFIGURATION OBJECTS
 // ===========================================
@@ -125,6 +143,18 @@ export const supabase = {
   serviceRoleKey: SUPABASE_SERVICE_ROLE_KEY
 };
 
+/**
+ * Storage Backend Configuration
+ * postgres uses DATABASE_URL; sqlite uses SQLITE_PATH (':memory:' for an in-memory database)
+ */
+export const databaseSettings = {
+  backend: DB_BACKEND,
+  url: DATABASE_URL,
+  poolSize: validateInt(process.env.DATABASE_POOL_SIZE, 'DATABASE_POOL_SIZE', 10),
+  ssl: validateBoolean(process.env.DATABASE_SSL, 'DATABASE_SSL', false),
+  sqlitePath: process.env.SQLITE_PATH || './data/listings.db'
+};
+
 /**
  * API Tokens
  */
@@ -136,9 +166,10 @@ export const tokens = {
 
 /**
  * API Endpoint URLs
- * Note: These are complete URLs, not base URLs to be concatenated
+ * Note: These are complete URLs, not base URLs to be concatenated; `base` is the API origin
  */
 export const apiUrls = {
+  base: AMPRE_BASE_URL,
   idx: IDX_URL,
   vow: VOW_URL,
   rooms: ROOMS_URL,
@@ -153,13 +184,22 @@ export const syncSettings = {
   intervalMinutes: validateInt(process.env.SYNC_INTERVAL_MINUTES, 'SYNC_INTERVAL_MINUTES', 30),
   batchSizeProperty: validateInt(process.env.BATCH_SIZE_PROPERTY, 'BATCH_SIZE_PROPERTY', 1000),
   batchSizeMedia: validateInt(process.env.BATCH_SIZE_MEDIA, 'BATCH_SIZE_MEDIA', 500),
-  startDate: process.env.SYNC_START_DATE || '2024-01-01T00:00:00Z'
+  startDate: process.env.SYNC_START_DATE || '2024-01-01T00:00:00Z',
+  // Lease of a resource sync lock (see services/syncLockService.js), renewed every third of it
+  lockTtlSeconds: validateInt(process.env.SYNC_LOCK_TTL_SECONDS, 'SYNC_LOCK_TTL_SECONDS', 120)
 };
 
 /**
  * Enhanced Media Sync Configuration
+ * strategy: how scheduled and API media syncs select listings (see services/mediaSyncService.js)
  */
+const MEDIA_SYNC_STRATEGY = process.env.MEDIA_SYNC_STRATEGY || 'changed-photos-only';
+if (!['by-parent-keys', 'by-timestamp', 'changed-photos-only'].includes(MEDIA_SYNC_STRATEGY)) {
+  throw new Error(`Invalid MEDIA_SYNC_STRATEGY: ${MEDIA_SYNC_STRATEGY} (expected by-parent-keys, by-timestamp or changed-photos-only)`);
+}
+
 export const mediaSyncSettings = {
+  strategy: MEDIA_SYNC_STRATEGY,
   batchSize: validateInt(process.env.MEDIA_BATCH_SIZE, 'MEDIA_BATCH_SIZE', 5000),
   dbBatchSize: validateInt(process.env.MEDIA_DB_BATCH_SIZE, 'MEDIA_DB_BATCH_SIZE', 100),
   throttleDelay: validateInt(process.env.MEDIA_THROTTLE_DELAY, 'MEDIA_THROTTLE_DELAY', 750),
@@ -168,6 +208,60 @@ export const mediaSyncSettings = {
   enforceMatchingOnly: validateBoolean(process.env.MEDIA_ENFORCE_MATCHING_ONLY, 'MEDIA_ENFORCE_MATCHING_ONLY', true)
 };
 
+/**
+ * Media Cache Configuration
+ * store: 'local' keeps originals and derivatives under MEDIA_CACHE_PATH; 's3' uses an
+ * S3-compatible bucket (credentials from the standard AWS_* variables)
+ */
+const MEDIA_CACHE_STORE = process.env.MEDIA_CACHE_STORE || 'local';
+if (!['local', 's3'].includes(MEDIA_CACHE_STORE)) {
+  throw new Error(`Invalid MEDIA_CACHE_STORE: ${MEDIA_CACHE_STORE} (expected local or s3)`);
+}
+
+export const mediaCacheSettings = {
+  store: MEDIA_CACHE_STORE,
+  localPath: process.env.MEDIA_CACHE_PATH || './data/media-cache',
+  s3: {
+    bucket: MEDIA_CACHE_STORE === 's3'
+      ? validateRequired(process.env.MEDIA_CACHE_S3_BUCKET, 'MEDIA_CACHE_S3_BUCKET')
+      : process.env.MEDIA_CACHE_S3_BUCKET || null,
+    region: process.env.MEDIA_CACHE_S3_REGION || 'us-east-1',
+    // Endpoint of a non-AWS store (MinIO, Cloudflare R2, ...)
+    endpoint: process.env.MEDIA_CACHE_S3_ENDPOINT || null,
+    forcePathStyle: validateBoolean(process.env.MEDIA_CACHE_S3_FORCE_PATH_STYLE, 'MEDIA_CACHE_S3_FORCE_PATH_STYLE', false),
+    prefix: process.env.MEDIA_CACHE_S3_PREFIX || 'media-cache/'
+  },
+  fetchTimeoutMs: validateInt(process.env.MEDIA_FETCH_TIMEOUT_MS, 'MEDIA_FETCH_TIMEOUT_MS', 15000),
+  maxOriginalBytes: validateInt(process.env.MEDIA_MAX_ORIGINAL_BYTES, 'MEDIA_MAX_ORIGINAL_BYTES', 25 * 1024 * 1024),
+  // Browser cache lifetime of served derivatives
+  maxAgeSeconds: validateInt(process.env.MEDIA_CACHE_MAX_AGE, 'MEDIA_CACHE_MAX_AGE', 24 * 60 * 60)
+};
+
+/**
+ * Listing Reconciliation Configuration
+ * policy: 'soft-delete' stamps DeletedAt, 'purge' removes the rows
+ */
+const RECONCILE_POLICY = process.env.RECONCILE_POLICY || 'soft-delete';
+if (!['soft-delete', 'purge'].includes(RECONCILE_POLICY)) {
+  throw new Error(`Invalid RECONCILE_POLICY: ${RECONCILE_POLICY} (expected soft-delete or purge)`);
+}
+
+export const reconciliationSettings = {
+  policy: RECONCILE_POLICY,
+  feeds: (process.env.RECONCILE_FEEDS || 'idx,vow').split(',').map(feed => feed.trim()).filter(Boolean),
+  pageSize: validateInt(process.env.RECONCILE_PAGE_SIZE, 'RECONCILE_PAGE_SIZE', 1000),
+  actionBatchSize: validateInt(process.env.RECONCILE_ACTION_BATCH_SIZE, 'RECONCILE_ACTION_BATCH_SIZE', 200),
+  maxRemovePercent: validateInt(process.env.RECONCILE_MAX_REMOVE_PERCENT, 'RECONCILE_MAX_REMOVE_PERCENT', 20)
+};
+
+/**
+ * Market Statistics Configuration
+ * cacheTtlSeconds: how long /api/stats results are reused (see services/marketStatsService.js)
+ */
+export const statsSettings = {
+  cacheTtlSeconds: validateInt(process.env.STATS_CACHE_TTL_SECONDS, 'STATS_CACHE_TTL_SECONDS', 900)
+};
+
 /**
  * Rate Limiting Configuration
  */
@@ -197,7 +291,14 @@ export const frontend = {
  * Security Configuration
  */
 export const security = {
-  corsOrigin: process.env.CORS_ORIGIN || 'http://localhost:3000,http://localhost:3001'
+  corsOrigin: process.env.CORS_ORIGIN || 'http://localhost:3000,http://localhost:3001',
+  // HS256 secret of operator/partner JWTs (Authorization: Bearer); JWTs are rejected when unset.
+  // Must differ from the Supabase JWT secret, whose consumer sessions are verified separately.
+  jwtSecret: process.env.JWT_SECRET || null,
+  // Required `iss` claim of JWTs, if set
+  jwtIssuer: process.env.JWT_ISSUER || null,
+  // Admin key accepted without an api_keys row, to create the first keys
+  adminApiKey: process.env.ADMIN_API_KEY || null
 };
 
 // ===========================================
@@ -214,17 +315,21 @@ export const VERBOSE_LOGGING = server.verboseLogging;
 // Supabase
 export { SUPABASE_URL, SUPABASE_ANON_KEY, SUPABASE_SERVICE_ROLE_KEY };
 
+// Storage Backend
+export { DB_BACKEND, DATABASE_URL };
+
 // Tokens
 export { IDX_TOKEN, VOW_TOKEN, ACCESS_TOKEN };
 
 // API URLs
-export { IDX_URL, VOW_URL, ROOMS_URL, OPEN_URL, MEDIA_URL };
+export { IDX_URL, VOW_URL, ROOMS_URL, OPEN_URL, MEDIA_URL, AMPRE_BASE_URL };
 
 // Sync Configuration
 export const SYNC_INTERVAL_MINUTES = syncSettings.intervalMinutes;
 export const BATCH_SIZE_PROPERTY = syncSettings.batchSizeProperty;
 export const BATCH_SIZE_MEDIA = syncSettings.batchSizeMedia;
 export const SYNC_START_DATE = syncSettings.startDate;
+export const SYNC_LOCK_TTL_SECONDS = syncSettings.lockTtlSeconds;
 
 // Enhanced Media Sync
 export const MEDIA_BATCH_SIZE = mediaSyncSettings.batchSize;
@@ -234,6 +339,20 @@ export const MEDIA_PROPERTY_BATCH_SIZE = mediaSyncSettings.propertyBatchSize;
 export const MEDIA_FILTER = mediaSyncSettings.filter;
 export const MEDIA_ENFORCE_MATCHING_ONLY = mediaSyncSettings.enforceMatchingOnly;
 
+export { MEDIA_SYNC_STRATEGY };
+
+// Media Cache
+export { MEDIA_CACHE_STORE };
+
+// Listing Reconciliation
+export const RECONCILE_FEEDS = reconciliationSettings.feeds;
+export const RECONCILE_PAGE_SIZE = reconciliationSettings.pageSize;
+export const RECONCILE_MAX_REMOVE_PERCENT = reconciliationSettings.maxRemovePercent;
+export { RECONCILE_POLICY };
+
+// Market Statistics
+export const STATS_CACHE_TTL_SECONDS = statsSettings.cacheTtlSeconds;
+
 // Rate Limiting
 export const RATE_LIMIT_WINDOW_MS = rateLimiting.windowMs;
 export const RATE_LIMIT_MAX_REQUESTS = rateLimiting.maxRequests;
@@ -249,6 +368,9 @@ export const NEXT_PUBLIC_BACKEND_URL = frontend.backendUrl;
 
 // Security
 export const CORS_ORIGIN = security.corsOrigin;
+export const JWT_SECRET = security.jwtSecret;
+export const JWT_ISSUER = security.jwtIssuer;
+export const ADMIN_API_KEY = security.adminApiKey;
 
 // ===========================================
 // DEFAULT EXPORT (Complete Configuration)
@@ -260,10 +382,12 @@ export const CORS_ORIGIN = security.corsOrigin;
 export default {
   server,
   supabase,
+  databaseSettings,
   tokens,
   apiUrls,
   syncSettings,
   mediaSyncSettings,
+  reconciliationSettings,
   rateLimiting,
   logging,
   frontend,
@@ -277,7 +401,7 @@ export default {
 // Validate configuration on module load
 console.log('✅ Configuration loaded successfully');
 console.log(`📡 Server: ${server.nodeEnv} mode on port ${server.port}`);
-console.log(`🔗 Supabase: ${supabase.url}`);
+console.log(`🗄️  Storage: ${databaseSettings.backend}${databaseSettings.backend === 'supabase' ? ` (${supabase.url})` : ''}`);
 console.log(`🔄 Sync interval: ${syncSettings.intervalMinutes} minutes`);
 console.log(`📊 Property batch size: ${syncSettings.batchSizeProperty}`);
 console.log(`🎬 Media batch size: ${mediaSyncSettings.batchSize}`);
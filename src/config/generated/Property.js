@@ -0,0 +1,111 @@
+// Generated by src/scripts/generate-schema.js from the RESO $metadata document - do not edit.
+// Adopt or drop fields in src/config/schemaFields.js and run `npm run generate-schema`.
+
+export default {
+  resource: 'Property',
+  table: 'Property',
+  key: 'ListingKey',
+  fields: [
+    { name: 'ListingKey', type: 'Edm.String', collection: false },
+    { name: 'ListPrice', type: 'Edm.Decimal', collection: false },
+    { name: 'ClosePrice', type: 'Edm.Decimal', collection: false },
+    { name: 'MlsStatus', type: 'Edm.String', collection: false },
+    { name: 'ContractStatus', type: 'Edm.String', collection: false },
+    { name: 'StandardStatus', type: 'Edm.String', collection: false },
+    { name: 'TransactionType', type: 'Edm.String', collection: false },
+    { name: 'PropertyType', type: 'Edm.String', collection: false },
+    { name: 'PropertySubType', type: 'Edm.String', collection: false },
+    { name: 'ArchitecturalStyle', type: 'Edm.String', collection: true },
+    { name: 'UnparsedAddress', type: 'Edm.String', collection: false },
+    { name: 'StreetNumber', type: 'Edm.String', collection: false },
+    { name: 'StreetName', type: 'Edm.String', collection: false },
+    { name: 'StreetSuffix', type: 'Edm.String', collection: false },
+    { name: 'City', type: 'Edm.String', collection: false },
+    { name: 'StateOrProvince', type: 'Edm.String', collection: false },
+    { name: 'PostalCode', type: 'Edm.String', collection: false },
+    { name: 'CountyOrParish', type: 'Edm.String', collection: false },
+    { name: 'CityRegion', type: 'Edm.String', collection: false },
+    { name: 'UnitNumber', type: 'Edm.String', collection: false },
+    { name: 'Latitude', type: 'Edm.Decimal', collection: false },
+    { name: 'Longitude', type: 'Edm.Decimal', collection: false },
+    { name: 'KitchensAboveGrade', type: 'Edm.Int32', collection: false },
+    { name: 'BedroomsAboveGrade', type: 'Edm.Int32', collection: false },
+    { name: 'BedroomsBelowGrade', type: 'Edm.Int32', collection: false },
+    { name: 'BathroomsTotalInteger', type: 'Edm.Int32', collection: false },
+    { name: 'KitchensBelowGrade', type: 'Edm.Int32', collection: false },
+    { name: 'KitchensTotal', type: 'Edm.Int32', collection: false },
+    { name: 'DenFamilyRoomYN', type: 'Edm.Boolean', collection: false },
+    { name: 'ListAgentKey', type: 'Edm.String', collection: false },
+    { name: 'ListOfficeKey', type: 'Edm.String', collection: false },
+    { name: 'ListOfficeName', type: 'Edm.String', collection: false },
+    { name: 'PublicRemarks', type: 'Edm.String', collection: false },
+    { name: 'PossessionDetails', type: 'Edm.String', collection: false },
+    { name: 'PhotosChangeTimestamp', type: 'Edm.DateTimeOffset', collection: false },
+    { name: 'MediaChangeTimestamp', type: 'Edm.DateTimeOffset', collection: false },
+    { name: 'ModificationTimestamp', type: 'Edm.DateTimeOffset', collection: false },
+    { name: 'SystemModificationTimestamp', type: 'Edm.DateTimeOffset', collection: false },
+    { name: 'OriginalEntryTimestamp', type: 'Edm.DateTimeOffset', collection: false },
+    { name: 'SoldConditionalEntryTimestamp', type: 'Edm.DateTimeOffset', collection: false },
+    { name: 'SoldEntryTimestamp', type: 'Edm.DateTimeOffset', collection: false },
+    { name: 'SuspendedEntryTimestamp', type: 'Edm.DateTimeOffset', collection: false },
+    { name: 'TerminatedEntryTimestamp', type: 'Edm.DateTimeOffset', collection: false },
+    { name: 'CloseDate', type: 'Edm.Date', collection: false },
+    { name: 'ConditionalExpiryDate', type: 'Edm.Date', collection: false },
+    { name: 'PurchaseContractDate', type: 'Edm.Date', collection: false },
+    { name: 'SuspendedDate', type: 'Edm.Date', collection: false },
+    { name: 'TerminatedDate', type: 'Edm.Date', collection: false },
+    { name: 'UnavailableDate', type: 'Edm.Date', collection: false },
+    { name: 'Cooling', type: 'Edm.String', collection: true },
+    { name: 'Sewer', type: 'Edm.String', collection: true },
+    { name: 'Basement', type: 'Edm.String', collection: true },
+    { name: 'BasementEntrance', type: 'Edm.String', collection: false },
+    { name: 'ExteriorFeatures', type: 'Edm.String', collection: true },
+    { name: 'InteriorFeatures', type: 'Edm.String', collection: true },
+    { name: 'PoolFeatures', type: 'Edm.String', collection: true },
+    { name: 'PropertyFeatures', type: 'Edm.String', collection: true },
+    { name: 'HeatType', type: 'Edm.String', collection: false },
+    { name: 'FireplaceYN', type: 'Edm.Boolean', collection: false },
+    { name: 'LivingAreaRange', type: 'Edm.String', collection: false },
+    { name: 'WaterfrontYN', type: 'Edm.Boolean', collection: false },
+    { name: 'PossessionType', type: 'Edm.String', collection: false },
+    { name: 'CoveredSpaces', type: 'Edm.Int32', collection: false },
+    { name: 'ParkingSpaces', type: 'Edm.Int32', collection: false },
+    { name: 'ParkingTotal', type: 'Edm.Int32', collection: false },
+    { name: 'AssociationAmenities', type: 'Edm.String', collection: true },
+    { name: 'Locker', type: 'Edm.String', collection: false },
+    { name: 'BalconyType', type: 'Edm.String', collection: false },
+    { name: 'PetsAllowed', type: 'Edm.String', collection: true },
+    { name: 'AssociationFee', type: 'Edm.Decimal', collection: false },
+    { name: 'AssociationFeeIncludes', type: 'Edm.String', collection: true },
+    { name: 'ApproximateAge', type: 'Edm.String', collection: false },
+    { name: 'AdditionalMonthlyFee', type: 'Edm.Decimal', collection: false },
+    { name: 'TaxAnnualAmount', type: 'Edm.Decimal', collection: false },
+    { name: 'TaxYear', type: 'Edm.Int32', collection: false },
+    { name: 'LotDepth', type: 'Edm.Decimal', collection: false },
+    { name: 'LotWidth', type: 'Edm.Decimal', collection: false },
+    { name: 'LotSizeUnits', type: 'Edm.String', collection: false },
+    { name: 'Furnished', type: 'Edm.String', collection: false },
+    { name: 'RentIncludes', type: 'Edm.String', collection: true }
+  ],
+  // Column allow-list: mapped fields plus columns maintained by this service
+  columns: [
+    'ListingKey', 'ListPrice', 'ClosePrice', 'MlsStatus', 'ContractStatus', 'StandardStatus',
+    'TransactionType', 'PropertyType', 'PropertySubType', 'ArchitecturalStyle', 'UnparsedAddress',
+    'StreetNumber', 'StreetName', 'StreetSuffix', 'City', 'StateOrProvince', 'PostalCode',
+    'CountyOrParish', 'CityRegion', 'UnitNumber', 'Latitude', 'Longitude', 'KitchensAboveGrade',
+    'BedroomsAboveGrade', 'BedroomsBelowGrade', 'BathroomsTotalInteger', 'KitchensBelowGrade',
+    'KitchensTotal', 'DenFamilyRoomYN', 'ListAgentKey', 'ListOfficeKey', 'ListOfficeName',
+    'PublicRemarks', 'PossessionDetails', 'PhotosChangeTimestamp', 'MediaChangeTimestamp',
+    'ModificationTimestamp', 'SystemModificationTimestamp', 'OriginalEntryTimestamp',
+    'SoldConditionalEntryTimestamp', 'SoldEntryTimestamp', 'SuspendedEntryTimestamp',
+    'TerminatedEntryTimestamp', 'CloseDate', 'ConditionalExpiryDate', 'PurchaseContractDate',
+    'SuspendedDate', 'TerminatedDate', 'UnavailableDate', 'Cooling', 'Sewer', 'Basement',
+    'BasementEntrance', 'ExteriorFeatures', 'InteriorFeatures', 'PoolFeatures', 'PropertyFeatures',
+    'HeatType', 'FireplaceYN', 'LivingAreaRange', 'WaterfrontYN', 'PossessionType', 'CoveredSpaces',
+    'ParkingSpaces', 'ParkingTotal', 'AssociationAmenities', 'Locker', 'BalconyType', 'PetsAllowed',
+    'AssociationFee', 'AssociationFeeIncludes', 'ApproximateAge', 'AdditionalMonthlyFee',
+    'TaxAnnualAmount', 'TaxYear', 'LotDepth', 'LotWidth', 'LotSizeUnits', 'Furnished',
+    'RentIncludes', 'CreatedAt', 'UpdatedAt', 'DeletedAt', 'IdxFeedYN', 'VowFeedYN',
+    'MediaSyncTimestamp'
+  ]
+};
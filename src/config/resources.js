@@ -0,0 +1,212 @@
+import { BATCH_SIZE_PROPERTY, BATCH_SIZE_MEDIA } from './config.js';
+import { mapProperty, validateProperty } from '../../mappers/mapProperty.js';
+import { mapMedia, validateMedia } from '../../mappers/mapMedia.js';
+import { mapRoom, validateRoom } from '../../mappers/mapRoom.js';
+import { mapOpenHouse, validateOpenHouse } from '../../mappers/mapOpenHouse.js';
+import { mapMember, validateMember } from '../../mappers/mapMember.js';
+import { mapOffice, validateOffice } from '../../mappers/mapOffice.js';
+
+/**
+ * RESO Resource Registry
+ *
+ * Every resource the sync engine (SyncService.syncResource) can replicate, in sync order:
+ * parents before the children that reference them. Adding a resource is an entry here plus
+ * a mapper; the engine derives fetching, paging, checkpoints, cursors and upserts from it.
+ *
+ * @typedef {Object} ResourceDefinition
+ * @property {string} name - Registry key, used in syncResources({ resources })
+ * @property {string} resource - RESO resource name on the API (/odata/<resource>)
+ * @property {string} table - Destination table
+ * @property {string} keyField - Unique key, shared by the API record and the table row
+ * @property {string} timestampField - Modification timestamp used for incremental paging
+ * @property {Object<string, string|null>} feeds - Feed type ('idx' / 'vow') to AmpreApiService
+ *   complete-URL type; null fetches /odata/<resource> with that feed's token
+ * @property {string} [syncType] - Checkpoint / cursor / SyncLog key for single-feed resources
+ *   (multi-feed resources use `<feed>_<name>`)
+ * @property {Object|null} parent - { resource, foreignKey }: records whose foreignKey is not a
+ *   stored key of the parent resource are skipped
+ * @property {string} strategy - 'timestamp' pages by (timestampField, keyField) after the stored
+ *   high-water mark; 'parentKeys' fetches the children of stored parents, a few parents per request
+ * @property {boolean} [tagFeed] - Set the source feed flag (IdxFeedYN / VowFeedYN) on each row
+ * @property {boolean} [trackHistory] - Record changes of the tracked listing fields in
+ *   PropertyHistory (see services/propertyHistoryService.js)
+ * @property {string} [startDate] - Where full syncs start (default: SYNC_START_DATE)
+ * @property {Function} map - async (record) => row
+ * @property {Function} validate - (row) => { isValid, errors }
+ * @property {string} title - Heading logged when the step starts
+ * @property {number} batchSize - Records per API request
+ * @property {number} dbBatchSize - Rows per upsert
+ * @property {number} throttleDelay - Pause between API batches (ms)
+ * @property {number} [parentBatchSize] - Parents per request ('parentKeys' strategy)
+ * @property {Object} [changeTracking] - { changeFields, syncedField } ('parentKeys' strategy):
+ *   incremental syncs only fetch the children of listings whose newest changeFields timestamp
+ *   is past the Property syncedField column, and stored children missing from the feed are deleted
+ */
+
+// Start of full syncs for resources kept in their entirety
+const FULL_HISTORY = '1970-01-01T00:00:00Z';
+
+/** @type {Object<string, ResourceDefinition>} */
+export const RESOURCES = {
+  property: {
+    name: 'property',
+    resource: 'Property',
+    table: 'Property',
+    keyField: 'ListingKey',
+    timestampField: 'ModificationTimestamp',
+    feeds: { idx: 'idxProperties', vow: 'vowProperties' },
+    parent: null,
+    strategy: 'timestamp',
+    tagFeed: true,
+    trackHistory: true,
+    map: mapProperty,
+    validate: validateProperty,
+    title: '📊 === {FEED} PROPERTY SYNC (PARENT) ===',
+    batchSize: BATCH_SIZE_PROPERTY,
+    dbBatchSize: 100,
+    throttleDelay: 1000
+  },
+  media: {
+    name: 'media',
+    resource: 'Media',
+    table: 'Media',
+    keyField: 'MediaKey',
+    timestampField: 'MediaModificationTimestamp',
+    feeds: { idx: 'media' },
+    syncType: 'media',
+    parent: { resource: 'property', foreignKey: 'ResourceRecordKey' },
+    // Media is by far the largest resource; fetching it per stored listing skips the
+    // photos of listings we do not keep
+    strategy: 'parentKeys',
+    map: mapMedia,
+    validate: validateMedia,
+    title: '🖼️  === MEDIA SYNC (CHILD) ===',
+    batchSize: BATCH_SIZE_MEDIA,
+    dbBatchSize: 100,
+    throttleDelay: 750,
+    // Filters longer than ~20 keys push the URL past what the API accepts (HTTP 500)
+    parentBatchSize: 20,
+    // Photos rarely change once listed, so incremental runs skip listings whose photo
+    // timestamps have not advanced since their media was last synced
+    changeTracking: {
+      changeFields: ['PhotosChangeTimestamp', 'MediaChangeTimestamp'],
+      syncedField: 'MediaSyncTimestamp'
+    }
+  },
+  rooms: {
+    name: 'rooms',
+    resource: 'PropertyRooms',
+    table: 'PropertyRooms',
+    keyField: 'RoomKey',
+    timestampField: 'ModificationTimestamp',
+    // Rooms are only published on the IDX feed
+    feeds: { idx: 'propertyRooms' },
+    syncType: 'rooms',
+    parent: { resource: 'property', foreignKey: 'ListingKey' },
+    strategy: 'timestamp',
+    map: mapRoom,
+    validate: validateRoom,
+    title: '🏠 === PROPERTY ROOMS SYNC (CHILD) ===',
+    batchSize: BATCH_SIZE_PROPERTY,
+    dbBatchSize: 100,
+    throttleDelay: 1000
+  },
+  openHouse: {
+    name: 'openHouse',
+    resource: 'OpenHouse',
+    table: 'OpenHouse',
+    keyField: 'OpenHouseKey',
+    timestampField: 'ModificationTimestamp',
+    feeds: { idx: 'openHouse' },
+    syncType: 'openhouse',
+    parent: { resource: 'property', foreignKey: 'ListingKey' },
+    strategy: 'timestamp',
+    map: mapOpenHouse,
+    validate: validateOpenHouse,
+    title: '🏡 === OPEN HOUSE SYNC (CHILD) ===',
+    batchSize: BATCH_SIZE_PROPERTY,
+    dbBatchSize: 100,
+    throttleDelay: 1000
+  },
+  // Agents and brokerages referenced by Property.ListAgentKey / ListOfficeKey. They are
+  // synced whole rather than per listing: a few thousand rows that change rarely. Full syncs
+  // ignore SYNC_START_DATE, which bounds the listing backfill: an agent of a current listing
+  // may not have been modified in years.
+  member: {
+    name: 'member',
+    resource: 'Member',
+    table: 'Member',
+    keyField: 'MemberKey',
+    timestampField: 'ModificationTimestamp',
+    feeds: { idx: null },
+    syncType: 'member',
+    parent: null,
+    strategy: 'timestamp',
+    startDate: FULL_HISTORY,
+    map: mapMember,
+    validate: validateMember,
+    title: '🧑‍💼 === MEMBER SYNC ===',
+    batchSize: BATCH_SIZE_PROPERTY,
+    dbBatchSize: 100,
+    throttleDelay: 1000
+  },
+  office: {
+    name: 'office',
+    resource: 'Office',
+    table: 'Office',
+    keyField: 'OfficeKey',
+    timestampField: 'ModificationTimestamp',
+    feeds: { idx: null },
+    syncType: 'office',
+    parent: null,
+    strategy: 'timestamp',
+    startDate: FULL_HISTORY,
+    map: mapOffice,
+    validate: validateOffice,
+    title: '🏢 === OFFICE SYNC ===',
+    batchSize: BATCH_SIZE_PROPERTY,
+    dbBatchSize: 100,
+    throttleDelay: 1000
+  }
+};
+
+/**
+ * Registry names in sync order
+ */
+export const RESOURCE_NAMES = Object.keys(RESOURCES);
+
+/**
+ * Look up a resource definition
+ * @param {string} name - Registry name ('property', 'media', ...)
+ * @returns {ResourceDefinition}
+ */
+export function getResource(name) {
+  const definition = RESOURCES[name];
+  if (!definition) {
+    throw new Error(`Unknown sync resource: ${name} (expected one of ${RESOURCE_NAMES.join(', ')})`);
+  }
+  return definition;
+}
+
+/**
+ * Find the definition for a RESO resource / table name ('PropertyRooms' -> rooms)
+ * @param {string} resourceName - RESO resource name
+ * @returns {ResourceDefinition|undefined}
+ */
+export function findResourceByName(resourceName) {
+  return Object.values(RESOURCES).find(definition => definition.resource === resourceName);
+}
+
+/**
+ * Checkpoint / cursor / SyncLog key for one feed of a resource
+ * @param {ResourceDefinition} definition - Resource definition
+ * @param {string} feedType - 'idx' or 'vow'
+ * @returns {string} e.g. 'idx_property', 'media'
+ */
+export function getSyncType(definition, feedType) {
+  return Object.keys(definition.feeds).length > 1
+    ? `${feedType}_${definition.name}`
+    : definition.syncType || definition.name;
+}
+
+export default RESOURCES;
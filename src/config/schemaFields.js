@@ -0,0 +1,94 @@
+/**
+ * Feed fields replicated per RESO resource
+ *
+ * The single place to adopt or drop a feed field. After editing, run
+ * `npm run generate-schema` to regenerate the field map (src/config/generated/<Resource>.js),
+ * which drives the mapper and the column allow-list, and the DDL (database/generated/<Resource>.sql)
+ * to run against the database. Field types come from the $metadata document.
+ *
+ * @typedef {Object} SchemaSelection
+ * @property {string} table - Destination table
+ * @property {Array<string>} fields - Feed fields to replicate, as named in $metadata
+ * @property {Object<string, string>} localColumns - Columns maintained by this service rather
+ *   than the feed, with their Postgres definitions
+ */
+
+/** @type {Object<string, SchemaSelection>} */
+export const SCHEMA_FIELDS = {
+  Property: {
+    table: 'Property',
+    fields: [
+      // Primary key
+      'ListingKey',
+
+      // Financial fields
+      'ListPrice', 'ClosePrice',
+
+      // Status fields
+      'MlsStatus', 'ContractStatus', 'StandardStatus', 'TransactionType',
+
+      // Property type fields
+      'PropertyType', 'PropertySubType', 'ArchitecturalStyle',
+
+      // Address fields
+      'UnparsedAddress', 'StreetNumber', 'StreetName', 'StreetSuffix', 'City', 'StateOrProvince',
+      'PostalCode', 'CountyOrParish', 'CityRegion', 'UnitNumber',
+
+      // Coordinates (WGS 84); indexed for geospatial search by database/property-geo.sql
+      'Latitude', 'Longitude',
+
+      // Room/Kitchen fields
+      'KitchensAboveGrade', 'BedroomsAboveGrade', 'BedroomsBelowGrade', 'BathroomsTotalInteger',
+      'KitchensBelowGrade', 'KitchensTotal', 'DenFamilyRoomYN',
+
+      // Listing agent and brokerage (Member.MemberKey / Office.OfficeKey)
+      'ListAgentKey', 'ListOfficeKey', 'ListOfficeName',
+
+      // Description fields
+      'PublicRemarks', 'PossessionDetails',
+
+      // Timestamp fields
+      'PhotosChangeTimestamp', 'MediaChangeTimestamp', 'ModificationTimestamp',
+      'SystemModificationTimestamp', 'OriginalEntryTimestamp', 'SoldConditionalEntryTimestamp',
+      'SoldEntryTimestamp', 'SuspendedEntryTimestamp', 'TerminatedEntryTimestamp',
+
+      // Date fields
+      'CloseDate', 'ConditionalExpiryDate', 'PurchaseContractDate', 'SuspendedDate',
+      'TerminatedDate', 'UnavailableDate',
+
+      // Feature fields
+      'Cooling', 'Sewer', 'Basement', 'BasementEntrance', 'ExteriorFeatures', 'InteriorFeatures',
+      'PoolFeatures', 'PropertyFeatures', 'HeatType', 'FireplaceYN', 'LivingAreaRange',
+      'WaterfrontYN', 'PossessionType',
+
+      // Parking/Spaces
+      'CoveredSpaces', 'ParkingSpaces', 'ParkingTotal',
+
+      // Association fields
+      'AssociationAmenities', 'Locker', 'BalconyType', 'PetsAllowed', 'AssociationFee',
+      'AssociationFeeIncludes',
+
+      // Property details
+      'ApproximateAge', 'AdditionalMonthlyFee', 'TaxAnnualAmount', 'TaxYear',
+
+      // Lot details
+      'LotDepth', 'LotWidth', 'LotSizeUnits',
+
+      // Rental fields
+      'Furnished', 'RentIncludes'
+    ],
+    localColumns: {
+      CreatedAt: 'TIMESTAMPTZ DEFAULT NOW()',
+      UpdatedAt: 'TIMESTAMPTZ DEFAULT NOW()',
+      // Set when the listing left the feed (soft-delete reconciliation)
+      DeletedAt: 'TIMESTAMPTZ',
+      // Source feeds that authorize the listing
+      IdxFeedYN: 'BOOLEAN DEFAULT FALSE',
+      VowFeedYN: 'BOOLEAN DEFAULT FALSE',
+      // Photo / media change timestamp the listing's Media was last synced at
+      MediaSyncTimestamp: 'TIMESTAMPTZ'
+    }
+  }
+};
+
+export default SCHEMA_FIELDS;
@@ -6,34 +6,30 @@ import {
   SUPABASE_SERVICE_ROLE_KEY 
 } from './config.js';
 
-// Create Supabase client for general use (with anon key)
-export const supabase = createClient(
-  SUPABASE_URL,
-  SUPABASE_ANON_KEY,
-  {
+// Without SUPABASE_URL (postgres or sqlite storage backend) the clients are null
+const createSupabaseClient = (key) => (SUPABASE_URL && key
+  ? createClient(SUPABASE_URL, key, {
     auth: {
       autoRefreshToken: false,
       persistSession: false
     }
-  }
-);
+  })
+  : null);
+
+// Create Supabase client for general use (with anon key)
+export const supabase = createSupabaseClient(SUPABASE_ANON_KEY);
 
 // Create Supabase admin client for backend operations (with service role key)
-export const supabaseAdmin = createClient(
-  SUPABASE_URL,
-  SUPABASE_SERVICE_ROLE_KEY,
-  {
-    auth: {
-      autoRefreshToken: false,
-      persistSession: false
-    }
-  }
-);
+export const supabaseAdmin = createSupabaseClient(SUPABASE_SERVICE_ROLE_KEY);
 
 // Log connection status
-logger.info('Supabase clients initialized', {
-  url: SUPABASE_URL,
-  hasAdminClient: !!supabaseAdmin
-});
+if (supabase) {
+  logger.info('Supabase clients initialized', {
+    url: SUPABASE_URL,
+    hasAdminClient: !!supabaseAdmin
+  });
+} else {
+  logger.info('Supabase not configured; Supabase clients disabled');
+}
 
 export default supabase;
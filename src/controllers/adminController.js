@@ -0,0 +1,150 @@
+import ApiKeyService from '../services/apiKeyService.js';
+import logger from '../utils/logger.js';
+import { ROLES } from '../utils/roles.js';
+
+const MAX_KEY_NAME_LENGTH = 100;
+
+class AdminController {
+  constructor() {
+    this.apiKeys = new ApiKeyService();
+  }
+
+  /**
+   * List API keys (hashes are never returned)
+   * GET /api/admin/keys?includeRevoked=true
+   */
+  async listApiKeys(req, res) {
+    try {
+      const keys = await this.apiKeys.list({ includeRevoked: req.query.includeRevoked === 'true' });
+
+      res.json({
+        success: true,
+        data: keys,
+        count: keys.length
+      });
+
+    } catch (error) {
+      logger.error('Error listing API keys', {
+        error: error.message
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Create an API key; the key is only returned in this response
+   * POST /api/admin/keys { name, role, expiresAt }
+   */
+  async createApiKey(req, res) {
+    try {
+      const { name, role, expiresAt = null } = req.body || {};
+
+      if (typeof name !== 'string' || name.trim() === '' || name.length > MAX_KEY_NAME_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          error: `name is required (at most ${MAX_KEY_NAME_LENGTH} characters)`
+        });
+      }
+
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown role: ${role} (expected ${ROLES.join(', ')})`
+        });
+      }
+
+      if (expiresAt !== null && (isNaN(Date.parse(expiresAt)) || new Date(expiresAt) <= new Date())) {
+        return res.status(400).json({
+          success: false,
+          error: 'expiresAt must be a future ISO 8601 time'
+        });
+      }
+
+      const apiKey = await this.apiKeys.create({
+        name: name.trim(),
+        role,
+        expiresAt: expiresAt && new Date(expiresAt).toISOString(),
+        createdBy: req.auth?.subject || null
+      });
+
+      logger.info('API key created via API', {
+        id: apiKey.id,
+        role,
+        createdBy: req.auth?.subject,
+        ip: req.ip
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created; store it now, it cannot be shown again',
+        data: apiKey
+      });
+
+    } catch (error) {
+      logger.error('Error creating API key', {
+        error: error.message
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * DELETE /api/admin/keys/:id
+   */
+  async revokeApiKey(req, res) {
+    try {
+      const apiKey = await this.apiKeys.revoke(req.params.id);
+
+      if (!apiKey) {
+        return res.status(404).json({
+          success: false,
+          error: 'API key not found'
+        });
+      }
+
+      const { revoked, ...data } = apiKey;
+
+      if (!revoked) {
+        return res.status(409).json({
+          success: false,
+          error: 'API key is already revoked',
+          data
+        });
+      }
+
+      logger.info('API key revoked via API', {
+        id: data.id,
+        revokedBy: req.auth?.subject,
+        ip: req.ip
+      });
+
+      res.json({
+        success: true,
+        message: 'API key revoked',
+        data
+      });
+
+    } catch (error) {
+      logger.error('Error revoking API key', {
+        error: error.message,
+        id: req.params.id
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+}
+
+export default AdminController;
@@ -0,0 +1,92 @@
+import MediaCacheService from '../services/mediaCacheService.js';
+import logger from '../utils/logger.js';
+import { mediaCacheSettings } from '../config/config.js';
+import { MEDIA_FORMATS, MEDIA_SIZES } from '../media/index.js';
+import { isVowEntitled } from '../utils/entitlements.js';
+
+class MediaController {
+  constructor() {
+    this.mediaCache = new MediaCacheService();
+  }
+
+  /**
+   * Serve a sized photo (thumbnail, card, full)
+   * WebP for clients that accept it, JPEG otherwise; ?format=webp|jpeg overrides.
+   */
+  async getMediaDerivative(req, res) {
+    try {
+      const { mediaKey, size } = req.params;
+      const { format: requestedFormat } = req.query;
+
+      if (!MEDIA_SIZES[size]) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown size: ${size} (expected ${Object.keys(MEDIA_SIZES).join(', ')})`
+        });
+      }
+
+      if (requestedFormat !== undefined && !MEDIA_FORMATS[requestedFormat]) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown format: ${requestedFormat} (expected ${Object.keys(MEDIA_FORMATS).join(', ')})`
+        });
+      }
+
+      const format = requestedFormat || (req.accepts('image/webp') === 'image/webp' ? 'webp' : 'jpeg');
+
+      const result = await this.mediaCache.getDerivative(mediaKey, size, format, {
+        entitlement: req.entitlement,
+        ifNoneMatch: req.get('If-None-Match') || null
+      });
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Media not found'
+        });
+      }
+
+      // Photos of listings outside the IDX feed must not be kept by shared caches (CDNs,
+      // proxies), which would hand them to anonymous callers
+      const cacheScope = result.idx && !isVowEntitled(req.entitlement) ? 'public' : 'private';
+
+      res.set({
+        'Cache-Control': `${cacheScope}, max-age=${mediaCacheSettings.maxAgeSeconds}`,
+        // Photos are embedded by frontends on other origins
+        'Cross-Origin-Resource-Policy': 'cross-origin',
+        ETag: result.etag,
+        ...(!requestedFormat && { Vary: 'Accept' }),
+        ...(result.lastModified && { 'Last-Modified': result.lastModified.toUTCString() })
+      });
+
+      if (result.notModified) {
+        return res.status(304).end();
+      }
+
+      res.type(result.contentType).send(result.body);
+
+    } catch (error) {
+      logger.error('Error in getMediaDerivative controller', {
+        error: error.message,
+        mediaKey: req.params.mediaKey,
+        size: req.params.size
+      });
+
+      if (error.message.includes('Failed to fetch original media')) {
+        return res.status(502).json({
+          success: false,
+          error: 'Original media unavailable',
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+}
+
+export default MediaController;
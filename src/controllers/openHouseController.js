@@ -0,0 +1,201 @@
+import DatabaseService from '../services/databaseService.js';
+import logger from '../utils/logger.js';
+import { addDays, toLocalDate } from '../utils/listingTime.js';
+import { renderOpenHouseCalendar } from '../utils/openHouseCalendar.js';
+
+// Calendar feeds keep the past month, so attended open houses stay in subscribers' calendars
+const CALENDAR_HISTORY_DAYS = 30;
+const MAX_CALENDAR_EVENTS = 500;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class OpenHouseController {
+  constructor() {
+    this.database = new DatabaseService();
+  }
+
+  /**
+   * Find open houses by date range (Toronto local dates, default from today), city, price and
+   * property type, with the listing address and price
+   */
+  async getOpenHouses(req, res) {
+    try {
+      const { page = 1, limit = 50 } = req.query;
+      const { filters, error } = this.parseFilters(req.query, toLocalDate());
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      const result = await this.database.getOpenHouses({
+        ...filters,
+        page: Math.max(1, parseInt(page) || 1),
+        limit: Math.min(100, Math.max(1, parseInt(limit) || 50)),
+        entitlement: req.entitlement
+      });
+
+      res.json({
+        success: true,
+        data: result.data,
+        pagination: result.pagination,
+        searchCriteria: filters
+      });
+
+    } catch (error) {
+      logger.error('Error in getOpenHouses controller', {
+        error: error.message,
+        query: req.query
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * iCalendar feed of a saved open house query (same filters as getOpenHouses)
+   */
+  async getCalendar(req, res) {
+    try {
+      const { filters, error } = this.parseFilters(req.query, addDays(toLocalDate(), -CALENDAR_HISTORY_DAYS));
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      const { data } = await this.database.getOpenHouses({
+        ...filters,
+        limit: MAX_CALENDAR_EVENTS,
+        entitlement: req.entitlement
+      });
+
+      const name = ['Open houses', filters.city && `in ${filters.city}`].filter(Boolean).join(' ');
+
+      this.sendCalendar(res, 'open-houses.ics', renderOpenHouseCalendar(name, data));
+
+    } catch (error) {
+      logger.error('Error in getCalendar controller', {
+        error: error.message,
+        query: req.query
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * iCalendar feed of one listing's open houses
+   */
+  async getListingCalendar(req, res) {
+    try {
+      const { listingKey } = req.params;
+
+      if (!listingKey) {
+        return res.status(400).json({
+          success: false,
+          error: 'ListingKey is required'
+        });
+      }
+
+      // Open houses are only served for listings the caller may see
+      const property = await this.database.getProperty(listingKey, { entitlement: req.entitlement });
+
+      if (!property) {
+        return res.status(404).json({
+          success: false,
+          error: 'Property not found'
+        });
+      }
+
+      const { data } = await this.database.getOpenHouses({
+        listingKey,
+        from: addDays(toLocalDate(), -CALENDAR_HISTORY_DAYS),
+        limit: MAX_CALENDAR_EVENTS,
+        entitlement: req.entitlement
+      });
+
+      const name = `Open houses: ${property.UnparsedAddress || listingKey}`;
+
+      this.sendCalendar(res, `${listingKey}-open-houses.ics`, renderOpenHouseCalendar(name, data));
+
+    } catch (error) {
+      logger.error('Error in getListingCalendar controller', {
+        error: error.message,
+        listingKey: req.params.listingKey
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Parse the open house filters
+   * @private
+   * @param {Object} query - Query parameters (from, to, city, minPrice, maxPrice, propertyType,
+   *   propertySubType)
+   * @param {string} defaultFrom - First date when from is not given
+   * @returns {{filters: Object|null, error: string|null}} Options for DatabaseService.getOpenHouses(),
+   *   or why the parameters were rejected
+   */
+  parseFilters(query, defaultFrom) {
+    const { from = defaultFrom, to, city, minPrice, maxPrice, propertyType, propertySubType } = query;
+    const filters = { from };
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value !== undefined && (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value)))) {
+        return { filters: null, error: `${name} must be a date (YYYY-MM-DD)` };
+      }
+    }
+
+    if (to !== undefined) {
+      if (to < from) {
+        return { filters: null, error: 'to must not be before from' };
+      }
+      filters.to = to;
+    }
+
+    for (const [name, value] of Object.entries({ minPrice, maxPrice })) {
+      if (value === undefined) continue;
+
+      const price = Number(value);
+      if (value === '' || !Number.isFinite(price) || price < 0) {
+        return { filters: null, error: `${name} must be a positive number` };
+      }
+      filters[name] = price;
+    }
+
+    if (city) filters.city = String(city);
+    if (propertyType) filters.propertyType = String(propertyType);
+    if (propertySubType) filters.propertySubType = String(propertySubType);
+
+    return { filters, error: null };
+  }
+
+  /**
+   * Send an iCalendar document
+   * @private
+   */
+  sendCalendar(res, filename, calendar) {
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `inline; filename="${filename}"`
+    });
+    res.send(calendar);
+  }
+}
+
+export default OpenHouseController;
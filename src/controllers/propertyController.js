@@ -1,23 +1,44 @@
 import DatabaseService from '../services/databaseService.js';
 import SyncService from '../services/syncService.js';
+import PropertyHistoryService, { TRACKED_FIELDS } from '../services/propertyHistoryService.js';
 import logger from '../utils/logger.js';
+import columnValidator from '../utils/columnValidator.js';
+import { isPropertyFieldAllowed } from '../utils/entitlements.js';
+import { parsePropertyFilters } from '../utils/propertyFilters.js';
+import { parsePropertyExpand, parsePropertyFields } from '../utils/propertyFields.js';
+import { decodeCursor } from '../utils/cursor.js';
+import { bboxToPolygon, parseSearchTerms, readPolygon } from '../storage/index.js';
+
+// Search radius around near=lat,lng when radiusKm is not given, and the largest allowed
+const DEFAULT_RADIUS_KM = 10;
+const MAX_RADIUS_KM = 100;
 
 class PropertyController {
   constructor() {
     this.database = new DatabaseService();
     this.syncService = new SyncService();
+    this.history = new PropertyHistoryService(this.database);
   }
 
   /**
    * Get properties with pagination and filtering
+   * Every other query parameter is a filter: ListPrice[gte]=, City[in]=, InteriorFeatures[contains]=, ...
+   * (grammar in src/utils/propertyFilters.js). fields= and expand= shape each listing
+   * (src/utils/propertyFields.js).
    */
   async getProperties(req, res) {
     try {
       const {
         page = 1,
         limit = 50,
-        sortBy = 'ModificationTimestamp',
-        sortOrder = 'desc',
+        // Sort and cursor parameters are resolved by parsePaging(), fields and expand by
+        // parseShape(); everything else is a filter
+        sortBy: requestedSortBy,
+        sortOrder: requestedSortOrder,
+        cursor: cursorToken,
+        includeTotal: includeTotalParam,
+        fields: fieldsParam,
+        expand: expandParam,
         ...filters
       } = req.query;
 
@@ -25,12 +46,51 @@ class PropertyController {
       const pageNum = Math.max(1, parseInt(page));
       const limitNum = Math.min(100, Math.max(1, parseInt(limit))); // Max 100 per page
 
+      const { cursor, sortBy, sortOrder, includeTotal, error: pagingError } = await this.parsePaging(req.query, 'ModificationTimestamp');
+
+      if (pagingError) {
+        return res.status(400).json({
+          success: false,
+          error: pagingError
+        });
+      }
+
+      if (!isPropertyFieldAllowed(sortBy, req.entitlement)) {
+        return res.status(403).json({
+          success: false,
+          error: `Sorting by ${sortBy} requires a registered consumer session`
+        });
+      }
+
+      const { filters: parsedFilters, error: filterError, status } = parsePropertyFilters(filters, req.entitlement);
+
+      if (filterError) {
+        return res.status(status).json({
+          success: false,
+          error: filterError
+        });
+      }
+
+      const { fields, expand, error: shapeError, status: shapeStatus } = this.parseShape(req.query, req.entitlement);
+
+      if (shapeError) {
+        return res.status(shapeStatus).json({
+          success: false,
+          error: shapeError
+        });
+      }
+
       const options = {
         page: pageNum,
         limit: limitNum,
         sortBy,
         sortOrder,
-        filters: this.buildFilters(filters)
+        cursor,
+        includeTotal,
+        filters: parsedFilters,
+        fields,
+        expand,
+        entitlement: req.entitlement
       };
 
       const result = await this.database.getProperties(options);
@@ -46,6 +106,14 @@ class PropertyController {
         error: error.message,
         query: req.query
       });
+
+      if (error.message.includes('Invalid cursor')) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
       res.status(500).json({
         success: false,
         error: 'Internal server error',
@@ -56,6 +124,8 @@ class PropertyController {
 
   /**
    * Get a single property by ListingKey
+   * ?fields= selects columns or presets; ?expand=media,rooms,openHouses,office,agent embeds the
+   * listing's media, rooms and open houses, brokerage (Office) and agent (Member)
    */
   async getProperty(req, res) {
     try {
@@ -68,20 +138,23 @@ class PropertyController {
         });
       }
 
-      const { data, error } = await this.database.client
-        .from('Property')
-        .select('*')
-        .eq('ListingKey', listingKey)
-        .single();
+      const { fields, expand, error: shapeError, status } = this.parseShape(req.query, req.entitlement);
 
-      if (error) {
-        if (error.code === 'PGRST116') {
-          return res.status(404).json({
-            success: false,
-            error: 'Property not found'
-          });
-        }
-        throw error;
+      if (shapeError) {
+        return res.status(status).json({
+          success: false,
+          error: shapeError
+        });
+      }
+
+      // office / agent are null when the listing has no key or the record is not synced yet
+      const data = await this.database.getProperty(listingKey, { fields, expand, entitlement: req.entitlement });
+
+      if (!data) {
+        return res.status(404).json({
+          success: false,
+          error: 'Property not found'
+        });
       }
 
       res.json({
@@ -117,6 +190,16 @@ class PropertyController {
         });
       }
 
+      // Media is only served for listings the caller may see
+      const property = await this.database.getProperty(listingKey, { entitlement: req.entitlement });
+
+      if (!property) {
+        return res.status(404).json({
+          success: false,
+          error: 'Property not found'
+        });
+      }
+
       const options = {
         mediaType: mediaType || null,
         preferredOnly: preferredOnly === 'true'
@@ -144,7 +227,213 @@ class PropertyController {
   }
 
   /**
-   * Search properties with advanced filters
+   * Get rooms for a specific property
+   */
+  async getPropertyRooms(req, res) {
+    try {
+      const { listingKey } = req.params;
+
+      if (!listingKey) {
+        return res.status(400).json({
+          success: false,
+          error: 'ListingKey is required'
+        });
+      }
+
+      // Rooms are only served for listings the caller may see
+      const property = await this.database.getProperty(listingKey, { entitlement: req.entitlement });
+
+      if (!property) {
+        return res.status(404).json({
+          success: false,
+          error: 'Property not found'
+        });
+      }
+
+      const rooms = await this.database.getRoomsForProperty(listingKey);
+
+      res.json({
+        success: true,
+        data: rooms,
+        count: rooms.length
+      });
+
+    } catch (error) {
+      logger.error('Error in getPropertyRooms controller', { 
+        error: error.message,
+        listingKey: req.params.listingKey
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get open houses for a specific property (?upcoming=true leaves out past ones)
+   */
+  async getPropertyOpenHouses(req, res) {
+    try {
+      const { listingKey } = req.params;
+      const { upcoming } = req.query;
+
+      if (!listingKey) {
+        return res.status(400).json({
+          success: false,
+          error: 'ListingKey is required'
+        });
+      }
+
+      // Open houses are only served for listings the caller may see
+      const property = await this.database.getProperty(listingKey, { entitlement: req.entitlement });
+
+      if (!property) {
+        return res.status(404).json({
+          success: false,
+          error: 'Property not found'
+        });
+      }
+
+      const openHouses = await this.database.getOpenHousesForProperty(listingKey, {
+        upcomingOnly: upcoming === 'true'
+      });
+
+      res.json({
+        success: true,
+        data: openHouses,
+        count: openHouses.length
+      });
+
+    } catch (error) {
+      logger.error('Error in getPropertyOpenHouses controller', { 
+        error: error.message,
+        listingKey: req.params.listingKey
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a property with its media, rooms grouped by level and upcoming open houses
+   */
+  async getPropertyDetail(req, res) {
+    try {
+      const { listingKey } = req.params;
+
+      if (!listingKey) {
+        return res.status(400).json({
+          success: false,
+          error: 'ListingKey is required'
+        });
+      }
+
+      const data = await this.database.getPropertyDetail(listingKey, { entitlement: req.entitlement });
+
+      if (!data) {
+        return res.status(404).json({
+          success: false,
+          error: 'Property not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data
+      });
+
+    } catch (error) {
+      logger.error('Error in getPropertyDetail controller', { 
+        error: error.message,
+        listingKey: req.params.listingKey
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the recorded price / status / close changes of a property, oldest first
+   * GET /api/properties/:listingKey/history?fields=ListPrice,MlsStatus&since=2024-01-01
+   */
+  async getPropertyHistory(req, res) {
+    try {
+      const { listingKey } = req.params;
+      const { since } = req.query;
+      const fields = req.query.fields === undefined
+        ? TRACKED_FIELDS.filter(field => isPropertyFieldAllowed(field, req.entitlement))
+        : String(req.query.fields).split(',').map(field => field.trim()).filter(Boolean);
+
+      const unknown = fields.find(field => !TRACKED_FIELDS.includes(field));
+      if (unknown || fields.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: `fields must list tracked fields (${TRACKED_FIELDS.join(', ')})`
+        });
+      }
+
+      const restricted = fields.find(field => !isPropertyFieldAllowed(field, req.entitlement));
+      if (restricted) {
+        return res.status(403).json({
+          success: false,
+          error: `${restricted} history requires a registered consumer session`
+        });
+      }
+
+      if (since !== undefined && isNaN(Date.parse(since))) {
+        return res.status(400).json({
+          success: false,
+          error: 'since must be an ISO 8601 date or time'
+        });
+      }
+
+      // History is only served for listings the caller may see
+      const property = await this.database.getProperty(listingKey, { entitlement: req.entitlement });
+
+      if (!property) {
+        return res.status(404).json({
+          success: false,
+          error: 'Property not found'
+        });
+      }
+
+      const history = await this.history.getHistory(listingKey, {
+        fields,
+        since: since && new Date(since).toISOString(),
+        entitlement: req.entitlement
+      });
+
+      res.json({
+        success: true,
+        data: history,
+        count: history.length
+      });
+
+    } catch (error) {
+      logger.error('Error in getPropertyHistory controller', { 
+        error: error.message,
+        listingKey: req.params.listingKey
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Search properties: ranked full-text `query` over address, region, features and remarks,
+   * combined with the price / bedroom / type filters and the geo filters (near=lat,lng with
+   * radiusKm, bbox=west,south,east,north, or a GeoJSON polygon POSTed as the request body)
    */
   async searchProperties(req, res) {
     try {
@@ -157,12 +446,51 @@ class PropertyController {
         bedrooms,
         bathrooms,
         page = 1,
-        limit = 50,
-        sortBy = 'ModificationTimestamp',
-        sortOrder = 'desc'
+        limit = 50
       } = req.query;
 
       const filters = {};
+      const { cursor, sortBy, sortOrder, includeTotal, error: pagingError } = await this.parsePaging(
+        req.query,
+        searchQuery ? 'relevance' : req.query.near ? 'distance' : 'ModificationTimestamp',
+        ['relevance', 'distance']
+      );
+
+      if (pagingError) {
+        return res.status(400).json({
+          success: false,
+          error: pagingError
+        });
+      }
+      const { geo, error: geoError } = this.parseGeoFilter(req.query, req.method === 'POST' ? req.body : null);
+
+      if (geoError) {
+        return res.status(400).json({
+          success: false,
+          error: geoError
+        });
+      }
+
+      if (searchQuery && parseSearchTerms(searchQuery).length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'query must contain at least one word'
+        });
+      }
+
+      if (sortBy === 'relevance' && !searchQuery) {
+        return res.status(400).json({
+          success: false,
+          error: 'Sorting by relevance requires a query'
+        });
+      }
+
+      if (sortBy === 'distance' && !geo?.near) {
+        return res.status(400).json({
+          success: false,
+          error: 'Sorting by distance requires near=latitude,longitude'
+        });
+      }
 
       // Build search filters
       if (city) {
@@ -201,12 +529,35 @@ class PropertyController {
         }
       }
 
+      if (!['relevance', 'distance'].includes(sortBy) && !isPropertyFieldAllowed(sortBy, req.entitlement)) {
+        return res.status(403).json({
+          success: false,
+          error: `Sorting by ${sortBy} requires a registered consumer session`
+        });
+      }
+
+      const { fields, expand, error: shapeError, status } = this.parseShape(req.query, req.entitlement);
+
+      if (shapeError) {
+        return res.status(status).json({
+          success: false,
+          error: shapeError
+        });
+      }
+
       const options = {
         page: Math.max(1, parseInt(page)),
         limit: Math.min(100, Math.max(1, parseInt(limit))),
+        search: searchQuery || null,
+        geo,
         sortBy,
         sortOrder,
-        filters
+        cursor,
+        includeTotal,
+        filters,
+        fields,
+        expand,
+        entitlement: req.entitlement
       };
 
       const result = await this.database.getProperties(options);
@@ -215,7 +566,12 @@ class PropertyController {
         success: true,
         data: result.data,
         pagination: result.pagination,
-        searchCriteria: filters
+        searchCriteria: {
+          ...(searchQuery && { query: searchQuery }),
+          ...filters,
+          ...(geo?.near && { near: geo.near }),
+          ...(geo?.within && { within: geo.within })
+        }
       });
 
     } catch (error) {
@@ -223,6 +579,14 @@ class PropertyController {
         error: error.message,
         query: req.query
       });
+
+      if (error.message.includes('Invalid cursor')) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
       res.status(500).json({
         success: false,
         error: 'Internal server error',
@@ -279,46 +643,14 @@ class PropertyController {
    */
   async getPropertyStats(req, res) {
     try {
-      const { data: totalCount } = await this.database.client
-        .from('Property')
-        .select('*', { count: 'exact', head: true });
-
-      const { data: availableCount } = await this.database.client
-        .from('Property')
-        .select('*', { count: 'exact', head: true })
-        .eq('MlsStatus', 'Active');
-
-      const { data: avgPrice } = await this.database.client
-        .from('Property')
-        .select('ListPrice')
-        .not('ListPrice', 'is', null);
-
-      // Calculate average price
-      let averagePrice = 0;
-      if (avgPrice && avgPrice.length > 0) {
-        const sum = avgPrice.reduce((acc, prop) => acc + (prop.ListPrice || 0), 0);
-        averagePrice = Math.round(sum / avgPrice.length);
-      }
-
-      // Get property type distribution
-      const { data: typeDistribution } = await this.database.client
-        .from('Property')
-        .select('PropertyType')
-        .not('PropertyType', 'is', null);
-
-      const typeStats = {};
-      typeDistribution?.forEach(prop => {
-        typeStats[prop.PropertyType] = (typeStats[prop.PropertyType] || 0) + 1;
+      // Statistics only cover listings the caller may see
+      const stats = await this.database.getPropertyStats({
+        entitlement: req.entitlement
       });
 
       res.json({
         success: true,
-        data: {
-          total: totalCount || 0,
-          available: availableCount || 0,
-          averagePrice,
-          propertyTypes: typeStats
-        }
+        data: stats
       });
 
     } catch (error) {
@@ -334,41 +666,137 @@ class PropertyController {
   }
 
   /**
-   * Build filters object from query parameters
+   * Resolve the sort and cursor paging parameters of a listing request
+   * A cursor carries its sort, so sortBy / sortOrder may be omitted with ?cursor= but must
+   * match it when given. The sort field must be a Property column or one of `sorts`.
    * @private
+   * @param {Object} query - Query parameters (sortBy, sortOrder, cursor, includeTotal)
+   * @param {string} defaultSortBy - Sort field without sortBy or cursor
+   * @param {Array<string>} sorts - Computed sorts the endpoint accepts besides columns ('relevance', 'distance')
+   * @returns {Promise<{cursor: Object|null, sortBy: string, sortOrder: string, includeTotal: boolean|undefined,
+   *   error: string|null}>}
    */
-  buildFilters(queryFilters) {
-    const filters = {};
-    
-    // Define allowed filter fields and their types
-    const allowedFilters = {
-      MlsStatus: 'string',
-      ContractStatus: 'string',
-      StandardStatus: 'string',
-      PropertyType: 'string',
-      PropertySubType: 'string',
-      City: 'string',
-      StateOrProvince: 'string',
-      PostalCode: 'string',
-      ListPrice: 'number',
-      BedroomsAboveGrade: 'number',
-      BathroomsTotalInteger: 'number'
-    };
-
-    Object.entries(queryFilters).forEach(([key, value]) => {
-      if (allowedFilters[key] && value !== undefined && value !== '') {
-        if (allowedFilters[key] === 'number') {
-          const numValue = parseFloat(value);
-          if (!isNaN(numValue)) {
-            filters[key] = numValue;
-          }
-        } else {
-          filters[key] = value;
-        }
+  async parsePaging(query, defaultSortBy, sorts = []) {
+    const { sortBy, sortOrder, cursor: token, includeTotal } = query;
+    const fail = error => ({ cursor: null, sortBy: null, sortOrder: null, includeTotal: undefined, error });
+
+    if (includeTotal !== undefined && !['true', 'false'].includes(includeTotal)) {
+      return fail('includeTotal must be true or false');
+    }
+
+    if (sortOrder !== undefined && !['asc', 'desc'].includes(sortOrder)) {
+      return fail('sortOrder must be asc or desc');
+    }
+
+    const total = includeTotal === undefined ? undefined : includeTotal === 'true';
+    const cursor = token ? decodeCursor(token) : null;
+
+    if (token && !cursor) {
+      return fail('Invalid cursor');
+    }
+
+    if (cursor && ((sortBy && sortBy !== cursor.sortBy) || (sortOrder && sortOrder !== cursor.sortOrder))) {
+      return fail(`cursor belongs to sortBy=${cursor.sortBy}&sortOrder=${cursor.sortOrder}`);
+    }
+
+    const resolvedSortBy = cursor ? cursor.sortBy : sortBy || defaultSortBy;
+    const columns = await columnValidator.getTableColumns('Property');
+
+    if (!sorts.includes(resolvedSortBy) && !columns.has(resolvedSortBy)) {
+      return fail(`Unknown sortBy field: ${resolvedSortBy}`);
+    }
+
+    return cursor
+      ? { cursor, sortBy: cursor.sortBy, sortOrder: cursor.sortOrder, includeTotal: total, error: null }
+      : { cursor: null, sortBy: resolvedSortBy, sortOrder: sortOrder || 'desc', includeTotal: total, error: null };
+  }
+
+  /**
+   * Parse the response shape parameters of a property request
+   * @private
+   * @param {Object} query - Query parameters (fields, expand)
+   * @param {string} entitlement - Caller entitlement level
+   * @returns {{fields: Array<string>|null, expand: Array<string>, error: string|null, status: number|null}}
+   *   Selected columns (null: all) and expansions, or the error and the HTTP status to answer with
+   */
+  parseShape(query, entitlement) {
+    const { fields, error: fieldsError, status } = parsePropertyFields(query.fields, entitlement);
+
+    if (fieldsError) {
+      return { fields: null, expand: [], error: fieldsError, status };
+    }
+
+    const { expand, error: expandError } = parsePropertyExpand(query.expand);
+
+    if (expandError) {
+      return { fields: null, expand: [], error: expandError, status: 400 };
+    }
+
+    return { fields, expand, error: null, status: null };
+  }
+
+  /**
+   * Parse the geo filters of a search
+   * @private
+   * @param {Object} query - Query parameters (near, radiusKm, bbox)
+   * @param {Object|null} body - POSTed GeoJSON polygon, if any
+   * @returns {{geo: Object|null, error: string|null}} Storage geo filter ({ near, within }),
+   *   or why the parameters were rejected
+   */
+  parseGeoFilter(query, body) {
+    const parseNumbers = value => String(value).split(',').map(part => (part.trim() === '' ? NaN : Number(part)));
+    const geo = {};
+
+    if (query.near) {
+      const [latitude, longitude, ...rest] = parseNumbers(query.near);
+      if (rest.length > 0 || !(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) {
+        return { geo: null, error: 'near must be "latitude,longitude" in decimal degrees' };
       }
-    });
 
-    return filters;
+      const radiusKm = query.radiusKm === undefined ? DEFAULT_RADIUS_KM : Number(query.radiusKm);
+      if (!(radiusKm > 0 && radiusKm <= MAX_RADIUS_KM)) {
+        return { geo: null, error: `radiusKm must be greater than 0 and at most ${MAX_RADIUS_KM}` };
+      }
+
+      geo.near = { latitude, longitude, radiusKm };
+    } else if (query.radiusKm !== undefined) {
+      return { geo: null, error: 'radiusKm requires near=latitude,longitude' };
+    }
+
+    const hasBody = body !== null && typeof body === 'object' && Object.keys(body).length > 0;
+
+    if (body !== null && !hasBody) {
+      return { geo: null, error: 'POST a GeoJSON polygon as the request body' };
+    }
+
+    if (query.bbox && hasBody) {
+      return { geo: null, error: 'Use either bbox or a POSTed polygon, not both' };
+    }
+
+    if (query.bbox) {
+      const bbox = parseNumbers(query.bbox);
+      const [west, south, east, north] = bbox;
+      const valid = bbox.length === 4 &&
+        Math.abs(west) <= 180 && Math.abs(east) <= 180 && Math.abs(south) <= 90 && Math.abs(north) <= 90 &&
+        west < east && south < north;
+
+      if (!valid) {
+        return { geo: null, error: 'bbox must be "west,south,east,north" in decimal degrees' };
+      }
+
+      geo.within = bboxToPolygon(bbox);
+    }
+
+    if (hasBody) {
+      const { geometry, error } = readPolygon(body);
+      if (error) {
+        return { geo: null, error };
+      }
+
+      geo.within = geometry;
+    }
+
+    return { geo: geo.near || geo.within ? geo : null, error: null };
   }
 }
 
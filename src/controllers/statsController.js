@@ -0,0 +1,158 @@
+import MarketStatsService from '../services/marketStatsService.js';
+import logger from '../utils/logger.js';
+import { statsSettings } from '../config/config.js';
+import { MARKET_STATS_GROUPS } from '../storage/index.js';
+import { addMonths, countMonths, toLocalDate } from '../utils/listingTime.js';
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const TRANSACTION_TYPES = ['For Sale', 'For Lease'];
+
+// Longest period of one request, and the defaults of the monthly and summary views
+const MAX_MONTHS = 60;
+const DEFAULT_MONTHLY_MONTHS = 12;
+const DEFAULT_SUMMARY_MONTHS = 6;
+
+class StatsController {
+  constructor() {
+    this.marketStats = new MarketStatsService();
+  }
+
+  /**
+   * Market statistics per group and month
+   * GET /api/stats/market?groupBy=City&from=2025-01&to=2025-12
+   */
+  async getMarketStats(req, res) {
+    try {
+      const to = req.query.to || toLocalDate().slice(0, 7);
+      const from = req.query.from || addMonths(to, 1 - DEFAULT_MONTHLY_MONTHS);
+      const { options, error } = this.parseOptions({ ...req.query, from, to });
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      const stats = await this.marketStats.getMonthly({ ...options, entitlement: req.entitlement });
+
+      this.sendStats(res, stats, options);
+
+    } catch (error) {
+      logger.error('Error in getMarketStats controller', {
+        error: error.message,
+        query: req.query
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Market statistics per group over the trailing months (this month included)
+   * GET /api/stats/summary?groupBy=CityRegion&months=6
+   */
+  async getSummary(req, res) {
+    try {
+      const months = req.query.months === undefined ? DEFAULT_SUMMARY_MONTHS : Number(req.query.months);
+
+      if (!Number.isInteger(months) || months < 1 || months > MAX_MONTHS) {
+        return res.status(400).json({
+          success: false,
+          error: `months must be an integer from 1 to ${MAX_MONTHS}`
+        });
+      }
+
+      const to = toLocalDate().slice(0, 7);
+      const { options, error } = this.parseOptions({ ...req.query, from: addMonths(to, 1 - months), to });
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      const stats = await this.marketStats.getSummary({ ...options, entitlement: req.entitlement });
+
+      this.sendStats(res, stats, options);
+
+    } catch (error) {
+      logger.error('Error in getSummary controller', {
+        error: error.message,
+        query: req.query
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Parse the grouping, period and filters of a statistics request
+   * @private
+   * @param {Object} query - Query parameters (groupBy, from, to, percentile, transactionType,
+   *   city, cityRegion, propertySubType)
+   * @returns {{options: Object|null, error: string|null}} Options for MarketStatsService, or
+   *   why the parameters were rejected
+   */
+  parseOptions(query) {
+    const { groupBy, from, to, percentile = '90', transactionType = 'For Sale', city, cityRegion, propertySubType } = query;
+
+    if (groupBy !== undefined && !MARKET_STATS_GROUPS.includes(groupBy)) {
+      return { options: null, error: `groupBy must be one of ${MARKET_STATS_GROUPS.join(', ')}` };
+    }
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (!MONTH_PATTERN.test(value)) {
+        return { options: null, error: `${name} must be a month (YYYY-MM)` };
+      }
+    }
+
+    if (to < from) {
+      return { options: null, error: 'to must not be before from' };
+    }
+
+    if (countMonths(from, to) > MAX_MONTHS) {
+      return { options: null, error: `The period must not exceed ${MAX_MONTHS} months` };
+    }
+
+    const fraction = Number(percentile);
+    if (!Number.isInteger(fraction) || fraction < 1 || fraction > 99) {
+      return { options: null, error: 'percentile must be an integer from 1 to 99' };
+    }
+
+    if (!TRANSACTION_TYPES.includes(transactionType)) {
+      return { options: null, error: `transactionType must be one of ${TRANSACTION_TYPES.join(', ')}` };
+    }
+
+    const options = { groupBy: groupBy || null, from, to, percentile: fraction, transactionType };
+
+    if (city) options.city = String(city);
+    if (cityRegion) options.cityRegion = String(cityRegion);
+    if (propertySubType) options.propertySubType = String(propertySubType);
+
+    return { options, error: null };
+  }
+
+  /**
+   * Send statistics; responses differ by entitlement, so shared caches must not keep them
+   * @private
+   */
+  sendStats(res, stats, options) {
+    res.set('Cache-Control', `private, max-age=${statsSettings.cacheTtlSeconds}`);
+    res.json({
+      success: true,
+      data: stats,
+      count: stats.length,
+      searchCriteria: options
+    });
+  }
+}
+
+export default StatsController;
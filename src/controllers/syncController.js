@@ -1,9 +1,79 @@
 import SyncService from '../services/syncService.js';
+import SyncJobService, { JOB_STATES } from '../services/syncJobService.js';
+import { MEDIA_SYNC_STRATEGIES } from '../services/mediaSyncService.js';
 import logger from '../utils/logger.js';
+import { MEDIA_SYNC_STRATEGY } from '../config/config.js';
+
+// Jobs returned by GET /api/sync/jobs
+const DEFAULT_JOB_LIMIT = 20;
+const MAX_JOB_LIMIT = 100;
 
 class SyncController {
   constructor() {
     this.syncService = new SyncService();
+    this.syncJobs = new SyncJobService(this.syncService.database);
+  }
+
+  /**
+   * Run a sync as a job in the background, unless a resource it syncs is locked by another run
+   * @private
+   * @param {string} type - Job type ('full', 'incremental', 'properties', 'media')
+   * @param {Object} options - Options for performFullSync / performIncrementalSync
+   * @param {boolean} full - Full or incremental sync
+   * @returns {Promise<Object>} { job } for a started job, { locks } (held locks) otherwise
+   */
+  async startSyncJob(type, options, full) {
+    const locks = await this.syncService.locks.getHeldLocks(
+      this.syncService.getRunSyncTypes(this.syncService.resolveSyncOptions({ reconcile: full, ...options }))
+    );
+
+    if (locks.length > 0) {
+      logger.warn('Sync not started: already running', { type, locks: locks.map(lock => lock.name) });
+      return { locks };
+    }
+
+    // A SyncService holds the job, stats and sync state of its run, so jobs of other resources
+    // running at the same time each get their own (sharing the API client and database)
+    const syncService = new SyncService(this.syncService.ampreApi, this.syncService.database);
+
+    const { job, done } = await this.syncJobs.start({ type, trigger: 'api', options: { ...options, full } }, syncJob => (full
+      ? syncService.performFullSync({ ...options, job: syncJob })
+      : syncService.performIncrementalSync({ ...options, job: syncJob })));
+
+    // Log the outcome (but don't block the response)
+    done.then(record => {
+      logger.info(`Sync job ${job.id} finished`, { type, state: record?.state, durationMs: record?.duration_ms });
+    });
+
+    return { job };
+  }
+
+  /**
+   * Response for a sync refused because another run holds its locks
+   * @private
+   */
+  alreadyRunningResponse(locks) {
+    return {
+      success: false,
+      error: 'Sync already running',
+      message: `Locked by another sync: ${locks.map(lock => `${lock.name} (${lock.job ? `${lock.job.trigger} job ${lock.job.id}` : lock.holder})`).join(', ')}`,
+      data: { locks }
+    };
+  }
+
+  /**
+   * Describe a started job to the caller
+   * @private
+   */
+  jobResponse(job, message, extra = {}) {
+    return {
+      success: true,
+      message,
+      syncId: job.id,
+      statusUrl: `/api/sync/jobs/${job.id}`,
+      ...extra,
+      timestamp: new Date().toISOString()
+    };
   }
 
   /**
@@ -40,32 +110,19 @@ class SyncController {
       logger.info('Full sync triggered via API', { 
         syncProperties, 
         syncMedia,
+        caller: req.auth?.subject,
         userAgent: req.get('User-Agent'),
         ip: req.ip
       });
 
       // Start sync in background and return immediately
-      const syncPromise = this.syncService.performFullSync({
-        syncProperties,
-        syncMedia
-      });
+      const { job, locks } = await this.startSyncJob('full', { syncProperties, syncMedia }, true);
 
-      // Don't await the sync, return immediately
-      res.json({
-        success: true,
-        message: 'Full sync started',
-        syncId: `full-${Date.now()}`,
-        timestamp: new Date().toISOString()
-      });
+      if (!job) {
+        return res.status(409).json(this.alreadyRunningResponse(locks));
+      }
 
-      // Log sync completion (but don't block response)
-      syncPromise
-        .then(result => {
-          logger.info('Full sync completed', { result });
-        })
-        .catch(error => {
-          logger.error('Full sync failed', { error: error.message });
-        });
+      res.json(this.jobResponse(job, 'Full sync started'));
 
     } catch (error) {
       logger.error('Error triggering full sync', { 
@@ -89,31 +146,19 @@ class SyncController {
       logger.info('Incremental sync triggered via API', { 
         syncProperties, 
         syncMedia,
+        caller: req.auth?.subject,
         userAgent: req.get('User-Agent'),
         ip: req.ip
       });
 
       // Start sync in background and return immediately
-      const syncPromise = this.syncService.performIncrementalSync({
-        syncProperties,
-        syncMedia
-      });
+      const { job, locks } = await this.startSyncJob('incremental', { syncProperties, syncMedia }, false);
 
-      res.json({
-        success: true,
-        message: 'Incremental sync started',
-        syncId: `incremental-${Date.now()}`,
-        timestamp: new Date().toISOString()
-      });
+      if (!job) {
+        return res.status(409).json(this.alreadyRunningResponse(locks));
+      }
 
-      // Log sync completion (but don't block response)
-      syncPromise
-        .then(result => {
-          logger.info('Incremental sync completed', { result });
-        })
-        .catch(error => {
-          logger.error('Incremental sync failed', { error: error.message });
-        });
+      res.json(this.jobResponse(job, 'Incremental sync started'));
 
     } catch (error) {
       logger.error('Error triggering incremental sync', { 
@@ -136,38 +181,21 @@ class SyncController {
 
       logger.info('Property sync triggered via API', { 
         incremental,
+        caller: req.auth?.subject,
         userAgent: req.get('User-Agent'),
         ip: req.ip
       });
 
-      let syncPromise;
-      if (incremental) {
-        syncPromise = this.syncService.performIncrementalSync({
-          syncProperties: true,
-          syncMedia: false
-        });
-      } else {
-        syncPromise = this.syncService.performFullSync({
-          syncProperties: true,
-          syncMedia: false
-        });
+      const { job, locks } = await this.startSyncJob('properties', {
+        syncProperties: true,
+        syncMedia: false
+      }, !incremental);
+
+      if (!job) {
+        return res.status(409).json(this.alreadyRunningResponse(locks));
       }
 
-      res.json({
-        success: true,
-        message: `${incremental ? 'Incremental' : 'Full'} property sync started`,
-        syncId: `properties-${incremental ? 'inc' : 'full'}-${Date.now()}`,
-        timestamp: new Date().toISOString()
-      });
-
-      // Log sync completion
-      syncPromise
-        .then(result => {
-          logger.info('Property sync completed', { result });
-        })
-        .catch(error => {
-          logger.error('Property sync failed', { error: error.message });
-        });
+      res.json(this.jobResponse(job, `${incremental ? 'Incremental' : 'Full'} property sync started`));
 
     } catch (error) {
       logger.error('Error triggering property sync', { 
@@ -183,49 +211,165 @@ class SyncController {
 
   /**
    * Sync media only
+   * Body: { incremental = true, strategy = MEDIA_SYNC_STRATEGY }
    */
   async syncMedia(req, res) {
     try {
-      const { incremental = true } = req.body;
+      const { incremental = true, strategy = MEDIA_SYNC_STRATEGY } = req.body;
+
+      if (!MEDIA_SYNC_STRATEGIES[strategy]) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown media sync strategy: ${strategy} (expected ${Object.keys(MEDIA_SYNC_STRATEGIES).join(', ')})`
+        });
+      }
 
       logger.info('Media sync triggered via API', { 
         incremental,
+        strategy,
+        caller: req.auth?.subject,
         userAgent: req.get('User-Agent'),
         ip: req.ip
       });
 
-      let syncPromise;
-      if (incremental) {
-        syncPromise = this.syncService.performIncrementalSync({
-          syncProperties: false,
-          syncMedia: true
+      const { job, locks } = await this.startSyncJob('media', {
+        syncProperties: false,
+        syncMedia: true,
+        mediaStrategy: strategy
+      }, !incremental);
+
+      if (!job) {
+        return res.status(409).json(this.alreadyRunningResponse(locks));
+      }
+
+      res.json(this.jobResponse(job, `${incremental ? 'Incremental' : 'Full'} media sync (${strategy}) started`, { strategy }));
+
+    } catch (error) {
+      logger.error('Error triggering media sync', { 
+        error: error.message 
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * List sync jobs, newest first
+   * Query: state, type, trigger, limit (default 20, max 100)
+   */
+  async listSyncJobs(req, res) {
+    try {
+      const { state, type, trigger } = req.query;
+      const limit = req.query.limit === undefined ? DEFAULT_JOB_LIMIT : parseInt(req.query.limit);
+
+      if (state !== undefined && !JOB_STATES.includes(state)) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown job state: ${state} (expected ${JOB_STATES.join(', ')})`
         });
-      } else {
-        syncPromise = this.syncService.performFullSync({
-          syncProperties: false,
-          syncMedia: true
+      }
+
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_JOB_LIMIT) {
+        return res.status(400).json({
+          success: false,
+          error: `limit must be an integer between 1 and ${MAX_JOB_LIMIT}`
         });
       }
 
+      const jobs = await this.syncJobs.listJobs({ state, type, trigger, limit });
+
       res.json({
         success: true,
-        message: `${incremental ? 'Incremental' : 'Full'} media sync started`,
-        syncId: `media-${incremental ? 'inc' : 'full'}-${Date.now()}`,
-        timestamp: new Date().toISOString()
+        data: jobs,
+        count: jobs.length
       });
 
-      // Log sync completion
-      syncPromise
-        .then(result => {
-          logger.info('Media sync completed', { result });
-        })
-        .catch(error => {
-          logger.error('Media sync failed', { error: error.message });
+    } catch (error) {
+      logger.error('Error listing sync jobs', { 
+        error: error.message 
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a sync job: state, per-resource progress, result, error and timings
+   */
+  async getSyncJob(req, res) {
+    try {
+      const job = await this.syncJobs.getJob(req.params.id);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Sync job not found'
         });
+      }
+
+      res.json({
+        success: true,
+        data: job
+      });
 
     } catch (error) {
-      logger.error('Error triggering media sync', { 
-        error: error.message 
+      logger.error('Error getting sync job', { 
+        error: error.message,
+        id: req.params.id
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Cancel a running sync job; it stops after the batch in progress
+   */
+  async cancelSyncJob(req, res) {
+    try {
+      const job = await this.syncJobs.cancel(req.params.id);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Sync job not found'
+        });
+      }
+
+      if (job.state !== 'running') {
+        return res.status(409).json({
+          success: false,
+          error: `Sync job is already ${job.state}`,
+          data: job
+        });
+      }
+
+      logger.info('Sync job cancelled via API', { 
+        id: job.id,
+        caller: req.auth?.subject,
+        userAgent: req.get('User-Agent'),
+        ip: req.ip
+      });
+
+      res.json({
+        success: true,
+        message: 'Sync job cancellation requested; it stops after the current batch',
+        data: job
+      });
+
+    } catch (error) {
+      logger.error('Error cancelling sync job', { 
+        error: error.message,
+        id: req.params.id
       });
       res.status(500).json({
         success: false,
@@ -249,6 +393,7 @@ class SyncController {
           property: parseInt(process.env.BATCH_SIZE_PROPERTY) || 1000,
           media: parseInt(process.env.BATCH_SIZE_MEDIA) || 500
         },
+        mediaStrategy: MEDIA_SYNC_STRATEGY,
         syncInterval: parseInt(process.env.SYNC_INTERVAL_MINUTES) || 30,
         lastSync: {
           // This would typically come from a database or cache
@@ -0,0 +1,71 @@
+/**
+ * Blob store interface
+ *
+ * The media cache keeps downloaded originals and their derivatives as blobs under
+ * slash-separated keys ("<MediaKey>/<version>/card.webp"). A blob store saves them on one
+ * backend (local disk, an S3-compatible bucket); naming, versioning and invalidation stay in
+ * MediaCacheService so they behave the same on every backend.
+ */
+
+// Content types of the stored blobs, by key extension
+export const CONTENT_TYPES = {
+  webp: 'image/webp',
+  jpg: 'image/jpeg'
+};
+
+/**
+ * @param {string} key - Blob key
+ * @returns {string} Content type implied by the key's extension
+ */
+export function contentTypeOf(key) {
+  const extension = key.includes('.') ? key.slice(key.lastIndexOf('.') + 1) : '';
+  return CONTENT_TYPES[extension] || 'application/octet-stream';
+}
+
+class BlobStore {
+  /**
+   * @param {string} backend - Backend name for logging ('local', 's3')
+   */
+  constructor(backend) {
+    this.backend = backend;
+  }
+
+  /**
+   * Read a blob
+   * @param {string} key - Blob key
+   * @returns {Promise<Buffer|null>} Contents, or null if the blob does not exist
+   */
+  async get(key) {
+    throw new Error(`${this.constructor.name}.get() is not implemented`);
+  }
+
+  /**
+   * Write a blob, replacing an existing one
+   * @param {string} key - Blob key
+   * @param {Buffer} body - Contents
+   * @returns {Promise<void>}
+   */
+  async put(key, body) {
+    throw new Error(`${this.constructor.name}.put() is not implemented`);
+  }
+
+  /**
+   * List blob keys
+   * @param {string} prefix - Key prefix, ending with '/'
+   * @returns {Promise<Array<string>>} Keys under the prefix
+   */
+  async list(prefix) {
+    throw new Error(`${this.constructor.name}.list() is not implemented`);
+  }
+
+  /**
+   * Delete blobs; missing keys are ignored
+   * @param {Array<string>} keys - Blob keys
+   * @returns {Promise<void>}
+   */
+  async delete(keys) {
+    throw new Error(`${this.constructor.name}.delete() is not implemented`);
+  }
+}
+
+export default BlobStore;
@@ -0,0 +1,55 @@
+/**
+ * Media derivatives
+ *
+ * Sized renditions of listing photos, generated from the downloaded original with sharp
+ * (an optional dependency). thumbnail and card are cropped to a fixed 4:3 box for grids;
+ * full keeps the aspect ratio and is never enlarged.
+ */
+
+export const MEDIA_SIZES = {
+  thumbnail: { width: 320, height: 240, fit: 'cover' },
+  card: { width: 800, height: 600, fit: 'cover' },
+  full: { width: 2048, height: 2048, fit: 'inside' }
+};
+
+// Output formats: key extension and encoder options
+export const MEDIA_FORMATS = {
+  webp: { extension: 'webp', options: { quality: 80 } },
+  jpeg: { extension: 'jpg', options: { quality: 82, mozjpeg: true } }
+};
+
+let sharp = null;
+
+/**
+ * Load sharp on first use
+ */
+async function getSharp() {
+  if (!sharp) {
+    try {
+      sharp = (await import('sharp')).default;
+    } catch (error) {
+      throw new Error('Media derivatives require the "sharp" package (npm install sharp)');
+    }
+  }
+  return sharp;
+}
+
+/**
+ * Render a derivative
+ * @param {Buffer} original - Original image (any format sharp reads)
+ * @param {string} size - Key of MEDIA_SIZES
+ * @param {string} format - Key of MEDIA_FORMATS
+ * @returns {Promise<Buffer>} Encoded image
+ */
+export async function renderDerivative(original, size, format) {
+  const { width, height, fit } = MEDIA_SIZES[size];
+  const { options } = MEDIA_FORMATS[format];
+  const image = (await getSharp())(original, { failOn: 'error' });
+
+  // rotate() applies the EXIF orientation before the metadata is dropped
+  return image
+    .rotate()
+    .resize({ width, height, fit, withoutEnlargement: fit === 'inside' })
+    .toFormat(format, options)
+    .toBuffer();
+}
@@ -0,0 +1,22 @@
+import { mediaCacheSettings } from '../config/config.js';
+import LocalBlobStore from './localBlobStore.js';
+import S3BlobStore from './s3BlobStore.js';
+
+export { default as BlobStore, CONTENT_TYPES, contentTypeOf } from './blobStore.js';
+export { MEDIA_FORMATS, MEDIA_SIZES, renderDerivative } from './derivatives.js';
+export { LocalBlobStore, S3BlobStore };
+
+/**
+ * Create the blob store for the configured media cache (MEDIA_CACHE_STORE)
+ * @param {Object} settings - Media cache settings (defaults to config mediaCacheSettings)
+ * @returns {BlobStore}
+ */
+export function createBlobStore(settings = mediaCacheSettings) {
+  switch (settings.store) {
+    case 's3':
+      return new S3BlobStore(settings);
+    case 'local':
+    default:
+      return new LocalBlobStore(settings);
+  }
+}
@@ -0,0 +1,78 @@
+import { mkdir, readFile, readdir, rename, rm, writeFile } from 'fs/promises';
+import { dirname, join, resolve, sep } from 'path';
+import BlobStore from './blobStore.js';
+
+/**
+ * Blob store on the local file system
+ * Key segments are URI-encoded into file names, and '.' / '..' segments are rejected, so feed
+ * keys can never leave the root directory.
+ */
+class LocalBlobStore extends BlobStore {
+  /**
+   * @param {Object} settings - Media cache settings (localPath)
+   */
+  constructor(settings) {
+    super('local');
+    this.root = resolve(settings.localPath);
+  }
+
+  /**
+   * File path of a key
+   * @private
+   */
+  pathOf(key) {
+    const segments = key.split('/').filter(Boolean);
+
+    if (segments.some(segment => segment === '.' || segment === '..')) {
+      throw new Error(`Invalid blob key: ${key}`);
+    }
+
+    return join(this.root, ...segments.map(segment => encodeURIComponent(segment)));
+  }
+
+  async get(key) {
+    try {
+      return await readFile(this.pathOf(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async put(key, body) {
+    const path = this.pathOf(key);
+    await mkdir(dirname(path), { recursive: true });
+
+    // Write then rename, so readers never see a partial file
+    const temporaryPath = `${path}.${process.pid}.${Date.now()}.tmp`;
+    await writeFile(temporaryPath, body);
+    await rename(temporaryPath, path);
+  }
+
+  async list(prefix) {
+    const directory = this.pathOf(prefix);
+    let entries;
+
+    try {
+      entries = await readdir(directory, { recursive: true, withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return entries
+      .filter(entry => entry.isFile() && !entry.name.endsWith('.tmp'))
+      .map(entry => join(entry.parentPath ?? entry.path, entry.name).slice(this.root.length + 1))
+      .map(path => path.split(sep).map(segment => decodeURIComponent(segment)).join('/'));
+  }
+
+  async delete(keys) {
+    await Promise.all(keys.map(key => rm(this.pathOf(key), { force: true })));
+  }
+}
+
+export default LocalBlobStore;
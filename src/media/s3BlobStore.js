@@ -0,0 +1,109 @@
+import BlobStore, { contentTypeOf } from './blobStore.js';
+
+// DeleteObjects accepts at most 1000 keys per request
+const DELETE_BATCH_SIZE = 1000;
+
+/**
+ * Blob store on an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2, ...)
+ * Credentials come from the AWS SDK default chain (AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY, ...).
+ */
+class S3BlobStore extends BlobStore {
+  /**
+   * @param {Object} settings - Media cache settings (s3: bucket, region, endpoint, forcePathStyle, prefix)
+   */
+  constructor(settings) {
+    super('s3');
+    this.settings = settings.s3;
+    this.prefix = this.settings.prefix || '';
+    this.client = null;
+    this.commands = null;
+  }
+
+  /**
+   * Create the client on first use; @aws-sdk/client-s3 is an optional dependency
+   */
+  async getClient() {
+    if (this.client) {
+      return this.client;
+    }
+
+    let sdk;
+    try {
+      sdk = await import('@aws-sdk/client-s3');
+    } catch (error) {
+      throw new Error('S3 media cache requires the "@aws-sdk/client-s3" package (npm install @aws-sdk/client-s3)');
+    }
+
+    this.commands = sdk;
+    this.client = new sdk.S3Client({
+      region: this.settings.region,
+      ...(this.settings.endpoint && { endpoint: this.settings.endpoint }),
+      forcePathStyle: this.settings.forcePathStyle
+    });
+
+    return this.client;
+  }
+
+  async get(key) {
+    const client = await this.getClient();
+
+    try {
+      const response = await client.send(new this.commands.GetObjectCommand({
+        Bucket: this.settings.bucket,
+        Key: this.prefix + key
+      }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async put(key, body) {
+    const client = await this.getClient();
+
+    await client.send(new this.commands.PutObjectCommand({
+      Bucket: this.settings.bucket,
+      Key: this.prefix + key,
+      Body: body,
+      ContentType: contentTypeOf(key)
+    }));
+  }
+
+  async list(prefix) {
+    const client = await this.getClient();
+    const keys = [];
+    let continuationToken;
+
+    do {
+      const response = await client.send(new this.commands.ListObjectsV2Command({
+        Bucket: this.settings.bucket,
+        Prefix: this.prefix + prefix,
+        ContinuationToken: continuationToken
+      }));
+
+      (response.Contents || []).forEach(object => keys.push(object.Key.slice(this.prefix.length)));
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return keys;
+  }
+
+  async delete(keys) {
+    const client = await this.getClient();
+
+    for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+      await client.send(new this.commands.DeleteObjectsCommand({
+        Bucket: this.settings.bucket,
+        Delete: {
+          Objects: keys.slice(i, i + DELETE_BATCH_SIZE).map(key => ({ Key: this.prefix + key })),
+          Quiet: true
+        }
+      }));
+    }
+  }
+}
+
+export default S3BlobStore;
@@ -0,0 +1,142 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import ApiKeyService from '../services/apiKeyService.js';
+import logger from '../utils/logger.js';
+import { ROLES, hasRole } from '../utils/roles.js';
+import { JWT_SECRET, JWT_ISSUER } from '../config/config.js';
+
+const apiKeys = new ApiKeyService();
+
+const ANONYMOUS = Object.freeze({ role: 'public', method: 'anonymous', subject: null, keyId: null });
+
+/**
+ * Error passed to errorHandler, which maps its name to the status
+ */
+function authError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+/**
+ * Verify the signature of an HS256 JWT signed with JWT_SECRET
+ * @param {string} token - Compact JWT
+ * @returns {Object|null} The claims, or null if the token is not one of ours
+ */
+function verifyJwt(token) {
+  const [encodedHeader, encodedPayload, signature, ...rest] = token.split('.');
+
+  if (!encodedHeader || !encodedPayload || !signature || rest.length > 0) {
+    return null;
+  }
+
+  try {
+    const header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+    if (header.alg !== 'HS256') {
+      return null;
+    }
+
+    const expected = createHmac('sha256', JWT_SECRET).update(`${encodedHeader}.${encodedPayload}`).digest();
+    const actual = Buffer.from(signature, 'base64url');
+
+    if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+      return null;
+    }
+
+    return JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check the claims of a verified JWT
+ * @returns {string|null} Why the token is rejected, or null if it is valid
+ */
+function rejectClaims(claims) {
+  const now = Math.floor(Date.now() / 1000);
+
+  // Tokens without an expiry would grant their role forever
+  if (typeof claims.exp !== 'number') return 'Missing exp';
+  if (claims.exp <= now) return 'Token expired';
+  if (typeof claims.nbf === 'number' && claims.nbf > now) return 'Token not yet valid';
+  if (JWT_ISSUER && claims.iss !== JWT_ISSUER) return 'Token issuer not accepted';
+  if (!ROLES.includes(claims.role)) return `Token role must be one of ${ROLES.join(', ')}`;
+  return null;
+}
+
+/**
+ * Resolve the caller's role into req.auth = { role, method, subject, keyId }
+ * An X-API-Key header must hold an active key. Authorization: Bearer is taken as a role JWT
+ * (claims sub, role, exp) when it is signed with JWT_SECRET, and is otherwise left to
+ * resolveEntitlement (consumer sessions). Callers without credentials are 'public'. Invalid
+ * credentials are rejected with 401 rather than downgraded, so clients notice a revoked key
+ * or an expired token.
+ */
+export const authenticate = async (req, res, next) => {
+  req.auth = ANONYMOUS;
+
+  const key = req.get('X-API-Key');
+
+  if (key) {
+    try {
+      const apiKey = await apiKeys.verify(key);
+
+      if (!apiKey) {
+        return next(authError('UnauthorizedError', 'Invalid, expired or revoked API key'));
+      }
+
+      req.auth = { role: apiKey.role, method: 'api-key', subject: apiKey.name, keyId: apiKey.id };
+      return next();
+
+    } catch (error) {
+      // Fail closed: a key that cannot be checked grants nothing
+      logger.error('API key verification failed', { error: error.message, url: req.url });
+      return next(error);
+    }
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  const claims = scheme === 'Bearer' && token && JWT_SECRET ? verifyJwt(token) : null;
+
+  if (claims) {
+    const reason = rejectClaims(claims);
+
+    if (reason) {
+      return next(authError('UnauthorizedError', reason));
+    }
+
+    req.auth = { role: claims.role, method: 'jwt', subject: claims.sub || null, keyId: null };
+  }
+
+  next();
+};
+
+/**
+ * Route annotation: only callers with `role` or a higher one pass
+ * Anonymous callers get 401, authenticated callers with a lower role 403.
+ * @param {string} role - One of ROLES
+ * @returns {Function} Express middleware, with the role as `middleware.role`
+ */
+export const requireRole = (role) => {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role: ${role} (expected ${ROLES.join(', ')})`);
+  }
+
+  const middleware = (req, res, next) => {
+    const auth = req.auth || ANONYMOUS;
+
+    if (hasRole(auth.role, role)) {
+      return next();
+    }
+
+    if (auth.method === 'anonymous') {
+      return next(authError('UnauthorizedError', `Requires the ${role} role: send an API key (X-API-Key) or token (Authorization: Bearer)`));
+    }
+
+    next(authError('ForbiddenError', `Requires the ${role} role (caller has ${auth.role})`));
+  };
+
+  middleware.role = role;
+  return middleware;
+};
@@ -0,0 +1,75 @@
+import { supabase } from '../config/supabase.js';
+import logger from '../utils/logger.js';
+import { ENTITLEMENT } from '../utils/entitlements.js';
+
+// Verified consumer tokens, so each request does not round-trip to Supabase Auth
+const TOKEN_CACHE_TTL_MS = 60 * 1000;
+const TOKEN_CACHE_MAX_ENTRIES = 1000;
+const tokenCache = new Map();
+
+/**
+ * Verify a consumer access token with Supabase Auth
+ * @param {string} token - Bearer token from the Authorization header
+ * @returns {Promise<Object|null>} Supabase user, or null if the token is invalid
+ */
+async function verifyConsumerToken(token) {
+  const cached = tokenCache.get(token);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.user;
+  }
+
+  // Consumer sessions live in Supabase Auth, which is optional on the postgres / sqlite backends
+  if (!supabase) {
+    throw new Error('Supabase Auth is not configured');
+  }
+
+  const { data, error } = await supabase.auth.getUser(token);
+  const user = error ? null : data?.user || null;
+
+  if (tokenCache.size >= TOKEN_CACHE_MAX_ENTRIES) {
+    tokenCache.delete(tokenCache.keys().next().value);
+  }
+  tokenCache.set(token, { user, expiresAt: Date.now() + TOKEN_CACHE_TTL_MS });
+
+  return user;
+}
+
+/**
+ * Resolve the caller's feed entitlement into req.entitlement
+ * Anonymous callers get IDX; a valid Supabase Auth session of a registered consumer
+ * (Authorization: Bearer <access token>) gets VOW. An invalid token is rejected with 401
+ * rather than silently downgraded, so clients know to refresh the session.
+ */
+export const resolveEntitlement = async (req, res, next) => {
+  req.entitlement = ENTITLEMENT.IDX;
+
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  // Role JWTs (see middleware/auth.js) are not consumer sessions
+  if (scheme !== 'Bearer' || !token || req.auth?.method === 'jwt') {
+    return next();
+  }
+
+  try {
+    const user = await verifyConsumerToken(token);
+
+    if (!user) {
+      const error = new Error('Invalid or expired consumer session');
+      error.name = 'UnauthorizedError';
+      return next(error);
+    }
+
+    req.consumer = user;
+    req.entitlement = ENTITLEMENT.VOW;
+    next();
+
+  } catch (error) {
+    // Auth outage: serve IDX data rather than failing public requests
+    logger.warn('Consumer token verification failed, serving IDX entitlement', {
+      error: error.message,
+      url: req.url
+    });
+    next();
+  }
+};
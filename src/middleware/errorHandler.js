@@ -4,15 +4,24 @@ import logger from '../utils/logger.js';
  * Global error handling middleware
  */
 export const errorHandler = (err, req, res, next) => {
-  // Log the error
-  logger.error('Unhandled error', {
-    error: err.message,
-    stack: err.stack,
-    url: req.url,
-    method: req.method,
-    ip: req.ip,
-    userAgent: req.get('User-Agent')
-  });
+  // Rejected credentials are expected traffic, not failures
+  if (err.name === 'UnauthorizedError' || err.name === 'ForbiddenError') {
+    logger.warn('Request not authorized', {
+      error: err.message,
+      url: req.url,
+      method: req.method,
+      ip: req.ip
+    });
+  } else {
+    logger.error('Unhandled error', {
+      error: err.message,
+      stack: err.stack,
+      url: req.url,
+      method: req.method,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  }
 
   // Don't leak error details in production
   const isDevelopment = process.env.NODE_ENV === 'development';
@@ -31,7 +40,15 @@ export const errorHandler = (err, req, res, next) => {
     return res.status(401).json({
       success: false,
       error: 'Unauthorized',
-      message: 'Authentication required'
+      message: err.message || 'Authentication required'
+    });
+  }
+
+  if (err.name === 'ForbiddenError') {
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: err.message || 'Insufficient role'
     });
   }
 
@@ -14,6 +14,7 @@ export const apiLimiter = rateLimit({
   },
   standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+  skip: (req) => req.path.startsWith('/media/'), // photos have their own limiter (a grid page loads dozens)
   handler: (req, res) => {
     logger.warn('Rate limit exceeded', {
       ip: req.ip,
@@ -73,3 +74,18 @@ export const readLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false
 });
+
+/**
+ * Rate limiter for listing photos
+ */
+export const mediaLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: parseInt(process.env.MEDIA_RATE_LIMIT_MAX_REQUESTS) || 600, // 600 photos per minute
+  message: {
+    success: false,
+    error: 'Media Rate Limit Exceeded',
+    message: 'Too many media requests. Please slow down.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
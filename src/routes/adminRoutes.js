@@ -0,0 +1,40 @@
+import express from 'express';
+import AdminController from '../controllers/adminController.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { readLimiter } from '../middleware/rateLimiter.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+const adminController = new AdminController();
+
+/**
+ * GET /api/admin/keys
+ * List API keys
+ */
+router.get('/keys',
+  requireRole('admin'),
+  readLimiter,
+  asyncHandler(adminController.listApiKeys.bind(adminController))
+);
+
+/**
+ * POST /api/admin/keys
+ * Create an API key; body { name, role, expiresAt }
+ */
+router.post('/keys',
+  requireRole('admin'),
+  readLimiter,
+  asyncHandler(adminController.createApiKey.bind(adminController))
+);
+
+/**
+ * DELETE /api/admin/keys/:id
+ * Revoke an API key
+ */
+router.delete('/keys/:id',
+  requireRole('admin'),
+  readLimiter,
+  asyncHandler(adminController.revokeApiKey.bind(adminController))
+);
+
+export default router;
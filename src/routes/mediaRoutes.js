@@ -0,0 +1,24 @@
+import express from 'express';
+import MediaController from '../controllers/mediaController.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { mediaLimiter } from '../middleware/rateLimiter.js';
+import { resolveEntitlement } from '../middleware/entitlement.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+const mediaController = new MediaController();
+
+// Photos follow the entitlement of their listing
+router.use(resolveEntitlement);
+
+/**
+ * GET /api/media/:mediaKey/:size
+ * Sized listing photo (thumbnail, card, full), cached from the board CDN
+ */
+router.get('/:mediaKey/:size',
+  requireRole('public'),
+  mediaLimiter,
+  asyncHandler(mediaController.getMediaDerivative.bind(mediaController))
+);
+
+export default router;
@@ -0,0 +1,34 @@
+import express from 'express';
+import OpenHouseController from '../controllers/openHouseController.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { readLimiter } from '../middleware/rateLimiter.js';
+import { resolveEntitlement } from '../middleware/entitlement.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+const openHouseController = new OpenHouseController();
+
+// Open houses follow the entitlement of their listing
+router.use(resolveEntitlement);
+
+/**
+ * GET /api/open-houses
+ * Find open houses by date range, city, price and property type
+ */
+router.get('/', 
+  requireRole('public'),
+  readLimiter,
+  asyncHandler(openHouseController.getOpenHouses.bind(openHouseController))
+);
+
+/**
+ * GET /api/open-houses/calendar.ics
+ * iCalendar feed of an open house query, for calendar subscriptions
+ */
+router.get('/calendar.ics', 
+  requireRole('public'),
+  readLimiter,
+  asyncHandler(openHouseController.getCalendar.bind(openHouseController))
+);
+
+export default router;
@@ -1,25 +1,44 @@
 import express from 'express';
 import PropertyController from '../controllers/propertyController.js';
+import OpenHouseController from '../controllers/openHouseController.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { readLimiter, syncLimiter } from '../middleware/rateLimiter.js';
+import { resolveEntitlement } from '../middleware/entitlement.js';
+import { requireRole } from '../middleware/auth.js';
 
 const router = express.Router();
 const propertyController = new PropertyController();
+const openHouseController = new OpenHouseController();
+
+// Anonymous callers get IDX listings and fields; registered consumer sessions get VOW
+router.use(resolveEntitlement);
 
 /**
  * GET /api/properties
  * Get properties with pagination and filtering
  */
 router.get('/', 
+  requireRole('public'),
   readLimiter,
   asyncHandler(propertyController.getProperties.bind(propertyController))
 );
 
 /**
  * GET /api/properties/search
- * Advanced property search
+ * Ranked full-text search (query=...) combined with filters and geo filters (near=, bbox=)
  */
 router.get('/search', 
+  requireRole('public'),
+  readLimiter,
+  asyncHandler(propertyController.searchProperties.bind(propertyController))
+);
+
+/**
+ * POST /api/properties/search
+ * Same as GET, restricted to the GeoJSON polygon in the request body
+ */
+router.post('/search', 
+  requireRole('public'),
   readLimiter,
   asyncHandler(propertyController.searchProperties.bind(propertyController))
 );
@@ -29,6 +48,7 @@ router.get('/search',
  * Get property statistics
  */
 router.get('/stats', 
+  requireRole('public'),
   readLimiter,
   asyncHandler(propertyController.getPropertyStats.bind(propertyController))
 );
@@ -38,6 +58,7 @@ router.get('/stats',
  * Get a single property by ListingKey
  */
 router.get('/:listingKey', 
+  requireRole('public'),
   readLimiter,
   asyncHandler(propertyController.getProperty.bind(propertyController))
 );
@@ -47,15 +68,67 @@ router.get('/:listingKey',
  * Get media for a specific property
  */
 router.get('/:listingKey/media', 
+  requireRole('public'),
   readLimiter,
   asyncHandler(propertyController.getPropertyMedia.bind(propertyController))
 );
 
+/**
+ * GET /api/properties/:listingKey/rooms
+ * Get rooms for a specific property
+ */
+router.get('/:listingKey/rooms', 
+  requireRole('public'),
+  readLimiter,
+  asyncHandler(propertyController.getPropertyRooms.bind(propertyController))
+);
+
+/**
+ * GET /api/properties/:listingKey/open-houses
+ * Get open houses for a specific property
+ */
+router.get('/:listingKey/open-houses', 
+  requireRole('public'),
+  readLimiter,
+  asyncHandler(propertyController.getPropertyOpenHouses.bind(propertyController))
+);
+
+/**
+ * GET /api/properties/:listingKey/open-houses.ics
+ * iCalendar feed of a property's open houses
+ */
+router.get('/:listingKey/open-houses.ics', 
+  requireRole('public'),
+  readLimiter,
+  asyncHandler(openHouseController.getListingCalendar.bind(openHouseController))
+);
+
+/**
+ * GET /api/properties/:listingKey/full
+ * Get a property with media, rooms by level and upcoming open houses
+ */
+router.get('/:listingKey/full', 
+  requireRole('public'),
+  readLimiter,
+  asyncHandler(propertyController.getPropertyDetail.bind(propertyController))
+);
+
+/**
+ * GET /api/properties/:listingKey/history
+ * Recorded changes of price, status and close fields, oldest first
+ */
+router.get('/:listingKey/history', 
+  requireRole('public'),
+  readLimiter,
+  asyncHandler(propertyController.getPropertyHistory.bind(propertyController))
+);
+
 /**
  * POST /api/properties/:listingKey/sync
  * Sync a specific property from the AMPRE API
  */
 router.post('/:listingKey/sync', 
+  requireRole('operator'),
   syncLimiter,
   asyncHandler(propertyController.syncProperty.bind(propertyController))
 );
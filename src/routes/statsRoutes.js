@@ -0,0 +1,34 @@
+import express from 'express';
+import StatsController from '../controllers/statsController.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { readLimiter } from '../middleware/rateLimiter.js';
+import { resolveEntitlement } from '../middleware/entitlement.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+const statsController = new StatsController();
+
+// Sold figures are only included for VOW callers
+router.use(resolveEntitlement);
+
+/**
+ * GET /api/stats/market
+ * Market statistics per group and month
+ */
+router.get('/market',
+  requireRole('public'),
+  readLimiter,
+  asyncHandler(statsController.getMarketStats.bind(statsController))
+);
+
+/**
+ * GET /api/stats/summary
+ * Market statistics per group over the trailing months
+ */
+router.get('/summary',
+  requireRole('public'),
+  readLimiter,
+  asyncHandler(statsController.getSummary.bind(statsController))
+);
+
+export default router;
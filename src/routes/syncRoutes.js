@@ -2,6 +2,7 @@ import express from 'express';
 import SyncController from '../controllers/syncController.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { readLimiter, syncLimiter } from '../middleware/rateLimiter.js';
+import { requireRole } from '../middleware/auth.js';
 
 const router = express.Router();
 const syncController = new SyncController();
@@ -11,6 +12,7 @@ const syncController = new SyncController();
  * Get sync status and health information
  */
 router.get('/status', 
+  requireRole('partner'),
   readLimiter,
   asyncHandler(syncController.getSyncStatus.bind(syncController))
 );
@@ -20,6 +22,7 @@ router.get('/status',
  * Get sync configuration
  */
 router.get('/config', 
+  requireRole('operator'),
   readLimiter,
   asyncHandler(syncController.getSyncConfig.bind(syncController))
 );
@@ -29,15 +32,47 @@ router.get('/config',
  * Health check endpoint
  */
 router.get('/health', 
+  requireRole('public'),
   readLimiter,
   asyncHandler(syncController.healthCheck.bind(syncController))
 );
 
+/**
+ * GET /api/sync/jobs
+ * List sync jobs (API, scheduler and CLI runs), newest first
+ */
+router.get('/jobs', 
+  requireRole('partner'),
+  readLimiter,
+  asyncHandler(syncController.listSyncJobs.bind(syncController))
+);
+
+/**
+ * GET /api/sync/jobs/:id
+ * Get a sync job's state, per-resource progress, result and timings
+ */
+router.get('/jobs/:id', 
+  requireRole('partner'),
+  readLimiter,
+  asyncHandler(syncController.getSyncJob.bind(syncController))
+);
+
+/**
+ * POST /api/sync/jobs/:id/cancel
+ * Cancel a running sync job between batches
+ */
+router.post('/jobs/:id/cancel', 
+  requireRole('operator'),
+  syncLimiter,
+  asyncHandler(syncController.cancelSyncJob.bind(syncController))
+);
+
 /**
  * POST /api/sync/full
  * Trigger a full sync of all data
  */
 router.post('/full', 
+  requireRole('operator'),
   syncLimiter,
   asyncHandler(syncController.triggerFullSync.bind(syncController))
 );
@@ -47,6 +82,7 @@ router.post('/full',
  * Trigger an incremental sync
  */
 router.post('/incremental', 
+  requireRole('operator'),
   syncLimiter,
   asyncHandler(syncController.triggerIncrementalSync.bind(syncController))
 );
@@ -56,15 +92,17 @@ router.post('/incremental',
  * Sync properties only
  */
 router.post('/properties', 
+  requireRole('operator'),
   syncLimiter,
   asyncHandler(syncController.syncProperties.bind(syncController))
 );
 
 /**
  * POST /api/sync/media
- * Sync media only
+ * Sync media only; body { incremental, strategy: changed-photos-only | by-parent-keys | by-timestamp }
  */
 router.post('/media', 
+  requireRole('operator'),
   syncLimiter,
   asyncHandler(syncController.syncMedia.bind(syncController))
 );
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+
+/**
+ * Generate field maps and DDL from the RESO $metadata document
+ *
+ * For every resource in src/config/schemaFields.js, looks up the selected fields in $metadata
+ * and writes:
+ *   src/config/generated/<Resource>.js  - field map (name, EDM type) and column allow-list
+ *   database/generated/<Resource>.sql   - Postgres DDL (ADD COLUMN IF NOT EXISTS per column)
+ *
+ * Usage:
+ *   node src/scripts/generate-schema.js                      # from the cached database/ampre-metadata.xml
+ *   node src/scripts/generate-schema.js --fetch              # refresh the cache from the API first
+ *   node src/scripts/generate-schema.js --metadata <file>    # use another cached copy
+ *   node src/scripts/generate-schema.js --resource Property  # one resource only
+ *   node src/scripts/generate-schema.js --check              # exit 1 if the generated files are stale
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SCHEMA_FIELDS } from '../config/schemaFields.js';
+import { parseMetadata, generateDdl } from '../utils/resoMetadata.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.join(__dirname, '../..');
+
+const DEFAULT_METADATA_FILE = path.join(rootDir, 'database', 'ampre-metadata.xml');
+const MODULE_DIR = path.join(rootDir, 'src', 'config', 'generated');
+const DDL_DIR = path.join(rootDir, 'database', 'generated');
+
+function readOption(name, defaultValue) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : defaultValue;
+}
+
+/**
+ * Resolve the selected fields of a resource against its $metadata entity type
+ * @param {string} resource - RESO resource name
+ * @param {Object} selection - Entry of SCHEMA_FIELDS
+ * @param {Object} entityTypes - Result of parseMetadata()
+ * @returns {Object} { resource, table, key, fields, columns, localColumns }
+ */
+function buildResourceSchema(resource, selection, entityTypes) {
+  const entityType = entityTypes[resource];
+  if (!entityType) {
+    throw new Error(`Entity type ${resource} is not in the $metadata document`);
+  }
+
+  const byName = new Map(entityType.fields.map(field => [field.name, field]));
+  const missing = selection.fields.filter(name => !byName.has(name));
+  if (missing.length > 0) {
+    throw new Error(`${resource} fields not in $metadata: ${missing.join(', ')}`);
+  }
+
+  const key = entityType.key[0];
+  if (!selection.fields.includes(key)) {
+    throw new Error(`${resource} selection must include its key field ${key}`);
+  }
+
+  const fields = selection.fields.map(name => byName.get(name));
+  const localColumns = selection.localColumns || {};
+
+  return {
+    resource,
+    table: selection.table,
+    key,
+    fields,
+    columns: [...selection.fields, ...Object.keys(localColumns)],
+    localColumns
+  };
+}
+
+function renderModule(schema) {
+  const fields = schema.fields
+    .map(field => `    { name: '${field.name}', type: '${field.type}', collection: ${field.collection} }`)
+    .join(',\n');
+  // Wrap the allow-list like the hand-written column lists (about 100 characters per line)
+  const columnLines = schema.columns.reduce((lines, column) => {
+    const quoted = `'${column}'`;
+    const last = lines[lines.length - 1];
+    if (last !== undefined && last.length + quoted.length + 2 <= 96) {
+      lines[lines.length - 1] = `${last}, ${quoted}`;
+    } else {
+      lines.push(quoted);
+    }
+    return lines;
+  }, []);
+  const columns = columnLines.map(line => `    ${line}`).join(',\n');
+
+  return `// Generated by src/scripts/generate-schema.js from the RESO $metadata document - do not edit.
+// Adopt or drop fields in src/config/schemaFields.js and run \`npm run generate-schema\`.
+
+export default {
+  resource: '${schema.resource}',
+  table: '${schema.table}',
+  key: '${schema.key}',
+  fields: [
+${fields}
+  ],
+  // Column allow-list: mapped fields plus columns maintained by this service
+  columns: [
+${columns}
+  ]
+};
+`;
+}
+
+function renderDdl(schema) {
+  return `-- Generated by src/scripts/generate-schema.js from the RESO $metadata document - do not edit.
+-- Safe to re-run: creates the ${schema.table} table if needed and adds any missing mapped columns.
+
+${generateDdl(schema)}`;
+}
+
+async function loadMetadata(metadataFile, fetchLive) {
+  if (fetchLive) {
+    const { default: AmpreApiService } = await import('../services/ampreApiService.js');
+    const document = await new AmpreApiService().getMetadata(readOption('--feed', 'idx'));
+    const text = typeof document === 'string' ? document : JSON.stringify(document, null, 2);
+
+    await fs.writeFile(metadataFile, text.endsWith('\n') ? text : `${text}\n`);
+    console.log(`📥 Cached $metadata in ${path.relative(rootDir, metadataFile)}`);
+    return text;
+  }
+
+  return fs.readFile(metadataFile, 'utf8');
+}
+
+async function writeIfChanged(file, content, check) {
+  const current = await fs.readFile(file, 'utf8').catch(() => null);
+  const relative = path.relative(rootDir, file);
+
+  if (current === content) {
+    console.log(`   ✓ ${relative} is up to date`);
+    return false;
+  }
+
+  if (check) {
+    console.log(`   ✗ ${relative} is out of date`);
+    return true;
+  }
+
+  await fs.writeFile(file, content);
+  console.log(`   ✏️  Wrote ${relative}`);
+  return true;
+}
+
+async function main() {
+  const metadataFile = path.resolve(readOption('--metadata', DEFAULT_METADATA_FILE));
+  const onlyResource = readOption('--resource', null);
+  const check = process.argv.includes('--check');
+
+  const resources = Object.keys(SCHEMA_FIELDS).filter(resource => !onlyResource || resource === onlyResource);
+  if (resources.length === 0) {
+    throw new Error(`Unknown resource: ${onlyResource} (expected one of ${Object.keys(SCHEMA_FIELDS).join(', ')})`);
+  }
+
+  const entityTypes = parseMetadata(await loadMetadata(metadataFile, process.argv.includes('--fetch')));
+  let stale = false;
+
+  for (const resource of resources) {
+    const schema = buildResourceSchema(resource, SCHEMA_FIELDS[resource], entityTypes);
+    console.log(`🧬 ${resource}: ${schema.fields.length} feed fields, ${Object.keys(schema.localColumns).length} local columns`);
+
+    stale = await writeIfChanged(path.join(MODULE_DIR, `${resource}.js`), renderModule(schema), check) || stale;
+    stale = await writeIfChanged(path.join(DDL_DIR, `${resource}.sql`), renderDdl(schema), check) || stale;
+  }
+
+  if (check && stale) {
+    console.log('Generated schema files are stale: run `npm run generate-schema`');
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ Schema generation failed: ${error.message}`);
+  process.exit(1);
+});
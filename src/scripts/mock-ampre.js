@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+
+/**
+ * Run the local AMPRE OData mock server
+ * Serves mock/fixtures (or --fixtures <dir>) on http://localhost:4010 (or --port <n>).
+ * Point the sync at it with AMPRE_BASE_URL=http://localhost:4010 and any non-empty tokens.
+ */
+
+import { createMockAmpreServer } from '../../mock/ampreMockServer.js';
+
+function readOption(name, defaultValue) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : defaultValue;
+}
+
+const port = parseInt(readOption('--port', process.env.MOCK_AMPRE_PORT || '4010'));
+const fixturesDir = readOption('--fixtures', undefined);
+
+const mockServer = createMockAmpreServer({ fixturesDir });
+const url = await mockServer.listen(port, readOption('--host', '127.0.0.1'));
+
+console.log(`🧪 AMPRE mock server listening on ${url}`);
+Object.entries(mockServer.fixtures).forEach(([resource, records]) => {
+  console.log(`   ${resource}: ${records.length} records`);
+});
+console.log('   Faults: POST /__mock/faults {"status":429,"times":2,"retryAfter":1,"match":"Property"}');
+
+const shutdown = async () => {
+  await mockServer.close();
+  process.exit(0);
+};
+
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
@@ -8,6 +8,7 @@
 import { setProcessEnv } from '../config/credentials.js';
 import cron from 'node-cron';
 import SyncService from '../services/syncService.js';
+import SyncJobService from '../services/syncJobService.js';
 import logger from '../utils/logger.js';
 
 // Load hardcoded configuration
@@ -16,6 +17,7 @@ setProcessEnv();
 class ScheduledSync {
   constructor() {
     this.syncService = new SyncService();
+    this.syncJobs = new SyncJobService(this.syncService.database);
     this.isRunning = false;
     this.lastRun = null;
     this.syncInterval = process.env.SYNC_INTERVAL_MINUTES || 30;
@@ -75,19 +77,23 @@ class ScheduledSync {
 
     this.isRunning = true;
     const startTime = Date.now();
+    let job = null;
 
     try {
       logger.info('Starting scheduled incremental sync');
       
-      const result = await this.syncService.performIncrementalSync();
+      job = await this.syncJobs.create({ type: 'incremental', trigger: 'cron' });
+      const result = await this.syncService.performIncrementalSync({ job });
+      await this.syncJobs.finish(job, { result });
       
       this.lastRun = {
         type: 'incremental',
+        jobId: job.id,
         startTime: new Date(startTime).toISOString(),
         endTime: new Date().toISOString(),
         duration: Date.now() - startTime,
         result,
-        success: true
+        success: result.success
       };
 
       logger.info('Scheduled incremental sync completed successfully', {
@@ -97,8 +103,15 @@ class ScheduledSync {
       });
 
     } catch (error) {
+      if (job) {
+        await this.syncJobs.finish(job, { error }).catch(finishError => {
+          logger.error('Failed to record scheduled sync job', { id: job.id, error: finishError.message });
+        });
+      }
+
       this.lastRun = {
         type: 'incremental',
+        jobId: job?.id || null,
         startTime: new Date(startTime).toISOString(),
         endTime: new Date().toISOString(),
         duration: Date.now() - startTime,
@@ -126,19 +139,23 @@ class ScheduledSync {
 
     this.isRunning = true;
     const startTime = Date.now();
+    let job = null;
 
     try {
       logger.info('Starting scheduled full sync');
       
-      const result = await this.syncService.performFullSync();
+      job = await this.syncJobs.create({ type: 'full', trigger: 'cron' });
+      const result = await this.syncService.performFullSync({ job });
+      await this.syncJobs.finish(job, { result });
       
       this.lastRun = {
         type: 'full',
+        jobId: job.id,
         startTime: new Date(startTime).toISOString(),
         endTime: new Date().toISOString(),
         duration: Date.now() - startTime,
         result,
-        success: true
+        success: result.success
       };
 
       logger.info('Scheduled full sync completed successfully', {
@@ -148,8 +165,15 @@ class ScheduledSync {
       });
 
     } catch (error) {
+      if (job) {
+        await this.syncJobs.finish(job, { error }).catch(finishError => {
+          logger.error('Failed to record scheduled sync job', { id: job.id, error: finishError.message });
+        });
+      }
+
       this.lastRun = {
         type: 'full',
+        jobId: job?.id || null,
         startTime: new Date(startTime).toISOString(),
         endTime: new Date().toISOString(),
         duration: Date.now() - startTime,
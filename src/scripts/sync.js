@@ -7,8 +7,11 @@
  *   --idx          : Sync IDX feed with batch orchestration (1000 property batches)
  *   --vow          : Sync VOW feed with batch orchestration (1000 property batches)
  *   --media        : Sync only media
+ *   --media-strategy <name> : Media sync strategy: changed-photos-only, by-parent-keys or by-timestamp
  *   --rooms        : Sync only rooms
  *   --openhouse    : Sync only open houses
+ *   --members      : Sync only members (agents)
+ *   --offices      : Sync only offices (brokerages)
  *   --incremental  : Perform incremental sync
  *   --scheduled    : Run scheduled sync
  *   --single <key> : Sync single property by ListingKey
@@ -16,10 +19,16 @@
  *   --100          : Test with 100 properties
  *   --500          : Test with 500 properties
  *   --1000         : Test with 1000 properties
+ *
+ * Each run is recorded as a sync job (GET /api/sync/jobs); cancelling the job through
+ * POST /api/sync/jobs/:id/cancel stops the run after the batch in progress.
  */
 
 import SyncService from '../services/syncService.js';
+import SyncJobService from '../services/syncJobService.js';
 import logger from '../utils/logger.js';
+import { FEED_FLAG_COLUMNS } from '../utils/entitlements.js';
+import { odataString } from '../utils/odata.js';
 import { mapProperty } from '../../mappers/mapProperty.js';
 import { 
   apiUrls, 
@@ -33,6 +42,8 @@ import {
 class BatchOrchestratedSyncScript {
   constructor() {
     this.syncService = new SyncService();
+    this.syncJobs = new SyncJobService(this.syncService.database);
+    this.job = null;
     this.batchSize = BATCH_SIZE_PROPERTY;
     this.mediaBatchSize = BATCH_SIZE_MEDIA;
     this.syncStartDate = SYNC_START_DATE;
@@ -73,6 +84,16 @@ class BatchOrchestratedSyncScript {
       console.log('🔧 Initializing Enhanced Batch-Orchestrated Sync Service...');
       console.log(`📋 Sync options: ${Object.keys(syncOptions).filter(key => syncOptions[key]).join(', ')}`);
       
+      // Record the run as a sync job; the engine reports standalone syncs to it as well
+      const orchestrated = syncOptions.idx || syncOptions.vow ||
+        !(syncOptions.media || syncOptions.rooms || syncOptions.openhouse || syncOptions.members || syncOptions.offices);
+      this.job = await this.syncJobs.create({
+        type: orchestrated ? 'properties' : 'resources',
+        trigger: 'cli',
+        options: { args }
+      });
+      this.syncService.job = this.job;
+      
       // Load last sync state from SyncLog
       await this.loadLastSyncState();
       
@@ -80,7 +101,7 @@ class BatchOrchestratedSyncScript {
       if (syncOptions.idx || syncOptions.vow) {
         console.log('🎯 Executing Batch-Orchestrated Sync (Properties + Related Resources)');
         await this.executeBatchOrchestratedSync(syncOptions);
-      } else if (syncOptions.media || syncOptions.rooms || syncOptions.openhouse) {
+      } else if (syncOptions.media || syncOptions.rooms || syncOptions.openhouse || syncOptions.members || syncOptions.offices) {
         console.log('🎯 Executing Standalone Resource Sync');
         await this.executeStandaloneSync(syncOptions);
       } else {
@@ -91,10 +112,19 @@ class BatchOrchestratedSyncScript {
       
       // Final sync log update
       await this.updateSyncLog();
+      await this.syncJobs.finish(this.job, { result: this.getJobResult() });
       
       this.printFinalStats();
       
     } catch (error) {
+      // A cancelled job stops cleanly after its last committed batch
+      if (this.job?.cancelRequested) {
+        console.log(`\n🛑 Sync job ${this.job.id} cancelled - stopped after batch ${this.syncState.batchNumber}`);
+        await this.updateSyncLog();
+        await this.syncJobs.finish(this.job, { result: { ...this.getJobResult(), success: false, cancelled: true }, error });
+        return;
+      }
+      
       console.error('\n❌ Enhanced batch-orchestrated sync failed:');
       console.error(`   ${error.message}`);
       console.error(`   Stack: ${error.stack}`);
@@ -111,6 +141,12 @@ class BatchOrchestratedSyncScript {
         console.error('❌ Failed to update sync log with failure status:', logError.message);
       }
       
+      if (this.job) {
+        await this.syncJobs.finish(this.job, { error }).catch(jobError => {
+          console.error('❌ Failed to record sync job failure:', jobError.message);
+        });
+      }
+      
       process.exit(1);
     }
   }
@@ -125,7 +161,10 @@ class BatchOrchestratedSyncScript {
       media: args.includes('--media'),
       rooms: args.includes('--rooms'),
       openhouse: args.includes('--openhouse'),
-      force: args.includes('--force')
+      members: args.includes('--members'),
+      offices: args.includes('--offices'),
+      force: args.includes('--force'),
+      mediaStrategy: this.syncService.getCliOption(args, '--media-strategy')
     };
 
     // Check for test flags and set test limit
@@ -160,39 +199,69 @@ class BatchOrchestratedSyncScript {
   }
 
   /**
-   * Execute standalone sync for --media, --rooms, --openhouse flags
+   * Execute standalone sync for --media, --rooms, --openhouse, --members, --offices flags
    * Maintains CLI structure for independent resource sync
    */
   async executeStandaloneSync(options) {
     console.log('🎯 Executing Standalone Sync');
     console.log('📋 Standalone sync options:', Object.keys(options).filter(key => options[key]));
     
+    // Timestamp-paged resources resume from their stored high-water marks
+    await this.syncService.loadSyncCursors();
+    
     if (options.media) {
       console.log('\n🖼️  === MEDIA SYNC ===');
-      console.log('🔄 Syncing media with parent integrity...');
-      await this.syncService.syncMediaWithParentIntegrity();
+      await this.syncService.mediaSync.sync({ strategy: options.mediaStrategy });
     }
     
     if (options.rooms) {
       console.log('\n🏠 === PROPERTY ROOMS SYNC ===');
       console.log('🔄 Syncing property rooms with parent integrity...');
-      await this.syncService.syncRoomsWithParentIntegrity();
+      await this.syncService.syncResource('rooms');
     }
     
     if (options.openhouse) {
       console.log('\n🏡 === OPEN HOUSE SYNC ===');
       console.log('🔄 Syncing open houses with parent integrity...');
-      await this.syncService.syncOpenHousesWithParentIntegrity();
+      await this.syncService.syncResource('openHouse');
+    }
+    
+    if (options.members) {
+      console.log('\n🧑‍💼 === MEMBER SYNC ===');
+      await this.syncService.syncResource('member');
+    }
+    
+    if (options.offices) {
+      console.log('\n🏢 === OFFICE SYNC ===');
+      await this.syncService.syncResource('office');
     }
     
     console.log('✅ Standalone sync completed');
   }
 
+  /**
+   * Batch orchestration of one feed while holding the sync locks of everything it writes
+   * Fails with 'Sync already running: ...' if the scheduler or an API sync holds one of them.
+   */
+  async syncPropertiesWithBatchOrchestration(feedType) {
+    const leases = await this.syncService.locks.acquireAll(
+      [`${feedType}_property`, 'media', 'rooms', 'openhouse'],
+      { jobId: this.job?.id }
+    );
+    
+    try {
+      await this.processPropertyBatches(feedType, leases);
+    } finally {
+      await Promise.all(leases.map(lease => lease.release()));
+    }
+  }
+
   /**
    * Enhanced batch orchestration method for properties with coordinated child resource fetching
    * Processes properties in batches of 1000, fetches related resources in parallel, and upserts in correct order
+   * @param {Array<SyncLease>} leases - Held sync locks, checked between batches
    */
-  async syncPropertiesWithBatchOrchestration(feedType) {
+  async processPropertyBatches(feedType, leases) {
     console.log(`🔄 Starting ${feedType.toUpperCase()} batch orchestration`);
     console.log(`📊 Batch size: ${this.batchSize} properties per batch`);
     
@@ -201,8 +270,14 @@ class BatchOrchestratedSyncScript {
     let consecutiveFailures = 0;
     const maxRetries = 3;
     let totalProcessedInTest = 0;
+    let feedBatches = 0;
+    const syncType = `${feedType}_property`;
     
     while (hasMoreData) {
+      // Stop between batches once the sync job is cancelled or a lock was taken over
+      await this.job?.throwIfCancelled();
+      leases.forEach(lease => lease.throwIfLost());
+      
       this.syncState.batchNumber++;
       
       console.log(`\n📦 === BATCH ${this.syncState.batchNumber} ===`);
@@ -241,21 +316,17 @@ class BatchOrchestratedSyncScript {
         console.log(`🔑 Extracted ${listingKeys.length} listing keys`);
         
         // Step 3: Fetch child resources in parallel with error handling
-        const [mediaResults, roomsResults, openHouseResults] = await Promise.allSettled([
-          this.fetchMediaForListings(listingKeys),
+        // (media is synced through the media sync module once the properties are committed)
+        const [roomsResults, openHouseResults] = await Promise.allSettled([
           this.fetchRoomsForListings(listingKeys),
           this.fetchOpenHousesForListings(listingKeys)
         ]);
         
         // Process results and handle any failures
-        const mediaData = mediaResults.status === 'fulfilled' ? mediaResults.value : [];
         const roomsData = roomsResults.status === 'fulfilled' ? roomsResults.value : [];
         const openHouseData = openHouseResults.status === 'fulfilled' ? openHouseResults.value : [];
         
         // Log any fetch failures
-        if (mediaResults.status === 'rejected') {
-          console.warn(`⚠️  Media fetch failed: ${mediaResults.reason.message}`);
-        }
         if (roomsResults.status === 'rejected') {
           console.warn(`⚠️  Rooms fetch failed: ${roomsResults.reason.message}`);
         }
@@ -264,7 +335,6 @@ class BatchOrchestratedSyncScript {
         }
         
         console.log(`📊 Parallel fetch results:`);
-        console.log(`   🖼️  Media: ${mediaData.length} records`);
         console.log(`   🏠 Rooms: ${roomsData.length} records`);
         console.log(`   🏡 OpenHouses: ${openHouseData.length} records`);
         
@@ -279,7 +349,7 @@ class BatchOrchestratedSyncScript {
         // Properties first (parent records) - wait for completion
         let successfulListingKeys = [];
         try {
-          successfulListingKeys = await this.upsertPropertiesWithRetry(properties, maxRetries);
+          successfulListingKeys = await this.upsertPropertiesWithRetry(properties, maxRetries, feedType);
           console.log('✅ Properties committed, proceeding with child records...');
         } catch (propertyError) {
           console.error(`❌ Property upsert failed for batch ${this.syncState.batchNumber}: ${propertyError.message}`);
@@ -297,10 +367,6 @@ class BatchOrchestratedSyncScript {
         }
         
         // Filter all child data to only include records for successfully inserted properties
-        const filteredMediaData = mediaData.filter(media => 
-          successfulListingKeys.includes(media.ResourceRecordKey)
-        );
-        
         const filteredRoomsData = roomsData.filter(room => 
           successfulListingKeys.includes(room.ListingKey)
         );
@@ -310,18 +376,24 @@ class BatchOrchestratedSyncScript {
         );
         
         console.log(`🔍 Filtered child records for ${successfulListingKeys.length} properties:`);
-        console.log(`   🖼️  Media: ${filteredMediaData.length} records`);
         console.log(`   🏠 Rooms: ${filteredRoomsData.length} records`);
         console.log(`   🏡 OpenHouses: ${filteredOpenHouseData.length} records`);
         
         // Then children (in parallel for efficiency) - only after properties are committed
         // All child upserts can run in parallel since they're filtered to existing properties
-        await Promise.allSettled([
-          this.upsertMediaWithRetry(filteredMediaData, maxRetries),
+        const [mediaResults] = await Promise.allSettled([
+          this.syncService.mediaSync.syncListings(successfulListingKeys),
           this.upsertRoomsWithRetry(filteredRoomsData, maxRetries),
           this.upsertOpenHousesWithRetry(filteredOpenHouseData, maxRetries)
         ]);
         
+        if (mediaResults.status === 'fulfilled') {
+          const { fetched, upserted, removed } = mediaResults.value;
+          console.log(`   🖼️  Media: ${fetched} fetched, ${upserted} upserted, ${removed} removed`);
+        } else {
+          console.warn(`⚠️  Media sync failed: ${mediaResults.reason.message}`);
+        }
+        
         // Step 5: Update sync state and log
         const lastProperty = properties[properties.length - 1];
         currentTimestamp = lastProperty.ModificationTimestamp;
@@ -343,8 +415,13 @@ class BatchOrchestratedSyncScript {
           console.log(`🧪 Test progress: ${totalProcessedInTest}/${this.testLimit} properties`);
         }
         
-        // Update SyncLog after each batch
+        // Update SyncLog and the sync job after each batch
         await this.updateSyncLog();
+        await this.job?.reportProgress(syncType, {
+          state: 'running',
+          fetched: totalProcessedInTest,
+          batches: ++feedBatches
+        });
         
         // Check if we should continue
         if (properties.length < this.batchSize) {
@@ -379,6 +456,8 @@ class BatchOrchestratedSyncScript {
         }
       }
     }
+    
+    await this.job?.reportProgress(syncType, { state: 'completed' });
   }
 
   /**
@@ -440,97 +519,6 @@ class BatchOrchestratedSyncScript {
     }
   }
 
-  /**
-   * Fetch media for a list of listing keys using $filter=ResourceRecordKey in (...)
-   * FIXED: Now handles pagination to get ALL media records, not just first 5000
-   */
-  async fetchMediaForListings(listingKeys) {
-    if (listingKeys.length === 0) return [];
-    
-    try {
-      // Batch listing keys for API calls - use smaller batches to avoid URL length limits
-      const batches = this.chunkArray(listingKeys, 50); // Reduced from mediaBatchSize to avoid URL length issues
-      const allMedia = [];
-      
-      for (const batch of batches) {
-        console.log(`🔄 Processing media batch: ${batch.length} properties`);
-        
-        // Use $filter=ResourceRecordKey in (...) for better performance
-        const listingKeyList = batch.map(key => `'${key}'`).join(',');
-        const resourceFilter = `ResourceRecordKey in (${listingKeyList})`;
-        
-        // Build the complete filter by combining with existing MEDIA_URL filter
-        let baseUrl = apiUrls.media;
-        let filterParam;
-        
-        // Check if the base URL already has a filter
-        if (baseUrl.includes('$filter=')) {
-          // Extract existing filter and combine with our ResourceRecordKey filter
-          const existingFilter = baseUrl.split('$filter=')[1].split('&')[0];
-          filterParam = `$filter=(${existingFilter}) and (${resourceFilter})`;
-        } else {
-          filterParam = `$filter=${resourceFilter}`;
-        }
-        
-        // Fetch all pages of media for this batch
-        let skip = 0;
-        const pageSize = 1000; // Reasonable page size
-        let hasMorePages = true;
-        let batchMediaCount = 0;
-        
-        while (hasMorePages) {
-          // Construct URL with pagination
-          const paginatedUrl = `${baseUrl}&${filterParam}&$top=${pageSize}&$skip=${skip}`;
-          
-          console.log(`📡 Fetching media page: skip=${skip}, top=${pageSize}`);
-          
-          const response = await fetch(paginatedUrl, {
-            headers: {
-              'Authorization': `Bearer ${tokens.idx}`,
-              'Content-Type': 'application/json'
-            }
-          });
-          
-          if (response.ok) {
-            const data = await response.json();
-            const mediaRecords = data.value || data || [];
-            
-            if (mediaRecords.length === 0) {
-              hasMorePages = false;
-            } else {
-              allMedia.push(...mediaRecords);
-              batchMediaCount += mediaRecords.length;
-              skip += pageSize;
-              
-              // If we got fewer records than pageSize, we've reached the end
-              if (mediaRecords.length < pageSize) {
-                hasMorePages = false;
-              }
-            }
-          } else {
-            console.warn(`⚠️  Media fetch failed for batch page: HTTP ${response.status}`);
-            hasMorePages = false;
-          }
-          
-          // Throttle between pages
-          await this.sleep(250);
-        }
-        
-        console.log(`📥 Fetched ${batchMediaCount} media records for ${batch.length} properties in this batch`);
-        
-        // Throttle between batches
-        await this.sleep(750);
-      }
-      
-      console.log(`📥 Total fetched ${allMedia.length} media records for ${listingKeys.length} properties`);
-      return allMedia;
-      
-    } catch (error) {
-      logger.error('Failed to fetch media for listings:', error);
-      return [];
-    }
-  }
-
   /**
    * Fetch rooms for a list of listing keys in parallel
    */
@@ -542,7 +530,7 @@ class BatchOrchestratedSyncScript {
       const allRooms = [];
       
       for (const batch of batches) {
-        const listingKeyFilter = batch.map(key => `ListingKey eq '${key}'`).join(' or ');
+        const listingKeyFilter = batch.map(key => `ListingKey eq ${odataString(key)}`).join(' or ');
         const response = await fetch(`${apiUrls.rooms}&$filter=${listingKeyFilter}&$top=5000`, {
           headers: {
             'Authorization': `Bearer ${tokens.idx}`,
@@ -577,7 +565,7 @@ class BatchOrchestratedSyncScript {
       const allOpenHouses = [];
       
       for (const batch of batches) {
-        const listingKeyFilter = batch.map(key => `ListingKey eq '${key}'`).join(' or ');
+        const listingKeyFilter = batch.map(key => `ListingKey eq ${odataString(key)}`).join(' or ');
         const response = await fetch(`${apiUrls.openHouse}&$filter=${listingKeyFilter}&$top=5000`, {
           headers: {
             'Authorization': `Bearer ${tokens.idx}`,
@@ -604,12 +592,12 @@ class BatchOrchestratedSyncScript {
   /**
    * Upsert properties with retry logic
    */
-  async upsertPropertiesWithRetry(properties, maxRetries = 3) {
+  async upsertPropertiesWithRetry(properties, maxRetries = 3, feedType = 'idx') {
     let lastError;
     
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
-        return await this.upsertProperties(properties);
+        return await this.upsertProperties(properties, feedType);
       } catch (error) {
         lastError = error;
         console.warn(`⚠️  Property upsert attempt ${attempt}/${maxRetries} failed: ${error.message}`);
@@ -626,9 +614,9 @@ class BatchOrchestratedSyncScript {
   }
 
   /**
-   * Upsert properties to database
+   * Upsert properties to database, tagged with the feed that authorized them
    */
-  async upsertProperties(properties) {
+  async upsertProperties(properties, feedType = 'idx') {
     try {
       // Map properties using the property mapper to filter out unknown fields
       const mappedProperties = [];
@@ -637,6 +625,7 @@ class BatchOrchestratedSyncScript {
       for (const property of properties) {
         try {
           const mappedProperty = await mapProperty(property);
+          mappedProperty[FEED_FLAG_COLUMNS[feedType]] = true;
           mappedProperties.push(mappedProperty);
           successfulListingKeys.push(property.ListingKey);
         } catch (error) {
@@ -650,11 +639,13 @@ class BatchOrchestratedSyncScript {
         return [];
       }
       
-      const { error } = await this.syncService.database.client
-        .from('Property')
-        .upsert(mappedProperties, { onConflict: 'ListingKey' });
-      
-      if (error) {
+      try {
+        await this.syncService.history.trackChanges(
+          mappedProperties,
+          () => this.syncService.database.upsertRows('Property', mappedProperties),
+          { feedType }
+        );
+      } catch (error) {
         throw new Error(`Property upsert failed: ${error.message}`);
       }
       
@@ -669,85 +660,6 @@ class BatchOrchestratedSyncScript {
     }
   }
 
-  /**
-   * Upsert media with retry logic
-   */
-  async upsertMediaWithRetry(mediaRecords, maxRetries = 3) {
-    if (mediaRecords.length === 0) return;
-    
-    let lastError;
-    
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        return await this.upsertMedia(mediaRecords);
-      } catch (error) {
-        lastError = error;
-        console.warn(`⚠️  Media upsert attempt ${attempt}/${maxRetries} failed: ${error.message}`);
-        
-        if (attempt < maxRetries) {
-          const retryDelay = Math.min(1000 * Math.pow(2, attempt - 1), 10000);
-          console.log(`⏳ Retrying media upsert in ${retryDelay}ms...`);
-          await this.sleep(retryDelay);
-        }
-      }
-    }
-    
-    throw lastError;
-  }
-
-  /**
-   * Upsert media to database with DB-side filtering
-   */
-  async upsertMedia(mediaRecords) {
-    if (mediaRecords.length === 0) return;
-    
-    try {
-      // Extract ResourceRecordKeys for DB-side filtering
-      const resourceRecordKeys = [...new Set(mediaRecords.map(media => media.ResourceRecordKey))];
-      
-      // First, verify that all parent properties exist
-      const { data: existingProperties, error: checkError } = await this.syncService.database.client
-        .from('Property')
-        .select('ListingKey')
-        .in('ListingKey', resourceRecordKeys);
-      
-      if (checkError) {
-        throw new Error(`Failed to verify parent properties: ${checkError.message}`);
-      }
-      
-      const existingListingKeys = new Set(existingProperties.map(p => p.ListingKey));
-      
-      // Filter media records to only include those with existing parent properties
-      const validMediaRecords = mediaRecords.filter(media => 
-        existingListingKeys.has(media.ResourceRecordKey)
-      );
-      
-      if (validMediaRecords.length === 0) {
-        console.log('⚠️  No valid media records to upsert (no matching parent properties)');
-        return;
-      }
-      
-      if (validMediaRecords.length < mediaRecords.length) {
-        const filteredCount = mediaRecords.length - validMediaRecords.length;
-        console.log(`🔍 Filtered out ${filteredCount} media records with non-existent parent properties`);
-      }
-      
-      const { error } = await this.syncService.database.client
-        .from('Media')
-        .upsert(validMediaRecords, { onConflict: 'MediaKey' });
-      
-      if (error) {
-        throw new Error(`Media upsert failed: ${error.message}`);
-      }
-      
-      console.log(`✅ Upserted ${validMediaRecords.length} media records`);
-      
-    } catch (error) {
-      logger.error('Failed to upsert media:', error);
-      throw error;
-    }
-  }
-
   /**
    * Upsert rooms with retry logic
    */
@@ -785,17 +697,13 @@ class BatchOrchestratedSyncScript {
       const listingKeys = [...new Set(rooms.map(room => room.ListingKey))];
       
       // Verify that all parent properties exist
-      const { data: existingProperties, error: checkError } = await this.syncService.database.client
-        .from('Property')
-        .select('ListingKey')
-        .in('ListingKey', listingKeys);
-      
-      if (checkError) {
-        throw new Error(`Failed to verify parent properties for rooms: ${checkError.message}`);
+      let existingListingKeys;
+      try {
+        existingListingKeys = await this.syncService.database.getExistingListingKeys(listingKeys);
+      } catch (error) {
+        throw new Error(`Failed to verify parent properties for rooms: ${error.message}`);
       }
       
-      const existingListingKeys = new Set(existingProperties.map(p => p.ListingKey));
-      
       // Filter room records to only include those with existing parent properties
       const validRooms = rooms.filter(room => 
         existingListingKeys.has(room.ListingKey)
@@ -811,11 +719,9 @@ class BatchOrchestratedSyncScript {
         console.log(`🔍 Filtered out ${filteredCount} room records with non-existent parent properties`);
       }
       
-      const { error } = await this.syncService.database.client
-        .from('PropertyRooms')
-        .upsert(validRooms, { onConflict: 'RoomKey' });
-      
-      if (error) {
+      try {
+        await this.syncService.database.upsertRows('PropertyRooms', validRooms);
+      } catch (error) {
         throw new Error(`Rooms upsert failed: ${error.message}`);
       }
       
@@ -864,17 +770,13 @@ class BatchOrchestratedSyncScript {
       const listingKeys = [...new Set(openHouses.map(openHouse => openHouse.ListingKey))];
       
       // Verify that all parent properties exist
-      const { data: existingProperties, error: checkError } = await this.syncService.database.client
-        .from('Property')
-        .select('ListingKey')
-        .in('ListingKey', listingKeys);
-      
-      if (checkError) {
-        throw new Error(`Failed to verify parent properties for open houses: ${checkError.message}`);
+      let existingListingKeys;
+      try {
+        existingListingKeys = await this.syncService.database.getExistingListingKeys(listingKeys);
+      } catch (error) {
+        throw new Error(`Failed to verify parent properties for open houses: ${error.message}`);
       }
       
-      const existingListingKeys = new Set(existingProperties.map(p => p.ListingKey));
-      
       // Filter open house records to only include those with existing parent properties
       const validOpenHouses = openHouses.filter(openHouse => 
         existingListingKeys.has(openHouse.ListingKey)
@@ -890,11 +792,9 @@ class BatchOrchestratedSyncScript {
         console.log(`🔍 Filtered out ${filteredCount} open house records with non-existent parent properties`);
       }
       
-      const { error } = await this.syncService.database.client
-        .from('OpenHouse')
-        .upsert(validOpenHouses, { onConflict: 'OpenHouseKey' });
-      
-      if (error) {
+      try {
+        await this.syncService.database.upsertRows('OpenHouse', validOpenHouses);
+      } catch (error) {
         throw new Error(`OpenHouses upsert failed: ${error.message}`);
       }
       
@@ -911,19 +811,9 @@ class BatchOrchestratedSyncScript {
    */
   async loadLastSyncState() {
     try {
-      const { data, error } = await this.syncService.database.client
-        .from('SyncLog')
-        .select('*')
-        .order('timestamp', { ascending: false })
-        .limit(1);
+      const lastSync = await this.syncService.database.getLatestSyncLog();
       
-      if (error) {
-        logger.warn('Failed to load sync state:', error);
-        return;
-      }
-      
-      if (data && data.length > 0) {
-        const lastSync = data[0];
+      if (lastSync) {
         this.syncState.lastTimestamp = lastSync.last_timestamp;
         this.syncState.lastListingKey = lastSync.last_listing_key;
         
@@ -955,21 +845,14 @@ class BatchOrchestratedSyncScript {
    */
   async updateSyncLog() {
     try {
-      const { error } = await this.syncService.database.client
-        .from('SyncLog')
-        .insert({
-          timestamp: new Date().toISOString(),
-          total_processed: this.syncState.totalProcessed,
-          total_successful: this.syncState.totalSuccessful,
-          total_failed: this.syncState.totalFailed
-        });
+      await this.syncService.database.insertSyncLog({
+        timestamp: new Date().toISOString(),
+        total_processed: this.syncState.totalProcessed,
+        total_successful: this.syncState.totalSuccessful,
+        total_failed: this.syncState.totalFailed
+      });
       
-      if (error) {
-        logger.error('Failed to update sync log:', error);
-        console.warn('⚠️  Failed to update sync log - continuing...');
-      } else {
-        console.log(`📝 Updated sync log - Batch ${this.syncState.batchNumber}, Processed: ${this.syncState.totalProcessed}`);
-      }
+      console.log(`📝 Updated sync log - Batch ${this.syncState.batchNumber}, Processed: ${this.syncState.totalProcessed}`);
       
     } catch (error) {
       logger.error('Failed to update sync log:', error);
@@ -977,6 +860,21 @@ class BatchOrchestratedSyncScript {
     }
   }
 
+  /**
+   * Totals recorded as the result of the run's sync job
+   */
+  getJobResult() {
+    return {
+      success: true,
+      batches: this.syncState.batchNumber,
+      totalProcessed: this.syncState.totalProcessed,
+      totalSuccessful: this.syncState.totalSuccessful,
+      totalFailed: this.syncState.totalFailed,
+      lastTimestamp: this.syncState.lastTimestamp,
+      lastListingKey: this.syncState.lastListingKey
+    };
+  }
+
   /**
    * Print final statistics
    */
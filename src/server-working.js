@@ -6,12 +6,20 @@ import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import compression from 'compression';
+import { existsSync, statSync } from 'fs';
 
 // Import logger
 import logger from './utils/logger.js';
 
-// Validate required environment variables
-const requiredEnvVars = ['SUPABASE_URL', 'SUPABASE_ANON_KEY'];
+// Validate required environment variables; the storage backend decides which database settings
+// are needed (Supabase only backs the default 'supabase' backend and consumer auth)
+const BACKEND_ENV_VARS = {
+  supabase: ['SUPABASE_URL', 'SUPABASE_ANON_KEY'],
+  postgres: ['DATABASE_URL'],
+  sqlite: [] // SQLITE_PATH defaults to ./data/listings.db
+};
+const dbBackend = process.env.DB_BACKEND || 'supabase';
+const requiredEnvVars = BACKEND_ENV_VARS[dbBackend] || [];
 const optionalTokens = ['IDX_TOKEN', 'VOW_TOKEN', 'ACCESS_TOKEN'];
 
 const hasToken = optionalTokens.some(token => process.env[token]);
@@ -21,8 +29,18 @@ if (!hasToken) {
   missingEnvVars.push('At least one of: IDX_TOKEN, VOW_TOKEN, or ACCESS_TOKEN');
 }
 
+if (!BACKEND_ENV_VARS[dbBackend]) {
+  missingEnvVars.push(`DB_BACKEND must be one of: ${Object.keys(BACKEND_ENV_VARS).join(', ')} (got ${dbBackend})`);
+}
+
+// A directory would only fail on the first query, as SQLITE_CANTOPEN
+if (dbBackend === 'sqlite' && process.env.SQLITE_PATH && existsSync(process.env.SQLITE_PATH) &&
+  statSync(process.env.SQLITE_PATH).isDirectory()) {
+  missingEnvVars.push(`SQLITE_PATH must be a database file, not a directory (${process.env.SQLITE_PATH})`);
+}
+
 if (missingEnvVars.length > 0) {
-  logger.error('Missing required environment variables', { missingEnvVars });
+  logger.error('Missing or invalid environment variables', { missingEnvVars });
   process.exit(1);
 }
 
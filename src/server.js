@@ -6,6 +6,7 @@ import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import compression from 'compression';
+import { existsSync, statSync } from 'fs';
 
 // Import utilities first (logger doesn't depend on other services)
 import logger from './utils/logger.js';
@@ -13,9 +14,17 @@ import logger from './utils/logger.js';
 // Import middleware
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
 import { apiLimiter } from './middleware/rateLimiter.js';
-
-// Validate required environment variables
-const requiredEnvVars = ['SUPABASE_URL', 'SUPABASE_ANON_KEY'];
+import { authenticate } from './middleware/auth.js';
+
+// Validate required environment variables; the storage backend decides which database settings
+// are needed (Supabase only backs the default 'supabase' backend and consumer auth)
+const BACKEND_ENV_VARS = {
+  supabase: ['SUPABASE_URL', 'SUPABASE_ANON_KEY'],
+  postgres: ['DATABASE_URL'],
+  sqlite: [] // SQLITE_PATH defaults to ./data/listings.db
+};
+const dbBackend = process.env.DB_BACKEND || 'supabase';
+const requiredEnvVars = BACKEND_ENV_VARS[dbBackend] || [];
 const optionalTokens = ['IDX_TOKEN', 'VOW_TOKEN', 'ACCESS_TOKEN'];
 
 // Check if at least one token is provided
@@ -26,8 +35,18 @@ if (!hasToken) {
   missingEnvVars.push('At least one of: IDX_TOKEN, VOW_TOKEN, or ACCESS_TOKEN');
 }
 
+if (!BACKEND_ENV_VARS[dbBackend]) {
+  missingEnvVars.push(`DB_BACKEND must be one of: ${Object.keys(BACKEND_ENV_VARS).join(', ')} (got ${dbBackend})`);
+}
+
+// A directory would only fail on the first query, as SQLITE_CANTOPEN
+if (dbBackend === 'sqlite' && process.env.SQLITE_PATH && existsSync(process.env.SQLITE_PATH) &&
+  statSync(process.env.SQLITE_PATH).isDirectory()) {
+  missingEnvVars.push(`SQLITE_PATH must be a database file, not a directory (${process.env.SQLITE_PATH})`);
+}
+
 if (missingEnvVars.length > 0) {
-  logger.error('Missing required environment variables', { missingEnvVars });
+  logger.error('Missing or invalid environment variables', { missingEnvVars });
   process.exit(1);
 }
 
@@ -37,6 +56,10 @@ const PORT = process.env.PORT || 3001;
 // Import routes after environment validation
 const { default: propertyRoutes } = await import('./routes/propertyRoutes.js');
 const { default: syncRoutes } = await import('./routes/syncRoutes.js');
+const { default: openHouseRoutes } = await import('./routes/openHouseRoutes.js');
+const { default: mediaRoutes } = await import('./routes/mediaRoutes.js');
+const { default: adminRoutes } = await import('./routes/adminRoutes.js');
+const { default: statsRoutes } = await import('./routes/statsRoutes.js');
 
 // Security middleware
 app.use(helmet({
@@ -68,6 +91,9 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Rate limiting
 app.use('/api', apiLimiter);
 
+// Caller role (API key or role JWT); routes declare the role they require
+app.use('/api', authenticate);
+
 // Request logging
 app.use((req, res, next) => {
   logger.info('HTTP Request', {
@@ -93,6 +119,10 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/api/properties', propertyRoutes);
 app.use('/api/sync', syncRoutes);
+app.use('/api/open-houses', openHouseRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/stats', statsRoutes);
 
 // API documentation endpoint
 app.get('/api', (req, res) => {
@@ -102,29 +132,58 @@ app.get('/api', (req, res) => {
     version: '1.0.0',
     endpoints: {
       properties: {
-        'GET /api/properties': 'Get properties with pagination and filtering',
-        'GET /api/properties/search': 'Advanced property search',
-        'GET /api/properties/stats': 'Get property statistics',
-        'GET /api/properties/:listingKey': 'Get a single property',
+        'GET /api/properties': 'Get properties with pagination and filtering (Field=, Field[gte|lte|gt|lt|ne|in|contains|null]=)',
+        'GET /api/properties/search': 'Ranked full-text search (?query=) with highlights, combined with filters and geo filters (?near=lat,lng&radiusKm=, ?bbox=west,south,east,north)',
+        'POST /api/properties/search': 'Same as GET, within the GeoJSON polygon in the request body',
+        'GET /api/properties/stats': 'Get property statistics (listing counts; average price and type counts of active listings for sale)',
+        'GET /api/properties/:listingKey': 'Get a single property (?fields=, ?expand=)',
         'GET /api/properties/:listingKey/media': 'Get media for a property',
+        'GET /api/properties/:listingKey/rooms': 'Get rooms for a property',
+        'GET /api/properties/:listingKey/open-houses': 'Get open houses for a property (?upcoming=true)',
+        'GET /api/properties/:listingKey/open-houses.ics': 'iCalendar feed of a property\'s open houses',
+        'GET /api/properties/:listingKey/full': 'Get a property with media, rooms grouped by level and upcoming open houses',
+        'GET /api/properties/:listingKey/history': 'Price, status and close changes of a property, oldest first (?fields=ListPrice,MlsStatus, ?since=)',
         'POST /api/properties/:listingKey/sync': 'Sync a specific property'
       },
+      openHouses: {
+        'GET /api/open-houses': 'Find open houses (?from=&to= local dates, city, minPrice, maxPrice, propertyType, propertySubType)',
+        'GET /api/open-houses/calendar.ics': 'iCalendar feed of an open house query (same filters)'
+      },
+      media: {
+        'GET /api/media/:mediaKey/:size': 'Cached listing photo resized to thumbnail, card or full (WebP when accepted, ?format=webp|jpeg)'
+      },
       sync: {
         'GET /api/sync/status': 'Get sync status and health',
         'GET /api/sync/config': 'Get sync configuration',
         'GET /api/sync/health': 'Health check with detailed info',
+        'GET /api/sync/jobs': 'List sync jobs (query: state, type, trigger, limit)',
+        'GET /api/sync/jobs/:id': 'Sync job state, per-resource progress, result and timings',
+        'POST /api/sync/jobs/:id/cancel': 'Cancel a running sync job between batches',
         'POST /api/sync/full': 'Trigger full sync',
         'POST /api/sync/incremental': 'Trigger incremental sync',
         'POST /api/sync/properties': 'Sync properties only',
-        'POST /api/sync/media': 'Sync media only'
+        'POST /api/sync/media': 'Sync media only (body: incremental, strategy = changed-photos-only | by-parent-keys | by-timestamp)'
+      },
+      stats: {
+        'GET /api/stats/market': 'Market statistics per month (?from=&to= YYYY-MM, groupBy = City | CityRegion | PropertySubType | PropertyType, city, cityRegion, propertySubType, transactionType, percentile)',
+        'GET /api/stats/summary': 'Market statistics over the trailing months (?months=6, same grouping and filters)'
+      },
+      admin: {
+        'GET /api/admin/keys': 'List API keys (?includeRevoked=true)',
+        'POST /api/admin/keys': 'Create an API key (body: name, role, expiresAt); the key is only returned once',
+        'DELETE /api/admin/keys/:id': 'Revoke an API key'
       }
     },
     documentation: {
       properties: 'Properties are automatically synced from AMPRE RESO Web API',
-      media: 'Media records are linked to properties via ResourceRecordKey',
-      sync: 'Sync operations run in background and are rate limited',
+      media: 'Media records are linked to properties via ResourceRecordKey; photos are served from the media cache, which refreshes when MediaModificationTimestamp or PhotosChangeTimestamp changes',
+      sync: 'Sync operations run in background as jobs (polled at /api/sync/jobs/:id) and are rate limited',
+      authentication: 'Routes require a role: public (listings, photos, open houses, market statistics, health), partner (sync status and jobs), operator (sync triggers, cancellation, sync config, POST /api/properties/:listingKey/sync) or admin (/api/admin). Send an API key as X-API-Key or a JWT signed with JWT_SECRET as Authorization: Bearer <token>',
+      stats: 'Inventory, new listings, list prices, sales, sale prices, sale-to-list ratio, days on market and months of inventory, aggregated in the database and cached for STATS_CACHE_TTL_SECONDS; sold figures are VOW only',
+      entitlement: 'Anonymous callers get IDX listings and fields; send a consumer session as Authorization: Bearer <token> for VOW data',
       filtering: 'Properties can be filtered by price, location, type, bedrooms, bathrooms',
-      pagination: 'All list endpoints support page and limit parameters'
+      fields: 'Property endpoints take fields= (columns or the presets core, address, layout, features, financial) and expand= (media, rooms, openHouses, office, agent)',
+      pagination: 'All list endpoints support page and limit parameters; property lists also return nextCursor/prevCursor tokens for ?cursor= (keyset) paging, and includeTotal=true adds the total count to cursor pages'
     }
   });
 });
@@ -1,13 +1,20 @@
 import logger from '../utils/logger.js';
+import { odataString } from '../utils/odata.js';
 import { 
   apiUrls, 
   tokens 
 } from '../config/config.js';
 
 class AmpreApiService {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - API origin, defaults to AMPRE_BASE_URL (e.g. a local mock server)
+   * @param {Object} options.retryConfig - Overrides for the retry settings below
+   * @param {Object} options.rateLimitConfig - Overrides for the rate limit settings below
+   */
+  constructor(options = {}) {
     // Load configuration from config.js
-    this.baseUrl = 'https://query.ampre.ca';
+    this.baseUrl = (options.baseUrl || apiUrls.base).replace(/\/+$/, '');
     this.idxToken = tokens.idx;
     this.vowToken = tokens.vow;
     this.accessToken = tokens.access;
@@ -20,13 +27,13 @@ class AmpreApiService {
     // Default to IDX token or fallback
     this.defaultToken = this.idxToken || this.accessToken;
 
-    // Use complete URLs from config.js
+    // Use complete URLs from config.js, pointed at the configured API origin
     this.endpoints = {
-      idxProperties: apiUrls.idx,
-      vowProperties: apiUrls.vow,
-      propertyRooms: apiUrls.rooms,
-      openHouse: apiUrls.openHouse,
-      media: apiUrls.media
+      idxProperties: this.rebaseUrl(apiUrls.idx),
+      vowProperties: this.rebaseUrl(apiUrls.vow),
+      propertyRooms: this.rebaseUrl(apiUrls.rooms),
+      openHouse: this.rebaseUrl(apiUrls.openHouse),
+      media: this.rebaseUrl(apiUrls.media)
     };
 
     // Enhanced retry and rate limiting configuration
@@ -34,7 +41,8 @@ class AmpreApiService {
       maxRetries: 5,
       baseDelay: 1000, // 1 second
       maxDelay: 30000, // 30 seconds
-      backoffMultiplier: 2
+      backoffMultiplier: 2,
+      ...options.retryConfig
     };
 
     // Rate limiting configuration from config.js
@@ -47,7 +55,8 @@ class AmpreApiService {
       maxDelay: 5000, // Maximum delay (ms)
       minDelay: 100, // Minimum delay (ms)
       backoffMultiplier: 1.5, // Multiplier for delay increase
-      recoveryMultiplier: 0.9 // Multiplier for delay decrease on success
+      recoveryMultiplier: 0.9, // Multiplier for delay decrease on success
+      ...options.rateLimitConfig
     };
 
     // Track request timing for rate limiting
@@ -76,6 +85,15 @@ class AmpreApiService {
     });
   }
 
+  /**
+   * Replace the origin of a complete URL with the configured base URL
+   * @param {string} url - Complete URL from config.js
+   * @returns {string} URL on this.baseUrl
+   */
+  rebaseUrl(url) {
+    return url ? url.replace(/^https?:\/\/[^/]+/, this.baseUrl) : url;
+  }
+
   /**
    * Get headers for API requests with appropriate token
    * @param {string} feedType - 'idx', 'vow', or 'default'
@@ -510,16 +528,65 @@ class AmpreApiService {
     }
   }
 
+  /**
+   * Combine an extra filter and orderby/select overrides with a complete pre-built URL
+   * @param {string} baseUrl - Complete URL from config.js (may already carry $filter/$orderby)
+   * @param {Object} options - Query options
+   * @param {string} options.filter - OData filter ANDed with the URL's existing filter
+   * @param {string} options.orderBy - OData orderby that replaces the URL's existing orderby
+   * @param {string} options.select - OData select that replaces the URL's existing select
+   * @returns {string} URL with the combined query options
+   */
+  applyQueryOptions(baseUrl, options = {}) {
+    const { filter = '', orderBy = '', select = '' } = options;
+    let url = baseUrl;
+
+    if (filter) {
+      const filterMatch = url.match(/\$filter=([^&]*)/);
+      if (filterMatch) {
+        const existingFilter = decodeURIComponent(filterMatch[1]);
+        const combinedFilter = `(${existingFilter}) and (${filter})`;
+        url = url.replace(/\$filter=[^&]*/, () => `$filter=${encodeURIComponent(combinedFilter)}`);
+      } else {
+        url += `${url.includes('?') ? '&' : '?'}$filter=${encodeURIComponent(filter)}`;
+      }
+    }
+
+    if (orderBy) {
+      if (url.includes('$orderby=')) {
+        url = url.replace(/\$orderby=[^&]*/, () => `$orderby=${encodeURIComponent(orderBy)}`);
+      } else {
+        url += `${url.includes('?') ? '&' : '?'}$orderby=${encodeURIComponent(orderBy)}`;
+      }
+    }
+
+    if (select) {
+      if (url.includes('$select=')) {
+        url = url.replace(/\$select=[^&]*/, () => `$select=${encodeURIComponent(select)}`);
+      } else {
+        url += `${url.includes('?') ? '&' : '?'}$select=${encodeURIComponent(select)}`;
+      }
+    }
+
+    return url;
+  }
+
   /**
    * Fetch records using complete pre-built URLs
    * @param {string} urlType - Type of URL ('idxProperties', 'vowProperties', 'media', etc.)
    * @param {Object} options - Additional query options
+   * @param {string} options.filter - Extra OData filter ANDed with the URL's filter
+   * @param {string} options.orderBy - OData orderby overriding the URL's orderby
+   * @param {string} options.select - OData select limiting the returned fields
    * @returns {Promise<Array>} Array of records
    */
   async fetchFromCompleteUrl(urlType, options = {}) {
     const {
       top = 1000,
       skip = 0,
+      filter = '',
+      orderBy = '',
+      select = '',
       feedType = 'idx'
     } = options;
 
@@ -530,7 +597,7 @@ class AmpreApiService {
       }
 
       // Append pagination parameters to the existing URL
-      let fetchUrl = baseUrl;
+      let fetchUrl = this.applyQueryOptions(baseUrl, { filter, orderBy, select });
       
       if (top) {
         fetchUrl += `&$top=${top}`;
@@ -547,7 +614,7 @@ class AmpreApiService {
       });
       
       const headers = this.getHeaders(feedType);
-      const response = await fetch(fetchUrl, { headers });
+      const response = await this.executeWithRetry(fetchUrl, { headers }, `Fetch from ${urlType}`);
       
       if (!response.ok) {
         let errorBody = '';
@@ -586,9 +653,10 @@ class AmpreApiService {
    * Get count from complete URL
    * @param {string} urlType - Type of URL ('idxProperties', 'vowProperties', 'media', etc.)
    * @param {string} feedType - 'idx', 'vow', or 'default'
+   * @param {string} filter - Extra OData filter ANDed with the URL's filter
    * @returns {Promise<number>} Count of matching records
    */
-  async getCountFromCompleteUrl(urlType, feedType = 'idx') {
+  async getCountFromCompleteUrl(urlType, feedType = 'idx', filter = '') {
     try {
       let baseUrl = this.endpoints[urlType];
       if (!baseUrl) {
@@ -596,12 +664,12 @@ class AmpreApiService {
       }
 
       // Append count parameters to the existing URL
-      const countUrl = baseUrl + '&$top=0&$count=true';
+      const countUrl = this.applyQueryOptions(baseUrl, { filter }) + '&$top=0&$count=true';
       
-      logger.debug('Fetching count from complete URL', { urlType, url: countUrl, feedType });
+      logger.debug('Fetching count from complete URL', { urlType, url: countUrl, feedType, filter });
       
       const headers = this.getHeaders(feedType);
-      const response = await fetch(countUrl, { headers });
+      const response = await this.executeWithRetry(countUrl, { headers }, `Get count from ${urlType}`);
       
       if (!response.ok) {
         let errorBody = '';
@@ -874,7 +942,7 @@ class AmpreApiService {
       });
 
       // Build incremental filter - Use proper OData DateTimeOffset format
-      let filter = `${timestampField} gt ${lastTimestamp} or (${timestampField} eq ${lastTimestamp} and ${keyField} gt '${lastKey}')`;
+      let filter = `${timestampField} gt ${lastTimestamp} or (${timestampField} eq ${lastTimestamp} and ${keyField} gt ${odataString(lastKey)})`;
       
       if (additionalFilter) {
         filter = `(${filter}) and (${additionalFilter})`;
@@ -938,7 +1006,7 @@ class AmpreApiService {
    */
   async fetchSingle(endpoint, key, feedType = 'idx') {
     try {
-      const url = new URL(`/odata/${endpoint}('${key}')`, this.baseUrl);
+      const url = new URL(`${this.baseUrl}/odata/${endpoint}(${encodeURIComponent(odataString(key))})`);
       
       logger.debug('Fetching single record', { endpoint, key, url: url.toString(), feedType });
       
@@ -976,13 +1044,14 @@ class AmpreApiService {
   }
 
   /**
-   * Get metadata for an endpoint
+   * Get the $metadata document (CSDL) describing the resources and field types of the feed
    * @param {string} feedType - 'idx', 'vow', or 'default'
-   * @returns {Promise<Object>} Metadata object
+   * @returns {Promise<Object|string>} JSON CSDL object, or the XML text when the server only
+   *   serves XML (see parseMetadata in src/utils/resoMetadata.js)
    */
   async getMetadata(feedType = 'idx') {
     try {
-      const url = new URL('/odata/$metadata', this.baseUrl);
+      const url = new URL(`${this.baseUrl}/odata/$metadata`);
       url.searchParams.append('$format', 'json');
       
       const headers = this.getHeaders(feedType);
@@ -998,8 +1067,9 @@ class AmpreApiService {
         throw new Error(`HTTP ${response.status}: ${errorBody}`);
       }
       
-      const metadata = await response.json();
-      logger.info('Metadata fetched successfully', { feedType });
+      const contentType = response.headers.get('content-type') || '';
+      const metadata = contentType.includes('json') ? await response.json() : await response.text();
+      logger.info('Metadata fetched successfully', { feedType, contentType });
       
       return metadata;
       
@@ -0,0 +1,170 @@
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import DatabaseService from './databaseService.js';
+import logger from '../utils/logger.js';
+import { ROLES } from '../utils/roles.js';
+import { ADMIN_API_KEY } from '../config/config.js';
+
+// Generated keys: 'rek_' and 32 random bytes; the prefix plus a few characters identify a key in listings
+const KEY_PREFIX = 'rek_';
+const KEY_PREFIX_LENGTH = KEY_PREFIX.length + 8;
+
+// Verified keys (and misses), so each request does not read api_keys; revocation takes up to a TTL
+// to reach other processes
+const KEY_CACHE_TTL_MS = 60 * 1000;
+const KEY_CACHE_MAX_ENTRIES = 1000;
+const keyCache = new Map();
+
+/**
+ * SHA-256 hex digest of an API key, as stored in api_keys.key_hash
+ * Keys are random, so a fast unsalted hash is enough to make a leaked table useless.
+ * @param {string} key - API key
+ * @returns {string}
+ */
+export function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * API Key Service
+ * Issues, verifies, lists and revokes the API keys in api_keys. A key is only returned in
+ * full when it is created; afterwards it is known by its id and prefix.
+ */
+class ApiKeyService {
+  /**
+   * @param {DatabaseService} database - Database service
+   */
+  constructor(database = new DatabaseService()) {
+    this.database = database;
+  }
+
+  /**
+   * Create a key
+   * @param {Object} spec
+   * @param {string} spec.name - What the key is for, e.g. the partner or host using it
+   * @param {string} spec.role - Role the key grants (see ROLES)
+   * @param {string|null} spec.expiresAt - ISO time after which the key is rejected
+   * @param {string|null} spec.createdBy - Subject of the admin creating the key
+   * @returns {Promise<Object>} The api_keys row without its hash, plus `key` (shown only now)
+   */
+  async create({ name, role, expiresAt = null, createdBy = null }) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown role: ${role} (expected ${ROLES.join(', ')})`);
+    }
+
+    const key = `${KEY_PREFIX}${randomBytes(32).toString('base64url')}`;
+    const record = {
+      id: randomUUID(),
+      name,
+      role,
+      key_prefix: key.slice(0, KEY_PREFIX_LENGTH),
+      key_hash: hashApiKey(key),
+      created_by: createdBy,
+      created_at: new Date().toISOString(),
+      expires_at: expiresAt,
+      last_used_at: null,
+      revoked_at: null
+    };
+
+    try {
+      await this.database.insertApiKey(record);
+      console.log(`🔑 API key ${record.key_prefix}… created for ${name} (${role})`);
+
+      const { key_hash, ...apiKey } = record;
+      return { ...apiKey, key };
+
+    } catch (error) {
+      logger.error('Error creating API key', { name, role, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a presented key to the key it belongs to
+   * ADMIN_API_KEY is accepted as an admin key with no api_keys row.
+   * @param {string} key - Value of the X-API-Key header
+   * @returns {Promise<Object|null>} { id, name, role } of an active key, or null
+   */
+  async verify(key) {
+    const keyHash = hashApiKey(key);
+
+    if (ADMIN_API_KEY && timingSafeEqual(Buffer.from(keyHash, 'hex'), Buffer.from(hashApiKey(ADMIN_API_KEY), 'hex'))) {
+      return { id: null, name: 'ADMIN_API_KEY', role: 'admin' };
+    }
+
+    const cached = keyCache.get(keyHash);
+    if (cached && cached.expiresAt > Date.now()) {
+      return this.isActive(cached.apiKey) ? cached.apiKey : null;
+    }
+
+    const record = await this.database.getApiKey({ keyHash });
+    const apiKey = record
+      ? { id: record.id, name: record.name, role: record.role, expires_at: record.expires_at, revoked_at: record.revoked_at }
+      : null;
+
+    if (keyCache.size >= KEY_CACHE_MAX_ENTRIES) {
+      keyCache.delete(keyCache.keys().next().value);
+    }
+    keyCache.set(keyHash, { apiKey, expiresAt: Date.now() + KEY_CACHE_TTL_MS });
+
+    if (!this.isActive(apiKey)) {
+      return null;
+    }
+
+    // Recorded at most once per cache period
+    this.database.updateApiKey(apiKey.id, { last_used_at: new Date().toISOString() })
+      .catch(error => logger.warn('Failed to record API key use', { id: apiKey.id, error: error.message }));
+
+    return apiKey;
+  }
+
+  /**
+   * Whether a key is neither revoked nor expired
+   * @private
+   */
+  isActive(apiKey) {
+    return Boolean(apiKey) && !apiKey.revoked_at &&
+      (!apiKey.expires_at || new Date(apiKey.expires_at) > new Date());
+  }
+
+  /**
+   * List keys, without their hashes
+   * @param {Object} options - { includeRevoked }
+   * @returns {Promise<Array<Object>>}
+   */
+  async list(options = {}) {
+    const rows = await this.database.listApiKeys(options);
+    return rows.map(({ key_hash, ...apiKey }) => apiKey);
+  }
+
+  /**
+   * Revoke a key
+   * @param {string} id - Key id
+   * @returns {Promise<Object|null>} The key without its hash (with `revoked` false if it was
+   *   already revoked), or null if no such key exists
+   */
+  async revoke(id) {
+    try {
+      const updated = await this.database.updateApiKey(id, { revoked_at: new Date().toISOString() }, { active: true });
+      const record = await this.database.getApiKey({ id });
+
+      if (!record) {
+        return null;
+      }
+
+      const { key_hash, ...apiKey } = record;
+      keyCache.delete(key_hash);
+
+      if (updated > 0) {
+        logger.info('API key revoked', { id, name: apiKey.name, role: apiKey.role });
+      }
+
+      return { ...apiKey, revoked: updated > 0 };
+
+    } catch (error) {
+      logger.error('Error revoking API key', { id, error: error.message });
+      throw error;
+    }
+  }
+}
+
+export default ApiKeyService;
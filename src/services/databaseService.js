@@ -1,16 +1,97 @@
-import { supabase, supabaseAdmin } from '../config/supabase.js';
+import { createStorageAdapter, formatHighlight, keysetAfter, where } from '../storage/index.js';
 import logger from '../utils/logger.js';
 import columnValidator from '../utils/columnValidator.js';
-
+import { ENTITLEMENT, FEED_FLAG_COLUMNS, getPropertySelect, isVowEntitled, listingScope } from '../utils/entitlements.js';
+import { encodeCursor } from '../utils/cursor.js';
+import { toLocalDate } from '../utils/listingTime.js';
+
+// A listing and the child tables that reference it, parent first
+const LISTING_TABLES = [
+  { table: 'Property', keyField: 'ListingKey', name: 'properties' },
+  { table: 'Media', keyField: 'ResourceRecordKey', name: 'media' },
+  { table: 'PropertyRooms', keyField: 'ListingKey', name: 'rooms' },
+  { table: 'OpenHouse', keyField: 'ListingKey', name: 'openHouses' }
+];
+
+// Unique key of each synced table, used as the upsert conflict target
+const TABLE_KEYS = {
+  Property: 'ListingKey',
+  Media: 'MediaKey',
+  PropertyRooms: 'RoomKey',
+  OpenHouse: 'OpenHouseKey',
+  Member: 'MemberKey',
+  Office: 'OfficeKey'
+};
+
+// Records a property response can embed (?expand=): child rows by listing key, or the
+// brokerage / agent referenced by a Property key column
+const PROPERTY_EXPANSIONS = {
+  media: { table: 'Media', keyField: 'ResourceRecordKey', orderBy: ['Order', 'MediaKey'] },
+  rooms: { table: 'PropertyRooms', keyField: 'ListingKey', orderBy: ['Order', 'RoomKey'] },
+  openHouses: { table: 'OpenHouse', keyField: 'ListingKey', orderBy: ['OpenHouseDate', 'OpenHouseStartTime', 'OpenHouseKey'] },
+  office: { table: 'Office', keyField: 'OfficeKey', propertyColumn: 'ListOfficeKey' },
+  agent: { table: 'Member', keyField: 'MemberKey', propertyColumn: 'ListAgentKey' }
+};
+
+// Per-resource timestamp columns of SyncLog (<sync type>_timestamp)
+const SYNC_LOG_TIMESTAMP_COLUMNS = [
+  'idx_property_timestamp',
+  'vow_property_timestamp',
+  'media_timestamp',
+  'rooms_timestamp',
+  'openhouse_timestamp',
+  'member_timestamp',
+  'office_timestamp'
+];
+
+// Rows per query when loading embedded records
+const EXPANSION_PAGE_SIZE = 1000;
+
+// Columns of the OpenHouseListing view (database/open-house-calendar.sql) served by the open
+// house endpoints; the listing scope columns are only filtered on
+const OPEN_HOUSE_LISTING_COLUMNS = [
+  'OpenHouseKey', 'ListingKey', 'OpenHouseDate', 'OpenHouseStartTime', 'OpenHouseEndTime', 'OpenHouseStatus',
+  'OpenHouseType', 'OpenHouseRemarks', 'ModificationTimestamp', 'UnparsedAddress', 'City', 'CityRegion',
+  'ListPrice', 'PropertyType', 'PropertySubType', 'BedroomsAboveGrade', 'BathroomsTotalInteger', 'MlsStatus',
+  'ListOfficeName'
+];
+
+// Listing filter operators (src/utils/propertyFilters.js) and the storage condition of each
+const FILTER_CONDITIONS = {
+  eq: (column, value) => where(column, typeof value === 'string' && value.includes('%') ? 'ilike' : 'eq', value),
+  ne: (column, value) => where(column, 'neq', value),
+  gt: (column, value) => where(column, 'gt', value),
+  gte: (column, value) => where(column, 'gte', value),
+  lt: (column, value) => where(column, 'lt', value),
+  lte: (column, value) => where(column, 'lte', value),
+  in: (column, value) => where(column, 'in', value),
+  contains: (column, value) => where(column, 'contains', value),
+  null: (column, value) => where(column, value ? 'isNull' : 'notNull')
+};
+
+/**
+ * PostgREST reports unknown columns as "Could not find the 'X' column"; such rows are skipped
+ * rather than failing the sync
+ */
+const isMissingColumnError = (error) =>
+  !!error?.message && error.message.includes('Could not find') && error.message.includes('column');
+
+/**
+ * Repository for listings and sync bookkeeping
+ * All reads and writes go through a storage adapter (see src/storage), so the same service
+ * runs on Supabase, a direct PostgreSQL connection or SQLite (DB_BACKEND).
+ */
 class DatabaseService {
-  constructor() {
-    // Use admin client for backend operations if available, otherwise use regular client
-    this.client = supabaseAdmin || supabase;
-    this.supabase = this.client; // Expose supabase client for compatibility
-    
-    if (!supabaseAdmin) {
-      logger.warn('Using regular Supabase client instead of admin client - some operations may be restricted');
-    }
+  /**
+   * @param {StorageAdapter} storage - Storage backend (defaults to the configured DB_BACKEND)
+   */
+  constructor(storage = createStorageAdapter()) {
+    this.storage = storage;
+
+    // Raw supabase-js client, only on the Supabase backend. Deprecated: kept for the legacy
+    // scripts in scripts/; new code should go through the methods below.
+    this.client = storage.client || null;
+    this.supabase = this.client;
 
     // Circuit breaker configuration for database operations
     this.circuitBreaker = {
@@ -166,17 +247,12 @@ class DatabaseService {
         return { success: false, data: null, reason: 'No valid columns' };
       }
 
-      const { data, error } = await this.client
-        .from('Property')
-        .upsert(filteredData, {
-          onConflict: 'ListingKey',
-          ignoreDuplicates: false
-        })
-        .select();
-
-      if (error) {
+      let data;
+      try {
+        data = await this.storage.upsert('Property', [filteredData], { onConflict: 'ListingKey', returning: '*' });
+      } catch (error) {
         // Check if it's a missing column error
-        if (error.message && error.message.includes('Could not find') && error.message.includes('column')) {
+        if (isMissingColumnError(error)) {
           logger.warn('Missing column error ignored for property upsert:', {
             ListingKey: propertyData.ListingKey,
             error: error.message
@@ -236,19 +312,7 @@ class DatabaseService {
         
         try {
           const result = await this.executeWithRetry(async () => {
-            const { data, error } = await this.client
-              .from('Property')
-              .upsert(batch, {
-                onConflict: 'ListingKey',
-                ignoreDuplicates: false
-              })
-              .select('ListingKey');
-
-            if (error) {
-              throw error;
-            }
-
-            return data;
+            return await this.storage.upsert('Property', batch, { onConflict: 'ListingKey', returning: 'ListingKey' });
           }, `Upsert property batch ${i}-${i + batch.length}`);
 
           results.successful += result.length;
@@ -282,21 +346,8 @@ class DatabaseService {
    */
   async validatePropertyExists(resourceRecordKey) {
     try {
-      const { data, error } = await this.client
-        .from('Property')
-        .select('ListingKey')
-        .eq('ListingKey', resourceRecordKey)
-        .single();
-
-      if (error && error.code !== 'PGRST116') { // PGRST116 is "not found"
-        logger.error('Error validating property existence', {
-          ResourceRecordKey: resourceRecordKey,
-          error: error.message
-        });
-        throw error;
-      }
-
-      return !!data;
+      const count = await this.storage.count('Property', [where('ListingKey', 'eq', resourceRecordKey)]);
+      return count > 0;
     } catch (error) {
       logger.error('Database error validating property existence', {
         ResourceRecordKey: resourceRecordKey,
@@ -333,17 +384,12 @@ class DatabaseService {
         throw error;
       }
 
-      const { data, error } = await this.client
-        .from('Media')
-        .upsert(filteredData, {
-          onConflict: 'MediaKey',
-          ignoreDuplicates: false
-        })
-        .select();
-
-      if (error) {
+      let data;
+      try {
+        data = await this.storage.upsert('Media', [filteredData], { onConflict: 'MediaKey', returning: '*' });
+      } catch (error) {
         // Check if it's a missing column error
-        if (error.message && error.message.includes('Could not find') && error.message.includes('column')) {
+        if (isMissingColumnError(error)) {
           logger.warn('Missing column error ignored for media upsert:', {
             MediaKey: filteredData.MediaKey,
             ResourceRecordKey: filteredData.ResourceRecordKey,
@@ -417,27 +463,9 @@ class DatabaseService {
           // This method assumes all media records in the batch have been pre-validated
           // to ensure their ResourceRecordKey exists in the Property table
           
-          const { data, error } = await this.client
-            .from('Media')
-            .upsert(batch, {
-              onConflict: 'MediaKey',
-              ignoreDuplicates: false
-            })
-            .select('MediaKey');
-
-          if (error) {
-            logger.error(`Error upserting media batch ${i}-${i + batch.length}`, {
-              error: error.message
-            });
-            results.failed += batch.length;
-            results.errors.push({
-              batch: `${i}-${i + batch.length}`,
-              error: error.message
-            });
-          } else {
-            results.successful += data.length;
-            logger.info(`Media batch ${i}-${i + batch.length} upserted successfully`);
-          }
+          const data = await this.storage.upsert('Media', batch, { onConflict: 'MediaKey', returning: 'MediaKey' });
+          results.successful += data.length;
+          logger.info(`Media batch ${i}-${i + batch.length} upserted successfully`);
 
         } catch (batchError) {
           logger.error(`Database error in media batch ${i}-${i + batch.length}`, {
@@ -482,17 +510,12 @@ class DatabaseService {
         return { success: false, data: null, reason: 'No valid columns' };
       }
 
-      const { data, error } = await this.client
-        .from('PropertyRooms')
-        .upsert(filteredData, {
-          onConflict: 'RoomKey',
-          ignoreDuplicates: false
-        })
-        .select();
-
-      if (error) {
+      let data;
+      try {
+        data = await this.storage.upsert('PropertyRooms', [filteredData], { onConflict: 'RoomKey', returning: '*' });
+      } catch (error) {
         // Check if it's a missing column error
-        if (error.message && error.message.includes('Could not find') && error.message.includes('column')) {
+        if (isMissingColumnError(error)) {
           logger.warn('Missing column error ignored for room upsert:', {
             RoomKey: filteredData.RoomKey,
             ListingKey: filteredData.ListingKey,
@@ -554,17 +577,17 @@ class DatabaseService {
       const listingKeys = [...new Set(filteredRooms.map(r => r.ListingKey))];
       logger.info(`FINAL CHECK: Verifying ${listingKeys.length} unique ListingKeys exist in Property table`);
       
-      const existingProperties = await this.client
-        .from('Property')
-        .select('ListingKey')
-        .in('ListingKey', listingKeys)
-        .eq('ContractStatus', 'Available');
-      
-      if (existingProperties.error) {
-        throw new Error(`FINAL CHECK FAILED: Could not verify property existence: ${existingProperties.error.message}`);
+      let existingProperties;
+      try {
+        ({ rows: existingProperties } = await this.storage.select('Property', {
+          columns: 'ListingKey',
+          where: [where('ListingKey', 'in', listingKeys), where('ContractStatus', 'eq', 'Available')]
+        }));
+      } catch (error) {
+        throw new Error(`FINAL CHECK FAILED: Could not verify property existence: ${error.message}`);
       }
       
-      const existingKeys = new Set(existingProperties.data.map(p => p.ListingKey));
+      const existingKeys = new Set(existingProperties.map(p => p.ListingKey));
       const invalidRooms = filteredRooms.filter(r => !existingKeys.has(r.ListingKey));
       
       if (invalidRooms.length > 0) {
@@ -588,27 +611,9 @@ class DatabaseService {
         const batch = filteredRooms.slice(i, i + batchSize);
         
         try {
-          const { data, error } = await this.client
-            .from('PropertyRooms')
-            .upsert(batch, {
-              onConflict: 'RoomKey',
-              ignoreDuplicates: false
-            })
-            .select('RoomKey');
-
-          if (error) {
-            logger.error(`Error upserting rooms batch ${i}-${i + batch.length}`, {
-              error: error.message
-            });
-            results.failed += batch.length;
-            results.errors.push({
-              batch: `${i}-${i + batch.length}`,
-              error: error.message
-            });
-          } else {
-            results.successful += data.length;
-            logger.info(`Rooms batch ${i}-${i + batch.length} upserted successfully`);
-          }
+          const data = await this.storage.upsert('PropertyRooms', batch, { onConflict: 'RoomKey', returning: 'RoomKey' });
+          results.successful += data.length;
+          logger.info(`Rooms batch ${i}-${i + batch.length} upserted successfully`);
 
         } catch (batchError) {
           logger.error(`Database error in rooms batch ${i}-${i + batch.length}`, {
@@ -646,17 +651,12 @@ class DatabaseService {
         return { success: false, data: null, reason: 'No valid columns' };
       }
 
-      const { data, error } = await this.client
-        .from('OpenHouse')
-        .upsert(filteredData, {
-          onConflict: 'OpenHouseKey',
-          ignoreDuplicates: false
-        })
-        .select();
-
-      if (error) {
+      let data;
+      try {
+        data = await this.storage.upsert('OpenHouse', [filteredData], { onConflict: 'OpenHouseKey', returning: '*' });
+      } catch (error) {
         // Check if it's a missing column error
-        if (error.message && error.message.includes('Could not find') && error.message.includes('column')) {
+        if (isMissingColumnError(error)) {
           logger.warn('Missing column error ignored for open house upsert:', {
             OpenHouseKey: filteredData.OpenHouseKey,
             ListingKey: filteredData.ListingKey,
@@ -726,27 +726,9 @@ class DatabaseService {
         const batch = filteredOpenHouses.slice(i, i + batchSize);
         
         try {
-          const { data, error } = await this.client
-            .from('OpenHouse')
-            .upsert(batch, {
-              onConflict: 'OpenHouseKey',
-              ignoreDuplicates: false
-            })
-            .select('OpenHouseKey');
-
-          if (error) {
-            logger.error(`Error upserting open houses batch ${i}-${i + batch.length}`, {
-              error: error.message
-            });
-            results.failed += batch.length;
-            results.errors.push({
-              batch: `${i}-${i + batch.length}`,
-              error: error.message
-            });
-          } else {
-            results.successful += data.length;
-            logger.info(`Open houses batch ${i}-${i + batch.length} upserted successfully`);
-          }
+          const data = await this.storage.upsert('OpenHouse', batch, { onConflict: 'OpenHouseKey', returning: 'OpenHouseKey' });
+          results.successful += data.length;
+          logger.info(`Open houses batch ${i}-${i + batch.length} upserted successfully`);
 
         } catch (batchError) {
           logger.error(`Database error in open houses batch ${i}-${i + batch.length}`, {
@@ -774,10 +756,26 @@ class DatabaseService {
    * @param {Object} options - Query options
    * @param {number} options.page - Page number (1-based)
    * @param {number} options.limit - Records per page
-   * @param {Object} options.filters - Filter conditions
-   * @param {string} options.sortBy - Sort field
+   * @param {Object} options.filters - Filter conditions: a value (eq), a '%pattern%' (ilike),
+   *   an array (in) or an object of filter operators ({ gte: 100000, lte: 500000 }, see
+   *   src/utils/propertyFilters.js)
+   * @param {string} options.search - Full-text query; matching listings only, each with
+   *   `relevance` and a `highlight` snippet
+   * @param {Object} options.geo - Geo filter: { near: { latitude, longitude, radiusKm }, within:
+   *   GeoJSON polygon }; with `near`, each listing gets its `distanceKm`
+   * @param {string} options.sortBy - Sort field, 'relevance' (default when searching) or
+   *   'distance' (default with geo.near)
    * @param {string} options.sortOrder - Sort order (asc/desc)
-   * @returns {Promise<Object>} Properties with pagination info
+   * @param {Object} options.cursor - Decoded cursor (src/utils/cursor.js) of the same sort; the
+   *   page starts after (or ends before) its position and `page` is ignored
+   * @param {boolean} options.includeTotal - Also count the matching listings (default: only
+   *   for page-based requests)
+   * @param {Array<string>} options.fields - Columns to return (src/utils/propertyFields.js),
+   *   default all the caller may see
+   * @param {Array<string>} options.expand - Records to embed in each listing (PROPERTY_EXPANSIONS)
+   * @param {string} options.entitlement - Caller entitlement ('idx' or 'vow'), defaults to IDX
+   * @returns {Promise<Object>} Properties with pagination info, including nextCursor / prevCursor
+   *   (null at either end)
    */
   async getProperties(options = {}) {
     try {
@@ -785,47 +783,111 @@ class DatabaseService {
         page = 1,
         limit = 50,
         filters = {},
-        sortBy = 'ModificationTimestamp',
-        sortOrder = 'desc'
+        search = null,
+        geo = null,
+        sortBy = search ? 'relevance' : geo?.near ? 'distance' : 'ModificationTimestamp',
+        sortOrder = 'desc',
+        cursor = null,
+        includeTotal = !cursor,
+        fields = null,
+        expand = [],
+        entitlement = ENTITLEMENT.IDX
       } = options;
 
-      let query = this.client.from('Property').select('*', { count: 'exact' });
+      const conditions = listingScope(entitlement);
 
       // Apply filters
       Object.entries(filters).forEach(([key, value]) => {
-        if (value !== undefined && value !== null && value !== '') {
-          if (typeof value === 'string' && value.includes('%')) {
-            query = query.ilike(key, value);
-          } else if (Array.isArray(value)) {
-            query = query.in(key, value);
-          } else {
-            query = query.eq(key, value);
-          }
+        if (value === undefined || value === null || value === '') {
+          return;
         }
-      });
 
-      // Apply sorting
-      query = query.order(sortBy, { ascending: sortOrder === 'asc' });
+        const operators = typeof value === 'object' && !Array.isArray(value)
+          ? value
+          : { [Array.isArray(value) ? 'in' : 'eq']: value };
 
-      // Apply pagination
-      const from = (page - 1) * limit;
-      const to = from + limit - 1;
-      query = query.range(from, to);
+        Object.entries(operators).forEach(([op, operand]) => {
+          if (!FILTER_CONDITIONS[op]) {
+            throw new Error(`Unsupported filter operator: ${op}`);
+          }
+          conditions.push(FILTER_CONDITIONS[op](key, operand));
+        });
+      });
+
+      // Ties fall back to the listing key, so every listing has one place in the order and
+      // cursors (sort value, ListingKey) never skip or repeat rows. Missing values sort last.
+      const sortColumn = { relevance: 'SearchRank', distance: 'DistanceKm' }[sortBy] || sortBy;
+      const ascending = { relevance: false, distance: true }[sortBy] ?? sortOrder === 'asc';
+      const orderBy = sortColumn === 'ListingKey'
+        ? [{ column: 'ListingKey', ascending }]
+        : [{ column: sortColumn, ascending, nullsFirst: false }, { column: 'ListingKey', ascending: true }];
 
-      const { data, error, count } = await query;
+      if (cursor && cursor.position.length !== orderBy.length) {
+        throw new Error('Invalid cursor for this sort order');
+      }
 
-      if (error) {
+      // A previous page is read backwards from the cursor, then put back in order
+      const backwards = cursor?.direction === 'prev';
+      const readOrder = backwards
+        ? orderBy.map(({ column, ascending: columnAscending, nullsFirst }) => ({
+          column,
+          ascending: !columnAscending,
+          ...(nullsFirst !== undefined && { nullsFirst: !nullsFirst })
+        }))
+        : orderBy;
+
+      let result;
+      try {
+        result = await this.storage.select('Property', {
+          // Sparse selects still read the sort columns (for cursors) and the expansion keys
+          columns: await getPropertySelect(entitlement, fields && [
+            ...fields,
+            ...orderBy.map(({ column }) => column),
+            ...this.expansionColumns(expand)
+          ]),
+          where: cursor ? [...conditions, keysetAfter(readOrder, cursor.position)] : conditions,
+          textSearch: search ? { query: search } : undefined,
+          geo: geo || undefined,
+          orderBy: readOrder,
+          // One extra row tells whether another page follows
+          limit: limit + 1,
+          offset: cursor ? 0 : (page - 1) * limit,
+          count: includeTotal
+        });
+      } catch (error) {
         logger.error('Error fetching properties', { error: error.message });
         throw error;
       }
 
+      const { count } = result;
+      const hasMore = result.rows.length > limit;
+      const rows = result.rows.slice(0, limit);
+      if (backwards) {
+        rows.reverse();
+      }
+
+      const cursorAt = (row, direction) => (row
+        ? encodeCursor({ sortBy, sortOrder, position: orderBy.map(({ column }) => row[column] ?? null), direction })
+        : null);
+      const nextCursor = backwards || hasMore ? cursorAt(rows[rows.length - 1], 'next') : null;
+      const prevCursor = (backwards ? hasMore : cursor || page > 1) ? cursorAt(rows[0], 'prev') : null;
+
+      await this.expandProperties(rows, expand);
+
+      const data = rows.map(({ SearchRank, SearchHighlight, DistanceKm, ...property }) => ({
+        ...this.pickFields(property, fields, expand),
+        ...(search && { relevance: Number(SearchRank), highlight: formatHighlight(SearchHighlight) }),
+        ...(geo?.near && { distanceKm: Math.round(Number(DistanceKm) * 1000) / 1000 })
+      }));
+
       return {
         data,
         pagination: {
-          page,
+          ...(!cursor && { page }),
           limit,
-          total: count,
-          totalPages: Math.ceil(count / limit)
+          ...(includeTotal && { total: count, totalPages: Math.ceil(count / limit) }),
+          nextCursor,
+          prevCursor
         }
       };
 
@@ -835,6 +897,222 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Get a single property visible to the caller
+   * @param {string} listingKey - Property ListingKey
+   * @param {Object} options - Query options
+   * @param {Array<string>} options.fields - Columns to return, default all the caller may see
+   * @param {Array<string>} options.expand - Records to embed (PROPERTY_EXPANSIONS)
+   * @param {string} options.entitlement - Caller entitlement ('idx' or 'vow'), defaults to IDX
+   * @returns {Promise<Object|null>} Property, or null if missing or not permitted
+   */
+  async getProperty(listingKey, options = {}) {
+    try {
+      const { fields = null, expand = [], entitlement = ENTITLEMENT.IDX } = options;
+
+      let rows;
+      try {
+        ({ rows } = await this.storage.select('Property', {
+          columns: await getPropertySelect(entitlement, fields && [...fields, ...this.expansionColumns(expand)]),
+          where: [where('ListingKey', 'eq', listingKey), ...listingScope(entitlement)],
+          limit: 1
+        }));
+      } catch (error) {
+        logger.error('Error fetching property', { listingKey, error: error.message });
+        throw error;
+      }
+
+      if (!rows[0]) {
+        return null;
+      }
+
+      await this.expandProperties(rows, expand);
+
+      return this.pickFields(rows[0], fields, expand);
+
+    } catch (error) {
+      logger.error('Database error fetching property', { listingKey, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get an agent by MemberKey
+   * @param {string} memberKey - Member key (Property.ListAgentKey)
+   * @returns {Promise<Object|null>} Member row, or null if the agent is not synced
+   */
+  async getMember(memberKey) {
+    try {
+      const { rows } = await this.storage.select('Member', {
+        where: [where('MemberKey', 'eq', memberKey)],
+        limit: 1
+      });
+      return rows[0] || null;
+
+    } catch (error) {
+      logger.error('Database error fetching member', { memberKey, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a brokerage by OfficeKey
+   * @param {string} officeKey - Office key (Property.ListOfficeKey)
+   * @returns {Promise<Object|null>} Office row, or null if the brokerage is not synced
+   */
+  async getOffice(officeKey) {
+    try {
+      const { rows } = await this.storage.select('Office', {
+        where: [where('OfficeKey', 'eq', officeKey)],
+        limit: 1
+      });
+      return rows[0] || null;
+
+    } catch (error) {
+      logger.error('Database error fetching office', { officeKey, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Embed related records in listing rows, one query per expansion (paged) for the whole page
+   * Child rows (media, rooms, openHouses) become arrays, ordered for display; office and agent
+   * become the record, or null when the listing has no key or the record is not synced yet.
+   * @param {Array<Object>} properties - Property rows, modified in place
+   * @param {Array<string>} expand - Keys of PROPERTY_EXPANSIONS
+   * @returns {Promise<Array<Object>>} The same rows
+   */
+  async expandProperties(properties, expand = []) {
+    if (properties.length === 0 || expand.length === 0) {
+      return properties;
+    }
+
+    try {
+      await Promise.all(expand.map(async name => {
+        const { table, keyField, orderBy = [], propertyColumn } = PROPERTY_EXPANSIONS[name];
+        // Child tables reference the listing; office and agent are referenced by it
+        const isChild = !propertyColumn;
+        const sourceColumn = propertyColumn || 'ListingKey';
+        const keys = [...new Set(properties.map(property => property[sourceColumn]).filter(Boolean))];
+        const related = new Map();
+
+        for (let offset = 0; keys.length > 0; offset += EXPANSION_PAGE_SIZE) {
+          const { rows } = await this.storage.select(table, {
+            where: isChild
+              ? [where(keyField, 'in', keys), where('DeletedAt', 'isNull')]
+              : [where(keyField, 'in', keys)],
+            orderBy: [keyField, ...orderBy].map(column => ({ column, ascending: true })),
+            limit: EXPANSION_PAGE_SIZE,
+            offset
+          });
+
+          rows.forEach(row => related.set(row[keyField], [...(related.get(row[keyField]) || []), row]));
+
+          if (rows.length < EXPANSION_PAGE_SIZE) {
+            break;
+          }
+        }
+
+        properties.forEach(property => {
+          const matches = related.get(property[sourceColumn]) || [];
+          property[name] = isChild ? matches : matches[0] || null;
+        });
+      }));
+
+      return properties;
+
+    } catch (error) {
+      logger.error('Database error expanding properties', { expand, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Property columns the expansions read their keys from
+   * @private
+   */
+  expansionColumns(expand = []) {
+    return expand.map(name => PROPERTY_EXPANSIONS[name].propertyColumn || 'ListingKey');
+  }
+
+  /**
+   * Reduce a row to the requested fields and embedded records
+   * @private
+   * @param {Object} property - Property row
+   * @param {Array<string>|null} fields - Requested columns, null for all
+   * @param {Array<string>} expand - Embedded record keys to keep
+   */
+  pickFields(property, fields, expand = []) {
+    if (!fields) {
+      return property;
+    }
+
+    return Object.fromEntries([...fields, ...expand]
+      .filter(key => key in property)
+      .map(key => [key, property[key]]));
+  }
+
+  /**
+   * Summary statistics over the listings visible to the caller
+   * Listings are active by StandardStatus (MlsStatus holds board statuses such as 'New' or
+   * 'Price Change'). The average price and type counts cover active listings for sale and are
+   * aggregated in the database, like the /api/stats market statistics.
+   * @param {Object} options - Query options
+   * @param {string} options.entitlement - Caller entitlement ('idx' or 'vow'), defaults to IDX
+   * @returns {Promise<Object>} Total and active counts, average price and type distribution
+   */
+  async getPropertyStats(options = {}) {
+    try {
+      const { entitlement = ENTITLEMENT.IDX } = options;
+
+      // Statistics only cover listings the caller may see
+      const scope = listingScope(entitlement);
+      const month = `${new Date().toISOString().slice(0, 7)}-01`;
+      const inventory = {
+        periodStart: month,
+        periodEnd: month,
+        byMonth: false,
+        includeSold: isVowEntitled(entitlement)
+      };
+
+      const [total, available, [overall], types] = await Promise.all([
+        this.storage.count('Property', scope),
+        this.storage.count('Property', [...scope, where('StandardStatus', 'eq', 'Active')]),
+        this.getMarketStats(inventory),
+        this.getMarketStats({ ...inventory, groupBy: 'PropertyType' })
+      ]);
+
+      const propertyTypes = Object.fromEntries(types
+        .filter(row => row.GroupValue !== null && row.ActiveListings > 0)
+        .map(row => [row.GroupValue, row.ActiveListings]));
+
+      return {
+        total,
+        available,
+        averagePrice: overall?.ListPriceAvg ? Math.round(overall.ListPriceAvg) : 0,
+        propertyTypes
+      };
+
+    } catch (error) {
+      logger.error('Database error computing property stats', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Market statistics aggregated in the database
+   * @param {Object} query - MarketStatsQuery (see src/storage/marketStats.js)
+   * @returns {Promise<Array<Object>>} One row per group and period
+   */
+  async getMarketStats(query) {
+    try {
+      return await this.storage.marketStats(query);
+    } catch (error) {
+      logger.error('Database error computing market statistics', { groupBy: query.groupBy, error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Get media for a specific property
    * @param {string} resourceRecordKey - Property ListingKey
@@ -850,24 +1128,26 @@ class DatabaseService {
         sortOrder = 'asc'
       } = options;
 
-      let query = this.client
-        .from('Media')
-        .select('*')
-        .eq('ResourceRecordKey', resourceRecordKey);
+      const conditions = [
+        where('ResourceRecordKey', 'eq', resourceRecordKey),
+        where('DeletedAt', 'isNull')
+      ];
 
       if (mediaType) {
-        query = query.eq('MediaType', mediaType);
+        conditions.push(where('MediaType', 'eq', mediaType));
       }
 
       if (preferredOnly) {
-        query = query.eq('PreferredPhotoYN', true);
+        conditions.push(where('PreferredPhotoYN', 'eq', true));
       }
 
-      query = query.order(sortBy, { ascending: sortOrder === 'asc' });
-
-      const { data, error } = await query;
-
-      if (error) {
+      try {
+        const { rows } = await this.storage.select('Media', {
+          where: conditions,
+          orderBy: [{ column: sortBy, ascending: sortOrder === 'asc' }]
+        });
+        return rows;
+      } catch (error) {
         logger.error('Error fetching media for property', {
           resourceRecordKey,
           error: error.message
@@ -875,8 +1155,6 @@ class DatabaseService {
         throw error;
       }
 
-      return data;
-
     } catch (error) {
       logger.error('Database error fetching media for property', {
         resourceRecordKey,
@@ -886,43 +1164,203 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Get a media record by MediaKey
+   * @param {string} mediaKey - Media key
+   * @returns {Promise<Object|null>} Media row, or null if missing or removed
+   */
+  async getMedia(mediaKey) {
+    try {
+      const { rows } = await this.storage.select('Media', {
+        where: [where('MediaKey', 'eq', mediaKey), where('DeletedAt', 'isNull')],
+        limit: 1
+      });
+      return rows[0] || null;
+
+    } catch (error) {
+      logger.error('Database error fetching media', { mediaKey, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the rooms of a property, in listing order
+   * @param {string} listingKey - Property ListingKey
+   * @returns {Promise<Array>} PropertyRooms records
+   */
+  async getRoomsForProperty(listingKey) {
+    try {
+      const { rows } = await this.storage.select('PropertyRooms', {
+        where: [where('ListingKey', 'eq', listingKey), where('DeletedAt', 'isNull')],
+        orderBy: [{ column: 'Order', ascending: true }, { column: 'RoomKey', ascending: true }]
+      });
+      return rows;
+
+    } catch (error) {
+      logger.error('Database error fetching rooms for property', { listingKey, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the open houses of a property, earliest first
+   * @param {string} listingKey - Property ListingKey
+   * @param {Object} options - Query options
+   * @param {boolean} options.upcomingOnly - Leave out open houses on past days
+   * @returns {Promise<Array>} OpenHouse records
+   */
+  async getOpenHousesForProperty(listingKey, options = {}) {
+    try {
+      const { upcomingOnly = false } = options;
+
+      const conditions = [where('ListingKey', 'eq', listingKey), where('DeletedAt', 'isNull')];
+
+      // Start and end times are stored as local wall-clock times, so compare by local date
+      if (upcomingOnly) {
+        conditions.push(where('OpenHouseDate', 'gte', toLocalDate()));
+      }
+
+      const { rows } = await this.storage.select('OpenHouse', {
+        where: conditions,
+        orderBy: ['OpenHouseDate', 'OpenHouseStartTime', 'OpenHouseKey'].map(column => ({ column, ascending: true }))
+      });
+      return rows;
+
+    } catch (error) {
+      logger.error('Database error fetching open houses for property', { listingKey, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find open houses with their listing's address, price and type, earliest first
+   * @param {Object} options - Query options
+   * @param {string} options.from - First local date (YYYY-MM-DD), inclusive
+   * @param {string} options.to - Last local date (YYYY-MM-DD), inclusive
+   * @param {string} options.listingKey - Only this listing's open houses
+   * @param {string} options.city - City name, case-insensitive
+   * @param {number} options.minPrice - Lowest list price
+   * @param {number} options.maxPrice - Highest list price
+   * @param {string} options.propertyType - PropertyType
+   * @param {string} options.propertySubType - PropertySubType
+   * @param {number} options.page - Page number (1-based)
+   * @param {number} options.limit - Open houses per page
+   * @param {string} options.entitlement - Caller entitlement ('idx' or 'vow'), defaults to IDX
+   * @returns {Promise<Object>} Open houses with pagination info
+   */
+  async getOpenHouses(options = {}) {
+    try {
+      const {
+        from = null,
+        to = null,
+        listingKey = null,
+        city = null,
+        minPrice = null,
+        maxPrice = null,
+        propertyType = null,
+        propertySubType = null,
+        page = 1,
+        limit = 50,
+        entitlement = ENTITLEMENT.IDX
+      } = options;
+
+      // Only open houses of listings the caller may see
+      const conditions = listingScope(entitlement);
+
+      if (from) conditions.push(where('OpenHouseDate', 'gte', from));
+      if (to) conditions.push(where('OpenHouseDate', 'lte', to));
+      if (listingKey) conditions.push(where('ListingKey', 'eq', listingKey));
+      if (city) conditions.push(where('City', 'ilike', city));
+      if (minPrice !== null) conditions.push(where('ListPrice', 'gte', minPrice));
+      if (maxPrice !== null) conditions.push(where('ListPrice', 'lte', maxPrice));
+      if (propertyType) conditions.push(where('PropertyType', 'eq', propertyType));
+      if (propertySubType) conditions.push(where('PropertySubType', 'eq', propertySubType));
+
+      const { rows, count } = await this.storage.select('OpenHouseListing', {
+        columns: OPEN_HOUSE_LISTING_COLUMNS.join(','),
+        where: conditions,
+        orderBy: ['OpenHouseDate', 'OpenHouseStartTime', 'OpenHouseKey'].map(column => ({ column, ascending: true })),
+        limit,
+        offset: (page - 1) * limit,
+        count: true
+      });
+
+      return {
+        data: rows,
+        pagination: {
+          page,
+          limit,
+          total: count,
+          totalPages: Math.ceil(count / limit)
+        }
+      };
+
+    } catch (error) {
+      logger.error('Database error fetching open houses', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a property with everything a listing page shows
+   * @param {string} listingKey - Property ListingKey
+   * @param {Object} options - Query options
+   * @param {string} options.entitlement - Caller entitlement ('idx' or 'vow'), defaults to IDX
+   * @returns {Promise<Object|null>} { property, media, rooms, openHouses }, with media in display
+   *   order, rooms grouped by RoomLevel ([{ level, rooms }], levels in order of their first room)
+   *   and upcoming open houses; null if the property is missing or not permitted
+   */
+  async getPropertyDetail(listingKey, options = {}) {
+    const property = await this.getProperty(listingKey, options);
+
+    if (!property) {
+      return null;
+    }
+
+    const [media, rooms, openHouses] = await Promise.all([
+      this.getMediaForProperty(listingKey),
+      this.getRoomsForProperty(listingKey),
+      this.getOpenHousesForProperty(listingKey, { upcomingOnly: true })
+    ]);
+
+    const levels = new Map();
+    rooms.forEach(room => {
+      const level = room.RoomLevel || null;
+      levels.set(level, [...(levels.get(level) || []), room]);
+    });
+
+    return {
+      property,
+      media,
+      rooms: [...levels].map(([level, levelRooms]) => ({ level, rooms: levelRooms })),
+      openHouses
+    };
+  }
+
   /**
    * Get sync status information
    * @returns {Promise<Object>} Sync status data
    */
   async getSyncStatus() {
     try {
-      // Get latest timestamps from both tables
-      const [propertyResult, mediaResult] = await Promise.all([
-        this.client
-          .from('Property')
-          .select('ModificationTimestamp')
-          .order('ModificationTimestamp', { ascending: false })
-          .limit(1),
-        this.client
-          .from('Media')
-          .select('ModificationTimestamp')
-          .order('ModificationTimestamp', { ascending: false })
-          .limit(1)
-      ]);
-
-      const [propertyCounts, mediaCounts] = await Promise.all([
-        this.client
-          .from('Property')
-          .select('*', { count: 'exact', head: true }),
-        this.client
-          .from('Media')
-          .select('*', { count: 'exact', head: true })
+      const latest = { orderBy: [{ column: 'ModificationTimestamp', ascending: false }], limit: 1 };
+
+      // Get latest timestamps and row counts from both tables
+      const [propertyResult, mediaResult, propertyCount, mediaCount] = await Promise.all([
+        this.storage.select('Property', { columns: 'ModificationTimestamp', ...latest }),
+        this.storage.select('Media', { columns: 'ModificationTimestamp', ...latest }),
+        this.storage.count('Property'),
+        this.storage.count('Media')
       ]);
 
       return {
         properties: {
-          count: propertyCounts.count || 0,
-          lastModified: propertyResult.data?.[0]?.ModificationTimestamp || null
+          count: propertyCount,
+          lastModified: propertyResult.rows[0]?.ModificationTimestamp || null
         },
         media: {
-          count: mediaCounts.count || 0,
-          lastModified: mediaResult.data?.[0]?.ModificationTimestamp || null
+          count: mediaCount,
+          lastModified: mediaResult.rows[0]?.ModificationTimestamp || null
         },
         lastUpdated: new Date().toISOString()
       };
@@ -934,27 +1372,667 @@ class DatabaseService {
   }
 
   /**
-   * Health check for database connection
-   * @returns {Promise<boolean>} True if database is accessible
+   * Get the most recent SyncLog entry
+   * @returns {Promise<Object|null>} Latest sync log row, or null if no sync has been logged
    */
-  async healthCheck() {
+  async getLatestSyncLog() {
     try {
-      const { data, error } = await this.client
-        .from('Property')
-        .select('ListingKey')
-        .limit(1);
+      const { rows } = await this.storage.select('SyncLog', {
+        orderBy: [{ column: 'timestamp', ascending: false }],
+        limit: 1
+      });
 
-      if (error) {
-        logger.error('Database health check failed', { error: error.message });
-        return false;
+      return rows[0] || null;
+
+    } catch (error) {
+      logger.error('Database error loading latest sync log', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Append a SyncLog entry
+   * Per-resource timestamps the entry leaves out are carried over from the latest entry, so runs
+   * that synced different resources do not reset each other's timestamps.
+   * @param {Object} entry - SyncLog columns (timestamps, totals, reconciliation counts)
+   * @returns {Promise<void>}
+   */
+  async insertSyncLog(entry) {
+    return await this.executeWithRetry(async () => {
+      const latest = await this.getLatestSyncLog();
+      const carried = Object.fromEntries(SYNC_LOG_TIMESTAMP_COLUMNS
+        .filter(column => entry[column] === undefined && latest?.[column])
+        .map(column => [column, latest[column]]));
+
+      await this.storage.insert('SyncLog', { ...carried, ...entry });
+    }, 'Insert sync log');
+  }
+
+  /**
+   * Get the saved checkpoint for a sync type
+   * @param {string} syncType - Sync type key (e.g. 'idx_property', 'media')
+   * @returns {Promise<Object|null>} Checkpoint data or null if none is stored
+   */
+  async getSyncCheckpoint(syncType) {
+    try {
+      let rows;
+      try {
+        ({ rows } = await this.storage.select('sync_checkpoints', {
+          columns: 'checkpoint_data',
+          where: [where('sync_type', 'eq', syncType)],
+          limit: 1
+        }));
+      } catch (error) {
+        logger.error('Error loading sync checkpoint', { syncType, error: error.message });
+        throw error;
       }
 
-      return true;
+      return rows[0]?.checkpoint_data || null;
+
     } catch (error) {
-      logger.error('Database health check error', { error: error.message });
-      return false;
+      logger.error('Database error loading sync checkpoint', { syncType, error: error.message });
+      throw error;
     }
   }
+
+  /**
+   * Save (insert or replace) the checkpoint for a sync type
+   * @param {string} syncType - Sync type key (e.g. 'idx_property', 'media')
+   * @param {Object} checkpointData - Cursor, batch number and stats to persist
+   * @returns {Promise<void>}
+   */
+  async saveSyncCheckpoint(syncType, checkpointData) {
+    return await this.executeWithRetry(async () => {
+      await this.storage.upsert('sync_checkpoints', [{
+        sync_type: syncType,
+        checkpoint_data: checkpointData,
+        updated_at: new Date().toISOString()
+      }], {
+        onConflict: 'sync_type'
+      });
+    }, `Save sync checkpoint ${syncType}`);
+  }
+
+  /**
+   * Delete the checkpoint for a sync type
+   * @param {string} syncType - Sync type key (e.g. 'idx_property', 'media')
+   * @returns {Promise<void>}
+   */
+  async clearSyncCheckpoint(syncType) {
+    try {
+      await this.storage.delete('sync_checkpoints', [where('sync_type', 'eq', syncType)]);
+    } catch (error) {
+      logger.error('Database error clearing sync checkpoint', { syncType, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the incremental sync cursors, one sync_cursors row per sync type
+   * @returns {Promise<Object>} Map of sync type to { lastTimestamp, lastKey }
+   */
+  async getSyncCursors() {
+    try {
+      const { rows } = await this.storage.select('sync_cursors', {
+        columns: 'sync_type, last_timestamp, last_key'
+      });
+
+      return Object.fromEntries(rows.map(row => [row.sync_type, {
+        lastTimestamp: row.last_timestamp,
+        lastKey: row.last_key
+      }]));
+
+    } catch (error) {
+      logger.error('Database error loading sync cursors', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Store the incremental sync cursor (high-water mark) for a sync type
+   * Only the sync type's own row is written, so feeds syncing at the same time cannot
+   * overwrite each other's cursor.
+   * @param {string} syncType - Sync type key (e.g. 'idx_property')
+   * @param {Object} cursor - { lastTimestamp, lastKey } of the newest ingested record
+   * @returns {Promise<void>}
+   */
+  async saveSyncCursor(syncType, cursor) {
+    return await this.executeWithRetry(async () => {
+      await this.storage.upsert('sync_cursors', [{
+        sync_type: syncType,
+        last_timestamp: cursor.lastTimestamp,
+        last_key: cursor.lastKey || null,
+        updated_at: new Date().toISOString()
+      }], {
+        onConflict: 'sync_type'
+      });
+    }, `Save sync cursor ${syncType}`);
+  }
+
+  /**
+   * Insert a sync_jobs row
+   * @param {Object} job - sync_jobs columns
+   * @returns {Promise<void>}
+   */
+  async insertSyncJob(job) {
+    return await this.executeWithRetry(async () => {
+      await this.storage.insert('sync_jobs', job);
+    }, `Insert sync job ${job.id}`);
+  }
+
+  /**
+   * Update a sync_jobs row
+   * @param {string} id - Job id
+   * @param {Object} values - Columns to set
+   * @param {Object} options
+   * @param {string} options.state - Only update the job while it is in this state
+   * @returns {Promise<number>} Updated row count (0 if the job is missing or in another state)
+   */
+  async updateSyncJob(id, values, { state = null } = {}) {
+    return await this.executeWithRetry(async () => {
+      const conditions = [where('id', 'eq', id)];
+
+      if (state) {
+        conditions.push(where('state', 'eq', state));
+      }
+
+      return await this.storage.update('sync_jobs', { ...values, updated_at: new Date().toISOString() }, conditions);
+    }, `Update sync job ${id}`);
+  }
+
+  /**
+   * Get a sync job
+   * @param {string} id - Job id
+   * @returns {Promise<Object|null>} sync_jobs row or null
+   */
+  async getSyncJob(id) {
+    try {
+      const { rows } = await this.storage.select('sync_jobs', {
+        where: [where('id', 'eq', id)],
+        limit: 1
+      });
+
+      return rows[0] || null;
+
+    } catch (error) {
+      logger.error('Database error loading sync job', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * List sync jobs, newest first
+   * @param {Object} options
+   * @param {string} options.state - Only jobs in this state
+   * @param {string} options.type - Only jobs of this type
+   * @param {string} options.trigger - Only jobs started by this trigger ('api', 'cron', 'cli')
+   * @param {number} options.limit - Maximum number of jobs
+   * @returns {Promise<Array<Object>>} sync_jobs rows
+   */
+  async listSyncJobs({ state = null, type = null, trigger = null, limit = 20 } = {}) {
+    try {
+      const conditions = [];
+
+      if (state) conditions.push(where('state', 'eq', state));
+      if (type) conditions.push(where('type', 'eq', type));
+      if (trigger) conditions.push(where('trigger', 'eq', trigger));
+
+      const { rows } = await this.storage.select('sync_jobs', {
+        where: conditions,
+        orderBy: [{ column: 'created_at', ascending: false }, { column: 'id', ascending: false }],
+        limit
+      });
+
+      return rows;
+
+    } catch (error) {
+      logger.error('Database error listing sync jobs', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Insert a sync_locks row; fails if the lock already has a row
+   * @param {Object} lock - sync_locks columns
+   * @returns {Promise<void>}
+   */
+  async insertSyncLock(lock) {
+    await this.storage.insert('sync_locks', lock);
+  }
+
+  /**
+   * Get sync locks
+   * @param {Array<string>|null} names - Lock names (sync types), or null for every lock
+   * @returns {Promise<Array<Object>>} sync_locks rows
+   */
+  async getSyncLocks(names = null) {
+    try {
+      const { rows } = await this.storage.select('sync_locks', {
+        where: names ? [where('name', 'in', names)] : [],
+        orderBy: [{ column: 'name', ascending: true }]
+      });
+
+      return rows;
+
+    } catch (error) {
+      logger.error('Database error loading sync locks', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a sync lock if it is still held by a lease
+   * @param {string} name - Lock name
+   * @param {string} token - Token of the holding lease
+   * @param {Object} values - Columns to set
+   * @param {Object} options
+   * @param {string} options.expiredBefore - Only update if the lease expired before this time
+   * @returns {Promise<number>} 1 if updated, 0 if the lease no longer holds the lock
+   */
+  async updateSyncLock(name, token, values, { expiredBefore = null } = {}) {
+    const conditions = [where('name', 'eq', name), where('token', 'eq', token)];
+
+    if (expiredBefore) {
+      conditions.push(where('expires_at', 'lt', expiredBefore));
+    }
+
+    return await this.storage.update('sync_locks', values, conditions);
+  }
+
+  /**
+   * Delete a sync lock if it is still held by a lease
+   * @param {string} name - Lock name
+   * @param {string} token - Token of the holding lease
+   * @returns {Promise<number>} Deleted row count
+   */
+  async deleteSyncLock(name, token) {
+    return await this.storage.delete('sync_locks', [where('name', 'eq', name), where('token', 'eq', token)]);
+  }
+
+  /**
+   * Insert an api_keys row
+   * @param {Object} apiKey - api_keys columns
+   * @returns {Promise<void>}
+   */
+  async insertApiKey(apiKey) {
+    return await this.executeWithRetry(async () => {
+      await this.storage.insert('api_keys', apiKey);
+    }, `Insert API key ${apiKey.id}`);
+  }
+
+  /**
+   * Get an API key by id or by the hash of the key
+   * @param {Object} lookup - { id } or { keyHash }
+   * @returns {Promise<Object|null>} api_keys row or null
+   */
+  async getApiKey({ id = null, keyHash = null }) {
+    try {
+      const { rows } = await this.storage.select('api_keys', {
+        where: [id ? where('id', 'eq', id) : where('key_hash', 'eq', keyHash)],
+        limit: 1
+      });
+
+      return rows[0] || null;
+
+    } catch (error) {
+      logger.error('Database error loading API key', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * List API keys, newest first
+   * @param {Object} options
+   * @param {boolean} options.includeRevoked - Include revoked keys
+   * @returns {Promise<Array<Object>>} api_keys rows
+   */
+  async listApiKeys({ includeRevoked = false } = {}) {
+    try {
+      const { rows } = await this.storage.select('api_keys', {
+        where: includeRevoked ? [] : [where('revoked_at', 'isNull')],
+        orderBy: [{ column: 'created_at', ascending: false }, { column: 'id', ascending: false }]
+      });
+
+      return rows;
+
+    } catch (error) {
+      logger.error('Database error listing API keys', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update an api_keys row
+   * @param {string} id - Key id
+   * @param {Object} values - Columns to set
+   * @param {Object} options
+   * @param {boolean} options.active - Only update the key while it is not revoked
+   * @returns {Promise<number>} Updated row count
+   */
+  async updateApiKey(id, values, { active = false } = {}) {
+    const conditions = [where('id', 'eq', id)];
+
+    if (active) {
+      conditions.push(where('revoked_at', 'isNull'));
+    }
+
+    return await this.storage.update('api_keys', values, conditions);
+  }
+
+  /**
+   * Upsert already-mapped rows into a synced table, keyed on the table's unique key
+   * Unlike the upsert* helpers this does not filter columns or catch errors.
+   * @param {string} table - 'Property', 'Media', 'PropertyRooms' or 'OpenHouse'
+   * @param {Array<Object>} rows - Rows to write
+   * @returns {Promise<number>} Number of rows written
+   */
+  async upsertRows(table, rows) {
+    if (!TABLE_KEYS[table]) {
+      throw new Error(`Unknown table for upsert: ${table}`);
+    }
+
+    await this.storage.upsert(table, rows, { onConflict: TABLE_KEYS[table] });
+    return rows.length;
+  }
+
+  /**
+   * Get one page of stored listing keys in ascending order (keyset pagination)
+   * @param {string|null} afterKey - Return keys greater than this key
+   * @param {number} limit - Page size
+   * @param {Object} options
+   * @param {boolean} options.includeDeleted - Include soft-deleted listings (default true)
+   * @param {Array<string>} options.columns - Additional Property columns to return
+   * @returns {Promise<Array>} Rows with ListingKey, DeletedAt, the feed flags and the requested columns
+   */
+  async getListingKeyPage(afterKey = null, limit = 1000, { includeDeleted = true, columns = [] } = {}) {
+    try {
+      const conditions = [];
+
+      if (afterKey) {
+        conditions.push(where('ListingKey', 'gt', afterKey));
+      }
+
+      if (!includeDeleted) {
+        conditions.push(where('DeletedAt', 'isNull'));
+      }
+
+      try {
+        const { rows } = await this.storage.select('Property', {
+          columns: ['ListingKey', 'DeletedAt', ...Object.values(FEED_FLAG_COLUMNS), ...columns].join(', '),
+          where: conditions,
+          orderBy: [{ column: 'ListingKey', ascending: true }],
+          limit
+        });
+        return rows;
+      } catch (error) {
+        logger.error('Error fetching listing keys', { afterKey, error: error.message });
+        throw error;
+      }
+
+    } catch (error) {
+      logger.error('Database error fetching listing keys', { afterKey, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Which of the given listing keys exist in the Property table
+   * @param {Array<string>} listingKeys - Listing keys to check
+   * @returns {Promise<Set<string>>} The keys that exist
+   */
+  async getExistingListingKeys(listingKeys) {
+    try {
+      if (listingKeys.length === 0) {
+        return new Set();
+      }
+
+      const { rows } = await this.storage.select('Property', {
+        columns: 'ListingKey',
+        where: [where('ListingKey', 'in', listingKeys)]
+      });
+
+      return new Set(rows.map(row => row.ListingKey));
+
+    } catch (error) {
+      logger.error('Database error checking listing keys', { count: listingKeys.length, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get some columns of stored listings
+   * @param {Array<string>} listingKeys - Listing keys to load
+   * @param {Array<string>} columns - Property columns (ListingKey is always included)
+   * @returns {Promise<Array<Object>>} Property rows of the keys that exist
+   */
+  async getListingValues(listingKeys, columns) {
+    try {
+      if (listingKeys.length === 0) {
+        return [];
+      }
+
+      const { rows } = await this.storage.select('Property', {
+        columns: ['ListingKey', ...columns].join(', '),
+        where: [where('ListingKey', 'in', listingKeys)]
+      });
+
+      return rows;
+
+    } catch (error) {
+      logger.error('Database error loading listing values', { count: listingKeys.length, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Insert PropertyHistory rows
+   * @param {Array<Object>} changes - PropertyHistory columns (without "Id")
+   * @returns {Promise<number>} Number of rows inserted
+   */
+  async insertPropertyHistory(changes) {
+    if (changes.length === 0) {
+      return 0;
+    }
+
+    return await this.executeWithRetry(async () => {
+      await this.storage.insert('PropertyHistory', changes);
+      return changes.length;
+    }, `Insert ${changes.length} property history rows`);
+  }
+
+  /**
+   * Get the recorded changes of a listing, oldest first
+   * @param {string} listingKey - Listing key
+   * @param {Object} options
+   * @param {Array<string>} options.fields - Only changes of these fields
+   * @param {string} options.since - Only changes at or after this ISO time
+   * @returns {Promise<Array<Object>>} PropertyHistory rows
+   */
+  async getPropertyHistory(listingKey, { fields = null, since = null } = {}) {
+    try {
+      const conditions = [where('ListingKey', 'eq', listingKey)];
+
+      if (fields) conditions.push(where('FieldName', 'in', fields));
+      if (since) conditions.push(where('ChangedAt', 'gte', since));
+
+      const { rows } = await this.storage.select('PropertyHistory', {
+        where: conditions,
+        orderBy: [{ column: 'ChangedAt', ascending: true }, { column: 'Id', ascending: true }]
+      });
+
+      return rows;
+
+    } catch (error) {
+      logger.error('Database error fetching property history', { listingKey, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Count listings that are not soft-deleted
+   * @returns {Promise<number>} Number of live Property rows
+   */
+  async countActiveListings() {
+    try {
+      return await this.storage.count('Property', [where('DeletedAt', 'isNull')]);
+    } catch (error) {
+      logger.error('Database error counting active listings', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Set a listing's source flag for one feed (IdxFeedYN / VowFeedYN)
+   * @param {string} feedType - 'idx' or 'vow'
+   * @param {Array<string>} listingKeys - Listing keys to update
+   * @param {boolean} value - Whether the feed currently carries the listings
+   * @returns {Promise<number>} Number of updated rows
+   */
+  async setFeedFlag(feedType, listingKeys, value) {
+    return await this.executeWithRetry(async () => {
+      return await this.storage.update(
+        'Property',
+        { [FEED_FLAG_COLUMNS[feedType]]: value },
+        [where('ListingKey', 'in', listingKeys)]
+      );
+    }, `Set ${feedType} feed flag on ${listingKeys.length} listings`);
+  }
+
+  /**
+   * Record per-listing sync timestamps (e.g. MediaSyncTimestamp)
+   * @param {string} column - Property column to set
+   * @param {Map<string, string>} timestamps - Listing key to timestamp
+   * @returns {Promise<number>} Number of updated rows
+   */
+  async setListingTimestamps(column, timestamps) {
+    // Listings sharing a timestamp are updated together
+    const keysByTimestamp = new Map();
+    for (const [listingKey, timestamp] of timestamps) {
+      keysByTimestamp.set(timestamp, [...(keysByTimestamp.get(timestamp) || []), listingKey]);
+    }
+
+    return await this.executeWithRetry(async () => {
+      let updated = 0;
+
+      for (const [timestamp, listingKeys] of keysByTimestamp) {
+        updated += await this.storage.update('Property', { [column]: timestamp }, [
+          where('ListingKey', 'in', listingKeys)
+        ]);
+      }
+
+      return updated;
+    }, `Set ${column} on ${timestamps.size} listings`);
+  }
+
+  /**
+   * Delete the child rows of listings that are no longer in the feed
+   * @param {string} table - Child table ('Media', ...)
+   * @param {string} keyField - Key of the child table
+   * @param {string} foreignKey - Column referencing Property.ListingKey
+   * @param {Array<string>} listingKeys - Listings whose children were just fetched in full
+   * @param {Set<string>} currentKeys - Child keys the feed returned for those listings
+   * @returns {Promise<number>} Number of deleted rows
+   */
+  async deleteStaleChildren(table, keyField, foreignKey, listingKeys, currentKeys) {
+    if (listingKeys.length === 0) {
+      return 0;
+    }
+
+    return await this.executeWithRetry(async () => {
+      const { rows } = await this.storage.select(table, {
+        columns: keyField,
+        where: [where(foreignKey, 'in', listingKeys)]
+      });
+      const staleKeys = rows.map(row => row[keyField]).filter(key => !currentKeys.has(key));
+
+      if (staleKeys.length === 0) {
+        return 0;
+      }
+
+      return await this.storage.delete(table, [where(keyField, 'in', staleKeys)]);
+    }, `Delete stale ${table} rows of ${listingKeys.length} listings`);
+  }
+
+  /**
+   * Soft-delete listings and their Media, PropertyRooms and OpenHouse rows
+   * @param {Array<string>} listingKeys - Listing keys to flag
+   * @returns {Promise<Object>} Affected row counts per table
+   */
+  async softDeleteListings(listingKeys) {
+    const deletedAt = new Date().toISOString();
+
+    return await this.executeWithRetry(async () => {
+      const counts = {};
+
+      for (const { table, keyField, name } of LISTING_TABLES) {
+        counts[name] = await this.storage.update(table, { DeletedAt: deletedAt }, [
+          where(keyField, 'in', listingKeys),
+          where('DeletedAt', 'isNull')
+        ]);
+      }
+
+      return counts;
+    }, `Soft-delete ${listingKeys.length} listings`);
+  }
+
+  /**
+   * Clear DeletedAt on listings that reappeared in the feed, including their children
+   * @param {Array<string>} listingKeys - Listing keys to restore
+   * @returns {Promise<Object>} Affected row counts per table
+   */
+  async restoreListings(listingKeys) {
+    return await this.executeWithRetry(async () => {
+      const counts = {};
+
+      for (const { table, keyField, name } of LISTING_TABLES) {
+        counts[name] = await this.storage.update(table, { DeletedAt: null }, [
+          where(keyField, 'in', listingKeys),
+          where('DeletedAt', 'notNull')
+        ]);
+      }
+
+      return counts;
+    }, `Restore ${listingKeys.length} listings`);
+  }
+
+  /**
+   * Permanently delete listings; children are removed before the parent rows
+   * @param {Array<string>} listingKeys - Listing keys to delete
+   * @returns {Promise<Object>} Deleted row counts per table
+   */
+  async purgeListings(listingKeys) {
+    return await this.executeWithRetry(async () => {
+      const counts = {};
+
+      for (const { table, keyField, name } of [...LISTING_TABLES].reverse()) {
+        counts[name] = await this.storage.delete(table, [where(keyField, 'in', listingKeys)]);
+      }
+
+      return counts;
+    }, `Purge ${listingKeys.length} listings`);
+  }
+
+  /**
+   * Health check for database connection
+   * @returns {Promise<boolean>} True if database is accessible
+   */
+  async healthCheck() {
+    try {
+      await this.storage.select('Property', { columns: 'ListingKey', limit: 1 });
+      return true;
+    } catch (error) {
+      logger.error('Database health check failed', { backend: this.storage.backend, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Release storage connections (pg pool, SQLite handle)
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.storage.close();
+  }
 }
 
 export default DatabaseService;
@@ -0,0 +1,156 @@
+import DatabaseService from './databaseService.js';
+import logger from '../utils/logger.js';
+import { statsSettings } from '../config/config.js';
+import { isVowEntitled } from '../utils/entitlements.js';
+import { addMonths, countMonths } from '../utils/listingTime.js';
+
+// Results shared by every service instance, by query; the oldest entry is evicted when full
+const statsCache = new Map();
+const STATS_CACHE_MAX_ENTRIES = 500;
+
+/**
+ * Market Statistics Service
+ * Inventory, new listings, sales, prices, sale-to-list ratio, days on market and months of
+ * inventory per City / CityRegion / PropertySubType and month. The aggregation runs in the
+ * database (DatabaseService.getMarketStats); results are cached for STATS_CACHE_TTL_SECONDS,
+ * as they only change with the next sync.
+ *
+ * Sold figures come from VOW-only fields (ClosePrice, CloseDate, PurchaseContractDate), so
+ * IDX callers get inventory, new listings and list prices only.
+ */
+class MarketStatsService {
+  /**
+   * @param {DatabaseService} database - Database service
+   * @param {Object} options
+   * @param {number} options.cacheTtlSeconds - How long results are reused; 0 disables the cache
+   */
+  constructor(database = new DatabaseService(), { cacheTtlSeconds = statsSettings.cacheTtlSeconds } = {}) {
+    this.database = database;
+    this.cacheTtlMs = cacheTtlSeconds * 1000;
+  }
+
+  /**
+   * Statistics per group and month
+   * @param {Object} options
+   * @param {string} options.from - First month ('YYYY-MM')
+   * @param {string} options.to - Last month ('YYYY-MM')
+   * @param {string|null} options.groupBy - City, CityRegion, PropertySubType or PropertyType
+   * @param {number} options.percentile - Price percentile to report (1-99)
+   * @param {string} options.entitlement - Caller entitlement
+   * @returns {Promise<Array<Object>>} One entry per group and month
+   */
+  async getMonthly(options) {
+    return this.getStats({ ...options, byMonth: true });
+  }
+
+  /**
+   * Statistics per group over a whole period, e.g. the trailing months
+   * Takes the same options as getMonthly().
+   * @returns {Promise<Array<Object>>} One entry per group
+   */
+  async getSummary(options) {
+    return this.getStats({ ...options, byMonth: false });
+  }
+
+  /**
+   * @private
+   */
+  async getStats({ from, to, byMonth, percentile = 90, entitlement, ...filters }) {
+    const includeSold = isVowEntitled(entitlement);
+    const query = {
+      ...filters,
+      periodStart: `${from}-01`,
+      periodEnd: `${to}-01`,
+      byMonth,
+      includeSold,
+      percentile: percentile / 100
+    };
+
+    const rows = await this.cached(query, () => this.database.getMarketStats(query));
+    return rows.map(row => this.format(row, { includeSold, months: byMonth ? 1 : countMonths(from, to) }));
+  }
+
+  /**
+   * Result of a query from the cache, or computed and cached
+   * @private
+   */
+  async cached(query, compute) {
+    if (this.cacheTtlMs <= 0) {
+      return compute();
+    }
+
+    const key = JSON.stringify(query);
+    const entry = statsCache.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.rows;
+    }
+
+    const startedAt = Date.now();
+    const rows = await compute();
+    logger.debug('Market statistics computed', { groupBy: query.groupBy, rows: rows.length, ms: Date.now() - startedAt });
+
+    statsCache.delete(key);
+    if (statsCache.size >= STATS_CACHE_MAX_ENTRIES) {
+      statsCache.delete(statsCache.keys().next().value);
+    }
+    statsCache.set(key, { rows, expiresAt: Date.now() + this.cacheTtlMs });
+
+    return rows;
+  }
+
+  /**
+   * API shape of a market statistics row
+   * List prices are those of the active inventory at the end of the period; months of
+   * inventory is that inventory divided by the average monthly sales.
+   * @private
+   */
+  format(row, { includeSold, months }) {
+    const stats = {
+      group: row.GroupValue,
+      period: {
+        from: row.PeriodStart.slice(0, 7),
+        to: addMonths(row.PeriodEnd.slice(0, 7), -1)
+      },
+      activeListings: row.ActiveListings,
+      newListings: row.NewListings,
+      listPrice: {
+        average: round(row.ListPriceAvg),
+        median: round(row.ListPriceMedian),
+        percentile: round(row.ListPricePercentile)
+      }
+    };
+
+    if (!includeSold) {
+      return stats;
+    }
+
+    return {
+      ...stats,
+      sales: row.Sales,
+      salePrice: {
+        average: round(row.SalePriceAvg),
+        median: round(row.SalePriceMedian),
+        percentile: round(row.SalePricePercentile)
+      },
+      saleToListRatio: round(row.SaleToListRatio, 4),
+      daysOnMarket: {
+        average: round(row.DaysOnMarketAvg, 1),
+        median: round(row.DaysOnMarketMedian, 1)
+      },
+      monthsOfInventory: row.Sales > 0 ? round(row.ActiveListings / (row.Sales / months), 1) : null
+    };
+  }
+}
+
+/**
+ * Round to a number of decimals, keeping null
+ */
+function round(value, decimals = 0) {
+  if (value === null) {
+    return null;
+  }
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+export default MarketStatsService;
@@ -0,0 +1,195 @@
+import { createHash } from 'crypto';
+import DatabaseService from './databaseService.js';
+import logger from '../utils/logger.js';
+import { mediaCacheSettings } from '../config/config.js';
+import { MEDIA_FORMATS, contentTypeOf, createBlobStore, renderDerivative } from '../media/index.js';
+
+/**
+ * Media Cache Service
+ * Serves listing photos as sized derivatives instead of hot-linking the board CDN. The original
+ * behind Media.MediaURL is downloaded once, and each size / format is rendered on first request;
+ * both are kept in the blob store (local disk or S3) under
+ *
+ *   <MediaKey>/<version>/original
+ *   <MediaKey>/<version>/<size>.<webp|jpg>
+ *
+ * The version is derived from the media's MediaModificationTimestamp and URL and the listing's
+ * PhotosChangeTimestamp, so a re-shot photo or a new photo set gets new blobs, and the blobs of
+ * older versions are deleted when the new original is downloaded.
+ */
+class MediaCacheService {
+  constructor(database = new DatabaseService(), store = createBlobStore(), settings = mediaCacheSettings) {
+    this.database = database;
+    this.store = store;
+    this.settings = settings;
+    // Derivatives being generated, so concurrent requests share one download and render
+    this.pending = new Map();
+  }
+
+  /**
+   * Get a derivative of a listing photo, generating and caching it on first request
+   * @param {string} mediaKey - Media key
+   * @param {string} size - Key of MEDIA_SIZES
+   * @param {string} format - Key of MEDIA_FORMATS
+   * @param {Object} options - Request options
+   * @param {string} options.entitlement - Caller entitlement; photos of listings the caller may
+   *   not see are not served
+   * @param {string} options.ifNoneMatch - ETag the client holds; matching skips the blob read
+   * @returns {Promise<Object|null>} { body, contentType, etag, lastModified, notModified, idx }, or
+   *   null if the media is missing, not a photo, or its listing is not visible. `idx` tells
+   *   whether the listing is published through the IDX feed, i.e. the photo may be shown to anyone.
+   */
+  async getDerivative(mediaKey, size, format, options = {}) {
+    const { entitlement, ifNoneMatch = null } = options;
+
+    try {
+      const media = await this.database.getMedia(mediaKey);
+
+      if (!media || !this.isPhoto(media)) {
+        return null;
+      }
+
+      const property = await this.database.getProperty(media.ResourceRecordKey, {
+        fields: ['PhotosChangeTimestamp', 'IdxFeedYN'],
+        entitlement
+      });
+
+      if (!property) {
+        return null;
+      }
+
+      const version = this.cacheVersion(media, property);
+      const key = `${mediaKey}/${version}/${size}.${MEDIA_FORMATS[format].extension}`;
+      const etag = `"${version}-${size}-${format}"`;
+      const lastModified = this.lastModified(media, property);
+      const idx = property.IdxFeedYN === true;
+
+      if (ifNoneMatch === etag) {
+        return { body: null, contentType: contentTypeOf(key), etag, lastModified, notModified: true, idx };
+      }
+
+      const body = await this.store.get(key) || await this.generateOnce(key, () => this.generate(media, version, size, format, key));
+
+      return { body, contentType: contentTypeOf(key), etag, lastModified, notModified: false, idx };
+
+    } catch (error) {
+      logger.error('Error serving media derivative', { mediaKey, size, format, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Download the original if needed, render the derivative and store it
+   * @private
+   */
+  async generate(media, version, size, format, key) {
+    const originalKey = `${media.MediaKey}/${version}/original`;
+    let original = await this.store.get(originalKey);
+
+    if (!original) {
+      original = await this.fetchOriginal(media.MediaURL);
+      await this.store.put(originalKey, original);
+      await this.purgeStaleVersions(media.MediaKey, version);
+    }
+
+    const body = await renderDerivative(original, size, format);
+    await this.store.put(key, body);
+
+    logger.debug('Generated media derivative', { key, bytes: body.length });
+    return body;
+  }
+
+  /**
+   * Run a generation once per key at a time
+   * @private
+   */
+  async generateOnce(key, generate) {
+    if (!this.pending.has(key)) {
+      this.pending.set(key, generate().finally(() => this.pending.delete(key)));
+    }
+    return this.pending.get(key);
+  }
+
+  /**
+   * Download an original from the board CDN
+   * @private
+   * @param {string} url - Media.MediaURL
+   * @returns {Promise<Buffer>}
+   */
+  async fetchOriginal(url) {
+    if (!url) {
+      throw new Error('Failed to fetch original media: no MediaURL');
+    }
+
+    const response = await fetch(url, { signal: AbortSignal.timeout(this.settings.fetchTimeoutMs) });
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch original media: HTTP ${response.status}`);
+    }
+
+    const declaredLength = Number(response.headers.get('content-length'));
+    if (declaredLength > this.settings.maxOriginalBytes) {
+      throw new Error(`Failed to fetch original media: ${declaredLength} bytes exceeds the ${this.settings.maxOriginalBytes} byte limit`);
+    }
+
+    const body = Buffer.from(await response.arrayBuffer());
+    if (body.length > this.settings.maxOriginalBytes) {
+      throw new Error(`Failed to fetch original media: ${body.length} bytes exceeds the ${this.settings.maxOriginalBytes} byte limit`);
+    }
+
+    return body;
+  }
+
+  /**
+   * Delete the cached blobs of a media's older versions
+   * @private
+   */
+  async purgeStaleVersions(mediaKey, version) {
+    const current = `${mediaKey}/${version}/`;
+    const stale = (await this.store.list(`${mediaKey}/`)).filter(key => !key.startsWith(current));
+
+    if (stale.length > 0) {
+      await this.store.delete(stale);
+      logger.debug('Purged stale media derivatives', { mediaKey, count: stale.length });
+    }
+  }
+
+  /**
+   * Cache version of a photo: changes whenever the photo or the listing's photo set changes
+   * @private
+   */
+  cacheVersion(media, property) {
+    const timestamp = value => (value ? new Date(value).toISOString() : '');
+
+    return createHash('sha1')
+      .update([
+        timestamp(media.MediaModificationTimestamp || media.ModificationTimestamp),
+        timestamp(property.PhotosChangeTimestamp),
+        media.MediaURL || ''
+      ].join('|'))
+      .digest('hex')
+      .slice(0, 12);
+  }
+
+  /**
+   * Last-Modified of a photo
+   * @private
+   */
+  lastModified(media, property) {
+    const times = [media.MediaModificationTimestamp || media.ModificationTimestamp, property.PhotosChangeTimestamp]
+      .filter(Boolean)
+      .map(value => new Date(value).getTime())
+      .filter(time => !Number.isNaN(time));
+
+    return times.length > 0 ? new Date(Math.max(...times)) : null;
+  }
+
+  /**
+   * @private
+   */
+  isPhoto(media) {
+    return media.MediaCategory === 'Photo' || String(media.MediaType || '').startsWith('image/');
+  }
+}
+
+export default MediaCacheService;
@@ -0,0 +1,111 @@
+import logger from '../utils/logger.js';
+import { MEDIA_SYNC_STRATEGY } from '../config/config.js';
+
+/**
+ * Media sync strategies
+ * Each maps onto a strategy of the resource engine (SyncService.syncResource); `full` forces
+ * the engine to visit every listing regardless of the run mode.
+ */
+export const MEDIA_SYNC_STRATEGIES = {
+  // Media of every stored listing, a few listings per request
+  'by-parent-keys': { engineStrategy: 'parentKeys', full: true },
+  // The whole Media resource paged by MediaModificationTimestamp after the stored high-water
+  // mark, keeping the records of stored listings; does not remove stale rows
+  'by-timestamp': { engineStrategy: 'timestamp', full: false },
+  // Media of listings whose PhotosChangeTimestamp / MediaChangeTimestamp advanced since
+  // their media was last synced (every listing on full runs)
+  'changed-photos-only': { engineStrategy: 'parentKeys', full: false }
+};
+
+/**
+ * Media Sync Service
+ * The single entry point for replicating Media, used by SyncService runs, the sync CLIs and
+ * POST /api/sync/media. Strategies only decide which listings or pages to read; fetching,
+ * mapping, dedupe, upserts, stale-row removal, checkpoints and stats are the engine's, so
+ * every strategy writes the same rows.
+ */
+class MediaSyncService {
+  /**
+   * @param {SyncService} engine - Sync engine that owns the API client, database and sync state
+   */
+  constructor(engine) {
+    this.engine = engine;
+    this.defaultStrategy = MEDIA_SYNC_STRATEGY;
+  }
+
+  /**
+   * Look up a strategy
+   * @param {string} name - Key of MEDIA_SYNC_STRATEGIES (default: MEDIA_SYNC_STRATEGY)
+   * @returns {Object} { name, engineStrategy, full }
+   */
+  resolveStrategy(name = this.defaultStrategy) {
+    const strategy = MEDIA_SYNC_STRATEGIES[name];
+
+    if (!strategy) {
+      throw new Error(`Unknown media sync strategy: ${name} (expected ${Object.keys(MEDIA_SYNC_STRATEGIES).join(', ')})`);
+    }
+
+    return { name, ...strategy };
+  }
+
+  /**
+   * Sync Media with a strategy
+   * @param {Object} options
+   * @param {string} options.strategy - Key of MEDIA_SYNC_STRATEGIES (default: MEDIA_SYNC_STRATEGY)
+   * @param {boolean} options.full - Re-pull from syncStartDate / visit every listing
+   * @returns {Promise<Object>} Engine loop stats, plus the strategy name
+   */
+  async sync(options = {}) {
+    const strategy = this.resolveStrategy(options.strategy || undefined);
+
+    console.log(`🧭 Media sync strategy: ${strategy.name}`);
+
+    try {
+      const stats = await this.engine.syncResource('media', {
+        strategy: strategy.engineStrategy,
+        full: Boolean(options.full) || strategy.full
+      });
+
+      return { ...stats, strategy: strategy.name };
+
+    } catch (error) {
+      // Cancelled jobs and locks held by another run are reported by the caller
+      if (!this.engine.job?.cancelRequested && !error.locks) {
+        logger.error(`Media sync (${strategy.name}) failed:`, error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the Media of specific listings, e.g. ones just upserted or re-synced on demand
+   * @param {Array<string>} listingKeys - Stored listing keys
+   * @returns {Promise<Object>} { fetched, upserted, failed, removed }
+   */
+  async syncListings(listingKeys) {
+    const engine = this.engine;
+    const definition = engine.getResourceConfig('media');
+    const feedType = Object.keys(definition.feeds)[0];
+    const result = { fetched: 0, upserted: 0, failed: 0, removed: 0 };
+
+    for (let i = 0; i < listingKeys.length; i += definition.parentBatchSize) {
+      const batch = listingKeys.slice(i, i + definition.parentBatchSize);
+      const { records, complete } = await engine.fetchChildrenOfParents(definition, feedType, batch);
+
+      result.fetched += records.length;
+      result.removed += await engine.removeStaleChildren(definition, batch, records, complete);
+
+      if (records.length > 0) {
+        const { upserted, failed } = engine.summarizeRecordResults(
+          await engine.processRecords(definition, records, i / definition.parentBatchSize + 1, feedType)
+        );
+        result.upserted += upserted;
+        result.failed += failed;
+      }
+    }
+
+    return result;
+  }
+}
+
+export default MediaSyncService;
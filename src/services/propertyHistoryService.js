@@ -0,0 +1,162 @@
+import DatabaseService from './databaseService.js';
+import logger from '../utils/logger.js';
+import { isPropertyFieldAllowed } from '../utils/entitlements.js';
+
+// Property columns whose changes are recorded
+export const TRACKED_FIELDS = ['ListPrice', 'MlsStatus', 'StandardStatus', 'ContractStatus', 'CloseDate', 'ClosePrice'];
+
+const NUMERIC_FIELDS = new Set(['ListPrice', 'ClosePrice']);
+const DATE_FIELDS = new Set(['CloseDate']);
+
+/**
+ * Property History Service
+ * Records the price / status / close timeline of listings, which the Property upsert would
+ * otherwise overwrite. Incoming rows are compared with the stored ones around each Property
+ * upsert (SyncService.processRecords for resources with `trackHistory`, and the sync CLI), and
+ * every tracked field that changed becomes a PropertyHistory row. Changes are only recorded
+ * once the upsert succeeded, so a retried batch does not record them twice.
+ */
+class PropertyHistoryService {
+  /**
+   * @param {DatabaseService} database - Database service
+   */
+  constructor(database = new DatabaseService()) {
+    this.database = database;
+  }
+
+  /**
+   * Canonical text of a tracked value, as stored in PropertyHistory
+   * Backends return DECIMAL and DATE columns differently (number, numeric string, Date), so
+   * stored and incoming values are compared in this form.
+   * @param {string} field - Tracked field
+   * @param {*} value - Column value
+   * @returns {string|null}
+   */
+  normalize(field, value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    if (NUMERIC_FIELDS.has(field)) {
+      const number = Number(value);
+      return Number.isFinite(number) ? String(number) : null;
+    }
+
+    if (DATE_FIELDS.has(field)) {
+      return (value instanceof Date ? value.toISOString() : String(value)).slice(0, 10);
+    }
+
+    return String(value);
+  }
+
+  /**
+   * Tracked fields that differ between a stored row and an incoming one
+   * Fields the incoming row does not carry are left alone, as the upsert leaves them.
+   * @param {Object|null} stored - Stored Property row, or null for a new listing
+   * @param {Object} incoming - Mapped Property row about to be written
+   * @returns {Array<Object>} { field, previous, current } per changed field
+   */
+  diff(stored, incoming) {
+    return TRACKED_FIELDS
+      .filter(field => incoming[field] !== undefined)
+      .map(field => ({
+        field,
+        previous: stored ? this.normalize(field, stored[field]) : null,
+        current: this.normalize(field, incoming[field])
+      }))
+      .filter(({ previous, current }) => previous !== current);
+  }
+
+  /**
+   * Write Property rows and record the tracked fields they change
+   * History is best effort: if the stored rows cannot be read or the changes cannot be
+   * written, the error is logged and the upsert result stands.
+   * @param {Array<Object>} rows - Mapped Property rows
+   * @param {Function} write - async () => result; upserts the rows
+   * @param {Object} options
+   * @param {string} options.feedType - Feed the rows came from ('idx' or 'vow')
+   * @returns {Promise<*>} The result of write()
+   */
+  async trackChanges(rows, write, { feedType = null } = {}) {
+    let stored = null;
+
+    try {
+      const current = await this.database.getListingValues(rows.map(row => row.ListingKey), TRACKED_FIELDS);
+      stored = new Map(current.map(row => [row.ListingKey, row]));
+    } catch (error) {
+      logger.error('Failed to load listings for change history; changes of this batch are not recorded', {
+        count: rows.length,
+        error: error.message
+      });
+    }
+
+    const result = await write();
+
+    if (stored) {
+      await this.recordChanges(stored, rows, feedType);
+    }
+
+    return result;
+  }
+
+  /**
+   * Insert the changes between stored and written rows
+   * @private
+   */
+  async recordChanges(stored, rows, feedType) {
+    const recordedAt = new Date().toISOString();
+    const changes = rows.flatMap(row => this.diff(stored.get(row.ListingKey) || null, row)
+      .map(({ field, previous, current }) => ({
+        ListingKey: row.ListingKey,
+        FieldName: field,
+        PreviousValue: previous,
+        NewValue: current,
+        ChangedAt: row.ModificationTimestamp || recordedAt,
+        RecordedAt: recordedAt,
+        SourceFeed: feedType
+      })));
+
+    try {
+      const inserted = await this.database.insertPropertyHistory(changes);
+
+      if (inserted > 0) {
+        console.log(`🕓 Recorded ${inserted} listing field changes`);
+      }
+      return inserted;
+
+    } catch (error) {
+      logger.error('Failed to record listing changes', { count: changes.length, error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * Recorded changes of a listing, oldest first, with typed values
+   * @param {string} listingKey - Listing key
+   * @param {Object} options
+   * @param {Array<string>} options.fields - Tracked fields to include (default: all)
+   * @param {string} options.since - Only changes at or after this ISO time
+   * @param {string} options.entitlement - Caller entitlement; IDX callers do not get VOW-only fields
+   * @returns {Promise<Array<Object>>} PropertyHistory rows
+   */
+  async getHistory(listingKey, { fields = TRACKED_FIELDS, since = null, entitlement } = {}) {
+    const allowed = fields.filter(field => isPropertyFieldAllowed(field, entitlement));
+    const rows = await this.database.getPropertyHistory(listingKey, { fields: allowed, since });
+
+    return rows.map(row => ({
+      ...row,
+      PreviousValue: this.parse(row.FieldName, row.PreviousValue),
+      NewValue: this.parse(row.FieldName, row.NewValue)
+    }));
+  }
+
+  /**
+   * Stored text back to the field's type
+   * @private
+   */
+  parse(field, value) {
+    return value !== null && NUMERIC_FIELDS.has(field) ? Number(value) : value;
+  }
+}
+
+export default PropertyHistoryService;
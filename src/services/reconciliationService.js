@@ -0,0 +1,263 @@
+import AmpreApiService from './ampreApiService.js';
+import DatabaseService from './databaseService.js';
+import logger from '../utils/logger.js';
+import { reconciliationSettings } from '../config/config.js';
+import { FEED_FLAG_COLUMNS } from '../utils/entitlements.js';
+import { odataString } from '../utils/odata.js';
+
+const FEED_URL_TYPES = {
+  idx: 'idxProperties',
+  vow: 'vowProperties'
+};
+
+/**
+ * Reconciliation Service
+ * Finds listings that are stored locally but no longer present in any reconciled feed
+ * (sold, expired, withdrawn or no longer authorized for display) and soft-deletes or
+ * purges them together with their Media, PropertyRooms and OpenHouse rows. Listings that
+ * are still carried keep their per-feed source flags (IdxFeedYN / VowFeedYN) in line with
+ * the feeds, so a listing that moved from IDX to VOW stops being served publicly.
+ *
+ * Feed keys ($select=ListingKey) and stored keys are both paged in ascending ListingKey
+ * order and merge-joined, so memory stays bounded by the page size.
+ */
+class ReconciliationService {
+  constructor(ampreApi = new AmpreApiService(), database = new DatabaseService()) {
+    this.ampreApi = ampreApi;
+    this.database = database;
+    this.settings = { ...reconciliationSettings };
+  }
+
+  /**
+   * Run a reconciliation pass
+   * @param {Object} options - Overrides for the configured settings
+   * @param {string} options.policy - 'soft-delete' or 'purge'
+   * @param {Array<string>} options.feeds - Feeds a listing may appear in ('idx', 'vow')
+   * @param {boolean} options.dryRun - Diff only, do not modify any rows
+   * @returns {Promise<Object>} Counts of scanned, missing, removed and restored rows
+   */
+  async reconcile(options = {}) {
+    const settings = { ...this.settings, ...options };
+    const startTime = Date.now();
+
+    const unknownFeeds = settings.feeds.filter(feedType => !FEED_URL_TYPES[feedType]);
+    if (unknownFeeds.length > 0 || settings.feeds.length === 0) {
+      throw new Error(`Invalid reconciliation feeds: ${settings.feeds.join(', ') || 'none'}`);
+    }
+
+    console.log(`🧮 Reconciling listings against ${settings.feeds.join(' + ').toUpperCase()} feed keys (${settings.policy})`);
+
+    const result = {
+      policy: settings.policy,
+      feeds: settings.feeds,
+      dryRun: Boolean(settings.dryRun),
+      scanned: 0,
+      missing: 0,
+      restored: 0,
+      retagged: 0,
+      removed: { properties: 0, media: 0, rooms: 0, openHouses: 0 },
+      duration: 0
+    };
+
+    // Guard against feed outages: an empty or truncated feed must not wipe the table
+    const activeCount = await this.database.countActiveListings();
+    const maxRemovals = Math.floor(activeCount * settings.maxRemovePercent / 100);
+
+    const feeds = settings.feeds.map(feedType => ({
+      feedType,
+      keys: this.feedKeys(feedType, settings.pageSize),
+      current: null,
+      done: false
+    }));
+
+    await Promise.all(feeds.map(feed => this.advance(feed)));
+
+    const missingKeys = [];
+    let restoreKeys = [];
+    let newlyMissing = 0;
+    
+    // Pending flag corrections keyed by `${feedType}:${value}`
+    const flagUpdates = new Map();
+
+    for await (const row of this.storedKeys(settings.pageSize)) {
+      result.scanned++;
+
+      const presence = {};
+      for (const feed of feeds) {
+        while (!feed.done && feed.current < row.ListingKey) {
+          await this.advance(feed);
+        }
+        presence[feed.feedType] = !feed.done && feed.current === row.ListingKey;
+      }
+
+      const inFeed = Object.values(presence).some(Boolean);
+
+      // Listings missing from every feed are removed below; only carried listings are retagged
+      if (inFeed) {
+        for (const [feedType, present] of Object.entries(presence)) {
+          if (present === (row[FEED_FLAG_COLUMNS[feedType]] === true)) {
+            continue;
+          }
+
+          const updateKey = `${feedType}:${present}`;
+          const keys = flagUpdates.get(updateKey) || [];
+          keys.push(row.ListingKey);
+          flagUpdates.set(updateKey, keys);
+
+          if (keys.length >= settings.actionBatchSize) {
+            result.retagged += await this.retag(updateKey, keys, settings);
+            flagUpdates.delete(updateKey);
+          }
+        }
+      }
+
+      if (inFeed && row.DeletedAt) {
+        restoreKeys.push(row.ListingKey);
+      } else if (!inFeed && (!row.DeletedAt || settings.policy === 'purge')) {
+        missingKeys.push(row.ListingKey);
+        newlyMissing += row.DeletedAt ? 0 : 1;
+
+        if (newlyMissing > maxRemovals) {
+          throw new Error(
+            `Reconciliation aborted: more than ${settings.maxRemovePercent}% of ${activeCount} listings ` +
+            'are missing from the feed; check the feed before removing them'
+          );
+        }
+      }
+
+      if (restoreKeys.length >= settings.actionBatchSize) {
+        result.restored += await this.restore(restoreKeys, settings);
+        restoreKeys = [];
+      }
+    }
+
+    if (restoreKeys.length > 0) {
+      result.restored += await this.restore(restoreKeys, settings);
+    }
+
+    for (const [updateKey, keys] of flagUpdates) {
+      result.retagged += await this.retag(updateKey, keys, settings);
+    }
+
+    result.missing = missingKeys.length;
+    console.log(`🔍 Scanned ${result.scanned.toLocaleString()} stored listings, ${result.missing.toLocaleString()} missing from feed`);
+
+    if (!settings.dryRun) {
+      for (let i = 0; i < missingKeys.length; i += settings.actionBatchSize) {
+        const chunk = missingKeys.slice(i, i + settings.actionBatchSize);
+        const counts = settings.policy === 'purge'
+          ? await this.database.purgeListings(chunk)
+          : await this.database.softDeleteListings(chunk);
+
+        Object.entries(counts).forEach(([name, count]) => {
+          result.removed[name] += count;
+        });
+      }
+    }
+
+    result.duration = Date.now() - startTime;
+
+    console.log(`✅ Reconciliation complete: ${result.removed.properties} listings, ${result.removed.media} media, ` +
+      `${result.removed.rooms} rooms, ${result.removed.openHouses} open houses ${settings.policy === 'purge' ? 'purged' : 'soft-deleted'}; ` +
+      `${result.restored} restored, ${result.retagged} feed flags corrected`);
+    logger.info('Listing reconciliation completed', result);
+
+    return result;
+  }
+
+  /**
+   * Restore soft-deleted listings that are back in the feed
+   * @returns {Promise<number>} Number of restored listings
+   */
+  async restore(listingKeys, settings) {
+    if (settings.dryRun) {
+      return listingKeys.length;
+    }
+
+    const counts = await this.database.restoreListings(listingKeys);
+    return counts.properties;
+  }
+
+  /**
+   * Correct one feed's source flag on a batch of listings
+   * @param {string} updateKey - `${feedType}:${value}`
+   * @returns {Promise<number>} Number of corrected listings
+   */
+  async retag(updateKey, listingKeys, settings) {
+    if (settings.dryRun) {
+      return listingKeys.length;
+    }
+
+    const [feedType, value] = updateKey.split(':');
+    return await this.database.setFeedFlag(feedType, listingKeys, value === 'true');
+  }
+
+  /**
+   * Move a feed cursor to its next key
+   */
+  async advance(feed) {
+    const next = await feed.keys.next();
+    feed.done = next.done;
+    feed.current = next.done ? null : next.value;
+  }
+
+  /**
+   * Page through a feed's listing keys in ascending order
+   * Uses the feed's complete URL so its filters match what the sync ingests.
+   */
+  async *feedKeys(feedType, pageSize) {
+    let lastKey = null;
+
+    while (true) {
+      const records = await this.ampreApi.fetchFromCompleteUrl(FEED_URL_TYPES[feedType], {
+        feedType,
+        top: pageSize,
+        select: 'ListingKey',
+        orderBy: 'ListingKey asc',
+        filter: lastKey ? `ListingKey gt ${odataString(lastKey)}` : ''
+      });
+
+      for (const { ListingKey } of records) {
+        lastKey = this.checkOrder(`${feedType.toUpperCase()} feed`, lastKey, ListingKey);
+        yield ListingKey;
+      }
+
+      if (records.length < pageSize) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Page through stored listing keys in ascending order
+   */
+  async *storedKeys(pageSize) {
+    let lastKey = null;
+
+    while (true) {
+      const rows = await this.database.getListingKeyPage(lastKey, pageSize);
+
+      for (const row of rows) {
+        lastKey = this.checkOrder('Property table', lastKey, row.ListingKey);
+        yield row;
+      }
+
+      if (rows.length < pageSize) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * The merge-join relies on both sides sorting keys the same way; a collation
+   * mismatch would report present listings as missing, so fail instead
+   */
+  checkOrder(source, previousKey, key) {
+    if (previousKey !== null && !(previousKey < key)) {
+      throw new Error(`Reconciliation aborted: ${source} keys are not in ascending order ('${previousKey}' before '${key}')`);
+    }
+    return key;
+  }
+}
+
+export default ReconciliationService;
@@ -0,0 +1,223 @@
+import { randomUUID } from 'crypto';
+import DatabaseService from './databaseService.js';
+import { WORKER } from './syncLockService.js';
+import logger from '../utils/logger.js';
+
+// Lifecycle of a sync job; everything but 'running' is final
+export const JOB_STATES = ['running', 'completed', 'failed', 'cancelled'];
+
+/**
+ * Handle of a running sync job, passed to the sync engine as `job`
+ * Progress is written to the job's sync_jobs row after every batch, and the engine asks the
+ * handle whether to stop before starting the next one. Cancellation is read from the row, so a
+ * job can be cancelled from any process (API, CLI or the scheduler).
+ */
+export class SyncJob {
+  constructor(service, record) {
+    this.service = service;
+    this.id = record.id;
+    this.record = record;
+    this.progress = { ...(record.progress || {}) };
+    this.cancelRequested = Boolean(record.cancel_requested);
+  }
+
+  /**
+   * Merge counters into the progress of one sync type and persist them
+   * @param {string} syncType - e.g. 'idx_property', 'media'
+   * @param {Object} values - { state, fetched, upserted, failed, skipped, removed, batches, ... }
+   */
+  async reportProgress(syncType, values) {
+    this.progress[syncType] = { ...this.progress[syncType], ...values, updatedAt: new Date().toISOString() };
+
+    try {
+      await this.service.database.updateSyncJob(this.id, { progress: this.progress });
+    } catch (error) {
+      // Progress is informational; a failed write must not fail the sync
+      logger.warn('Failed to record sync job progress', { id: this.id, syncType, error: error.message });
+    }
+  }
+
+  /**
+   * Whether the job has been cancelled (re-read from sync_jobs)
+   * @returns {Promise<boolean>}
+   */
+  async isCancelled() {
+    if (!this.cancelRequested) {
+      try {
+        const record = await this.service.database.getSyncJob(this.id);
+        this.cancelRequested = Boolean(record?.cancel_requested);
+      } catch (error) {
+        logger.warn('Failed to check sync job cancellation', { id: this.id, error: error.message });
+      }
+    }
+
+    return this.cancelRequested;
+  }
+
+  /**
+   * Throw if the job has been cancelled; called between batches, after the checkpoint is saved
+   */
+  async throwIfCancelled() {
+    if (await this.isCancelled()) {
+      throw new Error(`Sync job ${this.id} was cancelled`);
+    }
+  }
+}
+
+/**
+ * Sync Job Service
+ * Records every sync run (API triggers, the scheduler in sync-feeds.js, the sync CLI) as a row in
+ * sync_jobs with its state, per-resource progress, result, error and timings, and lets running
+ * jobs be cancelled.
+ */
+class SyncJobService {
+  /**
+   * @param {DatabaseService} database - Database service
+   */
+  constructor(database = new DatabaseService()) {
+    this.database = database;
+  }
+
+  /**
+   * Create a running job
+   * @param {Object} spec
+   * @param {string} spec.type - What runs: 'full', 'incremental', 'properties', 'media', ...
+   * @param {string} spec.trigger - Who started it: 'api', 'cron' or 'cli'
+   * @param {Object} spec.options - Sync options, recorded for reference
+   * @returns {Promise<SyncJob>}
+   */
+  async create({ type, trigger, options = {} }) {
+    const now = new Date().toISOString();
+    const record = {
+      id: randomUUID(),
+      type,
+      trigger,
+      state: 'running',
+      options,
+      progress: {},
+      result: null,
+      error: null,
+      cancel_requested: false,
+      worker: WORKER,
+      started_at: now,
+      finished_at: null,
+      duration_ms: null,
+      created_at: now,
+      updated_at: now
+    };
+
+    try {
+      await this.database.insertSyncJob(record);
+      console.log(`🗂️  Sync job ${record.id} started (${type}, ${trigger})`);
+      return new SyncJob(this, record);
+
+    } catch (error) {
+      logger.error('Error creating sync job', { type, trigger, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Record the outcome of a job
+   * A job that stopped because it was cancelled ends as 'cancelled'; one that threw or whose
+   * result reports failures ends as 'failed'.
+   * @param {SyncJob} job - Job handle
+   * @param {Object} outcome - { result } or { error }
+   * @returns {Promise<Object|null>} The final sync_jobs row
+   */
+  async finish(job, { result = null, error = null } = {}) {
+    const finishedAt = new Date();
+    let state = 'completed';
+
+    if ((error || result?.cancelled) && job.cancelRequested) {
+      state = 'cancelled';
+    } else if (error || result?.success === false) {
+      state = 'failed';
+    }
+
+    try {
+      await this.database.updateSyncJob(job.id, {
+        state,
+        progress: job.progress,
+        result,
+        error: error?.message || null,
+        finished_at: finishedAt.toISOString(),
+        duration_ms: finishedAt - new Date(job.record.started_at)
+      });
+
+      console.log(`🗂️  Sync job ${job.id} ${state}`);
+      return await this.database.getSyncJob(job.id);
+
+    } catch (finishError) {
+      logger.error('Error finishing sync job', { id: job.id, state, error: finishError.message });
+      throw finishError;
+    }
+  }
+
+  /**
+   * Create a job and run it in the background
+   * @param {Object} spec - See create()
+   * @param {Function} work - async (job) => result; receives the job handle to pass to the engine
+   * @returns {Promise<Object>} { job, done }: done resolves to the final sync_jobs row and never rejects
+   */
+  async start(spec, work) {
+    const job = await this.create(spec);
+
+    const done = Promise.resolve()
+      .then(() => work(job))
+      .then(
+        result => this.finish(job, { result }),
+        error => {
+          if (!job.cancelRequested) {
+            logger.error('Sync job failed', { id: job.id, type: spec.type, error: error.message });
+          }
+          return this.finish(job, { error });
+        }
+      )
+      .catch(error => {
+        logger.error('Sync job bookkeeping failed', { id: job.id, error: error.message });
+        return null;
+      });
+
+    return { job, done };
+  }
+
+  /**
+   * Request cancellation of a running job; it stops before its next batch
+   * @param {string} id - Job id
+   * @returns {Promise<Object|null>} The job row, or null if no such job exists
+   */
+  async cancel(id) {
+    try {
+      const updated = await this.database.updateSyncJob(id, { cancel_requested: true }, { state: 'running' });
+
+      if (updated > 0) {
+        logger.info('Sync job cancellation requested', { id });
+      }
+
+      return await this.database.getSyncJob(id);
+
+    } catch (error) {
+      logger.error('Error cancelling sync job', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} id - Job id
+   * @returns {Promise<Object|null>}
+   */
+  async getJob(id) {
+    return this.database.getSyncJob(id);
+  }
+
+  /**
+   * @param {Object} options - { state, type, trigger, limit }; see DatabaseService.listSyncJobs
+   * @returns {Promise<Array<Object>>}
+   */
+  async listJobs(options = {}) {
+    return this.database.listSyncJobs(options);
+  }
+}
+
+export default SyncJobService;
@@ -0,0 +1,204 @@
+import { randomUUID } from 'crypto';
+import { hostname } from 'os';
+import DatabaseService from './databaseService.js';
+import logger from '../utils/logger.js';
+import { SYNC_LOCK_TTL_SECONDS } from '../config/config.js';
+
+// Process that holds the leases (and runs the sync jobs) created here
+export const WORKER = `${hostname()}:${process.pid}`;
+
+/**
+ * A held sync lock
+ * The lease is renewed every third of its TTL. If a renewal finds the lock taken over (the
+ * process stalled past its lease), the lease is marked lost and the sync stops at its next batch.
+ */
+export class SyncLease {
+  constructor(service, lock) {
+    this.service = service;
+    this.name = lock.name;
+    this.token = lock.token;
+    this.lock = lock;
+    this.lost = false;
+    this.timer = setInterval(() => this.renew(), service.ttlMs / 3);
+    this.timer.unref();
+  }
+
+  /**
+   * Extend the lease
+   * @private
+   */
+  async renew() {
+    const now = new Date();
+
+    try {
+      const updated = await this.service.database.updateSyncLock(this.name, this.token, {
+        heartbeat_at: now.toISOString(),
+        expires_at: new Date(now.getTime() + this.service.ttlMs).toISOString()
+      });
+
+      if (updated === 0) {
+        this.lost = true;
+        clearInterval(this.timer);
+        logger.error('Sync lock lost to another process', { name: this.name, worker: WORKER });
+      }
+    } catch (error) {
+      // The lease stays valid until it expires; the next heartbeat retries
+      logger.warn('Failed to renew sync lock', { name: this.name, error: error.message });
+    }
+  }
+
+  /**
+   * Throw if another process has taken the lock over; called between batches
+   */
+  throwIfLost() {
+    if (this.lost) {
+      throw new Error(`Sync lock ${this.name} was lost to another process`);
+    }
+  }
+
+  /**
+   * Stop renewing and release the lock
+   */
+  async release() {
+    clearInterval(this.timer);
+
+    try {
+      await this.service.database.deleteSyncLock(this.name, this.token);
+    } catch (error) {
+      // An unreleased lock expires after its lease and is taken over
+      logger.warn('Failed to release sync lock', { name: this.name, error: error.message });
+    }
+  }
+}
+
+/**
+ * Sync Lock Service
+ * Database-backed lease locks that keep the scheduler, API-triggered syncs and `npm run sync`
+ * from syncing the same resource at the same time. A lock is named after the sync type it
+ * guards ('idx_property', 'media', ...) and records the holding process and sync job. A lock
+ * whose lease expired without a heartbeat (crashed or killed process) is taken over.
+ */
+class SyncLockService {
+  /**
+   * @param {DatabaseService} database - Database service
+   * @param {number} ttlSeconds - Lease length (default: SYNC_LOCK_TTL_SECONDS)
+   */
+  constructor(database = new DatabaseService(), ttlSeconds = SYNC_LOCK_TTL_SECONDS) {
+    this.database = database;
+    this.ttlMs = ttlSeconds * 1000;
+  }
+
+  /**
+   * Acquire a lock
+   * @param {string} name - Sync type to lock
+   * @param {Object} options
+   * @param {string} options.jobId - Sync job of the holder
+   * @returns {Promise<SyncLease>}
+   * @throws {Error} 'Sync already running: ...' with `error.locks` set to the held lock
+   */
+  async acquire(name, { jobId = null } = {}) {
+    const now = new Date();
+    const lock = {
+      name,
+      token: randomUUID(),
+      holder: WORKER,
+      job_id: jobId,
+      acquired_at: now.toISOString(),
+      heartbeat_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + this.ttlMs).toISOString()
+    };
+
+    try {
+      await this.database.insertSyncLock(lock);
+      return new SyncLease(this, lock);
+
+    } catch (insertError) {
+      const [existing] = await this.database.getSyncLocks([name]);
+
+      if (!existing) {
+        logger.error('Error acquiring sync lock', { name, error: insertError.message });
+        throw insertError;
+      }
+
+      if (new Date(existing.expires_at) > now) {
+        throw this.alreadyRunning([existing]);
+      }
+
+      // Take over a stale lock, unless its holder renewed it or another process took it first
+      const updated = await this.database.updateSyncLock(name, existing.token, lock, {
+        expiredBefore: now.toISOString()
+      });
+
+      if (updated === 0) {
+        throw this.alreadyRunning(await this.database.getSyncLocks([name]));
+      }
+
+      logger.warn('Took over stale sync lock', {
+        name,
+        previousHolder: existing.holder,
+        previousJobId: existing.job_id,
+        expiredAt: existing.expires_at
+      });
+      return new SyncLease(this, lock);
+    }
+  }
+
+  /**
+   * Acquire several locks, releasing the acquired ones if any is held elsewhere
+   * @param {Array<string>} names - Sync types to lock
+   * @param {Object} options - See acquire()
+   * @returns {Promise<Array<SyncLease>>}
+   */
+  async acquireAll(names, options = {}) {
+    const leases = [];
+
+    try {
+      for (const name of names) {
+        leases.push(await this.acquire(name, options));
+      }
+      return leases;
+
+    } catch (error) {
+      await Promise.all(leases.map(lease => lease.release()));
+      throw error;
+    }
+  }
+
+  /**
+   * Locks currently held (not expired), with the sync job of each holder
+   * @param {Array<string>|null} names - Sync types to check, or null for every lock
+   * @returns {Promise<Array<Object>>} sync_locks rows, each with `job` (sync_jobs row or null)
+   */
+  async getHeldLocks(names = null) {
+    try {
+      const now = new Date();
+      const locks = (await this.database.getSyncLocks(names))
+        .filter(lock => new Date(lock.expires_at) > now);
+
+      return await Promise.all(locks.map(async ({ token, ...lock }) => ({
+        ...lock,
+        job: lock.job_id ? await this.database.getSyncJob(lock.job_id) : null
+      })));
+
+    } catch (error) {
+      logger.error('Error loading held sync locks', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Error for a sync blocked by locks held elsewhere
+   * @private
+   */
+  alreadyRunning(locks) {
+    const description = locks
+      .map(lock => `${lock.name} is locked by ${lock.holder}${lock.job_id ? ` (job ${lock.job_id})` : ''} until ${lock.expires_at}`)
+      .join('; ');
+    const error = new Error(`Sync already running: ${description || 'lock is held'}`);
+
+    error.locks = locks.map(({ token, ...lock }) => lock);
+    return error;
+  }
+}
+
+export default SyncLockService;
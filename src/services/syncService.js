@@ -1,68 +1,62 @@
 import AmpreApiService from './ampreApiService.js';
 import DatabaseService from './databaseService.js';
+import ReconciliationService from './reconciliationService.js';
+import MediaSyncService from './mediaSyncService.js';
+import SyncLockService from './syncLockService.js';
+import PropertyHistoryService from './propertyHistoryService.js';
 import logger from '../utils/logger.js';
-import { 
-  BATCH_SIZE_PROPERTY, 
-  BATCH_SIZE_MEDIA, 
-  SYNC_START_DATE 
-} from '../config/config.js';
-import { mapProperty, validateProperty } from '../../mappers/mapProperty.js';
-import { mapMedia, validateMedia } from '../../mappers/mapMedia.js';
-import { mapRoom, validateRoom } from '../../mappers/mapRoom.js';
-import { mapOpenHouse, validateOpenHouse } from '../../mappers/mapOpenHouse.js';
+import { FEED_FLAG_COLUMNS } from '../utils/entitlements.js';
+import { odataString } from '../utils/odata.js';
+import { SYNC_START_DATE } from '../config/config.js';
+import {
+  RESOURCES,
+  RESOURCE_NAMES,
+  getResource,
+  findResourceByName,
+  getSyncType
+} from '../config/resources.js';
+
+// Safety limit on pages per parent batch (fetchChildrenOfParents)
+const MAX_CHILD_PAGES = 100;
 
 /**
  * Sync Service with time-based pagination and parent-child integrity
- * Handles IDX, VOW, Media, PropertyRooms, and OpenHouse with efficient backfill
+ * Replicates the resources of the registry in config/resources.js (IDX/VOW Property, Media,
+ * PropertyRooms, OpenHouse) with one generic engine and efficient backfill
  */
 class SyncService {
-  constructor() {
-    this.ampreApi = new AmpreApiService();
-    this.database = new DatabaseService();
+  /**
+   * @param {AmpreApiService} ampreApi - API client, e.g. one pointed at the local mock server
+   * @param {DatabaseService} database - Database service
+   */
+  constructor(ampreApi = new AmpreApiService(), database = new DatabaseService()) {
+    this.ampreApi = ampreApi;
+    this.database = database;
+    this.reconciliation = new ReconciliationService(this.ampreApi, this.database);
+    this.mediaSync = new MediaSyncService(this);
+    this.locks = new SyncLockService(this.database);
+    this.history = new PropertyHistoryService(this.database);
     
     // Get sync start date from environment
     this.syncStartDate = SYNC_START_DATE;
     
-    // Configuration for each endpoint with time-based pagination
-    this.config = {
-      property: {
-        batchSize: BATCH_SIZE_PROPERTY,
-        endpoint: 'Property',
-        keyField: 'ListingKey',
-        timestampField: 'ModificationTimestamp',
-        dbBatchSize: 100, // Default database batch size
-        throttleDelay: 1000 // Default throttle delay
-      },
-      media: {
-        batchSize: BATCH_SIZE_MEDIA,
-        endpoint: 'Media',
-        keyField: 'MediaKey',
-        timestampField: 'MediaModificationTimestamp', // Different timestamp field for media
-        dbBatchSize: 100, // Default database batch size
-        throttleDelay: 750, // Media throttle delay
-        propertyBatchSize: 500 // Property batch size for media
-      },
-      rooms: {
-        batchSize: BATCH_SIZE_PROPERTY,
-        endpoint: 'PropertyRooms',
-        keyField: 'RoomKey',
-        timestampField: 'ModificationTimestamp',
-        dbBatchSize: 100, // Default database batch size
-        throttleDelay: 1000 // Default throttle delay
-      },
-      openHouse: {
-        batchSize: BATCH_SIZE_PROPERTY,
-        endpoint: 'OpenHouse',
-        keyField: 'OpenHouseKey',
-        timestampField: 'ModificationTimestamp',
-        dbBatchSize: 100, // Default database batch size
-        throttleDelay: 1000 // Default throttle delay
-      }
-    };
+    // Per-instance copies of the resource registry, so callers can tune batch sizes for a run
+    this.config = Object.fromEntries(
+      RESOURCE_NAMES.map(name => [name, { ...RESOURCES[name] }])
+    );
+
+    // Sync job of the current run (see SyncJobService), reported to after every batch
+    this.job = null;
+    
+    // Leases of the sync locks held by this instance, by sync type
+    this.leases = new Map();
 
     // Sync state management
     this.syncState = {
       lastSyncTimestamps: {},
+      cursors: {}, // Incremental high-water marks per feed ({ lastTimestamp, lastKey })
+      syncedTypes: new Set(), // Sync types whose lastSyncTimestamps advanced in this run, written to SyncLog
+      reconciliation: null, // Result of the last reconciliation pass, recorded in SyncLog
       propertyKeys: new Set(), // Cache for parent-child integrity
       isPropertyKeysLoaded: false
     };
@@ -84,25 +78,28 @@ class SyncService {
     const args = process.argv.slice(2);
     const syncOptions = this.parseCliArgs(args, options);
     
-    this.stats.startTime = new Date();
-    console.log(`🚀 Starting Enhanced Sync - ${this.stats.startTime.toISOString()}`);
     console.log(`📋 Sync Options:`, syncOptions);
     
     try {
-      // Load last sync timestamps
-      await this.loadLastSyncTimestamps();
-      
-      // Execute based on CLI switches or options
-      if (syncOptions.idx || syncOptions.vow || syncOptions.media || syncOptions.rooms || syncOptions.openhouse) {
-        // Selective sync
-        await this.executeSelectiveSync(syncOptions);
-      } else {
-        // Full sync with sequential parent-child execution
-        await this.executeFullSync(syncOptions);
-      }
+      const resources = [];
+      if (syncOptions.idx || syncOptions.vow) resources.push('property');
+      if (syncOptions.reconcile) resources.push('reconcile');
+      if (syncOptions.media) resources.push('media');
+      if (syncOptions.rooms) resources.push('rooms');
+      if (syncOptions.openhouse) resources.push('openHouse');
+      if (syncOptions.members) resources.push('member');
+      if (syncOptions.offices) resources.push('office');
+      
+      const result = await this.syncResources({
+        resources,
+        feeds: ['idx', 'vow'].filter(feedType => syncOptions[feedType]),
+        full: syncOptions.full,
+        resetCheckpoint: syncOptions.resetCheckpoint,
+        mediaStrategy: syncOptions.mediaStrategy
+      });
       
-      await this.updateLastSyncTimestamps();
       this.printFinalStats();
+      return result;
       
     } catch (error) {
       logger.error('Sync execution failed:', error);
@@ -121,270 +118,527 @@ class SyncService {
       media: args.includes('--media'),
       rooms: args.includes('--rooms'),
       openhouse: args.includes('--openhouse'),
+      members: args.includes('--members'),
+      offices: args.includes('--offices'),
       force: args.includes('--force'),
+      full: args.includes('--full'),
+      resetCheckpoint: args.includes('--reset-checkpoint'),
+      reconcile: args.includes('--reconcile'),
+      mediaStrategy: this.getCliOption(args, '--media-strategy'),
       ...options
     };
     
-    // If no specific switches, enable all
-    if (!syncOptions.idx && !syncOptions.vow && !syncOptions.media && !syncOptions.rooms && !syncOptions.openhouse) {
+    // If no specific switches, enable all (reconciliation stays opt-in)
+    if (!syncOptions.idx && !syncOptions.vow && !syncOptions.media && !syncOptions.rooms && !syncOptions.openhouse &&
+        !syncOptions.members && !syncOptions.offices && !syncOptions.reconcile) {
       syncOptions.idx = true;
       syncOptions.vow = true;
       syncOptions.media = true;
       syncOptions.rooms = true;
       syncOptions.openhouse = true;
+      syncOptions.members = true;
+      syncOptions.offices = true;
     }
     
     return syncOptions;
   }
 
   /**
-   * Execute selective sync based on CLI switches
+   * Value of a CLI option given as `--name value` or `--name=value`
+   * @returns {string|null}
    */
-  async executeSelectiveSync(options) {
-    console.log('🎯 Executing Selective Sync');
-    
-    if (options.idx) {
-      console.log('\n📊 === IDX SYNC ===');
-      console.log('🔄 Syncing available properties (IDX feed)...');
-      await this.syncWithTimePagination('idx', 'Property');
-    }
-    
-    if (options.vow) {
-      console.log('\n📊 === VOW SYNC ===');
-      console.log('🔄 Syncing sold/off-market properties (VOW feed)...');
-      await this.syncWithTimePagination('vow', 'Property');
-    }
-    
-    if (options.media) {
-      console.log('\n🖼️  === MEDIA SYNC ===');
-      console.log('🔄 Syncing property media (photos, videos)...');
-      await this.syncMediaWithParentIntegrity();
-    }
-    
-    if (options.rooms) {
-      console.log('\n🏠 === PROPERTY ROOMS SYNC ===');
-      console.log('🔄 Syncing property room details...');
-      await this.syncRoomsWithParentIntegrity();
+  getCliOption(args, name) {
+    const inline = args.find(arg => arg.startsWith(`${name}=`));
+    if (inline) {
+      return inline.slice(name.length + 1);
     }
     
-    if (options.openhouse) {
-      console.log('\n🏡 === OPEN HOUSE SYNC ===');
-      console.log('🔄 Syncing open house events...');
-      await this.syncOpenHousesWithParentIntegrity();
-    }
+    const index = args.indexOf(name);
+    return index >= 0 && args[index + 1] && !args[index + 1].startsWith('--') ? args[index + 1] : null;
   }
 
   /**
-   * Execute full sync with sequential parent-child execution
+   * Incremental sync from the stored high-water marks (used by the scheduler and API)
+   * @param {Object} options - See resolveSyncOptions
+   * @returns {Promise<Object>} Structured sync result (see syncResources)
    */
-  async executeFullSync(options) {
-    console.log('🔄 Executing Full Sync with Parent-Child Integrity');
-    
-    // Step 1: Sync Properties (Parent)
-    console.log('\n📊 === PROPERTY SYNC (PARENT) ===');
-    await this.syncWithTimePagination('idx', 'Property');
-    await this.syncWithTimePagination('vow', 'Property');
-    
-    // Load property keys for parent-child integrity
-    await this.loadPropertyKeys();
+  async performIncrementalSync(options = {}) {
+    return this.syncResources({ ...this.resolveSyncOptions(options), full: false });
+  }
+
+  /**
+   * Full re-sync from syncStartDate, ignoring stored high-water marks
+   * Reconciles listings against the feeds unless `reconcile: false` is passed.
+   * @param {Object} options - See resolveSyncOptions
+   * @returns {Promise<Object>} Structured sync result (see syncResources)
+   */
+  async performFullSync(options = {}) {
+    return this.syncResources({ ...this.resolveSyncOptions({ reconcile: true, ...options }), full: true });
+  }
+
+  /**
+   * Translate the scheduler/controller flags into syncResources options
+   * @param {Object} options
+   * @param {boolean} options.syncProperties - Sync IDX/VOW properties (default: true)
+   * @param {boolean} options.syncMedia - Sync media (default: true)
+   * @param {boolean} options.syncRooms - Sync rooms (default: follows syncProperties)
+   * @param {boolean} options.syncOpenHouses - Sync open houses (default: follows syncProperties)
+   * @param {boolean} options.syncMembers - Sync agents (default: follows syncProperties)
+   * @param {boolean} options.syncOffices - Sync brokerages (default: follows syncProperties)
+   * @param {string} options.mediaStrategy - Media sync strategy (default: MEDIA_SYNC_STRATEGY)
+   * @param {boolean} options.reconcile - Remove listings that left the feeds (default: false)
+   * Explicit `resources` / `feeds` arrays are passed through unchanged.
+   */
+  resolveSyncOptions(options = {}) {
+    const {
+      syncProperties = true,
+      syncMedia = true,
+      syncRooms = syncProperties,
+      syncOpenHouses = syncProperties,
+      syncMembers = syncProperties,
+      syncOffices = syncProperties,
+      reconcile = false,
+      ...rest
+    } = options;
     
-    // Step 2: Sync Children (Media, Rooms, OpenHouses)
-    console.log('\n🖼️  === MEDIA SYNC (CHILD) ===');
-    await this.syncMediaWithParentIntegrity();
+    if (rest.resources) {
+      return rest;
+    }
     
-    console.log('\n🏠 === PROPERTY ROOMS SYNC (CHILD) ===');
-    await this.syncRoomsWithParentIntegrity();
+    const resources = [];
+    if (syncProperties) resources.push('property');
+    if (reconcile) resources.push('reconcile');
+    if (syncMedia) resources.push('media');
+    if (syncRooms) resources.push('rooms');
+    if (syncOpenHouses) resources.push('openHouse');
+    if (syncMembers) resources.push('member');
+    if (syncOffices) resources.push('office');
     
-    console.log('\n🏡 === OPEN HOUSE SYNC (CHILD) ===');
-    await this.syncOpenHousesWithParentIntegrity();
+    return { ...rest, resources };
   }
 
   /**
-   * Generic time-based pagination sync for Properties (IDX/VOW)
+   * Sync the selected resources with parent-child ordering (properties before children)
+   * A failing resource is recorded in the result and the remaining resources still run.
+   * @param {Object} options
+   * @param {Array<string>} options.resources - Registry names from config/resources.js (default: all),
+   *   plus 'reconcile' to remove listings that left the feeds (runs after properties, before children)
+   * @param {Array<string>} options.feeds - Feeds of multi-feed resources: 'idx', 'vow' (default: both)
+   * @param {boolean} options.full - Re-sync from syncStartDate instead of the stored high-water marks
+   * @param {boolean} options.resetCheckpoint - Discard saved checkpoints before syncing
+   * @param {string} options.mediaStrategy - Media sync strategy (see MediaSyncService; default: MEDIA_SYNC_STRATEGY)
+   * @param {SyncJob} options.job - Job to report progress to; cancelling it stops the run between batches
+   * @returns {Promise<Object>} { mode, success, cancelled, startTime, endTime, duration, resources, properties, media, highWaterMarks }
    */
-  async syncWithTimePagination(feedType, endpoint, options = {}) {
-    const config = this.config.property;
-    const lastTimestamp = this.syncState.lastSyncTimestamps[`${feedType}_property`];
+  async syncResources(options = {}) {
+    const {
+      resources = RESOURCE_NAMES,
+      feeds = ['idx', 'vow'],
+      full = false,
+      resetCheckpoint = false,
+      mediaStrategy = null,
+      job = null
+    } = options;
     
-    console.log(`⏰ Starting ${feedType.toUpperCase()} ${endpoint} sync`);
-    console.log(`📅 Last sync: ${lastTimestamp || 'Never'}`);
-    
-    const stats = {
-      totalFetched: 0,
+    this.stats = {
       totalProcessed: 0,
-      successful: 0,
-      failed: 0,
-      batches: 0,
+      totalSuccessful: 0,
+      totalFailed: 0,
+      startTime: new Date(),
       errors: []
     };
-
-    try {
-      // Get total count for progress tracking
-      const totalCount = await this.getTotalCount(feedType, endpoint, lastTimestamp);
-      console.log(`📊 Total records to process: ${totalCount.toLocaleString()}`);
+    
+    const result = {
+      mode: full ? 'full' : 'incremental',
+      success: true,
+      cancelled: false,
+      startTime: this.stats.startTime.toISOString(),
+      endTime: null,
+      duration: 0,
+      resources: {},
+      highWaterMarks: {}
+    };
+    this.syncState.reconciliation = null;
+    this.syncState.syncedTypes.clear();
+    
+    console.log(`🚀 Starting ${result.mode} sync - ${result.startTime}`);
+    console.log(`📋 Resources: ${resources.join(', ') || 'none'} | Feeds: ${feeds.join(', ') || 'none'}`);
+    
+    // Reject unknown resource names and media strategies before touching any sync state
+    resources
+      .filter(name => name !== 'reconcile')
+      .forEach(name => this.getResourceConfig(name));
+    if (resources.includes('media')) {
+      this.mediaSync.resolveStrategy(mediaStrategy || undefined);
+    }
+    
+    this.job = job;
+    
+    // Load last sync timestamps and incremental cursors
+    await this.loadLastSyncTimestamps();
+    await this.loadSyncCursors();
+    
+    const steps = [];
+    const reconcileStep = resources.includes('reconcile') ? {
+      syncType: 'reconcile',
+      title: '🧮 === LISTING RECONCILIATION ===',
+      run: () => this.reconcileListings()
+    } : null;
+    
+    // Registry order puts parents before children; reconciliation runs between the two
+    RESOURCE_NAMES.filter(name => resources.includes(name)).forEach(name => {
+      const definition = this.config[name];
       
-      if (totalCount === 0) {
-        console.log(`✨ No new ${feedType.toUpperCase()} records to sync - database is up to date!`);
-        return stats;
+      if (definition.parent && reconcileStep && !steps.includes(reconcileStep)) {
+        steps.push(reconcileStep);
       }
       
-      // Process in time-based chunks
-      // Always use syncStartDate to ensure we only sync data from the specified start date
-      let currentTimestamp = this.syncStartDate;
-      let processedCount = 0;
+      this.getResourceFeeds(definition, feeds).forEach(feedType => steps.push({
+        syncType: getSyncType(definition, feedType),
+        definition,
+        title: definition.title.replace('{FEED}', feedType.toUpperCase()),
+        run: () => (name === 'media'
+          ? this.mediaSync.sync({ strategy: mediaStrategy, full })
+          : this.syncResource(name, { feedType, full }))
+      }));
+    });
+    
+    if (reconcileStep && !steps.includes(reconcileStep)) {
+      steps.push(reconcileStep);
+    }
+    
+    // Discard saved checkpoints when a clean restart is requested
+    if (resetCheckpoint) {
+      await this.resetCheckpoints(steps.map(step => step.syncType));
+    }
+    
+    let propertiesSynced = false;
+    
+    for (const step of steps) {
+      if (this.job && await this.job.isCancelled()) {
+        result.cancelled = true;
+        result.success = false;
+        console.log(`🛑 Sync job ${this.job.id} cancelled - skipping ${step.syncType} and later resources`);
+        break;
+      }
       
-      while (processedCount < totalCount) {
-        const batchStats = await this.processTimeBatch(
-          feedType, 
-          endpoint, 
-          currentTimestamp, 
-          config.batchSize,
-          stats.batches + 1
-        );
+      console.log(`\n${step.title}`);
+      await this.job?.reportProgress(step.syncType, { state: 'running', startedAt: new Date().toISOString() });
+      
+      try {
+        // Children are matched against parent keys, so reload them once properties have changed
+        if (step.definition?.parent && propertiesSynced) {
+          await this.loadPropertyKeys();
+          propertiesSynced = false;
+        }
         
-        // Update stats
-        stats.totalFetched += batchStats.fetched;
-        stats.totalProcessed += batchStats.processed;
-        stats.successful += batchStats.successful;
-        stats.failed += batchStats.failed;
-        stats.batches++;
-        stats.errors.push(...batchStats.errors);
+        if (step.syncType === 'reconcile') {
+          result.resources.reconcile = await step.run();
+          await this.job?.reportProgress('reconcile', { state: 'completed', ...result.resources.reconcile });
+          propertiesSynced = true;
+          continue;
+        }
         
-        processedCount += batchStats.fetched;
-        currentTimestamp = batchStats.lastTimestamp;
+        const stats = await step.run();
         
-        // Progress update
-        const progress = ((processedCount / totalCount) * 100).toFixed(1);
-        console.log(`📈 Progress: ${progress}% (${processedCount.toLocaleString()}/${totalCount.toLocaleString()})`);
+        result.resources[step.syncType] = this.summarizeSyncStats(stats);
+        await this.job?.reportProgress(step.syncType, { state: 'completed', ...result.resources[step.syncType] });
+        this.stats.totalProcessed += stats.totalProcessed || 0;
+        this.stats.totalSuccessful += stats.successful || 0;
+        this.stats.totalFailed += stats.failed || 0;
+        this.stats.errors.push(...(stats.errors || []).map(error => `${step.syncType}: ${error}`));
         
-        // Break if no more records
-        if (batchStats.fetched === 0) {
-          console.log(`🏁 No more ${feedType.toUpperCase()} records available - sync complete!`);
+        if (step.definition.name === 'property') {
+          propertiesSynced = true;
+        }
+        if (this.syncState.cursors[step.syncType]) {
+          result.highWaterMarks[step.syncType] = this.syncState.cursors[step.syncType];
+        } else if (step.definition.strategy === 'timestamp') {
+          result.highWaterMarks[step.syncType] = null;
+        }
+        
+      } catch (error) {
+        result.success = false;
+        
+        // Another process is syncing this resource; it is left to that run
+        if (error.locks) {
+          console.warn(`⏭️  ${error.message}`);
+          result.resources[step.syncType] = { ...this.summarizeSyncStats({}), error: error.message, locks: error.locks };
+          this.stats.errors.push(`${step.syncType}: ${error.message}`);
+          await this.job?.reportProgress(step.syncType, { state: 'locked', error: error.message });
+          continue;
+        }
+        
+        // A cancelled job stops after the batch in progress; its checkpoint resumes the next run
+        if (this.job?.cancelRequested) {
+          const { state, startedAt, updatedAt, ...counts } = this.job.progress[step.syncType] || {};
+          result.cancelled = true;
+          result.resources[step.syncType] = { ...this.summarizeSyncStats({}), ...counts, cancelled: true };
+          await this.job.reportProgress(step.syncType, { state: 'cancelled' });
+          console.log(`🛑 Sync job ${this.job.id} cancelled during ${step.syncType}`);
           break;
         }
         
-        // Throttle
-        await this.sleep(config.throttleDelay);
+        logger.error(`${step.syncType} sync failed:`, error);
+        console.error(`❌ ${step.syncType} sync failed: ${error.message}`);
+        
+        result.resources[step.syncType] = { ...this.summarizeSyncStats({}), error: error.message };
+        this.stats.errors.push(`${step.syncType}: ${error.message}`);
+        await this.job?.reportProgress(step.syncType, { state: 'failed', error: error.message });
       }
-      
-      // Update last sync timestamp
-      this.syncState.lastSyncTimestamps[`${feedType}_property`] = new Date().toISOString();
-      
-      console.log(`✅ ${feedType.toUpperCase()} ${endpoint} sync completed`);
-      console.log(`📊 Final stats: ${stats.successful.toLocaleString()} successful, ${stats.failed.toLocaleString()} failed, ${stats.batches} batches`);
-
-    } catch (error) {
-      logger.error(`${feedType} ${endpoint} sync failed:`, error);
-      stats.errors.push(error.message);
-      throw error;
     }
     
-    return stats;
+    this.job = null;
+    await this.updateLastSyncTimestamps();
+    
+    const endTime = new Date();
+    result.endTime = endTime.toISOString();
+    result.duration = endTime - this.stats.startTime;
+    
+    // Aggregates kept for the scheduler's summary logging
+    result.properties = ['idx_property', 'vow_property']
+      .map(syncType => result.resources[syncType])
+      .filter(Boolean)
+      .reduce((total, summary) => ({
+        fetched: total.fetched + summary.fetched,
+        upserted: total.upserted + summary.upserted,
+        failed: total.failed + summary.failed
+      }), { fetched: 0, upserted: 0, failed: 0 });
+    
+    if (result.resources.media) {
+      const { fetched, upserted, failed } = result.resources.media;
+      result.media = { fetched, upserted, failed };
+    }
+    
+    return result;
+  }
+
+  /**
+   * Feeds of a resource to sync: the selected feeds of multi-feed resources, the only feed of the others
+   * @param {Array<string>} feeds - Selected feeds ('idx', 'vow')
+   */
+  getResourceFeeds(definition, feeds) {
+    return Object.keys(definition.feeds).length > 1
+      ? feeds.filter(feedType => feedType in definition.feeds)
+      : Object.keys(definition.feeds);
   }
 
   /**
-   * Media sync with parent-child integrity - OPTIMIZED VERSION
-   * Fetches media only for properties we have, instead of all media
+   * Sync types a syncResources call would run, i.e. the sync locks it takes
+   * @param {Object} options - resources / feeds as for syncResources
+   * @returns {Array<string>} e.g. ['idx_property', 'vow_property', 'reconcile', 'media']
    */
-  async syncMediaWithParentIntegrity() {
-    const config = this.config.media;
-    const lastTimestamp = this.syncState.lastSyncTimestamps.media;
+  getRunSyncTypes({ resources = RESOURCE_NAMES, feeds = ['idx', 'vow'] } = {}) {
+    return resources.flatMap(name => {
+      if (name === 'reconcile') {
+        return ['reconcile'];
+      }
+      
+      const definition = this.getResourceConfig(name);
+      return this.getResourceFeeds(definition, feeds).map(feedType => getSyncType(definition, feedType));
+    });
+  }
+
+  /**
+   * Run a resource sync while holding its sync lock
+   * Throws 'Sync already running: ...' (with `error.locks`) if another process holds the lock.
+   * @param {string} syncType - Lock name
+   * @param {Function} run - async () => result
+   */
+  async withSyncLock(syncType, run) {
+    const lease = await this.locks.acquire(syncType, { jobId: this.job?.id });
+    this.leases.set(syncType, lease);
     
-    console.log('⏰ Starting OPTIMIZED Media sync with parent integrity');
-    console.log(`📅 Last sync: ${lastTimestamp || 'Never'}`);
+    try {
+      return await run();
+    } finally {
+      this.leases.delete(syncType);
+      await lease.release();
+    }
+  }
+
+  /**
+   * Reduce the running stats of a sync loop to the counts reported to callers
+   */
+  summarizeSyncStats(stats) {
+    return {
+      fetched: stats.totalFetched || 0,
+      upserted: stats.successful || 0,
+      failed: stats.failed || 0,
+      skipped: stats.skipped || 0,
+      removed: stats.removed || 0,
+      batches: stats.batches || 0,
+      errors: (stats.errors || []).slice(0, 10),
+      ...(stats.strategy && { strategy: stats.strategy })
+    };
+  }
+
+  /**
+   * Report a committed batch to the current sync job, and stop if the job was cancelled or the
+   * sync lock was lost. Called after the batch's checkpoint is saved, so the next run resumes from it.
+   */
+  async afterBatch(syncType, stats) {
+    this.leases.get(syncType)?.throwIfLost();
     
-    // Ensure property keys are loaded
-    if (!this.syncState.isPropertyKeysLoaded) {
-      await this.loadPropertyKeys();
+    if (!this.job) {
+      return;
     }
     
-    const stats = {
-      totalFetched: 0,
-      totalProcessed: 0,
-      successful: 0,
-      failed: 0,
-      skipped: 0,
-      batches: 0,
-      errors: []
-    };
+    await this.job.reportProgress(syncType, { state: 'running', ...this.summarizeSyncStats(stats) });
+    await this.job.throwIfCancelled();
+  }
+
+  /**
+   * Soft-delete or purge listings that are no longer in the feeds (see ReconciliationService)
+   * The result is recorded in the SyncLog row written at the end of the run.
+   * @param {Object} options - Overrides for the configured reconciliation settings
+   * @returns {Promise<Object>} Reconciliation counts
+   */
+  async reconcileListings(options = {}) {
+    return this.withSyncLock('reconcile', async () => {
+      const result = await this.reconciliation.reconcile(options);
+      this.syncState.reconciliation = result;
+      return result;
+    });
+  }
 
+  /**
+   * Re-fetch a single listing and its children (media, rooms, open houses) from the feed
+   * Tries the IDX feed first and falls back to VOW for sold/off-market listings.
+   * @param {string} listingKey - Listing key to sync
+   * @returns {Promise<Object>} { listingKey, feedType, property, media, rooms, openHouses, duration }
+   */
+  async syncSingleProperty(listingKey) {
+    const startTime = Date.now();
+    
     try {
-      console.log(`🏠 Property keys loaded: ${this.syncState.propertyKeys.size.toLocaleString()}`);
+      let feedType = 'idx';
+      let record = await this.ampreApi.fetchSingle('Property', listingKey, 'idx');
       
-      if (this.syncState.propertyKeys.size === 0) {
-        console.log('⚠️  No property keys found - skipping media sync');
-        return stats;
+      if (!record) {
+        feedType = 'vow';
+        record = await this.ampreApi.fetchSingle('Property', listingKey, 'vow');
       }
       
-      // Convert property keys to array for API filtering
-      const propertyKeysArray = Array.from(this.syncState.propertyKeys);
-      console.log(`🔍 Fetching media for ${propertyKeysArray.length} specific properties`);
+      if (!record) {
+        throw new Error(`Property ${listingKey} not found in IDX or VOW feed`);
+      }
       
-      // Process properties in batches to avoid URL length limits
-      // Based on testing, batches larger than 20 properties cause HTTP 500 errors due to URL length
-      // Each property adds ~30 chars to the URL, so 20 properties = ~600 chars filter + base URL
-      const propertyBatchSize = 20; // Tested batch size that works reliably
-      let processedProperties = 0;
+      const propertyResults = await this.processRecords(this.config.property, [record], 1, feedType);
+      const propertyFailure = propertyResults.find(r => !r.success);
       
-      for (let i = 0; i < propertyKeysArray.length; i += propertyBatchSize) {
-        const propertyBatch = propertyKeysArray.slice(i, i + propertyBatchSize);
-        const batchNumber = Math.floor(i / propertyBatchSize) + 1;
-        
-        console.log(`🔄 Processing property batch ${batchNumber}: ${propertyBatch.length} properties`);
-        
-        const batchStats = await this.processMediaBatchForProperties(
-          propertyBatch,
-          config.batchSize,
-          batchNumber
-        );
-        
-        // Update stats
-        stats.totalFetched += batchStats.fetched;
-        stats.totalProcessed += batchStats.processed;
-        stats.successful += batchStats.successful;
-        stats.failed += batchStats.failed;
-        stats.skipped += batchStats.skipped;
-        stats.batches++;
-        stats.errors.push(...batchStats.errors);
-        
-        processedProperties += propertyBatch.length;
-        
-        // Progress update
-        const progress = ((processedProperties / propertyKeysArray.length) * 100).toFixed(1);
-        console.log(`📈 Progress: ${progress}% (${processedProperties}/${propertyKeysArray.length} properties) - Media: ${stats.successful.toLocaleString()} successful`);
-        
-        await this.sleep(config.throttleDelay);
+      if (propertyFailure) {
+        throw new Error(`Failed to sync property ${listingKey}: ${propertyFailure.error}`);
       }
       
-      this.syncState.lastSyncTimestamps.media = new Date().toISOString();
+      const media = await this.mediaSync.syncListings([listingKey]);
+      
+      // Rooms are only published on the IDX feed
+      const rooms = feedType === 'idx'
+        ? await this.syncListingChildren('rooms', listingKey)
+        : { upserted: 0, failed: 0 };
+      
+      const openHouses = await this.syncListingChildren('openHouse', listingKey);
+      
+      const result = {
+        listingKey,
+        feedType,
+        property: this.summarizeRecordResults(propertyResults),
+        media,
+        rooms,
+        openHouses,
+        duration: Date.now() - startTime
+      };
       
-      console.log(`✅ OPTIMIZED Media sync completed`);
-      console.log(`📊 Final stats: ${stats.successful.toLocaleString()} successful, ${stats.failed.toLocaleString()} failed, ${stats.skipped.toLocaleString()} skipped`);
+      logger.info(`Single property sync completed for ${listingKey}`, result);
+      return result;
       
     } catch (error) {
-      logger.error('Optimized Media sync failed:', error);
-      stats.errors.push(error.message);
+      logger.error(`Single property sync failed for ${listingKey}:`, error);
       throw error;
     }
+  }
+
+  /**
+   * Re-fetch the child records of one listing for a child resource
+   * @param {string} name - Registry name of a resource whose parent is property
+   * @returns {Promise<Object>} { upserted, failed }
+   */
+  async syncListingChildren(name, listingKey) {
+    const definition = this.getResourceConfig(name);
+    const feedType = Object.keys(definition.feeds)[0];
+    const { records } = await this.fetchChildrenOfParents(definition, feedType, [listingKey]);
+    
+    if (records.length === 0) {
+      return { upserted: 0, failed: 0 };
+    }
     
-    return stats;
+    return this.summarizeRecordResults(await this.processRecords(definition, records, 1, feedType));
   }
 
   /**
-   * PropertyRooms sync with parent-child integrity
+   * Count the per-record results of processRecords
    */
-  async syncRoomsWithParentIntegrity() {
-    const config = this.config.rooms;
-    const lastTimestamp = this.syncState.lastSyncTimestamps.rooms;
+  summarizeRecordResults(results) {
+    return {
+      upserted: results.filter(r => r.success).length,
+      failed: results.filter(r => !r.success).length
+    };
+  }
+
+  /**
+   * Sync one registry resource (see config/resources.js) from one of its feeds
+   * Children of listings we do not store are skipped, so parents should be synced first.
+   * @param {string} name - Registry name ('property', 'media', 'rooms', 'openHouse')
+   * @param {Object} options
+   * @param {string} options.feedType - Feed to read (default: the resource's first feed)
+   * @param {boolean} options.full - Ignore the stored high-water mark and re-pull from syncStartDate
+   *   (parent-key resources: fetch the children of every listing, changed or not)
+   * @param {string} options.strategy - 'timestamp' or 'parentKeys' (default: the registry strategy);
+   *   a child resource can be read either way
+   * @returns {Promise<Object>} Loop stats { totalFetched, totalProcessed, successful, failed, skipped, removed, batches, errors }
+   */
+  async syncResource(name, options = {}) {
+    const definition = this.getResourceConfig(name);
+    const { feedType = Object.keys(definition.feeds)[0], full = false, strategy = definition.strategy } = options;
     
-    console.log('⏰ Starting PropertyRooms sync with parent integrity');
-    console.log(`📅 Last sync: ${lastTimestamp || 'Never'}`);
+    if (!(feedType in definition.feeds)) {
+      throw new Error(`${definition.resource} is not published on the ${feedType.toUpperCase()} feed`);
+    }
     
-    // Ensure property keys are loaded
-    if (!this.syncState.isPropertyKeysLoaded) {
-      await this.loadPropertyKeys();
+    if (!['timestamp', 'parentKeys'].includes(strategy) || (strategy === 'parentKeys' && !definition.parent)) {
+      throw new Error(`${definition.resource} cannot be synced with the ${strategy} strategy`);
     }
     
+    return this.withSyncLock(getSyncType(definition, feedType), async () => {
+      // Ensure parent keys are loaded
+      if (definition.parent && !this.syncState.isPropertyKeysLoaded) {
+        await this.loadPropertyKeys();
+      }
+      
+      if (strategy === 'parentKeys') {
+        return this.syncResourceByParentKeys(definition, feedType, { full });
+      }
+      
+      return this.syncResourceByTimestamp(definition, feedType, { full });
+    });
+  }
+
+  /**
+   * Time-based pagination sync for a resource
+   * Incremental by default: starts after the stored high-water mark of the resource's feed.
+   * @param {Object} options - { full: true } ignores the mark and re-pulls from syncStartDate
+   */
+  async syncResourceByTimestamp(definition, feedType, options = {}) {
+    const syncType = getSyncType(definition, feedType);
+    const label = this.getResourceLabel(definition, feedType);
+    const lastTimestamp = this.syncState.lastSyncTimestamps[syncType];
+    const storedCursor = this.syncState.cursors[syncType];
+    const mode = options.full || !storedCursor ? 'full' : 'incremental';
+    
+    console.log(`⏰ Starting ${label} sync (${mode})`);
+    console.log(`📅 Last sync: ${lastTimestamp || 'Never'}`);
+    
     const stats = {
       totalFetched: 0,
       totalProcessed: 0,
@@ -394,27 +648,49 @@ class SyncService {
       batches: 0,
       errors: []
     };
-    
+
     try {
-      const totalCount = await this.getTotalCount('idx', 'PropertyRooms', lastTimestamp);
-      console.log(`📊 Total room records: ${totalCount.toLocaleString()}`);
-      console.log(`🏠 Property keys loaded: ${this.syncState.propertyKeys.size.toLocaleString()}`);
+      // Full runs start at the resource startDate (default syncStartDate); incremental runs start after the stored high-water mark
+      let cursor = mode === 'full'
+        ? { lastTimestamp: definition.startDate || this.syncStartDate, lastKey: null }
+        : { lastTimestamp: storedCursor.lastTimestamp, lastKey: storedCursor.lastKey };
+      
+      // A checkpoint left by an interrupted run of the same mode takes precedence
+      // (parent-key checkpoints of the same resource have no timestamp and are ignored)
+      const checkpoint = await this.loadCheckpoint(syncType);
+      
+      if (checkpoint?.lastTimestamp && (!checkpoint.mode || checkpoint.mode === mode)) {
+        cursor = { lastTimestamp: checkpoint.lastTimestamp, lastKey: checkpoint.lastKey };
+        this.restoreCheckpointStats(stats, checkpoint);
+        console.log(`♻️  Resuming from checkpoint: batch ${checkpoint.batchNumber}, ${cursor.lastTimestamp} / ${cursor.lastKey}`);
+      }
+      
+      // The high-water mark only advances past batches that were ingested without failures,
+      // so records that failed to upsert are picked up again by the next incremental run
+      let highWaterMark = checkpoint?.highWaterMark || (mode === 'incremental' ? cursor : null);
+      let highWaterOpen = checkpoint?.highWaterOpen ?? true;
+      
+      // Get total count for progress tracking
+      const totalCount = await this.getTotalCount(feedType, definition.resource, cursor);
+      console.log(`📊 Total records to process: ${totalCount.toLocaleString()}`);
+      
+      if (definition.parent) {
+        console.log(`🏠 Property keys loaded: ${this.syncState.propertyKeys.size.toLocaleString()}`);
+      }
       
       if (totalCount === 0) {
-        console.log('✨ No new room records to sync - database is up to date!');
+        console.log(`✨ No new ${label} records to sync - database is up to date!`);
+        await this.clearCheckpoint(syncType);
         return stats;
       }
       
-      let currentTimestamp = lastTimestamp || this.syncStartDate;
+      // Process in time-based chunks
       let processedCount = 0;
       
       while (processedCount < totalCount) {
-        const batchStats = await this.processRoomsTimeBatch(
-          currentTimestamp,
-          config.batchSize,
-          stats.batches + 1
-        );
+        const batchStats = await this.processResourceBatch(definition, feedType, cursor, stats.batches + 1);
         
+        // Update stats
         stats.totalFetched += batchStats.fetched;
         stats.totalProcessed += batchStats.processed;
         stats.successful += batchStats.successful;
@@ -424,26 +700,54 @@ class SyncService {
         stats.errors.push(...batchStats.errors);
         
         processedCount += batchStats.fetched;
-        currentTimestamp = batchStats.lastTimestamp;
+        cursor = { lastTimestamp: batchStats.lastTimestamp, lastKey: batchStats.lastKey };
+        
+        if (batchStats.fetched > 0) {
+          if (highWaterOpen && batchStats.failed === 0) {
+            highWaterMark = cursor;
+          } else {
+            highWaterOpen = false;
+          }
+          
+          await this.saveCheckpoint(syncType, this.buildCheckpoint(feedType, cursor, stats, {
+            mode,
+            highWaterMark,
+            highWaterOpen
+          }));
+          await this.afterBatch(syncType, stats);
+        }
         
+        // Progress update
         const progress = ((processedCount / totalCount) * 100).toFixed(1);
-        console.log(`📈 Progress: ${progress}% (${processedCount.toLocaleString()}/${totalCount.toLocaleString()}) - Skipped: ${stats.skipped.toLocaleString()}`);
+        console.log(`📈 Progress: ${progress}% (${processedCount.toLocaleString()}/${totalCount.toLocaleString()})${definition.parent ? ` - Skipped: ${stats.skipped.toLocaleString()}` : ''}`);
         
+        // Break if no more records
         if (batchStats.fetched === 0) {
-          console.log('🏁 No more room records available - sync complete!');
+          console.log(`🏁 No more ${label} records available - sync complete!`);
           break;
         }
         
-        await this.sleep(config.throttleDelay);
+        // Throttle
+        await this.sleep(definition.throttleDelay);
       }
       
-      this.syncState.lastSyncTimestamps.rooms = new Date().toISOString();
+      // Record the newest modification timestamp actually ingested, not the wall clock,
+      // so records modified while this run was in progress are not skipped next time
+      if (highWaterMark) {
+        this.syncState.lastSyncTimestamps[syncType] = highWaterMark.lastTimestamp;
+        this.syncState.syncedTypes.add(syncType);
+        await this.saveSyncCursor(syncType, highWaterMark);
+      }
+      await this.clearCheckpoint(syncType);
+      stats.highWaterMark = highWaterMark;
       
-      console.log(`✅ PropertyRooms sync completed`);
-      console.log(`📊 Final stats: ${stats.successful.toLocaleString()} successful, ${stats.failed.toLocaleString()} failed, ${stats.skipped.toLocaleString()} skipped`);
+      console.log(`✅ ${label} sync completed`);
+      console.log(`📊 Final stats: ${stats.successful.toLocaleString()} successful, ${stats.failed.toLocaleString()} failed, ${stats.skipped.toLocaleString()} skipped, ${stats.batches} batches`);
 
     } catch (error) {
-      logger.error('PropertyRooms sync failed:', error);
+      if (!this.job?.cancelRequested) {
+        logger.error(`${label} sync failed:`, error);
+      }
       stats.errors.push(error.message);
       throw error;
     }
@@ -452,79 +756,123 @@ class SyncService {
   }
 
   /**
-   * OpenHouse sync with parent-child integrity
+   * Parent-key sync for a resource: fetches the children of stored parents,
+   * a few parents per request, instead of paging through the whole resource
+   * With definition.changeTracking, incremental runs only visit parents whose change timestamps
+   * advanced; children of visited parents that the feed no longer returns are deleted.
+   * @param {Object} options - { full: true } visits every parent
    */
-  async syncOpenHousesWithParentIntegrity() {
-    const config = this.config.openHouse;
-    const lastTimestamp = this.syncState.lastSyncTimestamps.openhouse;
+  async syncResourceByParentKeys(definition, feedType, options = {}) {
+    const syncType = getSyncType(definition, feedType);
+    const label = this.getResourceLabel(definition, feedType);
+    const lastTimestamp = this.syncState.lastSyncTimestamps[syncType];
+    const tracking = definition.changeTracking;
+    const mode = options.full || !tracking ? 'full' : 'incremental';
     
-    console.log('⏰ Starting OpenHouse sync with parent integrity');
+    console.log(`⏰ Starting ${label} sync by parent key (${mode})`);
     console.log(`📅 Last sync: ${lastTimestamp || 'Never'}`);
     
-    // Ensure property keys are loaded
-    if (!this.syncState.isPropertyKeysLoaded) {
-      await this.loadPropertyKeys();
-    }
-    
     const stats = {
       totalFetched: 0,
       totalProcessed: 0,
       successful: 0,
       failed: 0,
       skipped: 0,
+      removed: 0,
       batches: 0,
       errors: []
     };
-    
+
     try {
-      const totalCount = await this.getTotalCount('idx', 'OpenHouse', lastTimestamp);
-      console.log(`📊 Total open house records: ${totalCount.toLocaleString()}`);
-      console.log(`🏠 Property keys loaded: ${this.syncState.propertyKeys.size.toLocaleString()}`);
+      const parentKeys = this.getParentKeys(definition);
+      console.log(`🏠 Property keys loaded: ${parentKeys.size.toLocaleString()}`);
       
-      if (totalCount === 0) {
-        console.log('✨ No new open house records to sync - database is up to date!');
+      if (parentKeys.size === 0) {
+        console.log(`⚠️  No property keys found - skipping ${label} sync`);
         return stats;
       }
       
-      let currentTimestamp = lastTimestamp || this.syncStartDate;
-      let processedCount = 0;
+      // Newest change timestamp of each parent to visit, recorded once its children are synced
+      const changes = tracking ? await this.loadParentChanges(definition, { full: mode === 'full' }) : null;
       
-      while (processedCount < totalCount) {
-        const batchStats = await this.processOpenHousesTimeBatch(
-          currentTimestamp,
-          config.batchSize,
-          stats.batches + 1
-        );
+      if (changes && mode === 'incremental') {
+        console.log(`🔎 ${changes.size.toLocaleString()} properties with ${tracking.changeFields.join(' / ')} changes (${(parentKeys.size - changes.size).toLocaleString()} unchanged)`);
+      }
+      
+      // Sort the parent keys so a checkpoint's lastKey marks a stable position
+      let parentKeysArray = Array.from(changes ? changes.keys() : parentKeys).sort();
+      
+      // The cursor of a parent-key sync is the last parent whose children were committed
+      // (timestamp checkpoints of the same resource carry a timestamp and are ignored)
+      const checkpoint = await this.loadCheckpoint(syncType);
+      if (checkpoint?.lastKey && !checkpoint.lastTimestamp) {
+        parentKeysArray = parentKeysArray.filter(key => key > checkpoint.lastKey);
+        this.restoreCheckpointStats(stats, checkpoint);
+        console.log(`♻️  Resuming from checkpoint: batch ${checkpoint.batchNumber}, after ${definition.parent.foreignKey} ${checkpoint.lastKey}`);
+      }
+      
+      console.log(`🔍 Fetching ${label} for ${parentKeysArray.length} specific properties`);
+      
+      let processedParents = 0;
+      
+      for (let i = 0; i < parentKeysArray.length; i += definition.parentBatchSize) {
+        const parentBatch = parentKeysArray.slice(i, i + definition.parentBatchSize);
+        const batchNumber = stats.batches + 1;
         
-        stats.totalFetched += batchStats.fetched;
-        stats.totalProcessed += batchStats.processed;
-        stats.successful += batchStats.successful;
-        stats.failed += batchStats.failed;
-        stats.skipped += batchStats.skipped;
+        console.log(`🔄 Processing property batch ${batchNumber}: ${parentBatch.length} properties`);
+        
+        const { records, complete } = await this.fetchChildrenOfParents(definition, feedType, parentBatch);
+        const processedRecords = records.length > 0
+          ? await this.processRecords(definition, records, batchNumber, feedType)
+          : [];
+        const failures = processedRecords.filter(r => !r.success);
+        
+        if (tracking) {
+          stats.removed += await this.removeStaleChildren(definition, parentBatch, records, complete);
+          
+          // Parents with failed records keep their old timestamp and are retried next run
+          if (complete && failures.length === 0) {
+            await this.database.setListingTimestamps(
+              tracking.syncedField,
+              new Map(parentBatch.map(key => [key, changes.get(key)]))
+            );
+          }
+        }
+        
+        // Update stats
+        stats.totalFetched += records.length;
+        stats.totalProcessed += processedRecords.length;
+        stats.successful += processedRecords.length - failures.length;
+        stats.failed += failures.length;
         stats.batches++;
-        stats.errors.push(...batchStats.errors);
+        stats.errors.push(...failures.map(r => r.error));
         
-        processedCount += batchStats.fetched;
-        currentTimestamp = batchStats.lastTimestamp;
+        processedParents += parentBatch.length;
         
-        const progress = ((processedCount / totalCount) * 100).toFixed(1);
-        console.log(`📈 Progress: ${progress}% (${processedCount.toLocaleString()}/${totalCount.toLocaleString()}) - Skipped: ${stats.skipped.toLocaleString()}`);
+        await this.saveCheckpoint(syncType, this.buildCheckpoint(feedType, {
+          lastTimestamp: null,
+          lastKey: parentBatch[parentBatch.length - 1]
+        }, stats));
+        await this.afterBatch(syncType, stats);
         
-        if (batchStats.fetched === 0) {
-          console.log('🏁 No more open house records available - sync complete!');
-          break;
-        }
+        // Progress update
+        const progress = ((processedParents / parentKeysArray.length) * 100).toFixed(1);
+        console.log(`📈 Progress: ${progress}% (${processedParents}/${parentKeysArray.length} properties) - ${definition.resource}: ${stats.successful.toLocaleString()} successful`);
         
-        await this.sleep(config.throttleDelay);
+        await this.sleep(definition.throttleDelay);
       }
       
-      this.syncState.lastSyncTimestamps.openhouse = new Date().toISOString();
+      this.syncState.lastSyncTimestamps[syncType] = new Date().toISOString();
+      this.syncState.syncedTypes.add(syncType);
+      await this.clearCheckpoint(syncType);
       
-      console.log(`✅ OpenHouse sync completed`);
-      console.log(`📊 Final stats: ${stats.successful.toLocaleString()} successful, ${stats.failed.toLocaleString()} failed, ${stats.skipped.toLocaleString()} skipped`);
+      console.log(`✅ ${label} sync completed`);
+      console.log(`📊 Final stats: ${stats.successful.toLocaleString()} successful, ${stats.failed.toLocaleString()} failed, ${stats.removed.toLocaleString()} removed, ${stats.batches} batches`);
       
     } catch (error) {
-      logger.error('OpenHouse sync failed:', error);
+      if (!this.job?.cancelRequested) {
+        logger.error(`${label} sync failed:`, error);
+      }
       stats.errors.push(error.message);
       throw error;
     }
@@ -533,55 +881,32 @@ class SyncService {
   }
 
   /**
-   * Process a time-based batch for Properties
+   * Fetch, map and upsert one page of a resource after a (timestamp, key) cursor
+   * @param {Object} cursor - { lastTimestamp, lastKey } of the last committed record
    */
-  async processTimeBatch(feedType, endpoint, fromTimestamp, batchSize, batchNumber) {
-    const config = this.config.property;
+  async processResourceBatch(definition, feedType, cursor, batchNumber) {
+    const label = this.getResourceLabel(definition, feedType);
     const stats = {
       fetched: 0,
       processed: 0,
       successful: 0,
       failed: 0,
-      lastTimestamp: fromTimestamp,
+      skipped: 0,
+      lastTimestamp: cursor.lastTimestamp,
+      lastKey: cursor.lastKey,
       errors: []
     };
 
     try {
-      // Build filter for time-based pagination
-      const filter = {
-        $filter: `${config.timestampField} gt ${fromTimestamp}`,
-        $orderby: `${config.timestampField} asc`,
-        $top: batchSize
-      };
-      
-      console.log(`🔄 Batch ${batchNumber}: Fetching ${feedType} ${endpoint} from ${fromTimestamp}`);
-      
-      // Fetch data using specific methods that use predefined URLs with filters
-      let response;
-      if (feedType === 'idx') {
-        response = await this.ampreApi.fetchIdxProperties({
-          top: filter.$top,
-          skip: filter.$skip
-        });
-      } else if (feedType === 'vow') {
-        response = await this.ampreApi.fetchVowProperties({
-          top: filter.$top,
-          skip: filter.$skip
-        });
-      } else {
-        // Fallback to generic method for other endpoints
-        response = await this.ampreApi.fetchBatch(endpoint, {
-          filter: filter.$filter,
-          orderBy: filter.$orderby,
-          top: filter.$top,
-          feedType: feedType
-        });
-      }
+      console.log(`🔄 Batch ${batchNumber}: Fetching ${label} from ${cursor.lastTimestamp}`);
       
-      const records = response || [];
+      const records = await this.fetchResource(definition, feedType, {
+        filter: this.buildCursorFilter(definition, cursor),
+        orderBy: `${definition.timestampField} asc,${definition.keyField} asc`,
+        top: definition.batchSize
+      }) || [];
       
       stats.fetched = records.length;
-      stats.lastTimestamp = fromTimestamp;
       
       if (records.length === 0) {
         console.log(`📭 Batch ${batchNumber}: No records found`);
@@ -590,24 +915,36 @@ class SyncService {
       
       console.log(`📥 Batch ${batchNumber}: Fetched ${records.length} records`);
       
+      // The cursor moves past skipped records too; they are re-sent once modified again
+      const lastRecord = records[records.length - 1];
+      stats.lastTimestamp = lastRecord[definition.timestampField];
+      stats.lastKey = lastRecord[definition.keyField];
+      
+      // Filter records by parent integrity
+      let validRecords = records;
+      if (definition.parent) {
+        const parentKeys = this.getParentKeys(definition);
+        validRecords = records.filter(record => parentKeys.has(record[definition.parent.foreignKey]));
+        stats.skipped = records.length - validRecords.length;
+        
+        if (validRecords.length === 0) {
+          console.log(`⏭️  Batch ${batchNumber}: All ${records.length} records skipped (no parent property)`);
+          return stats;
+        }
+      }
+      
       // Process records
-      const processedRecords = await this.processPropertyBatch(records, batchNumber);
+      const processedRecords = await this.processRecords(definition, validRecords, batchNumber, feedType);
       
       stats.processed = processedRecords.length;
       stats.successful = processedRecords.filter(r => r.success).length;
       stats.failed = processedRecords.filter(r => !r.success).length;
       stats.errors = processedRecords.filter(r => !r.success).map(r => r.error);
       
-      // Update last timestamp from the last record
-      if (records.length > 0) {
-        const lastRecord = records[records.length - 1];
-        stats.lastTimestamp = lastRecord[config.timestampField];
-      }
-      
-      console.log(`✅ Batch ${batchNumber}: Processed ${stats.processed}, Success: ${stats.successful}, Failed: ${stats.failed}`);
+      console.log(`✅ Batch ${batchNumber}: Processed ${stats.processed}, Success: ${stats.successful}, Failed: ${stats.failed}, Skipped: ${stats.skipped}`);
       
     } catch (error) {
-      logger.error(`Batch ${batchNumber} failed:`, error);
+      logger.error(`${label} batch ${batchNumber} failed:`, error);
       stats.errors.push(error.message);
       throw error;
     }
@@ -616,382 +953,291 @@ class SyncService {
   }
 
   /**
-   * Process media for a specific batch of properties - OPTIMIZED VERSION with PAGINATION
-   * Fetches ALL media for the provided property keys using pagination
+   * Fetch every child record of the given parents, paging until a short page
+   * Keep the parent list short (definition.parentBatchSize): each key lengthens the request URL.
+   * @param {Array<string>} parentKeys - Parent keys matched against definition.parent.foreignKey
+   * @returns {Promise<Object>} { records: raw API records, complete: false if the page limit cut the fetch short }
    */
-  async processMediaBatchForProperties(propertyKeys, batchSize, batchNumber) {
-    const config = this.config.media;
-    const stats = {
-      fetched: 0,
-      processed: 0,
-      successful: 0,
-      failed: 0,
-      skipped: 0,
-      errors: []
-    };
+  async fetchChildrenOfParents(definition, feedType, parentKeys) {
+    const filter = parentKeys
+      .map(key => `${definition.parent.foreignKey} eq ${odataString(key)}`)
+      .join(' or ');
+    const pageSize = Math.min(definition.batchSize, 1000);
+    const records = [];
     
-    try {
-      // Create OData filter for specific property keys
-      // Format: ResourceRecordKey eq 'key1' or ResourceRecordKey eq 'key2' or ...
-      const propertyFilter = propertyKeys
-        .map(key => `ResourceRecordKey eq '${key}'`)
-        .join(' or ');
-      
-      console.log(`🔄 Batch ${batchNumber}: Fetching ALL Media for ${propertyKeys.length} properties with pagination`);
-      
-      // Fetch ALL media with pagination to ensure we don't miss any records
-      const allRecords = [];
-      let skip = 0;
-      const pageSize = Math.min(batchSize, 1000); // Use reasonable page size
-      let hasMorePages = true;
-      let pageNumber = 1;
-      
-      while (hasMorePages) {
-        console.log(`   📄 Fetching page ${pageNumber} (skip: ${skip}, top: ${pageSize})`);
-        
-        // Fetch media page with property-specific filter
-        const response = await this.ampreApi.fetchMediaWithFilter({
-          filter: propertyFilter,
-          top: pageSize,
-          skip: skip,
-          orderBy: 'MediaModificationTimestamp asc'
-        });
-        
-        const pageRecords = response || [];
-        allRecords.push(...pageRecords);
-        
-        console.log(`   📥 Page ${pageNumber}: ${pageRecords.length} records (total so far: ${allRecords.length})`);
-        
-        // Check if we have more pages
-        hasMorePages = pageRecords.length === pageSize;
-        skip += pageSize;
-        pageNumber++;
-        
-        // Safety break to avoid infinite loops
-        if (pageNumber > 100) {
-          console.log(`   ⚠️  Page limit reached (100 pages), stopping pagination`);
-          break;
-        }
-        
-        // Small delay between pages to be nice to the API
-        if (hasMorePages) {
-          await this.sleep(100);
-        }
-      }
-      
-      console.log(`📊 Batch ${batchNumber}: Total media fetched with pagination: ${allRecords.length} records`);
-      stats.fetched = allRecords.length;
-      
-      if (allRecords.length === 0) {
-        console.log(`📭 Batch ${batchNumber}: No media records found for these properties`);
-        return stats;
+    for (let page = 0; page < MAX_CHILD_PAGES; page++) {
+      const pageRecords = await this.fetchResource(definition, feedType, {
+        filter,
+        orderBy: `${definition.keyField} asc`,
+        top: pageSize,
+        skip: page * pageSize
+      }) || [];
+      
+      records.push(...pageRecords);
+      
+      if (pageRecords.length < pageSize) {
+        return { records, complete: true };
       }
       
-      console.log(`📥 Batch ${batchNumber}: Fetched ${allRecords.length} media records for ${propertyKeys.length} properties`);
-      
-      // All records should be valid since we filtered at API level
-      const validRecords = allRecords;
-      stats.skipped = 0; // No skipping needed since we pre-filtered
-      
-      if (validRecords.length === 0) {
-        console.log(`⏭️  Batch ${batchNumber}: No valid media records`);
-        return stats;
-      }
-      
-      console.log(`🔍 Batch ${batchNumber}: ${validRecords.length} valid records (0 skipped - pre-filtered)`);
-      
-      // Process valid records
-      const processedRecords = await this.processMediaBatch(validRecords, batchNumber);
-      
-      stats.processed = processedRecords.length;
-      stats.successful = processedRecords.filter(r => r.success).length;
-      stats.failed = processedRecords.filter(r => !r.success).length;
-      stats.errors = processedRecords.filter(r => !r.success).map(r => r.error);
-      
-      console.log(`✅ Batch ${batchNumber}: Processed ${stats.processed}, Success: ${stats.successful}, Failed: ${stats.failed}, Skipped: ${stats.skipped}`);
-
-    } catch (error) {
-      logger.error(`Media batch ${batchNumber} failed:`, error);
-      stats.errors.push(error.message);
-      throw error;
+      // Small delay between pages to be nice to the API
+      await this.sleep(100);
     }
     
-    return stats;
+    console.log(`   ⚠️  Page limit reached (${MAX_CHILD_PAGES} pages), stopping pagination`);
+    return { records, complete: false };
   }
 
   /**
-   * Process a time-based batch for Media with parent integrity (LEGACY - kept for fallback)
+   * Newest change timestamp of each live listing whose children need syncing
+   * A listing needs syncing when one of definition.changeTracking.changeFields is newer than its
+   * syncedField, or it has never been synced. Listings without change timestamps get the epoch,
+   * so they are synced once and again when a timestamp appears.
+   * @param {Object} options - { full: true } returns every live listing
+   * @returns {Promise<Map<string, string>>} Listing key to ISO timestamp
    */
-  async processMediaTimeBatch(fromTimestamp, batchSize, batchNumber) {
-    const config = this.config.media;
-    const stats = {
-      fetched: 0,
-      processed: 0,
-      successful: 0,
-      failed: 0,
-      skipped: 0,
-      lastTimestamp: fromTimestamp,
-      errors: []
-    };
+  async loadParentChanges(definition, options = {}) {
+    const { changeFields, syncedField } = definition.changeTracking;
+    const time = value => (value ? new Date(value).getTime() : 0);
+    const changes = new Map();
+    let afterKey = null;
+    const batchSize = 1000;
     
-    try {
-      const filter = {
-        $filter: `${config.timestampField} gt ${fromTimestamp}`,
-        $orderby: `${config.timestampField} asc`,
-        $top: batchSize
-      };
-      
-      console.log(`🔄 Batch ${batchNumber}: Fetching Media from ${fromTimestamp}`);
-      
-      const response = await this.ampreApi.fetchMedia({
-        top: filter.$top,
-        skip: filter.$skip
-      });
-      const records = response || [];
-      
-      stats.fetched = records.length;
-      
-      if (records.length === 0) {
-        console.log(`📭 Batch ${batchNumber}: No media records found`);
-        return stats;
-      }
-      
-      console.log(`📥 Batch ${batchNumber}: Fetched ${records.length} media records`);
-      
-      // Filter records by parent integrity
-      const validRecords = records.filter(record => 
-        this.syncState.propertyKeys.has(record.ResourceRecordKey)
-      );
-      
-      stats.skipped = records.length - validRecords.length;
-      
-      if (validRecords.length === 0) {
-        console.log(`⏭️  Batch ${batchNumber}: All ${records.length} records skipped (no parent property)`);
-        stats.lastTimestamp = records[records.length - 1][config.timestampField];
-        return stats;
+    while (true) {
+      let data;
+      try {
+        data = await this.database.getListingKeyPage(afterKey, batchSize, {
+          includeDeleted: false,
+          columns: [...changeFields, syncedField]
+        });
+      } catch (error) {
+        throw new Error(`Failed to load ${changeFields.join(' / ')}: ${error.message}`);
       }
       
-      console.log(`🔍 Batch ${batchNumber}: ${validRecords.length} valid records (${stats.skipped} skipped)`);
-      
-      // Process valid records
-      const processedRecords = await this.processMediaBatch(validRecords, batchNumber);
-      
-      stats.processed = processedRecords.length;
-      stats.successful = processedRecords.filter(r => r.success).length;
-      stats.failed = processedRecords.filter(r => !r.success).length;
-      stats.errors = processedRecords.filter(r => !r.success).map(r => r.error);
+      data.forEach(row => {
+        const changedAt = Math.max(...changeFields.map(field => time(row[field])));
+        
+        if (options.full || !row[syncedField] || changedAt > time(row[syncedField])) {
+          changes.set(row.ListingKey, new Date(changedAt).toISOString());
+        }
+      });
       
-      if (records.length > 0) {
-        stats.lastTimestamp = records[records.length - 1][config.timestampField];
+      if (data.length < batchSize) {
+        break;
       }
-      
-      console.log(`✅ Batch ${batchNumber}: Processed ${stats.processed}, Success: ${stats.successful}, Failed: ${stats.failed}, Skipped: ${stats.skipped}`);
+      afterKey = data[data.length - 1].ListingKey;
+    }
+    
+    return changes;
+  }
 
-    } catch (error) {
-      logger.error(`Media batch ${batchNumber} failed:`, error);
-      stats.errors.push(error.message);
-      throw error;
+  /**
+   * Delete stored children of the given parents that the feed did not return
+   * Skipped when the fetch was cut short, since missing records may simply not have been read.
+   * @param {Array} records - Raw API records fetched for the parents
+   * @param {boolean} complete - Whether records holds every child of the parents
+   * @returns {Promise<number>} Number of deleted rows
+   */
+  async removeStaleChildren(definition, parentKeys, records, complete) {
+    if (!complete) {
+      console.log(`   ⚠️  Incomplete ${definition.resource} fetch - keeping stored records of ${parentKeys.length} properties`);
+      return 0;
     }
     
-    return stats;
+    const removed = await this.database.deleteStaleChildren(
+      definition.table,
+      definition.keyField,
+      definition.parent.foreignKey,
+      parentKeys,
+      new Set(records.map(record => record[definition.keyField]))
+    );
+    
+    if (removed > 0) {
+      console.log(`   🗑️  Removed ${removed} ${definition.resource} records no longer in the feed`);
+    }
+    return removed;
   }
 
   /**
-   * Process a time-based batch for PropertyRooms with parent integrity
+   * Fetch one page of a resource from a feed
+   * Feeds with a configured complete URL use it (its filter is ANDed with the query);
+   * others query /odata/<resource> with the feed's token.
+   * @param {Object} query - { filter, orderBy, top, skip }
+   * @returns {Promise<Array>} Raw API records
    */
-  async processRoomsTimeBatch(fromTimestamp, batchSize, batchNumber) {
-    const config = this.config.rooms;
-    const stats = {
-      fetched: 0,
-      processed: 0,
-      successful: 0,
-      failed: 0,
-      skipped: 0,
-      lastTimestamp: fromTimestamp,
-      errors: []
-    };
+  async fetchResource(definition, feedType, query) {
+    const urlType = definition.feeds[feedType];
     
+    if (urlType) {
+      return this.ampreApi.fetchFromCompleteUrl(urlType, { ...query, feedType });
+    }
+    
+    return this.ampreApi.fetchBatch(definition.resource, { ...query, feedType });
+  }
+
+  /**
+   * Get total count for a resource of the records remaining after a cursor
+   * @param {string} endpoint - RESO resource name ('Property', 'Media', ...)
+   * @param {Object} cursor - { lastTimestamp, lastKey }; defaults to syncStartDate
+   */
+  async getTotalCount(feedType, endpoint, cursor = null) {
     try {
-      const filter = {
-        $filter: `${config.timestampField} gt ${fromTimestamp}`,
-        $orderby: `${config.timestampField} asc`,
-        $top: batchSize
-      };
-      
-      console.log(`🔄 Batch ${batchNumber}: Fetching PropertyRooms from ${fromTimestamp}`);
-      
-      const response = await this.ampreApi.fetchPropertyRooms({
-        top: filter.$top,
-        skip: filter.$skip
-      });
-      const records = response || [];
+      const definition = this.getConfigForEndpoint(endpoint);
+      const filter = this.buildCursorFilter(definition, cursor || { lastTimestamp: definition.startDate || this.syncStartDate });
+      const urlType = definition.feeds[feedType];
       
-      stats.fetched = records.length;
-      
-      if (records.length === 0) {
-        console.log(`📭 Batch ${batchNumber}: No room records found`);
-        return stats;
+      if (urlType) {
+        return await this.ampreApi.getCountFromCompleteUrl(urlType, feedType, filter);
       }
       
-      console.log(`📥 Batch ${batchNumber}: Fetched ${records.length} room records`);
-      
-      // Filter records by parent integrity
-      const validRecords = records.filter(record => 
-        this.syncState.propertyKeys.has(record.ListingKey)
-      );
-      
-      stats.skipped = records.length - validRecords.length;
-      
-      if (validRecords.length === 0) {
-        console.log(`⏭️  Batch ${batchNumber}: All ${records.length} records skipped (no parent property)`);
-        stats.lastTimestamp = records[records.length - 1][config.timestampField];
-        return stats;
+      if (feedType in definition.feeds) {
+        return await this.ampreApi.getCount(definition.resource, filter, feedType);
       }
       
-      console.log(`🔍 Batch ${batchNumber}: ${validRecords.length} valid records (${stats.skipped} skipped)`);
-      
-      // Process valid records
-      const processedRecords = await this.processRoomsBatch(validRecords, batchNumber);
-      
-      stats.processed = processedRecords.length;
-      stats.successful = processedRecords.filter(r => r.success).length;
-      stats.failed = processedRecords.filter(r => !r.success).length;
-      stats.errors = processedRecords.filter(r => !r.success).map(r => r.error);
-      
-      if (records.length > 0) {
-        stats.lastTimestamp = records[records.length - 1][config.timestampField];
-      }
-      
-      console.log(`✅ Batch ${batchNumber}: Processed ${stats.processed}, Success: ${stats.successful}, Failed: ${stats.failed}, Skipped: ${stats.skipped}`);
-      
+      return 0;
     } catch (error) {
-      logger.error(`Rooms batch ${batchNumber} failed:`, error);
-      stats.errors.push(error.message);
-      throw error;
+      logger.error(`Failed to get count for ${feedType} ${endpoint}:`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Build the keyset filter for records after a (timestamp, key) cursor
+   * Same (timestamp gt X) or (timestamp eq X and key gt K) pattern as AmpreApiService.fetchIncremental
+   */
+  buildCursorFilter(config, cursor) {
+    const { lastTimestamp, lastKey } = cursor;
+    
+    if (!lastKey) {
+      return `${config.timestampField} gt ${lastTimestamp}`;
     }
     
-    return stats;
+    return `${config.timestampField} gt ${lastTimestamp} or (${config.timestampField} eq ${lastTimestamp} and ${config.keyField} gt ${odataString(lastKey)})`;
   }
 
   /**
-   * Process a time-based batch for OpenHouses with parent integrity
+   * Load the saved checkpoint for a sync type, if a previous run left one
    */
-  async processOpenHousesTimeBatch(fromTimestamp, batchSize, batchNumber) {
-    const config = this.config.openHouse;
-    const stats = {
-      fetched: 0,
-      processed: 0,
-      successful: 0,
-      failed: 0,
-      skipped: 0,
-      lastTimestamp: fromTimestamp,
-      errors: []
-    };
+  async loadCheckpoint(syncType) {
+    try {
+      return await this.database.getSyncCheckpoint(syncType);
+    } catch (error) {
+      logger.warn(`Failed to load ${syncType} checkpoint, starting from the beginning:`, error);
+      return null;
+    }
+  }
 
+  /**
+   * Persist a checkpoint after a committed batch
+   * A failed save only costs progress on the next restart, so it never aborts the sync
+   */
+  async saveCheckpoint(syncType, checkpoint) {
     try {
-      const filter = {
-        $filter: `${config.timestampField} gt ${fromTimestamp}`,
-        $orderby: `${config.timestampField} asc`,
-        $top: batchSize
-      };
-      
-      console.log(`🔄 Batch ${batchNumber}: Fetching OpenHouses from ${fromTimestamp}`);
-      
-      const response = await this.ampreApi.fetchOpenHouses({
-        top: filter.$top,
-        skip: filter.$skip
+      await this.database.saveSyncCheckpoint(syncType, {
+        ...checkpoint,
+        savedAt: new Date().toISOString()
       });
-      const records = response || [];
-      
-      stats.fetched = records.length;
-      
-      if (records.length === 0) {
-        console.log(`📭 Batch ${batchNumber}: No open house records found`);
-        return stats;
-      }
-      
-      console.log(`📥 Batch ${batchNumber}: Fetched ${records.length} open house records`);
-      
-      // Filter records by parent integrity
-      const validRecords = records.filter(record => 
-        this.syncState.propertyKeys.has(record.ListingKey)
-      );
-      
-      stats.skipped = records.length - validRecords.length;
-      
-      if (validRecords.length === 0) {
-        console.log(`⏭️  Batch ${batchNumber}: All ${records.length} records skipped (no parent property)`);
-        stats.lastTimestamp = records[records.length - 1][config.timestampField];
-        return stats;
-      }
-      
-      console.log(`🔍 Batch ${batchNumber}: ${validRecords.length} valid records (${stats.skipped} skipped)`);
-      
-      // Process valid records
-      const processedRecords = await this.processOpenHousesBatch(validRecords, batchNumber);
-      
-      stats.processed = processedRecords.length;
-      stats.successful = processedRecords.filter(r => r.success).length;
-      stats.failed = processedRecords.filter(r => !r.success).length;
-      stats.errors = processedRecords.filter(r => !r.success).map(r => r.error);
-      
-      if (records.length > 0) {
-        stats.lastTimestamp = records[records.length - 1][config.timestampField];
-      }
-      
-      console.log(`✅ Batch ${batchNumber}: Processed ${stats.processed}, Success: ${stats.successful}, Failed: ${stats.failed}, Skipped: ${stats.skipped}`);
-      
     } catch (error) {
-      logger.error(`OpenHouses batch ${batchNumber} failed:`, error);
-      stats.errors.push(error.message);
-      throw error;
+      logger.warn(`Failed to save ${syncType} checkpoint:`, error);
     }
-    
-    return stats;
   }
 
   /**
-   * Get total count for an endpoint with timestamp filter
+   * Remove the checkpoint for a sync type once it has run to completion
    */
-  async getTotalCount(feedType, endpoint, fromTimestamp) {
+  async clearCheckpoint(syncType) {
     try {
-      const config = this.getConfigForEndpoint(endpoint);
-      // Always use syncStartDate to ensure we only sync data from the specified start date
-      const effectiveTimestamp = this.syncStartDate;
-      const filter = `${config.timestampField} gt ${effectiveTimestamp}`;
-      
-      if (endpoint === 'Property') {
-        if (feedType === 'idx') {
-          return await this.ampreApi.getCountFromCompleteUrl('idxProperties', 'idx');
-        } else if (feedType === 'vow') {
-          return await this.ampreApi.getCountFromCompleteUrl('vowProperties', 'vow');
-        }
-      } else if (endpoint === 'Media') {
-        return await this.ampreApi.getCountFromCompleteUrl('media', 'idx');
-      } else if (endpoint === 'PropertyRooms') {
-        return await this.ampreApi.getCountFromCompleteUrl('propertyRooms', 'idx');
-      } else if (endpoint === 'OpenHouse') {
-        return await this.ampreApi.getCountFromCompleteUrl('openHouse', 'idx');
-      }
-      
-      return 0;
+      await this.database.clearSyncCheckpoint(syncType);
     } catch (error) {
-      logger.error(`Failed to get count for ${feedType} ${endpoint}:`, error);
-      return 0;
+      logger.warn(`Failed to clear ${syncType} checkpoint:`, error);
     }
   }
 
   /**
-   * Get configuration for a specific endpoint
+   * Discard checkpoints for the selected sync types (--reset-checkpoint)
+   * @param {Array<string>} syncTypes - e.g. ['idx_property', 'media']
+   */
+  async resetCheckpoints(syncTypes) {
+    for (const syncType of syncTypes) {
+      await this.clearCheckpoint(syncType);
+    }
+    
+    console.log(`🧹 Discarded checkpoints: ${syncTypes.join(', ') || 'none'}`);
+  }
+
+  /**
+   * Build checkpoint data from a cursor and the running stats of a sync loop
+   * @param {Object} extra - Loop-specific fields to persist alongside the cursor
+   */
+  buildCheckpoint(feedType, cursor, stats, extra = {}) {
+    return {
+      ...extra,
+      feedType,
+      lastTimestamp: cursor.lastTimestamp,
+      lastKey: cursor.lastKey,
+      batchNumber: stats.batches,
+      stats: {
+        totalFetched: stats.totalFetched,
+        totalProcessed: stats.totalProcessed,
+        successful: stats.successful,
+        failed: stats.failed,
+        skipped: stats.skipped || 0
+      }
+    };
+  }
+
+  /**
+   * Carry the running stats of an interrupted run over into a resumed one
+   */
+  restoreCheckpointStats(stats, checkpoint) {
+    Object.entries(checkpoint.stats || {}).forEach(([key, value]) => {
+      if (typeof stats[key] === 'number') {
+        stats[key] = value;
+      }
+    });
+    stats.batches = checkpoint.batchNumber || 0;
+  }
+
+  /**
+   * Get the sync configuration of a registry resource
+   * @param {string} name - Registry name ('property', 'media', ...)
+   */
+  getResourceConfig(name) {
+    // getResource throws for names that are not in the registry
+    return this.config[name] || getResource(name);
+  }
+
+  /**
+   * Get the sync configuration for a RESO resource name ('PropertyRooms')
    */
   getConfigForEndpoint(endpoint) {
-    switch (endpoint) {
-      case 'Property': return this.config.property;
-      case 'Media': return this.config.media;
-      case 'PropertyRooms': return this.config.rooms;
-      case 'OpenHouse': return this.config.openHouse;
-      default: return this.config.property;
+    const definition = findResourceByName(endpoint);
+    
+    if (!definition) {
+      throw new Error(`Unknown sync resource: ${endpoint}`);
     }
+    
+    return this.config[definition.name];
+  }
+
+  /**
+   * Stored keys of a resource's parent, for parent-child integrity
+   * Listings are the only parents, so this is the property key cache (see loadPropertyKeys).
+   */
+  getParentKeys(definition) {
+    if (definition.parent.resource !== 'property') {
+      throw new Error(`Unsupported parent resource for ${definition.resource}: ${definition.parent.resource}`);
+    }
+    
+    return this.syncState.propertyKeys;
+  }
+
+  /**
+   * Log label for a resource, prefixed with the feed when it is synced from several
+   */
+  getResourceLabel(definition, feedType) {
+    return Object.keys(definition.feeds).length > 1
+      ? `${feedType.toUpperCase()} ${definition.resource}`
+      : definition.resource;
   }
 
   /**
@@ -1003,21 +1249,18 @@ class SyncService {
       
       // Load ALL property keys in batches to avoid Supabase's 1000 record limit
       this.syncState.propertyKeys.clear();
-      let offset = 0;
+      let afterKey = null;
       const batchSize = 1000;
-      let totalLoaded = 0;
       
       while (true) {
-        const { data, error } = await this.database.client
-          .from('Property')
-          .select('ListingKey')
-          .range(offset, offset + batchSize - 1);
-        
-        if (error) {
+        let data;
+        try {
+          data = await this.database.getListingKeyPage(afterKey, batchSize, { includeDeleted: false });
+        } catch (error) {
           throw new Error(`Failed to load property keys: ${error.message}`);
         }
         
-        if (!data || data.length === 0) {
+        if (data.length === 0) {
           break; // No more records
         }
         
@@ -1026,8 +1269,7 @@ class SyncService {
           this.syncState.propertyKeys.add(property.ListingKey);
         });
         
-        totalLoaded += data.length;
-        offset += batchSize;
+        afterKey = data[data.length - 1].ListingKey;
         
         // If we got fewer records than batch size, we've reached the end
         if (data.length < batchSize) {
@@ -1044,30 +1286,49 @@ class SyncService {
     }
   }
 
+  /**
+   * Load incremental sync cursors (per-feed high-water marks) from sync_cursors
+   * Feeds without a stored cursor run as full syncs from syncStartDate; the SyncLog
+   * timestamps are not used as a fallback because older runs stored the wall clock there.
+   */
+  async loadSyncCursors() {
+    try {
+      this.syncState.cursors = await this.database.getSyncCursors();
+      console.log('📍 Loaded incremental cursors:', this.syncState.cursors);
+    } catch (error) {
+      logger.warn('Failed to load incremental cursors, falling back to full sync:', error);
+      this.syncState.cursors = {};
+    }
+  }
+
+  /**
+   * Persist the high-water mark for a feed
+   */
+  async saveSyncCursor(syncType, cursor) {
+    try {
+      await this.database.saveSyncCursor(syncType, cursor);
+      this.syncState.cursors[syncType] = cursor;
+    } catch (error) {
+      logger.error(`Failed to save ${syncType} cursor:`, error);
+    }
+  }
+
   /**
    * Load last sync timestamps from database
    */
   async loadLastSyncTimestamps() {
     try {
-      const { data, error } = await this.database.client
-        .from('SyncLog')
-        .select('*')
-        .order('timestamp', { ascending: false })
-        .limit(1);
-      
-      if (error) {
-        logger.warn('Failed to load sync timestamps:', error);
-        return;
-      }
+      const lastSync = await this.database.getLatestSyncLog();
       
-      if (data && data.length > 0) {
-        const lastSync = data[0];
+      if (lastSync) {
         this.syncState.lastSyncTimestamps = {
           idx_property: lastSync.idx_property_timestamp,
           vow_property: lastSync.vow_property_timestamp,
           media: lastSync.media_timestamp,
           rooms: lastSync.rooms_timestamp,
-          openhouse: lastSync.openhouse_timestamp
+          openhouse: lastSync.openhouse_timestamp,
+          member: lastSync.member_timestamp,
+          office: lastSync.office_timestamp
         };
         
         console.log('📅 Loaded last sync timestamps:', this.syncState.lastSyncTimestamps);
@@ -1080,30 +1341,36 @@ class SyncService {
 
   /**
    * Update last sync timestamps in database
+   * Only the sync types this run advanced are written; the others are carried over from the
+   * latest SyncLog entry, which may have been written by a run in another process.
    */
   async updateLastSyncTimestamps() {
     try {
       const timestamp = new Date().toISOString();
+      const reconciliation = this.syncState.reconciliation;
+      
+      await this.database.insertSyncLog({
+        timestamp,
+        ...Object.fromEntries([...this.syncState.syncedTypes].map(syncType => [
+          `${syncType}_timestamp`,
+          this.syncState.lastSyncTimestamps[syncType]
+        ])),
+        total_processed: this.stats.totalProcessed,
+        total_successful: this.stats.totalSuccessful,
+        total_failed: this.stats.totalFailed,
+        ...(reconciliation && {
+          reconcile_policy: reconciliation.policy,
+          reconcile_missing: reconciliation.missing,
+          reconcile_properties: reconciliation.removed.properties,
+          reconcile_media: reconciliation.removed.media,
+          reconcile_rooms: reconciliation.removed.rooms,
+          reconcile_openhouses: reconciliation.removed.openHouses,
+          reconcile_restored: reconciliation.restored,
+          reconcile_retagged: reconciliation.retagged
+        })
+      });
       
-      const { error } = await this.database.client
-        .from('SyncLog')
-        .insert({
-          timestamp,
-          idx_property_timestamp: this.syncState.lastSyncTimestamps.idx_property,
-          vow_property_timestamp: this.syncState.lastSyncTimestamps.vow_property,
-          media_timestamp: this.syncState.lastSyncTimestamps.media,
-          rooms_timestamp: this.syncState.lastSyncTimestamps.rooms,
-          openhouse_timestamp: this.syncState.lastSyncTimestamps.openhouse,
-          total_processed: this.stats.totalProcessed,
-          total_successful: this.stats.totalSuccessful,
-          total_failed: this.stats.totalFailed
-        });
-      
-      if (error) {
-        logger.error('Failed to update sync timestamps:', error);
-      } else {
-        console.log('✅ Updated sync timestamps in database');
-      }
+      console.log('✅ Updated sync timestamps in database');
       
     } catch (error) {
       logger.error('Failed to update sync timestamps:', error);
@@ -1111,92 +1378,35 @@ class SyncService {
   }
 
   /**
-   * Process property batch with validation and mapping
+   * Map, validate and upsert raw records of a resource
+   * Properties are tagged with the feed that authorized them; only that feed's flag is written,
+   * so a listing present in both feeds keeps both flags. Changes of tracked listing fields are
+   * recorded in PropertyHistory (resources with `trackHistory`).
+   * @param {string} feedType - Source feed ('idx' or 'vow')
+   * @returns {Promise<Array>} One { success, error } entry per distinct record
    */
-  async processPropertyBatch(properties, batchNumber) {
+  async processRecords(definition, records, batchNumber, feedType) {
     const results = [];
     
     try {
-      // Map and validate properties
-      const mappedProperties = await Promise.all(properties.map(async property => {
-        try {
-          const mapped = await mapProperty(property);
-          const validation = validateProperty(mapped);
-          
-          if (!validation.isValid) {
-            return { success: false, error: `Validation failed: ${validation.errors.join(', ')}` };
-          }
-          
-          return { success: true, data: mapped };
-        } catch (error) {
-          return { success: false, error: error.message };
-        }
-      }));
-      
-      // Filter successful mappings
-      const validProperties = mappedProperties
-        .filter(result => result.success)
-        .map(result => result.data);
-      
-      if (validProperties.length === 0) {
-        console.log(`⚠️  Batch ${batchNumber}: No valid properties to upsert`);
-        return mappedProperties;
+      const uniqueRecords = this.dedupeRecords(definition, records);
+      if (uniqueRecords.length < records.length) {
+        console.log(`🔁 Batch ${batchNumber}: Dropped ${records.length - uniqueRecords.length} duplicate ${definition.resource} records`);
       }
       
-      // Upsert to database in chunks
-      const dbBatchSize = this.config.property.dbBatchSize;
-      for (let i = 0; i < validProperties.length; i += dbBatchSize) {
-        const chunk = validProperties.slice(i, i + dbBatchSize);
-        
-        const { error } = await this.database.client
-          .from('Property')
-          .upsert(chunk, { onConflict: 'ListingKey' });
-        
-        if (error) {
-          logger.error(`Database upsert failed for batch ${batchNumber}, chunk ${i / dbBatchSize + 1}:`, error);
-          // Mark all records in this chunk as failed
-          chunk.forEach(() => {
-            results.push({ success: false, error: error.message });
-          });
-        } else {
-          // Mark all records in this chunk as successful
-          chunk.forEach(() => {
-            results.push({ success: true });
-          });
-        }
-      }
-
-      // Add failed mappings to results
-      const failedMappings = mappedProperties.filter(result => !result.success);
-      results.push(...failedMappings);
-      
-    } catch (error) {
-      logger.error(`Property batch ${batchNumber} processing failed:`, error);
-      properties.forEach(() => {
-        results.push({ success: false, error: error.message });
-      });
-    }
-    
-    return results;
-  }
-
-  /**
-   * Process media batch with validation and mapping
-   */
-  async processMediaBatch(mediaRecords, batchNumber) {
-    const results = [];
-    
-    try {
-      // Map and validate media
-      const mappedMedia = await Promise.all(mediaRecords.map(async media => {
+      // Map and validate records
+      const mappedRecords = await Promise.all(uniqueRecords.map(async record => {
         try {
-          const mapped = await mapMedia(media);
-          const validation = validateMedia(mapped);
+          const mapped = await definition.map(record);
+          const validation = definition.validate(mapped);
           
           if (!validation.isValid) {
             return { success: false, error: `Validation failed: ${validation.errors.join(', ')}` };
           }
           
+          if (definition.tagFeed) {
+            mapped[FEED_FLAG_COLUMNS[feedType]] = true;
+          }
           return { success: true, data: mapped };
         } catch (error) {
           return { success: false, error: error.message };
@@ -1204,111 +1414,43 @@ class SyncService {
       }));
       
       // Filter successful mappings
-      const validMedia = mappedMedia
+      const validRecords = mappedRecords
         .filter(result => result.success)
         .map(result => result.data);
       
-      if (validMedia.length === 0) {
-        console.log(`⚠️  Batch ${batchNumber}: No valid media to upsert`);
-        return mappedMedia;
+      if (validRecords.length === 0) {
+        console.log(`⚠️  Batch ${batchNumber}: No valid ${definition.resource} records to upsert`);
+        return mappedRecords;
       }
       
       // Upsert to database in chunks
-      const dbBatchSize = this.config.media.dbBatchSize;
-      for (let i = 0; i < validMedia.length; i += dbBatchSize) {
-        const chunk = validMedia.slice(i, i + dbBatchSize);
-        
-        const { error } = await this.database.client
-          .from('Media')
-          .upsert(chunk, { onConflict: 'MediaKey' });
+      const dbBatchSize = definition.dbBatchSize;
+      for (let i = 0; i < validRecords.length; i += dbBatchSize) {
+        const chunk = validRecords.slice(i, i + dbBatchSize);
         
-        if (error) {
-          logger.error(`Database upsert failed for media batch ${batchNumber}, chunk ${i / dbBatchSize + 1}:`, error);
-          chunk.forEach(() => {
-            results.push({ success: false, error: error.message });
-          });
-        } else {
+        try {
+          const write = () => this.database.upsertRows(definition.table, chunk);
+          await (definition.trackHistory ? this.history.trackChanges(chunk, write, { feedType }) : write());
+          // Mark all records in this chunk as successful
           chunk.forEach(() => {
             results.push({ success: true });
           });
-        }
-      }
-      
-      // Add failed mappings to results
-      const failedMappings = mappedMedia.filter(result => !result.success);
-      results.push(...failedMappings);
-
-    } catch (error) {
-      logger.error(`Media batch ${batchNumber} processing failed:`, error);
-      mediaRecords.forEach(() => {
-        results.push({ success: false, error: error.message });
-      });
-    }
-    
-    return results;
-  }
-
-  /**
-   * Process rooms batch with validation and mapping
-   */
-  async processRoomsBatch(rooms, batchNumber) {
-    const results = [];
-    
-    try {
-      // Map and validate rooms
-      const mappedRooms = await Promise.all(rooms.map(async room => {
-        try {
-          const mapped = await mapRoom(room);
-          const validation = validateRoom(mapped);
-          
-          if (!validation.isValid) {
-            return { success: false, error: `Validation failed: ${validation.errors.join(', ')}` };
-          }
-          
-          return { success: true, data: mapped };
         } catch (error) {
-          return { success: false, error: error.message };
-        }
-      }));
-      
-      // Filter successful mappings
-      const validRooms = mappedRooms
-        .filter(result => result.success)
-        .map(result => result.data);
-      
-      if (validRooms.length === 0) {
-        console.log(`⚠️  Batch ${batchNumber}: No valid rooms to upsert`);
-        return mappedRooms;
-      }
-      
-      // Upsert to database in chunks
-      const dbBatchSize = this.config.rooms.dbBatchSize;
-      for (let i = 0; i < validRooms.length; i += dbBatchSize) {
-        const chunk = validRooms.slice(i, i + dbBatchSize);
-        
-        const { error } = await this.database.client
-          .from('PropertyRooms')
-          .upsert(chunk, { onConflict: 'RoomKey' });
-        
-        if (error) {
-          logger.error(`Database upsert failed for rooms batch ${batchNumber}, chunk ${i / dbBatchSize + 1}:`, error);
+          logger.error(`${definition.table} upsert failed for batch ${batchNumber}, chunk ${i / dbBatchSize + 1}:`, error);
+          // Mark all records in this chunk as failed
           chunk.forEach(() => {
             results.push({ success: false, error: error.message });
           });
-        } else {
-          chunk.forEach(() => {
-            results.push({ success: true });
-          });
         }
       }
-      
+
       // Add failed mappings to results
-      const failedMappings = mappedRooms.filter(result => !result.success);
+      const failedMappings = mappedRecords.filter(result => !result.success);
       results.push(...failedMappings);
       
     } catch (error) {
-      logger.error(`Rooms batch ${batchNumber} processing failed:`, error);
-      rooms.forEach(() => {
+      logger.error(`${definition.resource} batch ${batchNumber} processing failed:`, error);
+      records.forEach(() => {
         results.push({ success: false, error: error.message });
       });
     }
@@ -1317,71 +1459,24 @@ class SyncService {
   }
 
   /**
-   * Process open houses batch with validation and mapping
+   * Keep one record per key, the most recently modified
+   * Offset paging can return a record twice when it is modified mid-sync, and an upsert
+   * statement cannot touch the same row twice.
+   * @returns {Array} Records in their original order
    */
-  async processOpenHousesBatch(openHouses, batchNumber) {
-    const results = [];
+  dedupeRecords(definition, records) {
+    const latest = new Map();
     
-    try {
-      // Map and validate open houses
-      const mappedOpenHouses = await Promise.all(openHouses.map(async openHouse => {
-        try {
-          const mapped = await mapOpenHouse(openHouse);
-          const validation = validateOpenHouse(mapped);
-          
-          if (!validation.isValid) {
-            return { success: false, error: `Validation failed: ${validation.errors.join(', ')}` };
-          }
-          
-          return { success: true, data: mapped };
-        } catch (error) {
-          return { success: false, error: error.message };
-        }
-      }));
-      
-      // Filter successful mappings
-      const validOpenHouses = mappedOpenHouses
-        .filter(result => result.success)
-        .map(result => result.data);
+    records.forEach(record => {
+      const key = record[definition.keyField];
+      const current = latest.get(key);
       
-      if (validOpenHouses.length === 0) {
-        console.log(`⚠️  Batch ${batchNumber}: No valid open houses to upsert`);
-        return mappedOpenHouses;
-      }
-      
-      // Upsert to database in chunks
-      const dbBatchSize = this.config.openHouse.dbBatchSize;
-      for (let i = 0; i < validOpenHouses.length; i += dbBatchSize) {
-        const chunk = validOpenHouses.slice(i, i + dbBatchSize);
-        
-        const { error } = await this.database.client
-          .from('OpenHouse')
-          .upsert(chunk, { onConflict: 'OpenHouseKey' });
-        
-        if (error) {
-          logger.error(`Database upsert failed for open houses batch ${batchNumber}, chunk ${i / dbBatchSize + 1}:`, error);
-          chunk.forEach(() => {
-            results.push({ success: false, error: error.message });
-          });
-        } else {
-          chunk.forEach(() => {
-            results.push({ success: true });
-          });
-        }
+      if (!current || new Date(record[definition.timestampField] || 0) >= new Date(current[definition.timestampField] || 0)) {
+        latest.set(key, record);
       }
-      
-      // Add failed mappings to results
-      const failedMappings = mappedOpenHouses.filter(result => !result.success);
-      results.push(...failedMappings);
-      
-    } catch (error) {
-      logger.error(`Open houses batch ${batchNumber} processing failed:`, error);
-      openHouses.forEach(() => {
-        results.push({ success: false, error: error.message });
-      });
-    }
+    });
     
-    return results;
+    return records.filter(record => latest.get(record[definition.keyField]) === record);
   }
 
   /**
@@ -0,0 +1,183 @@
+/**
+ * Geospatial search
+ *
+ * A query's `geo` clause keeps rows within a radius of a point and/or inside a GeoJSON polygon,
+ * and with a `near` point adds each row's great-circle distance as "DistanceKm". PostgreSQL and
+ * Supabase answer it with PostGIS (a geography point column with a GiST index, created by
+ * database/property-geo.sql); SQLite prefilters with an R*Tree index (sqlite-schema.sql) and
+ * checks the exact distance / containment with the functions defined below.
+ *
+ * Distances use a sphere on every backend, so they match to the meter; polygons are meant for
+ * neighbourhood-sized areas, where straight and great-circle edges coincide.
+ */
+
+// Mean earth radius, as used by PostGIS sphere calculations
+export const EARTH_RADIUS_KM = 6371.0088;
+
+// Kilometers per degree of latitude
+const KM_PER_DEGREE = (Math.PI * EARTH_RADIUS_KM) / 180;
+
+/**
+ * Tables with a location
+ */
+export const GEO_SEARCH = {
+  Property: {
+    latitude: 'Latitude',
+    longitude: 'Longitude',
+    key: 'ListingKey',
+    // geography(Point, 4326) column kept from the coordinates (PostgreSQL / Supabase)
+    locationColumn: 'Location',
+    // R*Tree index of the coordinates (SQLite)
+    rtreeTable: 'PropertyLocation',
+    // Search RPC (Supabase), shared with full-text search
+    rpc: 'search_properties'
+  }
+};
+
+/**
+ * Look up the geo definition of a table
+ * @param {string} table - Table name
+ * @returns {Object} Entry of GEO_SEARCH
+ */
+export function getGeoSearch(table) {
+  const definition = GEO_SEARCH[table];
+  if (!definition) {
+    throw new Error(`Geospatial search is not available on ${table}`);
+  }
+  return definition;
+}
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @returns {number|null} Kilometers, or null when a coordinate is missing
+ */
+export function distanceKm(latitude1, longitude1, latitude2, longitude2) {
+  if ([latitude1, longitude1, latitude2, longitude2].some(value => value === null || value === undefined)) {
+    return null;
+  }
+
+  const dLatitude = toRadians(latitude2 - latitude1);
+  const dLongitude = toRadians(longitude2 - longitude1);
+  const a = Math.sin(dLatitude / 2) ** 2 +
+    Math.cos(toRadians(latitude1)) * Math.cos(toRadians(latitude2)) * Math.sin(dLongitude / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Bounding box of a circle, for index prefiltering
+ * @param {{latitude: number, longitude: number, radiusKm: number}} near
+ * @returns {{south: number, north: number, west: number, east: number}}
+ */
+export function radiusBoundingBox({ latitude, longitude, radiusKm }) {
+  const dLatitude = radiusKm / KM_PER_DEGREE;
+  // Near the poles the circle spans every longitude
+  const cosLatitude = Math.cos(toRadians(Math.min(89.9, Math.abs(latitude) + dLatitude)));
+  const dLongitude = Math.min(180, radiusKm / (KM_PER_DEGREE * cosLatitude));
+
+  return {
+    south: latitude - dLatitude,
+    north: latitude + dLatitude,
+    west: longitude - dLongitude,
+    east: longitude + dLongitude
+  };
+}
+
+/**
+ * Rings of a Polygon or MultiPolygon, grouped per polygon
+ */
+function polygonsOf(geometry) {
+  return geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+}
+
+/**
+ * Bounding box of a Polygon or MultiPolygon
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {{south: number, north: number, west: number, east: number}}
+ */
+export function polygonBoundingBox(geometry) {
+  const positions = polygonsOf(geometry).flatMap(polygon => polygon[0]);
+  const longitudes = positions.map(([longitude]) => longitude);
+  const latitudes = positions.map(([, latitude]) => latitude);
+
+  return {
+    south: Math.min(...latitudes),
+    north: Math.max(...latitudes),
+    west: Math.min(...longitudes),
+    east: Math.max(...longitudes)
+  };
+}
+
+/**
+ * Whether a Polygon or MultiPolygon contains a point (even-odd rule, so holes are excluded)
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {number} longitude
+ * @param {number} latitude
+ * @returns {boolean}
+ */
+export function polygonContains(geometry, longitude, latitude) {
+  return polygonsOf(geometry).some(rings => {
+    let inside = false;
+
+    for (const ring of rings) {
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [x1, y1] = ring[i];
+        const [x2, y2] = ring[j];
+        if ((y1 > latitude) !== (y2 > latitude) && longitude < ((x2 - x1) * (latitude - y1)) / (y2 - y1) + x1) {
+          inside = !inside;
+        }
+      }
+    }
+
+    return inside;
+  });
+}
+
+/**
+ * GeoJSON Polygon covering a bounding box
+ * @param {Array<number>} bbox - [west, south, east, north] (GeoJSON bbox order)
+ * @returns {Object} Polygon geometry
+ */
+export function bboxToPolygon([west, south, east, north]) {
+  return {
+    type: 'Polygon',
+    coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+  };
+}
+
+const isPosition = position => Array.isArray(position) &&
+  position.length >= 2 &&
+  Number.isFinite(position[0]) && Math.abs(position[0]) <= 180 &&
+  Number.isFinite(position[1]) && Math.abs(position[1]) <= 90;
+
+const isRing = ring => Array.isArray(ring) &&
+  ring.length >= 4 &&
+  ring.every(isPosition) &&
+  ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1];
+
+/**
+ * Extract a polygon filter from a GeoJSON document
+ * @param {Object} document - Polygon or MultiPolygon geometry, or a Feature wrapping one
+ * @returns {{geometry: Object}|{error: string}} The geometry, or why it was rejected
+ */
+export function readPolygon(document) {
+  const geometry = document?.type === 'Feature' ? document.geometry : document;
+
+  if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+    return { error: 'Expected a GeoJSON Polygon or MultiPolygon (or a Feature with one)' };
+  }
+
+  const polygons = Array.isArray(geometry.coordinates)
+    ? (geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates])
+    : [];
+  const valid = polygons.length > 0 &&
+    polygons.every(rings => Array.isArray(rings) && rings.length > 0 && rings.every(isRing));
+
+  if (!valid) {
+    return { error: 'Polygon rings must be closed lists of at least 4 [longitude, latitude] positions' };
+  }
+
+  return { geometry: { type: geometry.type, coordinates: geometry.coordinates } };
+}
@@ -0,0 +1,33 @@
+import { supabase, supabaseAdmin } from '../config/supabase.js';
+import { databaseSettings } from '../config/config.js';
+import logger from '../utils/logger.js';
+import SupabaseAdapter from './supabaseAdapter.js';
+import PostgresAdapter from './postgresAdapter.js';
+import SqliteAdapter from './sqliteAdapter.js';
+
+export { default as StorageAdapter, CONDITION_OPERATORS, anyOf, keysetAfter, where } from './storageAdapter.js';
+export { TEXT_SEARCH, formatHighlight, parseSearchTerms } from './textSearch.js';
+export { GEO_SEARCH, bboxToPolygon, readPolygon } from './geoSearch.js';
+export { MARKET_STATS_GROUPS } from './marketStats.js';
+export { SupabaseAdapter, PostgresAdapter, SqliteAdapter };
+
+/**
+ * Create the storage adapter for the configured backend (DB_BACKEND)
+ * @param {Object} settings - Storage settings (defaults to config databaseSettings)
+ * @returns {StorageAdapter}
+ */
+export function createStorageAdapter(settings = databaseSettings) {
+  switch (settings.backend) {
+    case 'postgres':
+      return new PostgresAdapter(settings);
+    case 'sqlite':
+      return new SqliteAdapter(settings);
+    case 'supabase':
+    default:
+      // Use admin client for backend operations if available, otherwise use regular client
+      if (!supabaseAdmin) {
+        logger.warn('Using regular Supabase client instead of admin client - some operations may be restricted');
+      }
+      return new SupabaseAdapter(supabaseAdmin || supabase);
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * Market statistics
+ *
+ * A marketStats() query aggregates Property rows in the database: the
+ * property_market_stats() function of database/market-stats.sql on PostgreSQL (called
+ * directly) and Supabase (called as an RPC), and the same query in SQL on SQLite
+ * (SqliteAdapter.marketStats). Every backend returns the same row shape, MARKET_STATS_COLUMNS.
+ *
+ * @typedef {Object} MarketStatsQuery
+ * @property {string|null} [groupBy] - One of MARKET_STATS_GROUPS, or null for a single group
+ * @property {string} periodStart - First month, as its first day ('2025-01-01')
+ * @property {string} periodEnd - Last month, as its first day
+ * @property {boolean} [byMonth=true] - One period per month, or one period spanning them all
+ * @property {string|null} [transactionType='For Sale'] - Only listings of this TransactionType
+ *   (sale prices and lease rents are never mixed), null for all
+ * @property {boolean} [includeSold=false] - Use sold data (ClosePrice, CloseDate, ...); VOW only.
+ *   Without it only IDX listings count and the sale columns are empty.
+ * @property {number} [percentile=0.9] - Fraction of the *Percentile price columns
+ * @property {string} [city] - Only listings in this City
+ * @property {string} [cityRegion] - Only listings in this CityRegion
+ * @property {string} [propertySubType] - Only listings of this PropertySubType
+ */
+
+export const MARKET_STATS_GROUPS = ['City', 'CityRegion', 'PropertySubType', 'PropertyType'];
+
+export const MARKET_STATS_RPC = 'property_market_stats';
+
+// Columns of a market statistics row, in the order the SQL returns them
+export const MARKET_STATS_COLUMNS = [
+  'GroupValue',
+  'PeriodStart',
+  'PeriodEnd',
+  'ActiveListings',
+  'NewListings',
+  'ListPriceAvg',
+  'ListPriceMedian',
+  'ListPricePercentile',
+  'Sales',
+  'SalePriceAvg',
+  'SalePriceMedian',
+  'SalePricePercentile',
+  'SaleToListRatio',
+  'DaysOnMarketAvg',
+  'DaysOnMarketMedian'
+];
+
+const COUNT_COLUMNS = new Set(['ActiveListings', 'NewListings', 'Sales']);
+
+/**
+ * Arguments of property_market_stats() for a query
+ * Also binds the SQLite query, so the parameter names and defaults live in one place.
+ * @param {MarketStatsQuery} query
+ * @returns {Object} Named arguments
+ */
+export function toMarketStatsArgs(query) {
+  const {
+    groupBy = null,
+    periodStart,
+    periodEnd,
+    byMonth = true,
+    transactionType = 'For Sale',
+    includeSold = false,
+    percentile = 0.9,
+    city = null,
+    cityRegion = null,
+    propertySubType = null
+  } = query;
+
+  if (groupBy !== null && !MARKET_STATS_GROUPS.includes(groupBy)) {
+    throw new Error(`Cannot group market statistics by ${groupBy}`);
+  }
+
+  return {
+    group_by: groupBy,
+    period_start: periodStart,
+    period_end: periodEnd,
+    by_month: byMonth,
+    transaction_type: transactionType,
+    include_sold: includeSold,
+    percentile,
+    city,
+    city_region: cityRegion,
+    property_sub_type: propertySubType
+  };
+}
+
+/**
+ * Normalize a row returned by a backend: counts as integers, aggregates as numbers or null
+ * @param {Object} row - Raw row
+ * @returns {Object} Row with MARKET_STATS_COLUMNS
+ */
+export function fromMarketStatsRow(row) {
+  return Object.fromEntries(MARKET_STATS_COLUMNS.map(column => {
+    const value = row[column];
+
+    if (column === 'GroupValue' || column === 'PeriodStart' || column === 'PeriodEnd') {
+      return [column, value ?? null];
+    }
+    if (COUNT_COLUMNS.has(column)) {
+      return [column, Number(value || 0)];
+    }
+    return [column, value === null || value === undefined ? null : Number(value)];
+  }));
+}
@@ -0,0 +1,200 @@
+import SqlAdapter, { quoteIdentifier } from './sqlAdapter.js';
+import { HEADLINE_OPTIONS, getTextSearch, parseSearchTerms, toWebSearchQuery } from './textSearch.js';
+import { getGeoSearch } from './geoSearch.js';
+import { MARKET_STATS_RPC, fromMarketStatsRow, toMarketStatsArgs } from './marketStats.js';
+import logger from '../utils/logger.js';
+
+// Postgres type OIDs whose default pg parsing differs from what PostgREST returns
+const PG_TYPES = {
+  INT8: 20,
+  NUMERIC: 1700,
+  TIMESTAMPTZ: 1184
+};
+
+/**
+ * PostgreSQL storage adapter (direct connection via pg)
+ * Uses the same schema as the Supabase backend (database/*.sql). Values are returned the
+ * way PostgREST returns them: numbers for NUMERIC/BIGINT and ISO strings for timestamps.
+ */
+class PostgresAdapter extends SqlAdapter {
+  /**
+   * @param {Object} settings
+   * @param {string} settings.url - Connection string (DATABASE_URL)
+   * @param {number} settings.poolSize - Maximum pooled connections
+   * @param {boolean} settings.ssl - Connect over TLS
+   */
+  constructor(settings) {
+    // Postgres allows 65535 bound parameters per statement
+    super('postgres', { ilike: 'ILIKE', maxParameters: 65535 });
+
+    if (!settings.url) {
+      throw new Error('PostgreSQL storage backend requires DATABASE_URL');
+    }
+
+    this.settings = settings;
+    this.pool = null;
+  }
+
+  /**
+   * Create the connection pool on first use; pg is an optional dependency
+   */
+  async getPool() {
+    if (this.pool) {
+      return this.pool;
+    }
+
+    let pg;
+    try {
+      pg = (await import('pg')).default;
+    } catch (error) {
+      throw new Error('PostgreSQL storage backend requires the "pg" package (npm install pg)');
+    }
+
+    const parsers = {
+      [PG_TYPES.INT8]: value => parseInt(value, 10),
+      [PG_TYPES.NUMERIC]: value => parseFloat(value),
+      [PG_TYPES.TIMESTAMPTZ]: value => new Date(value).toISOString()
+    };
+
+    this.pool = new pg.Pool({
+      connectionString: this.settings.url,
+      max: this.settings.poolSize,
+      ssl: this.settings.ssl ? { rejectUnauthorized: false } : undefined,
+      types: {
+        getTypeParser: (oid, format) => parsers[oid] || pg.types.getTypeParser(oid, format)
+      }
+    });
+
+    this.pool.on('error', error => {
+      logger.error('PostgreSQL pool error', { error: error.message });
+    });
+
+    return this.pool;
+  }
+
+  placeholder(index) {
+    return `$${index}`;
+  }
+
+  /**
+   * TEXT[] containment; pg binds the array as a Postgres array
+   */
+  buildContains(name, values, params) {
+    params.push(values);
+    return `${name} @> ${this.placeholder(params.length)}`;
+  }
+
+  /**
+   * Match the weighted tsvector column maintained by database/property-search.sql
+   * The snippet is computed in the outer select, so only for the rows of the requested page.
+   */
+  async buildTextSearch(table, textSearch) {
+    const { language, vectorColumn, highlightColumns } = getTextSearch(table);
+    const terms = parseSearchTerms(textSearch.query);
+    if (terms.length === 0) {
+      throw new Error('Full-text search query has no searchable words');
+    }
+
+    const tsQuery = (index) => `websearch_to_tsquery('${language}', ${this.placeholder(index)})`;
+    const vector = `${quoteIdentifier(table)}.${quoteIdentifier(vectorColumn)}`;
+
+    return {
+      source: (params) => {
+        params.push(toWebSearchQuery(terms));
+        const matchQuery = tsQuery(params.length);
+        // ts_rank() is a REAL; as a double the rank round-trips exactly through cursors
+        return `SELECT ${quoteIdentifier(table)}.*, ts_rank(${vector}, ${matchQuery})::double precision AS "SearchRank" ` +
+          `FROM ${quoteIdentifier(table)} WHERE ${vector} @@ ${matchQuery}`;
+      },
+      columns: ['SearchRank'],
+      selectList: (params) => {
+        params.push(toWebSearchQuery(terms), HEADLINE_OPTIONS);
+        const document = `concat_ws(' … ', ${highlightColumns.map(quoteIdentifier).join(', ')})`;
+        return [`ts_headline('${language}', ${document}, ${tsQuery(params.length - 1)}, ` +
+          `${this.placeholder(params.length)}) AS "SearchHighlight"`];
+      }
+    };
+  }
+
+  /**
+   * Match the PostGIS location column maintained by database/property-geo.sql
+   * ST_DWithin and ST_Covers on geography use its GiST index; distances are on the sphere.
+   */
+  async buildGeoSearch(table, geo) {
+    const { locationColumn } = getGeoSearch(table);
+    const location = `${quoteIdentifier(table)}.${quoteIdentifier(locationColumn)}`;
+    const { near, within } = geo;
+
+    const point = (params) => {
+      params.push(near.longitude, near.latitude);
+      return `ST_SetSRID(ST_MakePoint(${this.placeholder(params.length - 1)}, ${this.placeholder(params.length)}), 4326)::geography`;
+    };
+
+    return {
+      distance: near ? (params) => `ST_Distance(${location}, ${point(params)}, false) / 1000` : null,
+      conditions: (params) => {
+        const conditions = [];
+
+        if (near) {
+          const center = point(params);
+          params.push(near.radiusKm * 1000);
+          conditions.push(`ST_DWithin(${location}, ${center}, ${this.placeholder(params.length)}, false)`);
+        }
+
+        if (within) {
+          params.push(JSON.stringify(within));
+          conditions.push(`ST_Covers(ST_SetSRID(ST_GeomFromGeoJSON(${this.placeholder(params.length)}), 4326)::geography, ${location})`);
+        }
+
+        return conditions;
+      }
+    };
+  }
+
+  /**
+   * Call property_market_stats() of database/market-stats.sql, with named arguments
+   */
+  async marketStats(query) {
+    const args = Object.entries(toMarketStatsArgs(query));
+    const argsSql = args.map(([name], index) => `${name} => ${this.placeholder(index + 1)}`).join(', ');
+
+    const { rows } = await this.execute(`SELECT * FROM ${MARKET_STATS_RPC}(${argsSql})`, args.map(([, value]) => value));
+    return rows.map(fromMarketStatsRow);
+  }
+
+  async executeAll(statements) {
+    const pool = await this.getPool();
+
+    if (statements.length === 1) {
+      const { rows, rowCount } = await pool.query(statements[0].sql, statements[0].params);
+      return [{ rows, rowCount: rowCount || 0 }];
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const results = [];
+      for (const { sql, params } of statements) {
+        const { rows, rowCount } = await client.query(sql, params);
+        results.push({ rows, rowCount: rowCount || 0 });
+      }
+      await client.query('COMMIT');
+      return results;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async close() {
+    if (this.pool) {
+      const pool = this.pool;
+      this.pool = null;
+      await pool.end();
+    }
+  }
+}
+
+export default PostgresAdapter;
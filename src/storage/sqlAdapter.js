@@ -0,0 +1,357 @@
+import StorageAdapter from './storageAdapter.js';
+
+const COMPARISON_SQL = {
+  eq: '=',
+  neq: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'LIKE'
+};
+
+/**
+ * Quote an identifier; table and column names are mixed case ("ListingKey")
+ */
+export function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Base class for adapters that talk SQL directly (PostgreSQL, SQLite)
+ * Builds parameterized statements from queries; subclasses provide the driver, the
+ * placeholder syntax and value conversion.
+ */
+class SqlAdapter extends StorageAdapter {
+  /**
+   * @param {string} backend - Backend name
+   * @param {Object} dialect
+   * @param {string} dialect.ilike - Case-insensitive LIKE operator
+   * @param {number} dialect.maxParameters - Bound parameters allowed per statement
+   */
+  constructor(backend, dialect) {
+    super(backend);
+    this.dialect = dialect;
+  }
+
+  /**
+   * Run statements on one connection, atomically
+   * @param {Array<{sql: string, params: Array}>} statements
+   * @returns {Promise<Array<{rows: Array<Object>, rowCount: number}>>} One result per statement
+   */
+  async executeAll(statements) {
+    throw new Error(`${this.constructor.name}.executeAll() is not implemented`);
+  }
+
+  /**
+   * Placeholder for the nth (1-based) bound parameter
+   */
+  placeholder(index) {
+    throw new Error(`${this.constructor.name}.placeholder() is not implemented`);
+  }
+
+  /**
+   * Convert a value before binding it to a column (hook for drivers without booleans or arrays)
+   */
+  async toDriverValue(table, column, value) {
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Convert a row read from the driver (hook for drivers without booleans or arrays)
+   */
+  async fromDriverRow(table, row) {
+    return row;
+  }
+
+  async execute(sql, params = []) {
+    const [result] = await this.executeAll([{ sql, params }]);
+    return result;
+  }
+
+  /**
+   * Condition matching a multi-value column that holds every value (the 'contains' operator)
+   * @param {string} name - Quoted column name
+   * @param {Array} values - Values that must all be present
+   * @param {Array} params - Bound values, appended to
+   * @returns {string} SQL condition
+   */
+  buildContains(name, values, params) {
+    throw new Error(`${this.constructor.name}.buildContains() is not implemented`);
+  }
+
+  /**
+   * Build the full-text search part of a select (see StorageAdapter Query.textSearch)
+   * Like every builder of a select, the functions returned append bound values to params in
+   * the order their placeholders appear in the SQL: SQLite placeholders are positional.
+   * @param {string} table - Table name
+   * @param {Object} textSearch - { query }
+   * @returns {Promise<{source: Function, columns: Array<string>, selectList: Function}>}
+   *   source(params): a subquery returning the matching rows; columns: the columns it adds
+   *   ("SearchRank", ...); selectList(params): further select-list expressions ("SearchHighlight")
+   */
+  async buildTextSearch(table, textSearch) {
+    throw new Error(`Full-text search is not supported on the ${this.backend} backend`);
+  }
+
+  /**
+   * Build the geospatial part of a select (see StorageAdapter Query.geo)
+   * @param {string} table - Table name
+   * @param {Object} geo - { near, within }
+   * @returns {Promise<{distance: Function|null, conditions: Function}>} distance(params): the
+   *   distance in km from geo.near (null without near); conditions(params): SQL conditions
+   */
+  async buildGeoSearch(table, geo) {
+    throw new Error(`Geospatial search is not supported on the ${this.backend} backend`);
+  }
+
+  /**
+   * FROM source of a select: the table, narrowed by the full-text match and the geo filter
+   * Both wrap the table in a subquery of the same name, so their computed columns
+   * ("SearchRank", "DistanceKm") can be filtered and sorted on like table columns.
+   */
+  buildSource(table, search, geoSearch, params) {
+    const name = quoteIdentifier(table);
+    if (!geoSearch) {
+      return search ? `(${search.source(params)}) AS ${name}` : name;
+    }
+
+    const distance = geoSearch.distance ? `, ${geoSearch.distance(params)} AS "DistanceKm"` : '';
+    const inner = search ? `(${search.source(params)}) AS ${name}` : name;
+    const conditions = geoSearch.conditions(params);
+    const whereSql = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+
+    return `(SELECT ${name}.*${distance} FROM ${inner}${whereSql}) AS ${name}`;
+  }
+
+  async select(table, query = {}) {
+    const { columns = '*', where = [], orderBy = [], limit, offset, count = false, textSearch, geo } = query;
+    const search = textSearch ? await this.buildTextSearch(table, textSearch) : null;
+    const geoSearch = geo ? await this.buildGeoSearch(table, geo) : null;
+
+    const columnsSql = this.buildColumns(columns);
+    const computed = [...(search ? search.columns : []), ...(geoSearch?.distance ? ['DistanceKm'] : [])];
+    const params = [];
+    const selectList = columnsSql === '*' ? ['*'] : [columnsSql, ...computed.map(quoteIdentifier)];
+    if (search) {
+      selectList.push(...search.selectList(params));
+    }
+
+    const from = this.buildSource(table, search, geoSearch, params);
+    let sql = `SELECT ${selectList.join(', ')} FROM ${from}${await this.buildWhere(table, where, params)}`;
+
+    if (orderBy.length > 0) {
+      sql += ` ORDER BY ${orderBy
+        .map(({ column, ascending = true, nullsFirst }) => `${quoteIdentifier(column)} ${ascending ? 'ASC' : 'DESC'}` +
+          (nullsFirst === undefined ? '' : nullsFirst ? ' NULLS FIRST' : ' NULLS LAST'))
+        .join(', ')}`;
+    }
+
+    if (limit !== undefined) {
+      params.push(limit, offset || 0);
+      sql += ` LIMIT ${this.placeholder(params.length - 1)} OFFSET ${this.placeholder(params.length)}`;
+    }
+
+    const { rows } = await this.execute(sql, params);
+    const converted = await Promise.all(rows.map(row => this.fromDriverRow(table, row)));
+
+    let total = null;
+    if (count) {
+      const countParams = [];
+      const countFrom = this.buildSource(table, search, geoSearch, countParams);
+      const countWhere = await this.buildWhere(table, where, countParams);
+      const { rows: countRows } = await this.execute(`SELECT COUNT(*) AS count FROM ${countFrom}${countWhere}`, countParams);
+      total = Number(countRows[0]?.count || 0);
+    }
+
+    return { rows: converted, count: total };
+  }
+
+  async count(table, conditions = []) {
+    const params = [];
+    const whereSql = await this.buildWhere(table, conditions, params);
+    const { rows } = await this.execute(`SELECT COUNT(*) AS count FROM ${quoteIdentifier(table)}${whereSql}`, params);
+    return Number(rows[0]?.count || 0);
+  }
+
+  async insert(table, rows) {
+    const records = Array.isArray(rows) ? rows : [rows];
+    if (records.length === 0) {
+      return 0;
+    }
+
+    const statements = await this.buildInsertStatements(table, records, '');
+    const results = await this.executeAll(statements);
+    return results.reduce((total, result) => total + result.rowCount, 0);
+  }
+
+  async upsert(table, rows, { onConflict, returning } = {}) {
+    if (rows.length === 0) {
+      return [];
+    }
+
+    if (!onConflict) {
+      throw new Error(`Upsert into ${table} requires an onConflict column`);
+    }
+
+    const columns = this.collectColumns(rows);
+    const updates = columns.filter(column => column !== onConflict);
+    const conflictSql = ` ON CONFLICT (${quoteIdentifier(onConflict)}) ` + (updates.length > 0
+      ? `DO UPDATE SET ${updates.map(column => `${quoteIdentifier(column)} = excluded.${quoteIdentifier(column)}`).join(', ')}`
+      : 'DO NOTHING');
+    const returningSql = returning ? ` RETURNING ${this.buildColumns(returning)}` : '';
+
+    const statements = await this.buildInsertStatements(table, rows, conflictSql + returningSql, columns);
+    const results = await this.executeAll(statements);
+
+    if (!returning) {
+      return [];
+    }
+
+    const written = results.flatMap(result => result.rows);
+    return await Promise.all(written.map(row => this.fromDriverRow(table, row)));
+  }
+
+  async update(table, values, conditions) {
+    const params = [];
+    const assignments = [];
+
+    for (const [column, value] of Object.entries(values)) {
+      params.push(await this.toDriverValue(table, column, value));
+      assignments.push(`${quoteIdentifier(column)} = ${this.placeholder(params.length)}`);
+    }
+
+    const whereSql = await this.buildWhere(table, conditions, params);
+    const { rowCount } = await this.execute(
+      `UPDATE ${quoteIdentifier(table)} SET ${assignments.join(', ')}${whereSql}`,
+      params
+    );
+    return rowCount;
+  }
+
+  async delete(table, conditions) {
+    const params = [];
+    const whereSql = await this.buildWhere(table, conditions, params);
+    const { rowCount } = await this.execute(`DELETE FROM ${quoteIdentifier(table)}${whereSql}`, params);
+    return rowCount;
+  }
+
+  buildColumns(columns) {
+    if (!columns || columns.trim() === '*') {
+      return '*';
+    }
+
+    return columns
+      .split(',')
+      .map(column => column.trim())
+      .filter(Boolean)
+      .map(quoteIdentifier)
+      .join(', ');
+  }
+
+  /**
+   * Union of the columns of all rows, in first-seen order
+   */
+  collectColumns(rows) {
+    const columns = new Set();
+    rows.forEach(row => Object.keys(row).forEach(column => columns.add(column)));
+    return [...columns];
+  }
+
+  /**
+   * Split a multi-row INSERT so each statement stays under the driver's parameter limit
+   */
+  async buildInsertStatements(table, rows, suffix, columns = this.collectColumns(rows)) {
+    const rowsPerStatement = Math.max(1, Math.floor(this.dialect.maxParameters / columns.length));
+    const statements = [];
+
+    for (let i = 0; i < rows.length; i += rowsPerStatement) {
+      const params = [];
+      const tuples = [];
+
+      for (const row of rows.slice(i, i + rowsPerStatement)) {
+        const placeholders = [];
+        for (const column of columns) {
+          params.push(await this.toDriverValue(table, column, row[column]));
+          placeholders.push(this.placeholder(params.length));
+        }
+        tuples.push(`(${placeholders.join(', ')})`);
+      }
+
+      statements.push({
+        sql: `INSERT INTO ${quoteIdentifier(table)} (${columns.map(quoteIdentifier).join(', ')}) VALUES ${tuples.join(', ')}${suffix}`,
+        params
+      });
+    }
+
+    return statements;
+  }
+
+  /**
+   * Build a WHERE clause, appending bound values to params
+   */
+  async buildWhere(table, conditions = [], params) {
+    const clauses = await this.buildConditions(table, conditions, params);
+    return clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '';
+  }
+
+  /**
+   * Build the SQL of each condition, appending bound values to params
+   */
+  async buildConditions(table, conditions, params) {
+    const clauses = [];
+
+    for (const { column, op, value } of conditions) {
+      const name = quoteIdentifier(column);
+
+      switch (op) {
+        case 'isNull':
+          clauses.push(`${name} IS NULL`);
+          break;
+        case 'notNull':
+          clauses.push(`${name} IS NOT NULL`);
+          break;
+        case 'in': {
+          if (value.length === 0) {
+            clauses.push('1 = 0');
+            break;
+          }
+          const placeholders = [];
+          for (const item of value) {
+            params.push(await this.toDriverValue(table, column, item));
+            placeholders.push(this.placeholder(params.length));
+          }
+          clauses.push(`${name} IN (${placeholders.join(', ')})`);
+          break;
+        }
+        case 'contains':
+          clauses.push(this.buildContains(name, value, params));
+          break;
+        case 'or': {
+          const groups = [];
+          for (const group of value) {
+            const groupClauses = await this.buildConditions(table, group, params);
+            groups.push(groupClauses.length > 0 ? `(${groupClauses.join(' AND ')})` : '1 = 1');
+          }
+          clauses.push(groups.length > 0 ? `(${groups.join(' OR ')})` : '1 = 0');
+          break;
+        }
+        case 'ilike':
+          params.push(value);
+          clauses.push(`${name} ${this.dialect.ilike} ${this.placeholder(params.length)}`);
+          break;
+        default: {
+          if (!COMPARISON_SQL[op]) {
+            throw new Error(`Unsupported condition operator: ${op}`);
+          }
+          params.push(await this.toDriverValue(table, column, value));
+          clauses.push(`${name} ${COMPARISON_SQL[op]} ${this.placeholder(params.length)}`);
+        }
+      }
+    }
+
+    return clauses;
+  }
+}
+
+export default SqlAdapter;
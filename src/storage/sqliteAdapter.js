@@ -0,0 +1,382 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import SqlAdapter, { quoteIdentifier } from './sqlAdapter.js';
+import {
+  FTS_SNIPPET_TOKENS,
+  FTS_WEIGHTS,
+  HIGHLIGHT_END,
+  HIGHLIGHT_START,
+  getTextSearch,
+  parseSearchTerms,
+  toFts5Query
+} from './textSearch.js';
+import {
+  distanceKm,
+  getGeoSearch,
+  polygonBoundingBox,
+  polygonContains,
+  radiusBoundingBox
+} from './geoSearch.js';
+import { fromMarketStatsRow, toMarketStatsArgs } from './marketStats.js';
+import logger from '../utils/logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const SQLITE_SCHEMA_PATH = path.join(__dirname, '../../database/sqlite-schema.sql');
+
+// property_market_stats() of database/market-stats.sql in SQLite's dialect; the arguments are
+// bound once, in toMarketStatsArgs() order, and read from the args row
+const MARKET_STATS_SQL = `
+WITH RECURSIVE args AS (
+    SELECT ? AS group_by, ? AS period_start, ? AS period_end, ? AS by_month, ? AS transaction_type,
+           ? AS include_sold, ? AS percentile, ? AS city, ? AS city_region, ? AS property_sub_type
+),
+months(start_on) AS (
+    SELECT period_start FROM args WHERE by_month AND period_start <= period_end
+    UNION ALL
+    SELECT date(start_on, '+1 month') FROM months, args WHERE date(start_on, '+1 month') <= period_end
+),
+periods AS (
+    SELECT start_on, date(start_on, '+1 month') AS end_on FROM months
+    UNION ALL
+    SELECT period_start, date(period_end, '+1 month') FROM args WHERE NOT by_month AND period_start <= period_end
+),
+facts AS (
+    SELECT CASE args.group_by
+               WHEN 'City' THEN p."City"
+               WHEN 'CityRegion' THEN p."CityRegion"
+               WHEN 'PropertySubType' THEN p."PropertySubType"
+               WHEN 'PropertyType' THEN p."PropertyType"
+           END AS group_value,
+           date(p."OriginalEntryTimestamp") AS listed_on,
+           CASE WHEN args.include_sold AND p."ClosePrice" IS NOT NULL
+                THEN date(COALESCE(p."PurchaseContractDate", p."CloseDate")) END AS sold_on,
+           p."StandardStatus" = 'Active' AS is_active,
+           p."ListPrice" AS list_price,
+           p."ClosePrice" AS close_price
+    FROM "Property" p, args
+    WHERE p."DeletedAt" IS NULL
+      AND p."OriginalEntryTimestamp" IS NOT NULL
+      AND (args.include_sold OR p."IdxFeedYN")
+      AND (args.transaction_type IS NULL OR p."TransactionType" = args.transaction_type)
+      AND (args.city IS NULL OR p."City" = args.city)
+      AND (args.city_region IS NULL OR p."CityRegion" = args.city_region)
+      AND (args.property_sub_type IS NULL OR p."PropertySubType" = args.property_sub_type)
+),
+flagged AS (
+    SELECT f.group_value, b.start_on, b.end_on, f.list_price, f.close_price,
+           f.listed_on >= b.start_on AS is_new,
+           f.sold_on >= b.start_on AND f.sold_on < b.end_on AS is_sale,
+           COALESCE(f.sold_on >= b.end_on, f.is_active) AS is_inventory,
+           julianday(f.sold_on) - julianday(f.listed_on) AS days_on_market
+    FROM periods b
+    JOIN facts f ON f.listed_on < b.end_on AND (f.sold_on IS NULL OR f.sold_on >= b.start_on)
+)
+SELECT group_value AS "GroupValue",
+       start_on AS "PeriodStart",
+       end_on AS "PeriodEnd",
+       count(*) FILTER (WHERE is_inventory) AS "ActiveListings",
+       count(*) FILTER (WHERE is_new) AS "NewListings",
+       avg(list_price) FILTER (WHERE is_inventory) AS "ListPriceAvg",
+       percentile_cont(list_price, 0.5) FILTER (WHERE is_inventory) AS "ListPriceMedian",
+       percentile_cont(list_price, args.percentile) FILTER (WHERE is_inventory) AS "ListPricePercentile",
+       count(*) FILTER (WHERE is_sale) AS "Sales",
+       avg(close_price) FILTER (WHERE is_sale) AS "SalePriceAvg",
+       percentile_cont(close_price, 0.5) FILTER (WHERE is_sale) AS "SalePriceMedian",
+       percentile_cont(close_price, args.percentile) FILTER (WHERE is_sale) AS "SalePricePercentile",
+       avg(close_price / NULLIF(list_price, 0)) FILTER (WHERE is_sale) AS "SaleToListRatio",
+       avg(days_on_market) FILTER (WHERE is_sale) AS "DaysOnMarketAvg",
+       percentile_cont(days_on_market, 0.5) FILTER (WHERE is_sale) AS "DaysOnMarketMedian"
+FROM flagged, args
+GROUP BY group_value, start_on, end_on
+ORDER BY group_value NULLS FIRST, start_on`;
+
+/**
+ * SQLite storage adapter (via better-sqlite3)
+ * Meant for self-hosting small installs and for integration tests without a Supabase project;
+ * ':memory:' gives each adapter its own throwaway database. The schema in
+ * database/sqlite-schema.sql is applied on open.
+ *
+ * SQLite has no boolean, array or JSON types: columns declared BOOLEAN are stored as 0/1
+ * and columns declared JSON (Postgres TEXT[] and JSONB) as JSON text, and both are
+ * converted back when read, so rows look the same as on the Postgres backends.
+ */
+class SqliteAdapter extends SqlAdapter {
+  /**
+   * @param {Object} settings
+   * @param {string} settings.sqlitePath - Database file, or ':memory:'
+   * @param {string} settings.schemaPath - Schema applied on open (default database/sqlite-schema.sql)
+   */
+  constructor(settings) {
+    // SQLite's default SQLITE_MAX_VARIABLE_NUMBER is 32766
+    super('sqlite', { ilike: 'LIKE', maxParameters: 32766 });
+
+    this.settings = settings;
+    this.db = null;
+    this.columnTypes = new Map();
+  }
+
+  /**
+   * Open the database on first use; better-sqlite3 is an optional dependency
+   */
+  async getDatabase() {
+    if (this.db) {
+      return this.db;
+    }
+
+    let Database;
+    try {
+      Database = (await import('better-sqlite3')).default;
+    } catch (error) {
+      throw new Error('SQLite storage backend requires the "better-sqlite3" package (npm install better-sqlite3)');
+    }
+
+    const file = this.settings.sqlitePath;
+    if (file !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    }
+
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    db.exec(fs.readFileSync(this.settings.schemaPath || SQLITE_SCHEMA_PATH, 'utf8'));
+    this.registerGeoFunctions(db);
+    this.registerStatsFunctions(db);
+
+    logger.info('SQLite storage opened', { file });
+    this.db = db;
+    return db;
+  }
+
+  placeholder() {
+    return '?';
+  }
+
+  /**
+   * Multi-value columns are JSON arrays here, so each value is looked up with json_each()
+   */
+  buildContains(name, values, params) {
+    if (values.length === 0) {
+      return '1 = 1';
+    }
+
+    return values
+      .map(value => {
+        params.push(value);
+        return `EXISTS (SELECT 1 FROM json_each(${name}) WHERE value = ${this.placeholder(params.length)})`;
+      })
+      .join(' AND ');
+  }
+
+  /**
+   * Match the FTS5 index kept in step with the table by the triggers in sqlite-schema.sql
+   * bm25() scores better matches lower, so the rank is negated to sort like ts_rank.
+   */
+  async buildTextSearch(table, textSearch) {
+    const { columns, ftsTable } = getTextSearch(table);
+    const terms = parseSearchTerms(textSearch.query);
+    if (terms.length === 0) {
+      throw new Error('Full-text search query has no searchable words');
+    }
+
+    const fts = quoteIdentifier(ftsTable);
+    const weights = columns.map(({ weight }) => FTS_WEIGHTS[weight].toFixed(1)).join(', ');
+    const highlight = `snippet(${fts}, -1, char(${HIGHLIGHT_START.charCodeAt(0)}), char(${HIGHLIGHT_END.charCodeAt(0)}), '…', ${FTS_SNIPPET_TOKENS})`;
+
+    return {
+      source: (params) => {
+        params.push(toFts5Query(terms));
+        return `SELECT ${quoteIdentifier(table)}.*, -bm25(${fts}, ${weights}) AS "SearchRank", ${highlight} AS "SearchHighlight" ` +
+          `FROM ${fts} JOIN ${quoteIdentifier(table)} ON ${quoteIdentifier(table)}.rowid = ${fts}.rowid ` +
+          `WHERE ${fts} MATCH ${this.placeholder()}`;
+      },
+      columns: ['SearchRank', 'SearchHighlight'],
+      selectList: () => []
+    };
+  }
+
+  /**
+   * Prefilter on the R*Tree index kept by the triggers in sqlite-schema.sql, then check the
+   * exact distance / containment with the geo_* functions registered in getDatabase()
+   */
+  async buildGeoSearch(table, geo) {
+    const { latitude, longitude, key, rtreeTable } = getGeoSearch(table);
+    const column = name => `${quoteIdentifier(table)}.${quoteIdentifier(name)}`;
+    const { near, within } = geo;
+
+    const boxCondition = (params, { south, north, west, east }) => {
+      params.push(south, north, west, east);
+      return `${column(key)} IN (SELECT ${quoteIdentifier(key)} FROM ${quoteIdentifier(rtreeTable)} ` +
+        `WHERE "MaxLatitude" >= ? AND "MinLatitude" <= ? AND "MaxLongitude" >= ? AND "MinLongitude" <= ?)`;
+    };
+    const distance = (params) => {
+      params.push(near.latitude, near.longitude);
+      return `geo_distance_km(?, ?, ${column(latitude)}, ${column(longitude)})`;
+    };
+
+    return {
+      distance: near ? distance : null,
+      conditions: (params) => {
+        const conditions = [];
+
+        if (near) {
+          conditions.push(boxCondition(params, radiusBoundingBox(near)));
+          const exact = distance(params);
+          params.push(near.radiusKm);
+          conditions.push(`${exact} <= ?`);
+        }
+
+        if (within) {
+          conditions.push(boxCondition(params, polygonBoundingBox(within)));
+          params.push(JSON.stringify(within));
+          conditions.push(`geo_covers(?, ${column(longitude)}, ${column(latitude)}) = 1`);
+        }
+
+        return conditions;
+      }
+    };
+  }
+
+  /**
+   * SQL functions used by geospatial queries
+   * geo_covers() parses its polygon once per statement rather than once per row.
+   */
+  registerGeoFunctions(db) {
+    db.function('geo_distance_km', { deterministic: true }, distanceKm);
+
+    let parsed = { text: null, geometry: null };
+    db.function('geo_covers', { deterministic: true }, (polygon, pointLongitude, pointLatitude) => {
+      if (pointLongitude === null || pointLatitude === null) {
+        return 0;
+      }
+      if (parsed.text !== polygon) {
+        parsed = { text: polygon, geometry: JSON.parse(polygon) };
+      }
+      return polygonContains(parsed.geometry, pointLongitude, pointLatitude) ? 1 : 0;
+    });
+  }
+
+  /**
+   * Aggregates used by market statistics
+   * percentile_cont(value, fraction) interpolates like PostgreSQL's
+   * percentile_cont(fraction) WITHIN GROUP (ORDER BY value); NULL values are ignored.
+   */
+  registerStatsFunctions(db) {
+    db.aggregate('percentile_cont', {
+      start: () => ({ values: [], fraction: null }),
+      step: (state, value, fraction) => {
+        if (value !== null) {
+          state.values.push(value);
+          state.fraction = fraction;
+        }
+        return state;
+      },
+      result: ({ values, fraction }) => {
+        if (values.length === 0) {
+          return null;
+        }
+
+        values.sort((a, b) => a - b);
+        const position = fraction * (values.length - 1);
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return values[lower] + (values[upper] - values[lower]) * (position - lower);
+      }
+    });
+  }
+
+  /**
+   * Market statistics (see src/storage/marketStats.js)
+   */
+  async marketStats(query) {
+    const params = Object.values(toMarketStatsArgs(query))
+      .map(value => (typeof value === 'boolean' ? (value ? 1 : 0) : value));
+
+    const { rows } = await this.execute(MARKET_STATS_SQL, params);
+    return rows.map(fromMarketStatsRow);
+  }
+
+  /**
+   * Declared column types of a table, upper-cased ('BOOLEAN', 'JSON', ...)
+   */
+  async getColumnTypes(table) {
+    if (!this.columnTypes.has(table)) {
+      const db = await this.getDatabase();
+      const columns = db.prepare(`PRAGMA table_info(${JSON.stringify(table)})`).all();
+      this.columnTypes.set(table, new Map(columns.map(({ name, type }) => [name, type.toUpperCase()])));
+    }
+    return this.columnTypes.get(table);
+  }
+
+  async toDriverValue(table, column, value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+
+    const type = (await this.getColumnTypes(table)).get(column);
+
+    if (type === 'JSON') {
+      return JSON.stringify(value);
+    }
+    if (typeof value === 'boolean') {
+      return value ? 1 : 0;
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    if (typeof value === 'object') {
+      return JSON.stringify(value);
+    }
+    return value;
+  }
+
+  async fromDriverRow(table, row) {
+    const types = await this.getColumnTypes(table);
+    const converted = { ...row };
+
+    for (const [column, value] of Object.entries(row)) {
+      if (value === null) {
+        continue;
+      }
+
+      const type = types.get(column);
+      if (type === 'BOOLEAN') {
+        converted[column] = value === 1;
+      } else if (type === 'JSON' && typeof value === 'string') {
+        converted[column] = JSON.parse(value);
+      }
+    }
+
+    return converted;
+  }
+
+  async executeAll(statements) {
+    const db = await this.getDatabase();
+
+    // better-sqlite3 is synchronous, so the transaction cannot interleave with other queries
+    const run = db.transaction(() => statements.map(({ sql, params }) => {
+      const statement = db.prepare(sql);
+
+      if (statement.reader) {
+        const rows = statement.all(params);
+        return { rows, rowCount: rows.length };
+      }
+
+      const { changes } = statement.run(params);
+      return { rows: [], rowCount: changes };
+    }));
+
+    return run();
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.columnTypes.clear();
+    }
+  }
+}
+
+export default SqliteAdapter;
@@ -0,0 +1,187 @@
+/**
+ * Storage adapter interface
+ *
+ * DatabaseService expresses every read and write as a small declarative query on a table,
+ * and a storage adapter runs it against one backend (Supabase, PostgreSQL via pg, SQLite).
+ * Adapters only translate queries; retries, column filtering and domain rules stay in
+ * DatabaseService so they behave the same on every backend.
+ *
+ * @typedef {Object} Condition
+ * @property {string} column - Column name
+ * @property {string} op - One of CONDITION_OPERATORS
+ * @property {*} [value] - Operand (an array for 'in' and 'contains'; unused for 'isNull' / 'notNull').
+ *   'contains' matches multi-value (TEXT[]) columns holding every value of the array.
+ *   For 'or' (see anyOf()) the column is unused and the value is a list of condition groups.
+ *
+ * @typedef {Object} Order
+ * @property {string} column - Column name
+ * @property {boolean} [ascending=true] - Sort direction
+ * @property {boolean} [nullsFirst] - NULL placement; the backend default when omitted
+ *   (PostgreSQL: NULLs sort as largest, SQLite: as smallest)
+ *
+ * @typedef {Object} Query
+ * @property {string} [columns='*'] - Comma-separated column list or '*'
+ * @property {Array<Condition>} [where=[]] - Conditions, combined with AND
+ * @property {Array<Order>} [orderBy=[]] - Sort order
+ * @property {number} [limit] - Maximum rows to return
+ * @property {number} [offset] - Rows to skip (only with limit)
+ * @property {boolean} [count=false] - Also return the number of rows matching `where`
+ * @property {{query: string}} [textSearch] - Ranked full-text match (tables in TEXT_SEARCH,
+ *   src/storage/textSearch.js). Only rows matching a search term are returned, each with a
+ *   "SearchRank" (higher is better, usable in orderBy) and a "SearchHighlight" snippet.
+ * @property {Object} [geo] - Geospatial filter (tables in GEO_SEARCH, src/storage/geoSearch.js);
+ *   rows without coordinates never match
+ * @property {{latitude: number, longitude: number, radiusKm: number}} [geo.near] - Only rows
+ *   within radiusKm of the point, each with its "DistanceKm" (usable in orderBy)
+ * @property {Object} [geo.within] - Only rows inside this GeoJSON Polygon / MultiPolygon geometry
+ */
+
+export const CONDITION_OPERATORS = new Set([
+  'eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'contains', 'like', 'ilike', 'isNull', 'notNull', 'or'
+]);
+
+/**
+ * Build a condition
+ * @param {string} column - Column name
+ * @param {string} op - Operator
+ * @param {*} value - Operand
+ * @returns {Condition}
+ */
+export function where(column, op, value) {
+  if (!CONDITION_OPERATORS.has(op)) {
+    throw new Error(`Unsupported condition operator: ${op}`);
+  }
+  return { column, op, value };
+}
+
+/**
+ * Build a condition matching any of several groups of conditions
+ * @param {Array<Array<Condition>>} groups - Condition groups; the conditions of a group are
+ *   combined with AND, the groups with OR
+ * @returns {Condition}
+ */
+export function anyOf(groups) {
+  return { column: null, op: 'or', value: groups };
+}
+
+/**
+ * Condition keeping the rows that sort after a position (keyset pagination)
+ * Rows are compared column by column in orderBy order, honouring each column's direction and
+ * NULL placement, so nullsFirst must be given explicitly.
+ * @param {Array<Order>} orderBy - Sort order; the last column must be unique and never NULL
+ * @param {Array<*>} position - Value of each orderBy column at the position (e.g. the last row of a page)
+ * @returns {Condition}
+ */
+export function keysetAfter(orderBy, position) {
+  const groups = orderBy.map(({ column, ascending = true, nullsFirst }, index) => {
+    const unique = index === orderBy.length - 1;
+    if (!unique && typeof nullsFirst !== 'boolean') {
+      throw new Error(`Keyset pagination needs an explicit NULL placement for ${column}`);
+    }
+
+    const equalBefore = orderBy.slice(0, index).map((previous, i) =>
+      position[i] === null ? where(previous.column, 'isNull') : where(previous.column, 'eq', position[i])
+    );
+    const value = position[index];
+
+    if (value === null) {
+      // Only non-NULL values follow a NULL, and only when NULLs sort first
+      return nullsFirst ? [[...equalBefore, where(column, 'notNull')]] : [];
+    }
+
+    const after = [[...equalBefore, where(column, ascending ? 'gt' : 'lt', value)]];
+    return nullsFirst || unique ? after : [...after, [...equalBefore, where(column, 'isNull')]];
+  });
+
+  return anyOf(groups.flat());
+}
+
+class StorageAdapter {
+  /**
+   * @param {string} backend - Backend name for logging ('supabase', 'postgres', 'sqlite')
+   */
+  constructor(backend) {
+    this.backend = backend;
+  }
+
+  /**
+   * Select rows
+   * @param {string} table - Table name
+   * @param {Query} query - Columns, conditions, order and paging
+   * @returns {Promise<{rows: Array<Object>, count: number|null}>} count is null unless requested
+   */
+  async select(table, query = {}) {
+    throw new Error(`${this.constructor.name}.select() is not implemented`);
+  }
+
+  /**
+   * Count rows matching conditions
+   * @param {string} table - Table name
+   * @param {Array<Condition>} conditions - Conditions, combined with AND
+   * @returns {Promise<number>}
+   */
+  async count(table, conditions = []) {
+    throw new Error(`${this.constructor.name}.count() is not implemented`);
+  }
+
+  /**
+   * Insert rows
+   * @param {string} table - Table name
+   * @param {Object|Array<Object>} rows - Row or rows to insert
+   * @returns {Promise<number>} Inserted row count
+   */
+  async insert(table, rows) {
+    throw new Error(`${this.constructor.name}.insert() is not implemented`);
+  }
+
+  /**
+   * Insert rows, replacing existing rows with the same conflict key
+   * Columns missing from a row are written as NULL, as PostgREST does.
+   * @param {string} table - Table name
+   * @param {Array<Object>} rows - Rows to write
+   * @param {Object} options
+   * @param {string} options.onConflict - Unique key column
+   * @param {string} [options.returning] - Comma-separated columns to return for written rows
+   * @returns {Promise<Array<Object>>} Written rows (only the `returning` columns), or [] if not requested
+   */
+  async upsert(table, rows, options) {
+    throw new Error(`${this.constructor.name}.upsert() is not implemented`);
+  }
+
+  /**
+   * Update rows matching conditions
+   * @param {string} table - Table name
+   * @param {Object} values - Column values to set
+   * @param {Array<Condition>} conditions - Conditions, combined with AND
+   * @returns {Promise<number>} Updated row count
+   */
+  async update(table, values, conditions) {
+    throw new Error(`${this.constructor.name}.update() is not implemented`);
+  }
+
+  /**
+   * Delete rows matching conditions
+   * @param {string} table - Table name
+   * @param {Array<Condition>} conditions - Conditions, combined with AND
+   * @returns {Promise<number>} Deleted row count
+   */
+  async delete(table, conditions) {
+    throw new Error(`${this.constructor.name}.delete() is not implemented`);
+  }
+
+  /**
+   * Aggregate Property rows into market statistics (see src/storage/marketStats.js)
+   * @param {MarketStatsQuery} query - Grouping, periods and filters
+   * @returns {Promise<Array<Object>>} One row per group and period, ordered by group then period
+   */
+  async marketStats(query) {
+    throw new Error(`Market statistics are not supported on the ${this.backend} backend`);
+  }
+
+  /**
+   * Release connections; the adapter reconnects on next use
+   */
+  async close() {}
+}
+
+export default StorageAdapter;
@@ -0,0 +1,226 @@
+import StorageAdapter from './storageAdapter.js';
+import { getTextSearch, parseSearchTerms, toWebSearchQuery } from './textSearch.js';
+import { getGeoSearch } from './geoSearch.js';
+import { MARKET_STATS_RPC, fromMarketStatsRow, toMarketStatsArgs } from './marketStats.js';
+
+/**
+ * Supabase (PostgREST) storage adapter
+ * Queries map one-to-one onto the supabase-js query builder.
+ */
+class SupabaseAdapter extends StorageAdapter {
+  /**
+   * @param {Object} client - supabase-js client (the admin client for backend writes)
+   */
+  constructor(client) {
+    super('supabase');
+
+    if (!client) {
+      throw new Error('Supabase storage backend requires SUPABASE_URL and a Supabase key');
+    }
+
+    this.client = client;
+  }
+
+  /**
+   * Apply conditions to a supabase-js filter builder
+   */
+  applyConditions(builder, conditions = []) {
+    return conditions.reduce((query, { column, op, value }) => {
+      switch (op) {
+        case 'isNull':
+          return query.is(column, null);
+        case 'notNull':
+          return query.not(column, 'is', null);
+        case 'or':
+          return query.or(this.toLogicTree(value));
+        default:
+          return query[op](column, value);
+      }
+    }, builder);
+  }
+
+  /**
+   * Render condition groups as a PostgREST logic tree: or=(and(a.gt.1,b.eq.2),...)
+   * Values are double-quoted so timestamps and text with reserved characters survive.
+   */
+  toLogicTree(groups) {
+    const operand = value => (typeof value === 'string'
+      ? `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`
+      : String(value));
+    const filter = ({ column, op, value }) => {
+      switch (op) {
+        case 'isNull':
+          return `${column}.is.null`;
+        case 'notNull':
+          return `${column}.not.is.null`;
+        case 'eq':
+        case 'neq':
+        case 'gt':
+        case 'gte':
+        case 'lt':
+        case 'lte':
+          return `${column}.${op}.${operand(value)}`;
+        case 'in':
+          return `${column}.in.(${value.map(operand).join(',')})`;
+        default:
+          throw new Error(`Unsupported operator inside an OR condition: ${op}`);
+      }
+    };
+
+    if (groups.length === 0 || groups.some(group => group.length === 0)) {
+      throw new Error('OR conditions need non-empty condition groups on the supabase backend');
+    }
+
+    return groups
+      .map(group => (group.length === 1 ? filter(group[0]) : `and(${group.map(filter).join(',')})`))
+      .join(',');
+  }
+
+  /**
+   * Rows of a table matching a full-text search and/or geo filter, via the search RPC of
+   * database/property-geo.sql
+   * The RPC returns the table's columns plus "SearchRank", "SearchHighlight" and "DistanceKm";
+   * PostgREST applies the remaining conditions, order and range on top of it.
+   */
+  searchSource(table, { textSearch, geo }, columns, count) {
+    const args = {};
+    const computed = [];
+
+    if (textSearch) {
+      const terms = parseSearchTerms(textSearch.query);
+      if (terms.length === 0) {
+        throw new Error('Full-text search query has no searchable words');
+      }
+      args.search_query = toWebSearchQuery(terms);
+      computed.push('SearchRank', 'SearchHighlight');
+    }
+
+    if (geo?.near) {
+      args.near_lat = geo.near.latitude;
+      args.near_lng = geo.near.longitude;
+      args.radius_km = geo.near.radiusKm;
+      computed.push('DistanceKm');
+    }
+
+    if (geo?.within) {
+      args.within_geojson = JSON.stringify(geo.within);
+    }
+
+    const { rpc } = textSearch ? getTextSearch(table) : getGeoSearch(table);
+
+    return this.client
+      .rpc(rpc, args, count ? { count: 'exact' } : undefined)
+      .select(columns.trim() === '*' ? '*' : [columns, ...computed].join(','));
+  }
+
+  async select(table, query = {}) {
+    const { columns = '*', where = [], orderBy = [], limit, offset, count = false, textSearch, geo } = query;
+
+    let builder = this.applyConditions(
+      textSearch || geo
+        ? this.searchSource(table, { textSearch, geo }, columns, count)
+        : this.client.from(table).select(columns, count ? { count: 'exact' } : undefined),
+      where
+    );
+
+    orderBy.forEach(({ column, ascending = true, nullsFirst }) => {
+      builder = builder.order(column, nullsFirst === undefined ? { ascending } : { ascending, nullsFirst });
+    });
+
+    if (limit !== undefined) {
+      const from = offset || 0;
+      builder = builder.range(from, from + limit - 1);
+    }
+
+    const { data, error, count: total } = await builder;
+
+    if (error) {
+      throw error;
+    }
+
+    return { rows: data || [], count: count ? total || 0 : null };
+  }
+
+  /**
+   * Market statistics via the RPC of database/market-stats.sql
+   */
+  async marketStats(query) {
+    const { data, error } = await this.client.rpc(MARKET_STATS_RPC, toMarketStatsArgs(query));
+
+    if (error) {
+      throw error;
+    }
+
+    return (data || []).map(fromMarketStatsRow);
+  }
+
+  async count(table, conditions = []) {
+    const { count, error } = await this.applyConditions(
+      this.client.from(table).select('*', { count: 'exact', head: true }),
+      conditions
+    );
+
+    if (error) {
+      throw error;
+    }
+
+    return count || 0;
+  }
+
+  async insert(table, rows) {
+    const records = Array.isArray(rows) ? rows : [rows];
+    const { error, count } = await this.client.from(table).insert(records, { count: 'exact' });
+
+    if (error) {
+      throw error;
+    }
+
+    return count ?? records.length;
+  }
+
+  async upsert(table, rows, { onConflict, returning } = {}) {
+    let builder = this.client
+      .from(table)
+      .upsert(rows, { onConflict, ignoreDuplicates: false });
+
+    if (returning) {
+      builder = builder.select(returning);
+    }
+
+    const { data, error } = await builder;
+
+    if (error) {
+      throw error;
+    }
+
+    return returning ? data || [] : [];
+  }
+
+  async update(table, values, conditions) {
+    const { count, error } = await this.applyConditions(
+      this.client.from(table).update(values, { count: 'exact' }),
+      conditions
+    );
+
+    if (error) {
+      throw error;
+    }
+
+    return count || 0;
+  }
+
+  async delete(table, conditions) {
+    const { count, error } = await this.applyConditions(
+      this.client.from(table).delete({ count: 'exact' }),
+      conditions
+    );
+
+    if (error) {
+      throw error;
+    }
+
+    return count || 0;
+  }
+}
+
+export default SupabaseAdapter;
@@ -0,0 +1,120 @@
+/**
+ * Ranked full-text search
+ *
+ * A query's `textSearch` clause is answered by each backend's own full-text engine:
+ * a weighted tsvector column with ts_rank / ts_headline on PostgreSQL, the search RPC
+ * (same SQL, behind PostgREST) on Supabase, and an FTS5 index with bm25 / snippet on SQLite.
+ * The indexes themselves are created by database/property-search.sql and sqlite-schema.sql.
+ *
+ * Matching is lenient: any word matches and listings matching more words (and matching them
+ * in heavier columns) rank first. Quoted text must match as a phrase.
+ */
+
+// Highlight delimiters emitted by the database; formatHighlight() turns them into <mark> tags
+// after escaping the text, so listing remarks can never inject markup
+export const HIGHLIGHT_START = '\u0002';
+export const HIGHLIGHT_END = '\u0003';
+
+// ts_headline options: up to two fragments of 12-30 words around the matches
+export const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, ` +
+  'MinWords=12, MaxWords=30, MaxFragments=2, FragmentDelimiter=" … "';
+
+/**
+ * Searchable tables
+ * Weights: A (address) outranks B (feature lists), which outranks C (remarks). Keep in sync
+ * with the trigger in database/property-search.sql and the FTS5 table in sqlite-schema.sql.
+ */
+export const TEXT_SEARCH = {
+  Property: {
+    language: 'english',
+    columns: [
+      { column: 'UnparsedAddress', weight: 'A' },
+      { column: 'StreetName', weight: 'A' },
+      { column: 'City', weight: 'A' },
+      { column: 'CityRegion', weight: 'A' },
+      { column: 'InteriorFeatures', weight: 'B' },
+      { column: 'ExteriorFeatures', weight: 'B' },
+      { column: 'PublicRemarks', weight: 'C' }
+    ],
+    // Text the highlight snippet is cut from (PostgreSQL / Supabase)
+    highlightColumns: ['UnparsedAddress', 'CityRegion', 'PublicRemarks'],
+    vectorColumn: 'SearchVector',
+    ftsTable: 'PropertySearch',
+    rpc: 'search_properties'
+  }
+};
+
+// bm25 column weights on SQLite, per weight class
+export const FTS_WEIGHTS = { A: 3.0, B: 2.0, C: 1.0 };
+
+// snippet() length on SQLite, in tokens
+export const FTS_SNIPPET_TOKENS = 24;
+
+/**
+ * Look up the search definition of a table
+ * @param {string} table - Table name
+ * @returns {Object} Entry of TEXT_SEARCH
+ */
+export function getTextSearch(table) {
+  const definition = TEXT_SEARCH[table];
+  if (!definition) {
+    throw new Error(`Full-text search is not available on ${table}`);
+  }
+  return definition;
+}
+
+/**
+ * Split user input into words and quoted phrases
+ * Operators and punctuation are dropped, so any input is a valid query on every backend.
+ * @param {string} text - Raw search input, e.g. 'walkout basement "mount pleasant"'
+ * @returns {Array<string>} Terms; phrases keep their inner spaces
+ */
+export function parseSearchTerms(text) {
+  const terms = [];
+
+  for (const [, phrase, word] of String(text || '').matchAll(/"([^"]*)"|(\S+)/g)) {
+    const words = (phrase ?? word).match(/[\p{L}\p{N}]+/gu) || [];
+    if (words.length > 0) {
+      terms.push(words.join(' ').toLowerCase());
+    }
+  }
+
+  return terms;
+}
+
+/**
+ * PostgreSQL websearch_to_tsquery input matching any of the terms
+ * @param {Array<string>} terms - Result of parseSearchTerms()
+ * @returns {string} e.g. 'walkout or basement or "mount pleasant"'
+ */
+export function toWebSearchQuery(terms) {
+  return terms.map(term => (term.includes(' ') ? `"${term}"` : term)).join(' or ');
+}
+
+/**
+ * SQLite FTS5 MATCH expression matching any of the terms
+ * @param {Array<string>} terms - Result of parseSearchTerms()
+ * @returns {string} e.g. '"walkout" OR "basement" OR "mount pleasant"'
+ */
+export function toFts5Query(terms) {
+  return terms.map(term => `"${term}"`).join(' OR ');
+}
+
+/**
+ * Escape a database highlight and mark the matched terms
+ * @param {string|null} highlight - Snippet with HIGHLIGHT_START / HIGHLIGHT_END delimiters
+ * @returns {string|null} HTML-safe snippet with <mark> tags
+ */
+export function formatHighlight(highlight) {
+  if (!highlight) {
+    return null;
+  }
+
+  return highlight
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replaceAll(HIGHLIGHT_START, '<mark>')
+    .replaceAll(HIGHLIGHT_END, '</mark>');
+}
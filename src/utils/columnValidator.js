@@ -1,5 +1,6 @@
 import { supabase } from '../config/supabase.js';
 import logger from './logger.js';
+import propertySchema from '../config/generated/Property.js';
 
 /**
  * Database Column Validator
@@ -32,29 +33,15 @@ class ColumnValidator {
     const cacheKey = tableName;
     const now = Date.now();
     
-    // Special handling for Property table - provide hardcoded schema
+    // Property columns come from the field map generated from $metadata (npm run generate-schema)
     if (tableName === 'Property') {
-      const propertyColumns = new Set([
-        'ListingKey', 'ListPrice', 'ClosePrice', 'MlsStatus', 'ContractStatus', 'StandardStatus', 'TransactionType',
-        'PropertyType', 'PropertySubType', 'ArchitecturalStyle', 'UnparsedAddress', 'StreetNumber', 'StreetName',
-        'StreetSuffix', 'City', 'StateOrProvince', 'PostalCode', 'CountyOrParish', 'CityRegion', 'UnitNumber',
-        'KitchensAboveGrade', 'BedroomsAboveGrade', 'BedroomsBelowGrade', 'BathroomsTotalInteger', 'KitchensBelowGrade',
-        'KitchensTotal', 'DenFamilyRoomYN', 'PublicRemarks', 'PossessionDetails', 'PhotosChangeTimestamp',
-        'MediaChangeTimestamp', 'ModificationTimestamp', 'SystemModificationTimestamp', 'OriginalEntryTimestamp',
-        'SoldConditionalEntryTimestamp', 'SoldEntryTimestamp', 'SuspendedEntryTimestamp', 'TerminatedEntryTimestamp',
-        'CreatedAt', 'UpdatedAt', 'CloseDate', 'ConditionalExpiryDate', 'PurchaseContractDate', 'SuspendedDate',
-        'TerminatedDate', 'UnavailableDate', 'Cooling', 'Sewer', 'Basement', 'BasementEntrance', 'ExteriorFeatures',
-        'InteriorFeatures', 'PoolFeatures', 'PropertyFeatures', 'HeatType', 'FireplaceYN', 'LivingAreaRange',
-        'WaterfrontYN', 'PossessionType', 'CoveredSpaces', 'ParkingSpaces', 'ParkingTotal', 'AssociationAmenities',
-        'Locker', 'BalconyType', 'PetsAllowed', 'AssociationFee', 'AssociationFeeIncludes', 'ApproximateAge',
-        'AdditionalMonthlyFee', 'TaxAnnualAmount', 'TaxYear', 'LotDepth', 'LotWidth', 'LotSizeUnits', 'Furnished', 'RentIncludes'
-      ]);
+      const propertyColumns = new Set(propertySchema.columns);
       
       // Cache the result
       this.columnCache.set(cacheKey, propertyColumns);
       this.cacheTimestamps.set(cacheKey, now);
       
-      logger.debug(`Using hardcoded schema for ${tableName} with ${propertyColumns.size} columns`);
+      logger.debug(`Using generated schema for ${tableName} with ${propertyColumns.size} columns`);
       return propertyColumns;
     }
     
@@ -63,7 +50,7 @@ class ColumnValidator {
       const propertyRoomsColumns = new Set([
         'RoomKey', 'ListingKey', 'RoomDescription', 'RoomLength', 'RoomWidth', 'RoomLengthWidthUnits',
         'RoomLevel', 'RoomType', 'RoomFeature1', 'RoomFeature2', 'RoomFeature3', 'RoomFeatures',
-        'Order', 'ModificationTimestamp', 'CreatedAt', 'UpdatedAt'
+        'Order', 'ModificationTimestamp', 'CreatedAt', 'UpdatedAt', 'DeletedAt'
       ]);
       
       // Cache the result
@@ -80,7 +67,7 @@ class ColumnValidator {
         'MediaKey', 'ResourceRecordKey', 'MediaObjectID', 'MediaURL', 'MediaCategory', 'MediaType',
         'MediaStatus', 'ImageOf', 'ClassName', 'ImageSizeDescription', 'Order', 'PreferredPhotoYN',
         'ShortDescription', 'ResourceName', 'OriginatingSystemID', 'MediaModificationTimestamp',
-        'ModificationTimestamp', 'CreatedAt', 'UpdatedAt'
+        'ModificationTimestamp', 'CreatedAt', 'UpdatedAt', 'DeletedAt'
       ]);
       
       // Cache the result
@@ -96,7 +83,7 @@ class ColumnValidator {
       const openHouseColumns = new Set([
         'OpenHouseKey', 'ListingKey', 'OpenHouseDate', 'OpenHouseStartTime', 'OpenHouseEndTime',
         'OpenHouseStatus', 'OpenHouseDateTime', 'OpenHouseRemarks', 'OpenHouseType',
-        'ModificationTimestamp', 'CreatedAt', 'UpdatedAt'
+        'ModificationTimestamp', 'CreatedAt', 'UpdatedAt', 'DeletedAt'
       ]);
       
       // Cache the result
@@ -107,6 +94,39 @@ class ColumnValidator {
       return openHouseColumns;
     }
     
+    // Special handling for Member table - provide hardcoded schema
+    if (tableName === 'Member') {
+      const memberColumns = new Set([
+        'MemberKey', 'MemberMlsId', 'MemberFirstName', 'MemberLastName', 'MemberFullName',
+        'MemberEmail', 'MemberDirectPhone', 'MemberMobilePhone', 'MemberOfficePhone',
+        'MemberStatus', 'MemberType', 'JobTitle', 'OfficeKey', 'OfficeName',
+        'ModificationTimestamp', 'CreatedAt', 'UpdatedAt'
+      ]);
+      
+      // Cache the result
+      this.columnCache.set(cacheKey, memberColumns);
+      this.cacheTimestamps.set(cacheKey, now);
+      
+      logger.debug(`Using hardcoded schema for ${tableName} with ${memberColumns.size} columns`);
+      return memberColumns;
+    }
+    
+    // Special handling for Office table - provide hardcoded schema
+    if (tableName === 'Office') {
+      const officeColumns = new Set([
+        'OfficeKey', 'OfficeMlsId', 'OfficeName', 'OfficePhone', 'OfficeFax', 'OfficeEmail', 'OfficeURL',
+        'OfficeAddress1', 'OfficeAddress2', 'OfficeCity', 'OfficeStateOrProvince', 'OfficePostalCode',
+        'OfficeStatus', 'OfficeType', 'ModificationTimestamp', 'CreatedAt', 'UpdatedAt'
+      ]);
+      
+      // Cache the result
+      this.columnCache.set(cacheKey, officeColumns);
+      this.cacheTimestamps.set(cacheKey, now);
+      
+      logger.debug(`Using hardcoded schema for ${tableName} with ${officeColumns.size} columns`);
+      return officeColumns;
+    }
+    
     // Check if this table has failed too many times
     if (this.failedTables.has(tableName)) {
       const failureTime = this.failureCounts.get(tableName);
@@ -143,6 +163,12 @@ class ColumnValidator {
       }
     }
 
+    // Schema introspection goes through PostgREST; other storage backends only have the tables above
+    if (!supabase) {
+      logger.debug(`Skipping column detection for ${tableName} - Supabase not configured`);
+      return new Set();
+    }
+
     try {
       // First try: Query the information_schema to get column names
       const { data, error } = await supabase
@@ -0,0 +1,41 @@
+/**
+ * Opaque pagination cursors
+ *
+ * A cursor records where a page starts or ends in a sort order: the sort it belongs to and
+ * the sort values of the boundary row, ending with its unique key. Clients pass the tokens
+ * back unchanged (?cursor=), so the encoding can change without breaking them.
+ *
+ * @typedef {Object} Cursor
+ * @property {string} sortBy - Sort field the position belongs to
+ * @property {string} sortOrder - 'asc' or 'desc'
+ * @property {Array<*>} position - Sort values of the boundary row, in sort order
+ * @property {string} direction - 'next' (rows after the position) or 'prev' (rows before it)
+ */
+
+const DIRECTIONS = new Set(['next', 'prev']);
+
+/**
+ * @param {Cursor} cursor
+ * @returns {string} URL-safe token
+ */
+export function encodeCursor({ sortBy, sortOrder, position, direction }) {
+  return Buffer.from(JSON.stringify({ s: sortBy, o: sortOrder, p: position, d: direction })).toString('base64url');
+}
+
+/**
+ * @param {string} token - Token from encodeCursor()
+ * @returns {Cursor|null} Decoded cursor, or null if the token is malformed
+ */
+export function decodeCursor(token) {
+  try {
+    const { s, o, p, d } = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+
+    if (typeof s !== 'string' || !['asc', 'desc'].includes(o) || !Array.isArray(p) || p.length === 0 || !DIRECTIONS.has(d)) {
+      return null;
+    }
+
+    return { sortBy: s, sortOrder: o, position: p, direction: d };
+  } catch (error) {
+    return null;
+  }
+}
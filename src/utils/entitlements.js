@@ -0,0 +1,89 @@
+import columnValidator from './columnValidator.js';
+import { where } from '../storage/storageAdapter.js';
+
+/**
+ * Feed entitlement rules for serving listings
+ *
+ * IDX data may be displayed to anyone. VOW data (sold/off-market listings and the
+ * sold-side fields below) may only be shown to registered, logged-in consumers.
+ * Every Property row records which feed(s) authorized it in the flag columns.
+ */
+
+export const ENTITLEMENT = {
+  IDX: 'idx',
+  VOW: 'vow'
+};
+
+// Per-feed source flags set by the property sync and corrected by reconciliation
+export const FEED_FLAG_COLUMNS = {
+  idx: 'IdxFeedYN',
+  vow: 'VowFeedYN'
+};
+
+// Property columns that are only published through the VOW feed
+export const VOW_ONLY_PROPERTY_FIELDS = new Set([
+  'ClosePrice',
+  'CloseDate',
+  'PurchaseContractDate',
+  'ConditionalExpiryDate',
+  'SoldEntryTimestamp',
+  'SoldConditionalEntryTimestamp',
+  'SuspendedDate',
+  'SuspendedEntryTimestamp',
+  'TerminatedDate',
+  'TerminatedEntryTimestamp',
+  'UnavailableDate',
+  'VowFeedYN'
+]);
+
+/**
+ * @param {string} entitlement - Caller entitlement level
+ * @returns {boolean} True if the caller may see VOW listings and fields
+ */
+export function isVowEntitled(entitlement) {
+  return entitlement === ENTITLEMENT.VOW;
+}
+
+/**
+ * @param {string} field - Property column name
+ * @param {string} entitlement - Caller entitlement level
+ * @returns {boolean} True if the caller may read, filter or sort on the field
+ */
+export function isPropertyFieldAllowed(field, entitlement) {
+  return isVowEntitled(entitlement) || !VOW_ONLY_PROPERTY_FIELDS.has(field);
+}
+
+/**
+ * Build the Property select list for an entitlement level
+ * VOW-only columns are left out of IDX queries so they never leave the database. The list is
+ * always explicit: '*' would also return internal columns such as "SearchVector".
+ * @param {string} entitlement - Caller entitlement level
+ * @param {Array<string>|null} fields - Restrict the list to these columns (sparse responses);
+ *   names that are not selectable columns are ignored
+ * @returns {Promise<string>} Column list for the storage select
+ */
+export async function getPropertySelect(entitlement, fields = null) {
+  const columns = [...await columnValidator.getTableColumns('Property')]
+    .filter(column => !fields || fields.includes(column));
+
+  if (isVowEntitled(entitlement)) {
+    return columns.join(',');
+  }
+
+  return columns
+    .filter(column => column !== 'DeletedAt' && !VOW_ONLY_PROPERTY_FIELDS.has(column))
+    .join(',');
+}
+
+/**
+ * Conditions restricting a Property query to the listings the caller may see
+ * Soft-deleted listings are never served; IDX callers only get IDX-authorized listings.
+ * @param {string} entitlement - Caller entitlement level
+ * @returns {Array<Object>} Storage conditions (see src/storage/storageAdapter.js)
+ */
+export function listingScope(entitlement) {
+  const conditions = [where('DeletedAt', 'isNull')];
+  return isVowEntitled(entitlement)
+    ? conditions
+    : [...conditions, where(FEED_FLAG_COLUMNS.idx, 'eq', true)];
+}
@@ -0,0 +1,119 @@
+/**
+ * Listing local time
+ *
+ * Open house dates and times are Toronto wall-clock values: the feed's OpenHouseDate is a local
+ * date, and mapOpenHouse() stores the start and end as local HH:MM:SS (TIME columns). These
+ * helpers convert between those values and instants independently of the server's time zone.
+ */
+
+export const LISTING_TIME_ZONE = 'America/Toronto';
+
+const localFormatter = new Intl.DateTimeFormat('en-CA', {
+  timeZone: LISTING_TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  hourCycle: 'h23'
+});
+
+/**
+ * Wall-clock parts of an instant in the listing time zone
+ * @param {Date} date
+ * @returns {Object} { year, month, day, hour, minute, second } as zero-padded strings
+ */
+function localParts(date) {
+  return Object.fromEntries(localFormatter.formatToParts(date)
+    .filter(({ type }) => type !== 'literal')
+    .map(({ type, value }) => [type, value]));
+}
+
+const toDate = value => (value instanceof Date ? value : new Date(value));
+
+/**
+ * @param {Date|string} value - Instant (ISO string or Date)
+ * @returns {string|null} Local time (HH:MM:SS), or null if the value is not a valid instant
+ */
+export function toLocalTime(value) {
+  const date = toDate(value);
+  if (Number.isNaN(date.getTime())) return null;
+
+  const { hour, minute, second } = localParts(date);
+  return `${hour}:${minute}:${second}`;
+}
+
+/**
+ * @param {Date|string} value - Instant (ISO string or Date), default now
+ * @returns {string|null} Local date (YYYY-MM-DD), or null if the value is not a valid instant
+ */
+export function toLocalDate(value = new Date()) {
+  const date = toDate(value);
+  if (Number.isNaN(date.getTime())) return null;
+
+  const { year, month, day } = localParts(date);
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * @param {string} localDate - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+export function addDays(localDate, days) {
+  const date = new Date(`${localDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * @param {string} month - Month (YYYY-MM)
+ * @param {number} months - Months to add (may be negative)
+ * @returns {string} Month (YYYY-MM)
+ */
+export function addMonths(month, months) {
+  const date = new Date(`${month}-01T00:00:00Z`);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * @param {string} from - First month (YYYY-MM)
+ * @param {string} to - Last month (YYYY-MM)
+ * @returns {number} Months from the first to the last, both included
+ */
+export function countMonths(from, to) {
+  const [fromYear, fromMonth] = from.split('-').map(Number);
+  const [toYear, toMonth] = to.split('-').map(Number);
+  return (toYear - fromYear) * 12 + (toMonth - fromMonth) + 1;
+}
+
+/**
+ * Instant of a local date and time
+ * @param {string} localDate - Date (YYYY-MM-DD)
+ * @param {string} localTime - Time (HH:MM or HH:MM:SS), default midnight
+ * @returns {Date|null} The instant, or null if the date or time is malformed
+ */
+export function fromLocalDateTime(localDate, localTime = '00:00:00') {
+  const dateMatch = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(localDate));
+  const timeMatch = /^(\d{2}):(\d{2})(?::(\d{2}))?/.exec(String(localTime));
+  if (!dateMatch || !timeMatch) return null;
+
+  const [, year, month, day] = dateMatch.map(Number);
+  const [, hour, minute, second = 0] = timeMatch.map(value => Number(value || 0));
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Offset of the zone at an instant: its wall clock read as UTC, minus the instant
+  const offsetAt = instant => {
+    const parts = localParts(new Date(instant));
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+  };
+
+  // The offset at the first guess can be off by the DST shift near a transition; one more
+  // pass settles it
+  let instant = wallClock - offsetAt(wallClock);
+  instant = wallClock - offsetAt(instant);
+
+  return new Date(instant);
+}
@@ -0,0 +1,14 @@
+/**
+ * OData query helpers
+ */
+
+/**
+ * Quote a value as an OData string literal
+ * Single quotes are doubled, as OData requires, so keys and values containing them cannot
+ * end the literal early or change the filter.
+ * @param {*} value - Value to quote
+ * @returns {string} e.g. 'O''Brien'
+ */
+export function odataString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
@@ -0,0 +1,132 @@
+import { LISTING_TIME_ZONE, fromLocalDateTime } from './listingTime.js';
+
+/**
+ * iCalendar (RFC 5545) feeds of open houses
+ *
+ * One VEVENT per open house, with UTC start and end converted from the stored Toronto local
+ * times. Open houses without a start time become all-day events. The UID is the OpenHouseKey,
+ * so calendar apps update (or cancel) an event when the feed changes.
+ */
+
+const PRODUCT_ID = '-//real-estate-idx-vow-backend//Open Houses//EN';
+const UID_DOMAIN = 'open-houses.real-estate-idx-vow-backend';
+
+// Content lines are folded at 75 octets
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line, continuation lines starting with a space; never splits a character
+ */
+function foldLine(line) {
+  const chunks = [];
+  let chunk = '';
+  let octets = 0;
+
+  for (const character of line) {
+    const size = Buffer.byteLength(character);
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (octets + size > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      octets = 0;
+    }
+
+    chunk += character;
+    octets += size;
+  }
+
+  chunks.push(chunk);
+  return chunks.join('\r\n ');
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} UTC DATE-TIME (20251011T180000Z)
+ */
+function formatDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Calendar event lines of an open house row (OpenHouse columns joined with the listing's
+ * address and price, as returned by DatabaseService.getOpenHouses())
+ */
+function eventLines(openHouse, now) {
+  const start = openHouse.OpenHouseStartTime
+    ? fromLocalDateTime(openHouse.OpenHouseDate, openHouse.OpenHouseStartTime)
+    : null;
+  const end = start && openHouse.OpenHouseEndTime
+    ? fromLocalDateTime(openHouse.OpenHouseDate, openHouse.OpenHouseEndTime)
+    : null;
+  const modified = openHouse.ModificationTimestamp ? new Date(openHouse.ModificationTimestamp) : now;
+  const address = openHouse.UnparsedAddress || openHouse.ListingKey;
+
+  const description = [
+    openHouse.ListPrice ? `Listed at $${Number(openHouse.ListPrice).toLocaleString('en-CA')}` : null,
+    [openHouse.PropertySubType || openHouse.PropertyType, openHouse.BedroomsAboveGrade && `${openHouse.BedroomsAboveGrade} bed`,
+      openHouse.BathroomsTotalInteger && `${openHouse.BathroomsTotalInteger} bath`].filter(Boolean).join(', ') || null,
+    openHouse.OpenHouseRemarks,
+    openHouse.ListOfficeName ? `Listing brokerage: ${openHouse.ListOfficeName}` : null,
+    `MLS® ${openHouse.ListingKey}`
+  ].filter(Boolean).join('\n');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${openHouse.OpenHouseKey}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatDateTime(Number.isNaN(modified.getTime()) ? now : modified)}`
+  ];
+
+  if (start) {
+    lines.push(`DTSTART:${formatDateTime(start)}`);
+    if (end && end > start) {
+      lines.push(`DTEND:${formatDateTime(end)}`);
+    }
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${String(openHouse.OpenHouseDate).slice(0, 10).replace(/-/g, '')}`);
+  }
+
+  lines.push(
+    `SUMMARY:${escapeText(`Open house: ${address}`)}`,
+    `LOCATION:${escapeText(address)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${/cancel/i.test(openHouse.OpenHouseStatus || '') ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT'
+  );
+
+  return lines;
+}
+
+/**
+ * Render an iCalendar feed
+ * @param {string} name - Calendar name shown by calendar apps
+ * @param {Array<Object>} openHouses - Open house rows with listing details
+ * @returns {string} text/calendar document
+ */
+export function renderOpenHouseCalendar(name, openHouses) {
+  const now = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${LISTING_TIME_ZONE}`,
+    ...openHouses.filter(openHouse => openHouse.OpenHouseDate).flatMap(openHouse => eventLines(openHouse, now)),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
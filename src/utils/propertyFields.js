@@ -0,0 +1,116 @@
+import propertySchema from '../config/generated/Property.js';
+import { isPropertyFieldAllowed } from './entitlements.js';
+
+/**
+ * Sparse field selection (?fields=) and embedded records (?expand=) for the property endpoints
+ *
+ *   fields=ListingKey,ListPrice,City     listed columns only
+ *   fields=core,address                  named presets
+ *   fields=core,PublicRemarks            presets and columns mixed
+ *
+ * Columns come from the Property allow-list (src/config/generated/Property.js). The presets
+ * carry the columns of the SQL views in utils/property_views, returned as stored (the views
+ * also reformat some values). ListingKey is always included.
+ *
+ *   expand=media,rooms,openHouses        child records of each listing
+ *   expand=office,agent                  listing brokerage (Office) and agent (Member)
+ */
+
+export const PROPERTY_FIELD_PRESETS = {
+  // utils/property_views/001_create_propertycore_view.sql
+  core: [
+    'ListingKey', 'ListPrice', 'ClosePrice', 'MlsStatus', 'ContractStatus', 'StandardStatus',
+    'TransactionType', 'PropertyType', 'PropertySubType', 'ModificationTimestamp',
+    'OriginalEntryTimestamp', 'CreatedAt', 'UpdatedAt'
+  ],
+  // utils/property_views/002_create_propertyaddress_view.sql
+  address: [
+    'ListingKey', 'UnparsedAddress', 'StreetNumber', 'StreetName', 'StreetSuffix', 'City',
+    'CountyOrParish', 'CityRegion', 'StateOrProvince', 'PostalCode', 'UnitNumber'
+  ],
+  // utils/property_views/003_create_propertylayout_view.sql
+  layout: [
+    'ListingKey', 'BedroomsAboveGrade', 'BedroomsBelowGrade', 'BathroomsTotalInteger',
+    'KitchensAboveGrade', 'KitchensBelowGrade', 'KitchensTotal', 'DenFamilyRoomYN', 'LivingAreaRange'
+  ],
+  // utils/property_views/004_create_propertyfeatures_view.sql
+  features: [
+    'ListingKey', 'ArchitecturalStyle', 'Cooling', 'Sewer', 'Basement', 'BasementEntrance',
+    'ExteriorFeatures', 'InteriorFeatures', 'PropertyFeatures', 'PoolFeatures', 'RentIncludes',
+    'HeatType', 'FireplaceYN', 'WaterfrontYN'
+  ],
+  // utils/property_views/006_create_propertyfinancial_view.sql
+  financial: [
+    'ListingKey', 'ListPrice', 'ClosePrice', 'TaxAnnualAmount', 'TaxYear', 'AssociationFee',
+    'AssociationFeeIncludes', 'AdditionalMonthlyFee'
+  ]
+};
+
+// Records a property response can embed, each under the property key of the same name
+export const PROPERTY_EXPANSIONS = ['media', 'rooms', 'openHouses', 'office', 'agent'];
+
+const PROPERTY_COLUMNS = new Set(propertySchema.columns);
+
+const splitList = param => [].concat(param).flatMap(value => String(value).split(',')).map(value => value.trim()).filter(Boolean);
+
+/**
+ * Parse a fields parameter
+ * Explicitly requested VOW-only columns are refused for IDX callers; presets just leave them out.
+ * @param {string|Array<string>|undefined} param - Comma-separated columns and preset names
+ * @param {string} entitlement - Caller entitlement level
+ * @returns {{fields: Array<string>|null, error: string|null, status: number|null}} Selected
+ *   columns (null: all columns), or the error and the HTTP status to answer with (400 invalid,
+ *   403 VOW-only field)
+ */
+export function parsePropertyFields(param, entitlement) {
+  if (param === undefined) {
+    return { fields: null, error: null, status: null };
+  }
+
+  const names = splitList(param);
+  const fail = (error, status = 400) => ({ fields: null, error, status });
+
+  if (names.length === 0) {
+    return fail(`fields must list columns or presets (${Object.keys(PROPERTY_FIELD_PRESETS).join(', ')})`);
+  }
+
+  const fields = new Set(['ListingKey']);
+
+  for (const name of names) {
+    const preset = PROPERTY_FIELD_PRESETS[name];
+
+    if (preset) {
+      preset.filter(column => isPropertyFieldAllowed(column, entitlement)).forEach(column => fields.add(column));
+      continue;
+    }
+
+    if (!PROPERTY_COLUMNS.has(name)) {
+      return fail(`Unknown field: ${name} (expected Property columns or ${Object.keys(PROPERTY_FIELD_PRESETS).join(', ')})`);
+    }
+
+    if (!isPropertyFieldAllowed(name, entitlement)) {
+      return fail(`Field ${name} requires a registered consumer session`, 403);
+    }
+
+    fields.add(name);
+  }
+
+  return { fields: [...fields], error: null, status: null };
+}
+
+/**
+ * Parse an expand parameter
+ * @param {string|Array<string>|undefined} param - Comma-separated PROPERTY_EXPANSIONS
+ * @returns {{expand: Array<string>, error: string|null}} Requested expansions, or why the
+ *   parameter was rejected
+ */
+export function parsePropertyExpand(param) {
+  const expand = param === undefined ? [] : [...new Set(splitList(param))];
+  const unknown = expand.filter(value => !PROPERTY_EXPANSIONS.includes(value));
+
+  if (unknown.length > 0) {
+    return { expand: [], error: `Unknown expand value: ${unknown.join(', ')} (expected ${PROPERTY_EXPANSIONS.join(', ')})` };
+  }
+
+  return { expand, error: null };
+}
@@ -0,0 +1,164 @@
+import propertySchema from '../config/generated/Property.js';
+import { isPropertyFieldAllowed } from './entitlements.js';
+
+/**
+ * Filter grammar for GET /api/properties
+ *
+ *   Field=value                   equal ('%' wildcards match case-insensitively on text fields)
+ *   Field[ne]=value               not equal
+ *   Field[gt|gte|lt|lte]=value    ranges on number, date and timestamp fields
+ *   Field[in]=a,b,c               any of the values
+ *   Field[contains]=a,b           multi-value fields holding all of the values
+ *   Field[null]=true|false        field missing / present
+ *
+ * Fields are the feed columns of the Property allow-list (src/config/generated/Property.js)
+ * the caller may see, and values are converted to the field's type. The parsed filters
+ * ({ Field: { operator: value } }) are turned into storage conditions by
+ * DatabaseService.getProperties().
+ */
+
+export const FILTER_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'contains', 'null'];
+
+const RANGE_OPERATORS = new Set(['gt', 'gte', 'lt', 'lte']);
+const NUMBER_TYPES = new Set([
+  'Edm.Byte', 'Edm.SByte', 'Edm.Int16', 'Edm.Int32', 'Edm.Int64', 'Edm.Decimal', 'Edm.Double', 'Edm.Single'
+]);
+const INTEGER_TYPES = new Set(['Edm.Byte', 'Edm.SByte', 'Edm.Int16', 'Edm.Int32', 'Edm.Int64']);
+const ORDERED_TYPES = new Set([...NUMBER_TYPES, 'Edm.Date', 'Edm.DateTimeOffset']);
+
+const FILTER_FIELDS = new Map(propertySchema.fields.map(field => [field.name, field]));
+
+/**
+ * Operators a field supports
+ * @param {Object} field - Field of the generated field map
+ * @returns {Array<string>}
+ */
+function operatorsFor(field) {
+  if (field.collection) {
+    return ['contains', 'null'];
+  }
+  return FILTER_OPERATORS.filter(op => op !== 'contains' && (ORDERED_TYPES.has(field.type) || !RANGE_OPERATORS.has(op)));
+}
+
+/**
+ * Convert one query-string value to the field's type
+ * @returns {{value: *}|{error: string}}
+ */
+function parseValue(raw, field) {
+  const text = String(raw).trim();
+
+  if (text === '') {
+    return { error: `${field.name} needs a value` };
+  }
+
+  if (NUMBER_TYPES.has(field.type)) {
+    const number = Number(text);
+    if (!Number.isFinite(number) || (INTEGER_TYPES.has(field.type) && !Number.isInteger(number))) {
+      return { error: `${field.name} must be ${INTEGER_TYPES.has(field.type) ? 'an integer' : 'a number'}` };
+    }
+    return { value: number };
+  }
+
+  switch (field.type) {
+    case 'Edm.Boolean':
+      if (/^(true|y|yes|1)$/i.test(text)) return { value: true };
+      if (/^(false|n|no|0)$/i.test(text)) return { value: false };
+      return { error: `${field.name} must be true or false` };
+
+    case 'Edm.Date':
+      return /^\d{4}-\d{2}-\d{2}$/.test(text) && !Number.isNaN(Date.parse(text))
+        ? { value: text }
+        : { error: `${field.name} must be a date (YYYY-MM-DD)` };
+
+    case 'Edm.DateTimeOffset': {
+      const date = new Date(text);
+      return Number.isNaN(date.getTime())
+        ? { error: `${field.name} must be an ISO 8601 timestamp` }
+        : { value: date.toISOString() };
+    }
+
+    default:
+      return { value: text };
+  }
+}
+
+/**
+ * Convert the operand of one operator
+ * @returns {{value: *}|{error: string}}
+ */
+function parseOperand(op, raw, field) {
+  if (op === 'null') {
+    return parseValue(raw, { name: `${field.name}[null]`, type: 'Edm.Boolean' });
+  }
+
+  if (op === 'in' || op === 'contains') {
+    const items = [].concat(raw).flatMap(item => String(item).split(',')).filter(item => item.trim() !== '');
+    if (items.length === 0) {
+      return { error: `${field.name}[${op}] needs at least one value` };
+    }
+
+    const values = [];
+    for (const item of items) {
+      const parsed = parseValue(item, field);
+      if (parsed.error) return parsed;
+      values.push(parsed.value);
+    }
+    return { value: values };
+  }
+
+  if (Array.isArray(raw) || (raw && typeof raw === 'object')) {
+    return { error: `${field.name}[${op}] takes a single value` };
+  }
+
+  return parseValue(raw, field);
+}
+
+/**
+ * Parse the filter parameters of a listing query
+ * @param {Object} query - Query parameters other than paging and sorting, as parsed by Express
+ *   (ListPrice[gte]=1 arrives as { ListPrice: { gte: '1' } })
+ * @param {string} entitlement - Caller entitlement level
+ * @returns {{filters: Object|null, error: string|null, status: number|null}} Parsed filters, or
+ *   the error and the HTTP status to answer with (400 invalid, 403 VOW-only field)
+ */
+export function parsePropertyFilters(query, entitlement) {
+  const filters = {};
+  const fail = (error, status = 400) => ({ filters: null, error, status });
+
+  for (const [name, raw] of Object.entries(query)) {
+    const field = FILTER_FIELDS.get(name);
+
+    if (!field) {
+      return fail(`Unknown filter field: ${name}`);
+    }
+
+    if (!isPropertyFieldAllowed(name, entitlement)) {
+      return fail(`Filtering by ${name} requires a registered consumer session`, 403);
+    }
+
+    // Field=value, or Field=a&Field=b (any of the values)
+    const operands = raw && typeof raw === 'object' && !Array.isArray(raw)
+      ? raw
+      : { [Array.isArray(raw) ? 'in' : 'eq']: raw };
+    const allowed = operatorsFor(field);
+
+    filters[name] = {};
+
+    for (const [op, operand] of Object.entries(operands)) {
+      if (!allowed.includes(op)) {
+        return fail(FILTER_OPERATORS.includes(op)
+          ? `${name} does not support [${op}] (supported: ${allowed.join(', ')})`
+          : `Unknown filter operator: ${name}[${op}] (expected one of ${FILTER_OPERATORS.join(', ')})`);
+      }
+
+      const { value, error } = parseOperand(op, operand, field);
+      if (error) {
+        return fail(error);
+      }
+
+      filters[name][op] = value;
+    }
+  }
+
+  return { filters, error: null, status: null };
+}
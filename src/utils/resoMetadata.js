@@ -0,0 +1,264 @@
+/**
+ * RESO $metadata helpers
+ *
+ * Reads the entity types of an OData CSDL document (the XML served at /odata/$metadata, or
+ * the JSON CSDL variant) and converts feed values to the column types derived from them.
+ * src/scripts/generate-schema.js uses these to generate the field maps in src/config/generated
+ * and the matching DDL; the mappers use coerceRecord() to apply them.
+ */
+
+// EDM primitive types and the Postgres column type each one is stored as
+const POSTGRES_TYPES = {
+  'Edm.String': 'TEXT',
+  'Edm.Guid': 'TEXT',
+  'Edm.Boolean': 'BOOLEAN',
+  'Edm.Byte': 'INTEGER',
+  'Edm.SByte': 'INTEGER',
+  'Edm.Int16': 'INTEGER',
+  'Edm.Int32': 'INTEGER',
+  'Edm.Int64': 'BIGINT',
+  'Edm.Decimal': 'DECIMAL',
+  'Edm.Double': 'DECIMAL',
+  'Edm.Single': 'DECIMAL',
+  'Edm.Date': 'DATE',
+  'Edm.DateTimeOffset': 'TIMESTAMPTZ',
+  'Edm.TimeOfDay': 'TIME'
+};
+
+const INTEGER_TYPES = new Set(['Edm.Byte', 'Edm.SByte', 'Edm.Int16', 'Edm.Int32', 'Edm.Int64']);
+const DECIMAL_TYPES = new Set(['Edm.Decimal', 'Edm.Double', 'Edm.Single']);
+
+const COLLECTION_TYPE = /^Collection\((.+)\)$/;
+const XML_ATTRIBUTE = /([\w:]+)="([^"]*)"/g;
+
+/**
+ * @typedef {Object} MetadataField
+ * @property {string} name - Field name, identical to the column name
+ * @property {string} type - EDM type; enumerations and other non-primitive types become Edm.String
+ * @property {boolean} collection - Multi-value field (Collection(...)), stored as TEXT[]
+ */
+
+/**
+ * Normalize a CSDL type reference into { type, collection }
+ * RESO lookups are published either as strings or as enumeration types; both are stored as text.
+ * @param {string} rawType - e.g. 'Edm.Decimal', 'Collection(Edm.String)', 'PROPTX.Enums.Cooling'
+ * @param {boolean} collection - Already known to be a collection (JSON CSDL $Collection)
+ * @returns {{type: string, collection: boolean}}
+ */
+function normalizeType(rawType = 'Edm.String', collection = false) {
+  const match = COLLECTION_TYPE.exec(rawType);
+  const type = match ? match[1] : rawType;
+
+  return {
+    type: POSTGRES_TYPES[type] ? type : 'Edm.String',
+    collection: collection || Boolean(match)
+  };
+}
+
+function readXmlAttributes(tag) {
+  return Object.fromEntries([...tag.matchAll(XML_ATTRIBUTE)].map(([, name, value]) => [name, value]));
+}
+
+function parseXmlMetadata(xml) {
+  const entityTypes = {};
+
+  for (const [, attributes, body] of xml.matchAll(/<EntityType\s([^>]*)>([\s\S]*?)<\/EntityType>/g)) {
+    const { Name: name } = readXmlAttributes(attributes);
+    const key = [...body.matchAll(/<PropertyRef\s([^>]*?)\/?>/g)].map(([, ref]) => readXmlAttributes(ref).Name);
+    const fields = [...body.matchAll(/<Property\s([^>]*?)\/?>/g)].map(([, tag]) => {
+      const { Name, Type } = readXmlAttributes(tag);
+      return { name: Name, ...normalizeType(Type) };
+    });
+
+    entityTypes[name] = { name, key, fields };
+  }
+
+  return entityTypes;
+}
+
+function parseJsonMetadata(document) {
+  const entityTypes = {};
+
+  for (const [namespace, schema] of Object.entries(document)) {
+    if (namespace.startsWith('$') || !schema || typeof schema !== 'object') {
+      continue;
+    }
+
+    for (const [name, element] of Object.entries(schema)) {
+      if (element?.$Kind !== 'EntityType') {
+        continue;
+      }
+
+      const fields = Object.entries(element)
+        .filter(([member, value]) => !member.startsWith('$') && value && !value.$Kind)
+        .map(([member, value]) => ({ name: member, ...normalizeType(value.$Type, value.$Collection === true) }));
+
+      entityTypes[name] = { name, key: element.$Key || [], fields };
+    }
+  }
+
+  return entityTypes;
+}
+
+/**
+ * Parse the entity types of a $metadata document
+ * @param {string|Object} document - CSDL XML text, JSON CSDL text or a parsed JSON CSDL object
+ * @returns {Object<string, {name: string, key: Array<string>, fields: Array<MetadataField>}>}
+ *   Entity types keyed by name ('Property', 'Media', ...)
+ */
+export function parseMetadata(document) {
+  if (typeof document === 'string') {
+    const text = document.trim();
+
+    if (text.startsWith('<')) {
+      return parseXmlMetadata(text);
+    }
+
+    document = JSON.parse(text);
+  }
+
+  if (!document || typeof document !== 'object') {
+    throw new Error('Unsupported $metadata document');
+  }
+
+  return parseJsonMetadata(document);
+}
+
+/**
+ * Postgres column type for a metadata field
+ * @param {MetadataField} field
+ * @returns {string} e.g. 'DECIMAL', 'TEXT[]'
+ */
+export function postgresType(field) {
+  return field.collection ? 'TEXT[]' : POSTGRES_TYPES[field.type] || 'TEXT';
+}
+
+/**
+ * Convert a multi-value feed value into an array of non-empty strings
+ * The feed sends collections as arrays, but older replication paths stored them as JSON text
+ * or single strings.
+ * @param {*} value - The value to convert
+ * @returns {Array<string>|null} Array or null
+ */
+export function toArray(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (Array.isArray(value)) {
+    const items = value.map(item => String(item).trim()).filter(Boolean);
+    return items.length > 0 ? items : null;
+  }
+
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      if (Array.isArray(parsed)) {
+        return toArray(parsed);
+      }
+    } catch (e) {
+      // Not JSON, treat as single string
+    }
+  }
+
+  const stringValue = String(value).trim();
+  return stringValue ? [stringValue] : null;
+}
+
+function toDate(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Convert a feed value to the representation stored for its EDM type
+ * Values that cannot be converted (e.g. 'N/A' in a decimal field) become null rather than
+ * failing the whole batch upsert.
+ * @param {*} value - Raw value from the API
+ * @param {MetadataField} field - Field definition
+ * @returns {*} Coerced value or null
+ */
+export function coerceValue(value, field) {
+  if (field.collection) {
+    return toArray(value);
+  }
+
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  if (INTEGER_TYPES.has(field.type)) {
+    // Counts such as KitchensTotal are sometimes sent as decimals (2.0)
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? Math.floor(number) : null;
+  }
+
+  if (DECIMAL_TYPES.has(field.type)) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  switch (field.type) {
+    case 'Edm.Boolean':
+      if (typeof value === 'boolean') return value;
+      if (/^(true|y|yes|1)$/i.test(String(value).trim())) return true;
+      if (/^(false|n|no|0)$/i.test(String(value).trim())) return false;
+      return null;
+
+    case 'Edm.DateTimeOffset': {
+      const date = toDate(value);
+      return date ? date.toISOString() : null;
+    }
+
+    case 'Edm.Date': {
+      // Keep the calendar date as sent; parsing '2025-10-01' as a Date would shift it by time zone
+      const match = /^\d{4}-\d{2}-\d{2}/.exec(String(value));
+      if (match) return match[0];
+      const date = toDate(value);
+      return date ? date.toISOString().slice(0, 10) : null;
+    }
+
+    default:
+      return typeof value === 'string' ? value : String(value);
+  }
+}
+
+/**
+ * Build a row from a raw API record using a generated field map
+ * @param {Object} record - Raw API record
+ * @param {Array<MetadataField>} fields - Field map (src/config/generated/<Resource>.js)
+ * @returns {Object} Row with one coerced value per field
+ */
+export function coerceRecord(record, fields) {
+  return Object.fromEntries(fields.map(field => [field.name, coerceValue(record[field.name], field)]));
+}
+
+/**
+ * Postgres DDL adding the mapped fields to a table
+ * Every column is added with ADD COLUMN IF NOT EXISTS, so the script both creates the table
+ * and adopts newly mapped fields on an existing database. Column types of existing columns
+ * are never changed.
+ * @param {Object} options
+ * @param {string} options.table - Table name
+ * @param {string} options.key - Primary key column
+ * @param {Array<MetadataField>} options.fields - Mapped fields
+ * @param {Object<string, string>} options.localColumns - Column definitions not taken from the feed
+ * @returns {string} SQL script
+ */
+export function generateDdl({ table, key, fields, localColumns = {} }) {
+  const keyField = fields.find(field => field.name === key);
+  const columns = [
+    ...fields
+      .filter(field => field.name !== key)
+      .map(field => [field.name, postgresType(field)]),
+    ...Object.entries(localColumns)
+  ];
+
+  return [
+    `CREATE TABLE IF NOT EXISTS "${table}" (`,
+    `    "${key}" ${keyField ? postgresType(keyField) : 'TEXT'} PRIMARY KEY`,
+    ');',
+    '',
+    `ALTER TABLE "${table}"`,
+    columns.map(([name, type]) => `    ADD COLUMN IF NOT EXISTS "${name}" ${type}`).join(',\n') + ';',
+    ''
+  ].join('\n');
+}
@@ -0,0 +1,21 @@
+/**
+ * API roles, from least to most privileged
+ *
+ * Every caller has exactly one role and is granted everything the roles below it are:
+ * - public: anonymous callers (listings, photos, open houses, health)
+ * - partner: integrations that watch replication (sync status and jobs)
+ * - operator: runs syncs (triggers, cancellation, single-listing re-syncs, sync config)
+ * - admin: manages API keys
+ */
+export const ROLES = ['public', 'partner', 'operator', 'admin'];
+
+/**
+ * Whether a role grants the access of another
+ * @param {string} role - Caller role
+ * @param {string} required - Role a route requires
+ * @returns {boolean}
+ */
+export function hasRole(role, required) {
+  const rank = ROLES.indexOf(role);
+  return rank !== -1 && rank >= ROLES.indexOf(required);
+}
@@ -0,0 +1,184 @@
+import { createHmac } from 'crypto';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import express from 'express';
+import request from 'supertest';
+
+// The API key service of authenticate() and the one of the admin routes each open their own
+// storage adapter, so this file shares a database file between them instead of :memory:.
+// config.js reads the secrets on import, hence the dynamic imports below.
+const JWT_SECRET = 'test-jwt-secret';
+const ADMIN_API_KEY = 'test-admin-key';
+const databaseDir = mkdtempSync(path.join(tmpdir(), 'auth-test-'));
+
+let app;
+let requireRole;
+let hasRole;
+
+beforeAll(async () => {
+  Object.assign(process.env, {
+    SQLITE_PATH: path.join(databaseDir, 'api.db'),
+    JWT_SECRET,
+    ADMIN_API_KEY
+  });
+
+  const { authenticate } = await import('../src/middleware/auth.js');
+  ({ requireRole } = await import('../src/middleware/auth.js'));
+  ({ hasRole } = await import('../src/utils/roles.js'));
+  const { errorHandler } = await import('../src/middleware/errorHandler.js');
+  const { default: adminRoutes } = await import('../src/routes/adminRoutes.js');
+
+  app = express();
+  app.use(express.json());
+  app.use(authenticate);
+  app.get('/public', requireRole('public'), (req, res) => res.json({ auth: req.auth }));
+  app.get('/partner', requireRole('partner'), (req, res) => res.json({ auth: req.auth }));
+  app.get('/operator', requireRole('operator'), (req, res) => res.json({ auth: req.auth }));
+  app.use('/admin', adminRoutes);
+  app.use(errorHandler);
+});
+
+afterAll(() => {
+  rmSync(databaseDir, { recursive: true, force: true });
+});
+
+/**
+ * HS256 JWT with the given claims
+ */
+function signJwt(claims, secret = JWT_SECRET) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+  return `${unsigned}.${createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+}
+
+const inOneHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+async function createKey(role) {
+  const response = await request(app)
+    .post('/admin/keys')
+    .set('X-API-Key', ADMIN_API_KEY)
+    .send({ name: `${role} integration`, role });
+
+  expect(response.status).toBe(201);
+  return response.body.data;
+}
+
+describe('roles', () => {
+  test('higher roles include lower ones', () => {
+    expect(hasRole('admin', 'public')).toBe(true);
+    expect(hasRole('operator', 'partner')).toBe(true);
+    expect(hasRole('partner', 'operator')).toBe(false);
+    expect(hasRole('root', 'public')).toBe(false);
+  });
+
+  test('routes can only require known roles', () => {
+    expect(() => requireRole('root')).toThrow('Unknown role: root');
+    expect(requireRole('operator').role).toBe('operator');
+  });
+});
+
+describe('anonymous callers', () => {
+  test('reach public routes only', async () => {
+    const response = await request(app).get('/public');
+
+    expect(response.status).toBe(200);
+    expect(response.body.auth).toMatchObject({ role: 'public', method: 'anonymous' });
+  });
+
+  test('get 401 on protected routes', async () => {
+    const response = await request(app).get('/partner');
+
+    expect(response.status).toBe(401);
+    expect(response.body).toMatchObject({ success: false, error: 'Unauthorized' });
+  });
+});
+
+describe('API keys', () => {
+  test('a key grants its role and the roles below it', async () => {
+    const { key, id } = await createKey('partner');
+
+    const partner = await request(app).get('/partner').set('X-API-Key', key);
+    expect(partner.status).toBe(200);
+    expect(partner.body.auth).toMatchObject({ role: 'partner', method: 'api-key', keyId: id });
+
+    expect((await request(app).get('/public').set('X-API-Key', key)).status).toBe(200);
+    expect((await request(app).get('/operator').set('X-API-Key', key)).status).toBe(403);
+    expect((await request(app).get('/admin/keys').set('X-API-Key', key)).status).toBe(403);
+  });
+
+  test('keys are listed without their secret', async () => {
+    const { id } = await createKey('operator');
+
+    const response = await request(app).get('/admin/keys').set('X-API-Key', ADMIN_API_KEY);
+
+    expect(response.status).toBe(200);
+    const listed = response.body.data.find(apiKey => apiKey.id === id);
+    expect(listed).toMatchObject({ role: 'operator', revoked_at: null });
+    expect(listed).not.toHaveProperty('key');
+    expect(listed).not.toHaveProperty('key_hash');
+  });
+
+  test('a revoked key is rejected with 401', async () => {
+    const { key, id } = await createKey('operator');
+    expect((await request(app).get('/operator').set('X-API-Key', key)).status).toBe(200);
+
+    const revoked = await request(app).delete(`/admin/keys/${id}`).set('X-API-Key', ADMIN_API_KEY);
+    expect(revoked.status).toBe(200);
+
+    expect((await request(app).get('/operator').set('X-API-Key', key)).status).toBe(401);
+    expect((await request(app).delete(`/admin/keys/${id}`).set('X-API-Key', ADMIN_API_KEY)).status).toBe(409);
+  });
+
+  test('unknown keys are rejected with 401, even on public routes', async () => {
+    const response = await request(app).get('/public').set('X-API-Key', 'rek_unknown');
+
+    expect(response.status).toBe(401);
+    expect(response.body.message).toBe('Invalid, expired or revoked API key');
+  });
+
+  test('invalid key requests are rejected with 400', async () => {
+    const send = body => request(app).post('/admin/keys').set('X-API-Key', ADMIN_API_KEY).send(body);
+
+    expect((await send({ role: 'partner' })).status).toBe(400);
+    expect((await send({ name: 'x', role: 'root' })).status).toBe(400);
+    expect((await send({ name: 'x', role: 'partner', expiresAt: '2000-01-01T00:00:00Z' })).status).toBe(400);
+  });
+});
+
+describe('JWTs', () => {
+  test('a token signed with JWT_SECRET grants its role', async () => {
+    const token = signJwt({ sub: 'ops@example.com', role: 'operator', exp: inOneHour() });
+
+    const response = await request(app).get('/operator').set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.auth).toEqual({ role: 'operator', method: 'jwt', subject: 'ops@example.com', keyId: null });
+  });
+
+  test('a lower role gets 403', async () => {
+    const token = signJwt({ sub: 'partner', role: 'partner', exp: inOneHour() });
+
+    expect((await request(app).get('/operator').set('Authorization', `Bearer ${token}`)).status).toBe(403);
+  });
+
+  test.each([
+    ['an expired token', { role: 'operator', exp: Math.floor(Date.now() / 1000) - 60 }, 'Token expired'],
+    ['a token without exp', { sub: 'ops', role: 'admin' }, 'Missing exp'],
+    ['a token with a non-numeric exp', { role: 'admin', exp: 'never' }, 'Missing exp'],
+    ['a token that is not yet valid', { role: 'operator', exp: inOneHour(), nbf: inOneHour() }, 'Token not yet valid'],
+    ['a token of an unknown role', { role: 'root', exp: inOneHour() }, 'Token role must be one of public, partner, operator, admin']
+  ])('%s is rejected with 401', async (description, claims, message) => {
+    const response = await request(app).get('/public').set('Authorization', `Bearer ${signJwt(claims)}`);
+
+    expect(response.status).toBe(401);
+    expect(response.body.message).toBe(message);
+  });
+
+  test('tokens signed with another secret grant nothing', async () => {
+    const token = signJwt({ role: 'admin', exp: inOneHour() }, 'another-secret');
+
+    expect((await request(app).get('/public').set('Authorization', `Bearer ${token}`)).body.auth.method).toBe('anonymous');
+    expect((await request(app).get('/partner').set('Authorization', `Bearer ${token}`)).status).toBe(401);
+  });
+});
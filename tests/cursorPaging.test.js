@@ -0,0 +1,93 @@
+import request from 'supertest';
+import PropertyController from '../src/controllers/propertyController.js';
+import { decodeCursor, encodeCursor } from '../src/utils/cursor.js';
+import { createSyncedDatabase, createTestApp } from './helpers.js';
+
+describe('cursor tokens', () => {
+  test('round-trip', () => {
+    const cursor = { sortBy: 'ListPrice', sortOrder: 'asc', position: [749900, 'W12400002'], direction: 'next' };
+
+    expect(decodeCursor(encodeCursor(cursor))).toEqual(cursor);
+  });
+
+  test.each([
+    ['not base64 JSON', 'garbage'],
+    ['an unknown sort order', encodeCursor({ sortBy: 'ListPrice', sortOrder: 'up', position: [1], direction: 'next' })],
+    ['an empty position', encodeCursor({ sortBy: 'ListPrice', sortOrder: 'asc', position: [], direction: 'next' })],
+    ['an unknown direction', encodeCursor({ sortBy: 'ListPrice', sortOrder: 'asc', position: [1], direction: 'up' })]
+  ])('tokens with %s are rejected', (description, token) => {
+    expect(decodeCursor(token)).toBeNull();
+  });
+});
+
+describe('GET /properties cursor paging', () => {
+  let app;
+
+  beforeAll(async () => {
+    const controller = new PropertyController();
+    controller.database = await createSyncedDatabase();
+
+    app = createTestApp(testApp => {
+      testApp.get('/properties', controller.getProperties.bind(controller));
+    });
+  });
+
+  const get = query => request(app).get(`/properties?${query}`);
+  const keysOf = response => response.body.data.map(listing => listing.ListingKey);
+
+  test('next cursors walk every listing once, ties broken by ListingKey', async () => {
+    // W12400001 and W12400002 share their ModificationTimestamp
+    const pages = [];
+    let response = await get('limit=1&sortBy=ModificationTimestamp&sortOrder=desc');
+
+    expect(response.body.pagination).toMatchObject({ page: 1, limit: 1, total: 3, prevCursor: null });
+
+    while (true) {
+      expect(response.status).toBe(200);
+      pages.push(keysOf(response));
+
+      const { nextCursor } = response.body.pagination;
+      if (!nextCursor) break;
+      response = await get(`limit=1&cursor=${nextCursor}`);
+    }
+
+    expect(pages).toEqual([['W12400003'], ['W12400001'], ['W12400002']]);
+  });
+
+  test('prev cursors page back to the start', async () => {
+    const first = await get('limit=2&sortBy=ListPrice&sortOrder=asc');
+    const second = await get(`limit=2&cursor=${first.body.pagination.nextCursor}`);
+
+    expect(keysOf(first)).toEqual(['W12400002', 'W12400003']);
+    expect(keysOf(second)).toEqual(['W12400001']);
+    expect(second.body.pagination).not.toHaveProperty('total');
+    expect(second.body.pagination.nextCursor).toBeNull();
+
+    const back = await get(`limit=2&cursor=${second.body.pagination.prevCursor}`);
+
+    expect(keysOf(back)).toEqual(['W12400002', 'W12400003']);
+    expect(back.body.pagination.prevCursor).toBeNull();
+  });
+
+  test('a cursor only continues its own sort', async () => {
+    const first = await get('limit=1&sortBy=ListPrice&sortOrder=asc');
+    const response = await get(`limit=1&sortBy=City&cursor=${first.body.pagination.nextCursor}`);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('cursor belongs to sortBy=ListPrice&sortOrder=asc');
+  });
+
+  test.each([
+    ['a malformed cursor', 'cursor=garbage', 'Invalid cursor'],
+    ['a cursor of another sort shape', `cursor=${encodeCursor({ sortBy: 'ListPrice', sortOrder: 'asc', position: [1], direction: 'next' })}`, 'Invalid cursor for this sort order'],
+    ['an unknown sort field', 'sortBy=Foo', 'Unknown sortBy field: Foo'],
+    ['a cursor of an unknown sort field', `cursor=${encodeCursor({ sortBy: 'Foo', sortOrder: 'asc', position: [1, 'W1'], direction: 'next' })}`, 'Unknown sortBy field: Foo'],
+    ['an unknown sort order', 'sortOrder=up', 'sortOrder must be asc or desc'],
+    ['an invalid includeTotal', 'includeTotal=yes', 'includeTotal must be true or false']
+  ])('%s is rejected with 400', async (description, query, error) => {
+    const response = await get(query);
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ success: false, error });
+  });
+});
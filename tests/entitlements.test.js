@@ -0,0 +1,90 @@
+import express from 'express';
+import request from 'supertest';
+import PropertyController from '../src/controllers/propertyController.js';
+import { resolveEntitlement } from '../src/middleware/entitlement.js';
+import { getPropertySelect, isPropertyFieldAllowed, listingScope } from '../src/utils/entitlements.js';
+import { createSyncedDatabase, createTestApp } from './helpers.js';
+
+let app;
+
+beforeAll(async () => {
+  const controller = new PropertyController();
+  controller.database = await createSyncedDatabase();
+
+  app = createTestApp(testApp => {
+    testApp.get('/properties', controller.getProperties.bind(controller));
+    testApp.get('/properties/:listingKey', controller.getProperty.bind(controller));
+  });
+});
+
+const asIdx = path => request(app).get(path);
+const asVow = path => request(app).get(path).set('X-Test-Entitlement', 'vow');
+
+describe('entitlement rules', () => {
+  test('VOW-only fields are readable by VOW callers only', () => {
+    expect(isPropertyFieldAllowed('ListPrice', 'idx')).toBe(true);
+    expect(isPropertyFieldAllowed('ClosePrice', 'idx')).toBe(false);
+    expect(isPropertyFieldAllowed('ClosePrice', 'vow')).toBe(true);
+  });
+
+  test('IDX selects leave out VOW-only and internal columns', async () => {
+    const idxColumns = (await getPropertySelect('idx')).split(',');
+    const vowColumns = (await getPropertySelect('vow')).split(',');
+
+    expect(idxColumns).toContain('ListPrice');
+    expect(idxColumns).not.toContain('ClosePrice');
+    expect(idxColumns).not.toContain('DeletedAt');
+    expect(vowColumns).toContain('ClosePrice');
+  });
+
+  test('IDX scope requires the IDX feed flag; both exclude deleted listings', () => {
+    expect(listingScope('idx').map(({ column }) => column)).toEqual(['DeletedAt', 'IdxFeedYN']);
+    expect(listingScope('vow').map(({ column }) => column)).toEqual(['DeletedAt']);
+  });
+});
+
+describe('listing endpoints by entitlement', () => {
+  test('IDX callers only get IDX listings, without sold fields', async () => {
+    const response = await asIdx('/properties?sortBy=ListingKey&sortOrder=asc');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.map(listing => listing.ListingKey)).toEqual(['W12400001', 'W12400002', 'W12400003']);
+    response.body.data.forEach(listing => {
+      expect(listing).not.toHaveProperty('ClosePrice');
+      expect(listing).not.toHaveProperty('VowFeedYN');
+    });
+  });
+
+  test('VOW callers also get sold listings and their sold fields', async () => {
+    const response = await asVow('/properties?sortBy=ListingKey&sortOrder=asc');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.map(listing => listing.ListingKey)).toEqual(['W12400001', 'W12400002', 'W12400003', 'W12400004']);
+    expect(response.body.data[3].ClosePrice).toBe(1231000);
+  });
+
+  test('a VOW-only listing is not found for IDX callers', async () => {
+    expect((await asIdx('/properties/W12400004')).status).toBe(404);
+
+    const response = await asVow('/properties/W12400004');
+    expect(response.status).toBe(200);
+    expect(response.body.data.ListingKey).toBe('W12400004');
+  });
+
+  test('IDX callers cannot filter or sort on VOW-only fields', async () => {
+    expect((await asIdx('/properties?ClosePrice[gte]=1')).status).toBe(403);
+    expect((await asIdx('/properties?sortBy=CloseDate')).status).toBe(403);
+    expect((await asVow('/properties?ClosePrice[gte]=1')).status).toBe(200);
+  });
+});
+
+describe('resolveEntitlement', () => {
+  test('anonymous callers get IDX', async () => {
+    const entitlementApp = express();
+    entitlementApp.get('/', resolveEntitlement, (req, res) => res.json({ entitlement: req.entitlement }));
+
+    const response = await request(entitlementApp).get('/');
+
+    expect(response.body).toEqual({ entitlement: 'idx' });
+  });
+});
@@ -0,0 +1,59 @@
+import express from 'express';
+import { createMockAmpreServer } from '../mock/ampreMockServer.js';
+import AmpreApiService from '../src/services/ampreApiService.js';
+import DatabaseService from '../src/services/databaseService.js';
+import SyncService from '../src/services/syncService.js';
+import { errorHandler } from '../src/middleware/errorHandler.js';
+
+/**
+ * An in-memory database holding the mock fixtures, synced through the real SyncService:
+ * IDX listings W12400001-W12400003 (Active) and the VOW-only sold listing W12400004
+ * @param {Object} options - syncResources options (default: properties only)
+ * @returns {Promise<DatabaseService>}
+ */
+export async function createSyncedDatabase(options = { resources: ['property'] }) {
+  const mock = createMockAmpreServer();
+  const baseUrl = await mock.listen(0);
+
+  try {
+    const ampreApi = new AmpreApiService({ baseUrl });
+    ampreApi.sleep = async () => {};
+
+    const database = new DatabaseService();
+    const syncService = new SyncService(ampreApi, database);
+    syncService.sleep = async () => {};
+
+    const log = console.log;
+    console.log = () => {};
+    try {
+      const result = await syncService.performFullSync(options);
+      if (!result.success) {
+        throw new Error(`Fixture sync failed: ${JSON.stringify(result.resources)}`);
+      }
+    } finally {
+      console.log = log;
+    }
+
+    return database;
+
+  } finally {
+    await mock.close();
+  }
+}
+
+/**
+ * Express app for controller tests, with the API's error handler
+ * The X-Test-Entitlement header stands in for resolveEntitlement (which needs Supabase Auth).
+ * @param {Function} mount - (app) => void, registers the routes under test
+ */
+export function createTestApp(mount) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.entitlement = req.get('X-Test-Entitlement') || 'idx';
+    next();
+  });
+  mount(app);
+  app.use(errorHandler);
+  return app;
+}
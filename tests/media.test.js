@@ -0,0 +1,95 @@
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import request from 'supertest';
+import sharp from 'sharp';
+import MediaController from '../src/controllers/mediaController.js';
+import MediaCacheService from '../src/services/mediaCacheService.js';
+import { LocalBlobStore } from '../src/media/index.js';
+import { mediaCacheSettings } from '../src/config/config.js';
+import { createSyncedDatabase, createTestApp } from './helpers.js';
+
+const storeDir = mkdtempSync(path.join(tmpdir(), 'media-test-'));
+
+afterAll(() => {
+  rmSync(storeDir, { recursive: true, force: true });
+});
+
+describe('GET /media/:mediaKey/:size', () => {
+  let app;
+
+  beforeAll(async () => {
+    const database = await createSyncedDatabase({ resources: ['property', 'media'] });
+    const original = await sharp({
+      create: { width: 64, height: 48, channels: 3, background: '#808080' }
+    }).jpeg().toBuffer();
+
+    const controller = new MediaController();
+    controller.mediaCache = new MediaCacheService(database, new LocalBlobStore({ localPath: storeDir }));
+    // Originals come from the board CDN, which tests cannot reach
+    controller.mediaCache.fetchOriginal = async () => original;
+
+    app = createTestApp(testApp => {
+      testApp.get('/media/:mediaKey/:size', controller.getMediaDerivative.bind(controller));
+    });
+  });
+
+  const maxAge = mediaCacheSettings.maxAgeSeconds;
+
+  test('photos of IDX listings may be kept by shared caches', async () => {
+    const response = await request(app).get('/media/W12400001-M1/thumbnail').set('Accept', 'image/webp');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/webp');
+    expect(response.headers['cache-control']).toBe(`public, max-age=${maxAge}`);
+    expect(response.headers.vary).toBe('Accept');
+  });
+
+  test('photos served to VOW callers are private', async () => {
+    const response = await request(app).get('/media/W12400001-M1/thumbnail').set('X-Test-Entitlement', 'vow');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['cache-control']).toBe(`private, max-age=${maxAge}`);
+  });
+
+  test('photos of VOW-only listings are private, and hidden from IDX callers', async () => {
+    expect((await request(app).get('/media/W12400004-M1/card')).status).toBe(404);
+
+    const response = await request(app).get('/media/W12400004-M1/card?format=jpeg').set('X-Test-Entitlement', 'vow');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/jpeg');
+    expect(response.headers['cache-control']).toBe(`private, max-age=${maxAge}`);
+
+    const revalidated = await request(app)
+      .get('/media/W12400004-M1/card?format=jpeg')
+      .set('X-Test-Entitlement', 'vow')
+      .set('If-None-Match', response.headers.etag);
+
+    expect(revalidated.status).toBe(304);
+    expect(revalidated.headers['cache-control']).toBe(`private, max-age=${maxAge}`);
+  });
+
+  test('unknown sizes are rejected with 400', async () => {
+    expect((await request(app).get('/media/W12400001-M1/poster')).status).toBe(400);
+  });
+});
+
+describe('LocalBlobStore', () => {
+  const store = new LocalBlobStore({ localPath: path.join(storeDir, 'blobs') });
+
+  test('keys round-trip through encoded file names', async () => {
+    await store.put('W1 2%/v1/original', Buffer.from('photo'));
+
+    expect((await store.get('W1 2%/v1/original')).toString()).toBe('photo');
+    expect(await store.list('W1 2%/')).toEqual(['W1 2%/v1/original']);
+
+    await store.delete(['W1 2%/v1/original']);
+    expect(await store.get('W1 2%/v1/original')).toBeNull();
+  });
+
+  test.each(['../outside', 'W1/../../outside', './W1', 'W1/..'])('rejects the key %s', async key => {
+    await expect(store.put(key, Buffer.from('x'))).rejects.toThrow('Invalid blob key');
+    await expect(store.get(key)).rejects.toThrow('Invalid blob key');
+  });
+});
@@ -0,0 +1,103 @@
+import request from 'supertest';
+import PropertyController from '../src/controllers/propertyController.js';
+import { parsePropertyFilters } from '../src/utils/propertyFilters.js';
+import { createSyncedDatabase, createTestApp } from './helpers.js';
+
+describe('parsePropertyFilters', () => {
+  test('converts values to the field types', () => {
+    const { filters, error } = parsePropertyFilters({
+      ListPrice: { gte: '800000', lt: '1000000' },
+      BedroomsAboveGrade: '3',
+      FireplaceYN: 'yes',
+      CloseDate: { lte: '2025-10-01' },
+      ModificationTimestamp: { gt: '2025-10-01T08:00:00-04:00' }
+    }, 'vow');
+
+    expect(error).toBeNull();
+    expect(filters).toEqual({
+      ListPrice: { gte: 800000, lt: 1000000 },
+      BedroomsAboveGrade: { eq: 3 },
+      FireplaceYN: { eq: true },
+      CloseDate: { lte: '2025-10-01' },
+      ModificationTimestamp: { gt: '2025-10-01T12:00:00.000Z' }
+    });
+  });
+
+  test('lists and repeated parameters', () => {
+    expect(parsePropertyFilters({ City: { in: 'Brampton,Mississauga' } }, 'idx').filters)
+      .toEqual({ City: { in: ['Brampton', 'Mississauga'] } });
+    expect(parsePropertyFilters({ City: ['Brampton', 'Mississauga'] }, 'idx').filters)
+      .toEqual({ City: { in: ['Brampton', 'Mississauga'] } });
+    expect(parsePropertyFilters({ ArchitecturalStyle: { contains: '2-Storey' } }, 'idx').filters)
+      .toEqual({ ArchitecturalStyle: { contains: ['2-Storey'] } });
+    expect(parsePropertyFilters({ UnitNumber: { null: 'false' } }, 'idx').filters)
+      .toEqual({ UnitNumber: { null: false } });
+  });
+
+  test.each([
+    [{ Foo: '1' }, 'Unknown filter field: Foo'],
+    [{ ListPrice: { between: '1' } }, 'Unknown filter operator: ListPrice[between]'],
+    [{ City: { gt: 'B' } }, 'City does not support [gt]'],
+    [{ ArchitecturalStyle: 'Bungalow' }, 'ArchitecturalStyle does not support [eq]'],
+    [{ ListPrice: { gte: 'cheap' } }, 'ListPrice must be a number'],
+    [{ BedroomsAboveGrade: '2.5' }, 'BedroomsAboveGrade must be an integer'],
+    [{ FireplaceYN: 'maybe' }, 'FireplaceYN must be true or false'],
+    [{ ModificationTimestamp: { gt: 'yesterday' } }, 'ModificationTimestamp must be an ISO 8601 timestamp'],
+    [{ City: '' }, 'City needs a value'],
+    [{ ListPrice: { gte: ['1', '2'] } }, 'ListPrice[gte] takes a single value']
+  ])('rejects %j with 400', (query, message) => {
+    const { filters, error, status } = parsePropertyFilters(query, 'vow');
+
+    expect(filters).toBeNull();
+    expect(status).toBe(400);
+    expect(error).toContain(message);
+  });
+
+  test('rejects VOW-only fields for IDX callers with 403', () => {
+    expect(parsePropertyFilters({ ClosePrice: { gte: '1' } }, 'idx')).toMatchObject({ filters: null, status: 403 });
+    expect(parsePropertyFilters({ ClosePrice: { gte: '1' } }, 'vow').error).toBeNull();
+  });
+});
+
+describe('GET /properties filters', () => {
+  let app;
+
+  beforeAll(async () => {
+    const controller = new PropertyController();
+    controller.database = await createSyncedDatabase();
+
+    app = createTestApp(testApp => {
+      testApp.get('/properties', controller.getProperties.bind(controller));
+    });
+  });
+
+  async function listingKeys(query) {
+    const response = await request(app).get(`/properties?sortBy=ListingKey&sortOrder=asc&${query}`);
+    expect(response.status).toBe(200);
+    return response.body.data.map(listing => listing.ListingKey);
+  }
+
+  test('ranges', async () => {
+    expect(await listingKeys('ListPrice[gte]=800000&ListPrice[lt]=1000000')).toEqual(['W12400003']);
+    expect(await listingKeys('ModificationTimestamp[gt]=2025-10-02T00:00:00Z')).toEqual(['W12400003']);
+  });
+
+  test('equality, wildcards and lists', async () => {
+    expect(await listingKeys('PropertySubType=Detached')).toEqual(['W12400001']);
+    expect(await listingKeys('UnparsedAddress=%25queen%25')).toEqual(['W12400001']);
+    expect(await listingKeys('PropertySubType[in]=Detached,Condo%20Apartment')).toEqual(['W12400001', 'W12400002']);
+    expect(await listingKeys('PropertySubType[ne]=Detached')).toEqual(['W12400002', 'W12400003']);
+  });
+
+  test('multi-value fields and missing values', async () => {
+    expect(await listingKeys('ArchitecturalStyle[contains]=2-Storey')).toEqual(['W12400001', 'W12400002', 'W12400003']);
+    expect(await listingKeys('UnitNumber[null]=false')).toEqual(['W12400002']);
+  });
+
+  test('invalid filters are rejected before querying', async () => {
+    const response = await request(app).get('/properties?ListPrice[gte]=cheap');
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ success: false, error: 'ListPrice must be a number' });
+  });
+});
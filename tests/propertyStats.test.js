@@ -0,0 +1,26 @@
+import { createSyncedDatabase } from './helpers.js';
+
+describe('DatabaseService.getPropertyStats', () => {
+  let database;
+
+  beforeAll(async () => {
+    database = await createSyncedDatabase();
+  });
+
+  // The fixture listings are Active by StandardStatus, with MlsStatus 'New' or 'Price Change'
+  test('counts active IDX listings for IDX callers', async () => {
+    const stats = await database.getPropertyStats({ entitlement: 'idx' });
+
+    expect(stats.total).toBe(3);
+    expect(stats.available).toBe(3);
+    expect(stats.averagePrice).toBe(Math.round((1099000 + 749900 + 899000) / 3));
+    expect(Object.values(stats.propertyTypes).reduce((sum, count) => sum + count, 0)).toBe(3);
+  });
+
+  test('VOW callers also count sold listings, which are not available', async () => {
+    const stats = await database.getPropertyStats({ entitlement: 'vow' });
+
+    expect(stats.total).toBe(4);
+    expect(stats.available).toBe(3);
+  });
+});
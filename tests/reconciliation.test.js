@@ -0,0 +1,186 @@
+import { jest } from '@jest/globals';
+import { createMockAmpreServer, loadFixtures } from '../mock/ampreMockServer.js';
+import AmpreApiService from '../src/services/ampreApiService.js';
+import DatabaseService from '../src/services/databaseService.js';
+import SyncService from '../src/services/syncService.js';
+import { where } from '../src/storage/index.js';
+
+// Reconciliation against the mock AMPRE server: W12400003 leaves both feeds after the initial
+// sync. Its children are 2 Media, 3 PropertyRooms and 1 OpenHouse row.
+const fixtures = loadFixtures();
+const REMOVED_KEY = 'W12400003';
+
+const CHILD_TABLES = [
+  { table: 'Media', keyField: 'ResourceRecordKey', count: 2 },
+  { table: 'PropertyRooms', keyField: 'ListingKey', count: 3 },
+  { table: 'OpenHouse', keyField: 'ListingKey', count: 1 }
+];
+
+let mock;
+let baseUrl;
+
+beforeAll(async () => {
+  mock = createMockAmpreServer();
+  baseUrl = await mock.listen(0);
+});
+
+afterAll(async () => {
+  await mock.close();
+});
+
+beforeEach(() => {
+  mock.setFixtures({ Property: fixtures.Property });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * A sync service with its own database, holding every fixture resource
+ * @param {Object} settings - Reconciliation settings of the service
+ */
+async function createSyncedService(settings = {}) {
+  const ampreApi = new AmpreApiService({ baseUrl });
+  ampreApi.sleep = async () => {};
+
+  const syncService = new SyncService(ampreApi, new DatabaseService());
+  syncService.sleep = async () => {};
+
+  const result = await syncService.performFullSync();
+  expect(result.success).toBe(true);
+
+  Object.assign(syncService.reconciliation.settings, settings);
+  return syncService;
+}
+
+function removeFromFeeds(listingKey) {
+  mock.setFixtures({ Property: fixtures.Property.filter(property => property.ListingKey !== listingKey) });
+}
+
+/**
+ * Rows of a listing and its children, by table
+ */
+async function listingRows(database, listingKey) {
+  const tables = [{ table: 'Property', keyField: 'ListingKey' }, ...CHILD_TABLES];
+
+  return Object.fromEntries(await Promise.all(tables.map(async ({ table, keyField }) => {
+    const { rows } = await database.storage.select(table, { where: [where(keyField, 'eq', listingKey)] });
+    return [table, rows];
+  })));
+}
+
+async function activeListingKeys(database) {
+  const rows = await database.getListingKeyPage(null, 100, { includeDeleted: false });
+  return rows.map(row => row.ListingKey);
+}
+
+describe('ReconciliationService.reconcile', () => {
+  test('soft-deletes a listing that left the feeds, with its children, and logs the counts', async () => {
+    const syncService = await createSyncedService({ policy: 'soft-delete', maxRemovePercent: 50 });
+    removeFromFeeds(REMOVED_KEY);
+
+    const result = await syncService.syncResources({ resources: ['reconcile'] });
+
+    expect(result.success).toBe(true);
+    expect(result.resources.reconcile).toMatchObject({
+      policy: 'soft-delete',
+      scanned: 4,
+      missing: 1,
+      removed: { properties: 1, media: 2, rooms: 3, openHouses: 1 }
+    });
+
+    const rows = await listingRows(syncService.database, REMOVED_KEY);
+    expect(rows.Property).toHaveLength(1);
+    for (const { table, count } of CHILD_TABLES) {
+      expect(rows[table]).toHaveLength(count);
+    }
+    for (const row of Object.values(rows).flat()) {
+      expect(row.DeletedAt).not.toBeNull();
+    }
+
+    expect(await activeListingKeys(syncService.database)).toEqual(['W12400001', 'W12400002', 'W12400004']);
+
+    expect(await syncService.database.getLatestSyncLog()).toMatchObject({
+      reconcile_policy: 'soft-delete',
+      reconcile_missing: 1,
+      reconcile_properties: 1,
+      reconcile_media: 2,
+      reconcile_rooms: 3,
+      reconcile_openhouses: 1,
+      reconcile_restored: 0,
+      reconcile_retagged: 0
+    });
+  });
+
+  test('restores a soft-deleted listing that returns to the feed', async () => {
+    const syncService = await createSyncedService({ policy: 'soft-delete', maxRemovePercent: 50 });
+    removeFromFeeds(REMOVED_KEY);
+    await syncService.syncResources({ resources: ['reconcile'] });
+
+    mock.setFixtures({ Property: fixtures.Property });
+    const result = await syncService.syncResources({ resources: ['reconcile'] });
+
+    expect(result.resources.reconcile).toMatchObject({ missing: 0, restored: 1 });
+    for (const row of Object.values(await listingRows(syncService.database, REMOVED_KEY)).flat()) {
+      expect(row.DeletedAt).toBeNull();
+    }
+  });
+
+  test('purges a listing that left the feeds, with its children', async () => {
+    const syncService = await createSyncedService({ policy: 'purge', maxRemovePercent: 50 });
+    removeFromFeeds(REMOVED_KEY);
+
+    const result = await syncService.syncResources({ resources: ['reconcile'] });
+
+    expect(result.resources.reconcile.removed).toEqual({ properties: 1, media: 2, rooms: 3, openHouses: 1 });
+    expect(await listingRows(syncService.database, REMOVED_KEY)).toEqual({
+      Property: [],
+      Media: [],
+      PropertyRooms: [],
+      OpenHouse: []
+    });
+    expect(await syncService.database.getLatestSyncLog()).toMatchObject({
+      reconcile_policy: 'purge',
+      reconcile_properties: 1,
+      reconcile_media: 2
+    });
+  });
+
+  test('aborts without changes when more than maxRemovePercent of the listings left the feeds', async () => {
+    // One of 4 listings is 25%
+    const syncService = await createSyncedService({ policy: 'purge', maxRemovePercent: 20 });
+    removeFromFeeds(REMOVED_KEY);
+
+    const result = await syncService.syncResources({ resources: ['reconcile'] });
+
+    expect(result.success).toBe(false);
+    expect(result.resources.reconcile.error).toBe(
+      'Reconciliation aborted: more than 20% of 4 listings are missing from the feed; check the feed before removing them'
+    );
+
+    const rows = await listingRows(syncService.database, REMOVED_KEY);
+    expect(rows.Property).toHaveLength(1);
+    for (const row of Object.values(rows).flat()) {
+      expect(row.DeletedAt).toBeNull();
+    }
+    expect(await activeListingKeys(syncService.database)).toHaveLength(4);
+    expect(await syncService.database.getLatestSyncLog()).toMatchObject({ reconcile_missing: null });
+  });
+
+  test('aborts without changes when the feed keys are not in ascending order', async () => {
+    const syncService = await createSyncedService({ policy: 'purge', maxRemovePercent: 50 });
+    removeFromFeeds(REMOVED_KEY);
+
+    // A feed sorted with another collation would make present listings look missing
+    const fetchFromCompleteUrl = syncService.ampreApi.fetchFromCompleteUrl.bind(syncService.ampreApi);
+    syncService.ampreApi.fetchFromCompleteUrl = async (...args) => (await fetchFromCompleteUrl(...args)).reverse();
+
+    const result = await syncService.syncResources({ resources: ['reconcile'] });
+
+    expect(result.success).toBe(false);
+    expect(result.resources.reconcile.error).toMatch(/^Reconciliation aborted: (IDX|VOW) feed keys are not in ascending order/);
+    expect(await activeListingKeys(syncService.database)).toHaveLength(4);
+  });
+});
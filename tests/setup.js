@@ -0,0 +1,12 @@
+// Environment of the test run, set before any module reads config.js: an in-memory SQLite
+// database per DatabaseService, dummy feed tokens (the mock AMPRE server accepts any token)
+// and quiet logs. environment.env does not override variables that are already set.
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  DB_BACKEND: 'sqlite',
+  SQLITE_PATH: ':memory:',
+  IDX_TOKEN: 'test-idx-token',
+  VOW_TOKEN: 'test-vow-token',
+  ACCESS_TOKEN: 'test-access-token',
+  LOG_LEVEL: 'error'
+});
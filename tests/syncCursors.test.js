@@ -0,0 +1,27 @@
+import DatabaseService from '../src/services/databaseService.js';
+import { odataString } from '../src/utils/odata.js';
+
+describe('sync cursors', () => {
+  test('each sync type keeps its own cursor, also when saved concurrently', async () => {
+    const database = new DatabaseService();
+
+    await Promise.all([
+      database.saveSyncCursor('idx_property', { lastTimestamp: '2025-10-03T09:30:00Z', lastKey: 'W12400003' }),
+      database.saveSyncCursor('vow_property', { lastTimestamp: '2025-10-04T18:45:00Z', lastKey: 'W12400004' })
+    ]);
+    await database.saveSyncCursor('idx_property', { lastTimestamp: '2025-10-05T08:00:00Z', lastKey: 'W12400005' });
+
+    expect(await database.getSyncCursors()).toEqual({
+      idx_property: { lastTimestamp: '2025-10-05T08:00:00Z', lastKey: 'W12400005' },
+      vow_property: { lastTimestamp: '2025-10-04T18:45:00Z', lastKey: 'W12400004' }
+    });
+  });
+});
+
+describe('odataString', () => {
+  test('quotes values and doubles embedded quotes', () => {
+    expect(odataString('W12400001')).toBe("'W12400001'");
+    expect(odataString("O'Brien")).toBe("'O''Brien'");
+    expect(odataString("''")).toBe("''''''");
+  });
+});
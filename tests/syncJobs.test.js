@@ -0,0 +1,100 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { createMockAmpreServer } from '../mock/ampreMockServer.js';
+import SyncController from '../src/controllers/syncController.js';
+import AmpreApiService from '../src/services/ampreApiService.js';
+import DatabaseService from '../src/services/databaseService.js';
+import SyncJobService from '../src/services/syncJobService.js';
+import SyncService from '../src/services/syncService.js';
+import { createTestApp } from './helpers.js';
+
+let mock;
+let controller;
+let app;
+let releaseProperties;
+
+beforeAll(async () => {
+  mock = createMockAmpreServer();
+  const baseUrl = await mock.listen(0);
+
+  // Property requests wait for releaseProperties(), keeping the property job running
+  const propertiesReleased = new Promise(resolve => {
+    releaseProperties = resolve;
+  });
+  const ampreApi = new AmpreApiService({ baseUrl });
+  const fetchFromCompleteUrl = ampreApi.fetchFromCompleteUrl.bind(ampreApi);
+  ampreApi.sleep = async () => {};
+  ampreApi.fetchFromCompleteUrl = async (urlType, options) => {
+    if (urlType === 'idxProperties') {
+      await propertiesReleased;
+    }
+    return fetchFromCompleteUrl(urlType, options);
+  };
+
+  const database = new DatabaseService();
+  controller = new SyncController();
+  controller.syncService = new SyncService(ampreApi, database);
+  controller.syncJobs = new SyncJobService(database);
+
+  app = createTestApp(testApp => {
+    testApp.post('/sync/properties', controller.syncProperties.bind(controller));
+    testApp.post('/sync/media', controller.syncMedia.bind(controller));
+    testApp.get('/sync/jobs/:id', controller.getSyncJob.bind(controller));
+    testApp.post('/sync/jobs/:id/cancel', controller.cancelSyncJob.bind(controller));
+  });
+});
+
+afterAll(async () => {
+  releaseProperties();
+  await mock.close();
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * Poll a job until it reaches a final state
+ */
+async function waitForJob(id) {
+  for (let attempt = 0; attempt < 500; attempt++) {
+    const { body } = await request(app).get(`/sync/jobs/${id}`);
+    if (body.data.state !== 'running') {
+      return body.data;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Sync job ${id} did not finish`);
+}
+
+describe('sync jobs of different resources running at the same time', () => {
+  test('each job reports its own progress and can be cancelled on its own', async () => {
+    const properties = await request(app).post('/sync/properties').send({});
+    const media = await request(app).post('/sync/media').send({ strategy: 'by-timestamp' });
+
+    expect(properties.status).toBe(200);
+    expect(media.status).toBe(200);
+
+    const cancelled = await request(app).post(`/sync/jobs/${properties.body.syncId}/cancel`);
+    expect(cancelled.status).toBe(200);
+
+    // The media job finishes while the property job is still waiting for its first page
+    const mediaJob = await waitForJob(media.body.syncId);
+
+    expect(mediaJob.state).toBe('completed');
+    expect(Object.keys(mediaJob.progress)).toEqual(['media']);
+    expect(mediaJob.progress.media).toMatchObject({ state: 'completed', fetched: 8, failed: 0 });
+
+    releaseProperties();
+    const propertyJob = await waitForJob(properties.body.syncId);
+
+    expect(propertyJob.state).toBe('cancelled');
+    expect(propertyJob.progress.idx_property.state).toBe('cancelled');
+    expect(propertyJob.progress).not.toHaveProperty('media');
+    expect(propertyJob.progress).not.toHaveProperty('rooms');
+  });
+});
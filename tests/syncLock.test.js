@@ -0,0 +1,128 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import SyncController from '../src/controllers/syncController.js';
+import DatabaseService from '../src/services/databaseService.js';
+import SyncJobService from '../src/services/syncJobService.js';
+import SyncLockService, { WORKER } from '../src/services/syncLockService.js';
+import SyncService from '../src/services/syncService.js';
+import { createTestApp } from './helpers.js';
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * Let the lease of a lock run out, as if its holder had stalled
+ */
+async function expireLease(database, lease) {
+  await database.updateSyncLock(lease.name, lease.token, { expires_at: new Date(Date.now() - 1000).toISOString() });
+}
+
+describe('SyncLockService', () => {
+  let database;
+  let locks;
+  let job;
+  const leases = [];
+
+  beforeEach(async () => {
+    database = new DatabaseService();
+    locks = new SyncLockService(database);
+    job = await new SyncJobService(database).create({ type: 'properties', trigger: 'cli' });
+  });
+
+  afterEach(async () => {
+    await Promise.all(leases.splice(0).map(lease => lease.release()));
+  });
+
+  test('a held lock cannot be acquired again, and reports its holder', async () => {
+    leases.push(await locks.acquire('idx_property', { jobId: job.id }));
+
+    const error = await locks.acquire('idx_property').catch(rejection => rejection);
+
+    expect(error.message).toMatch(`Sync already running: idx_property is locked by ${WORKER} (job ${job.id})`);
+    expect(error.locks).toEqual([expect.objectContaining({ name: 'idx_property', holder: WORKER, job_id: job.id })]);
+    expect(error.locks[0]).not.toHaveProperty('token');
+
+    const [held] = await locks.getHeldLocks(['idx_property']);
+    expect(held.job).toMatchObject({ id: job.id, type: 'properties', state: 'running' });
+  });
+
+  test('acquireAll releases what it took when a later lock is held', async () => {
+    leases.push(await locks.acquire('media', { jobId: job.id }));
+
+    await expect(locks.acquireAll(['idx_property', 'media'])).rejects.toThrow('Sync already running: media');
+
+    expect((await locks.getHeldLocks()).map(lock => lock.name)).toEqual(['media']);
+  });
+
+  test('a lease past its TTL is taken over, and its holder stops at the next batch', async () => {
+    const stalled = await locks.acquire('idx_property', { jobId: job.id });
+    leases.push(stalled);
+    await expireLease(database, stalled);
+
+    expect(await locks.getHeldLocks(['idx_property'])).toEqual([]);
+
+    const takeover = await locks.acquire('idx_property');
+    leases.push(takeover);
+    expect(takeover.token).not.toBe(stalled.token);
+
+    // The stalled holder finds out on its next heartbeat
+    expect(() => stalled.throwIfLost()).not.toThrow();
+    await stalled.renew();
+
+    expect(stalled.lost).toBe(true);
+    expect(() => stalled.throwIfLost()).toThrow('Sync lock idx_property was lost to another process');
+
+    // Releasing the lost lease leaves the new holder's lock alone
+    await stalled.release();
+    expect((await locks.getHeldLocks(['idx_property']))[0]).toMatchObject({ job_id: null });
+  });
+
+  test('a renewed lease is not taken over', async () => {
+    const holder = await locks.acquire('idx_property');
+    leases.push(holder);
+    await expireLease(database, holder);
+    await holder.renew();
+
+    expect(holder.lost).toBe(false);
+    await expect(locks.acquire('idx_property')).rejects.toThrow('Sync already running');
+  });
+});
+
+describe('POST /sync/properties while the properties are locked', () => {
+  test('answers 409 with the holder of the lock', async () => {
+    const controller = new SyncController();
+    const database = new DatabaseService();
+    controller.syncService = new SyncService(undefined, database);
+    controller.syncJobs = new SyncJobService(database);
+
+    const job = await controller.syncJobs.create({ type: 'properties', trigger: 'cron' });
+    const lease = await controller.syncService.locks.acquire('idx_property', { jobId: job.id });
+
+    const app = createTestApp(testApp => {
+      testApp.post('/sync/properties', controller.syncProperties.bind(controller));
+    });
+
+    try {
+      const response = await request(app).post('/sync/properties').send({});
+
+      expect(response.status).toBe(409);
+      expect(response.body).toMatchObject({
+        success: false,
+        error: 'Sync already running',
+        message: `Locked by another sync: idx_property (cron job ${job.id})`
+      });
+      expect(response.body.data.locks).toEqual([
+        expect.objectContaining({ name: 'idx_property', holder: WORKER, job_id: job.id, job: expect.objectContaining({ id: job.id }) })
+      ]);
+      expect(await controller.syncJobs.listJobs({})).toHaveLength(1);
+
+    } finally {
+      await lease.release();
+    }
+  });
+});
@@ -0,0 +1,129 @@
+import { jest } from '@jest/globals';
+import { createMockAmpreServer } from '../mock/ampreMockServer.js';
+
+// SyncService end to end: the real AmpreApiService against the mock AMPRE server, writing to an
+// in-memory SQLite database. Services are imported after AMPRE_BASE_URL points at the mock,
+// as config.js reads it on import.
+let mock;
+let AmpreApiService;
+let DatabaseService;
+let SyncService;
+
+beforeAll(async () => {
+  mock = createMockAmpreServer();
+  process.env.AMPRE_BASE_URL = await mock.listen(0);
+
+  ({ default: AmpreApiService } = await import('../src/services/ampreApiService.js'));
+  ({ default: DatabaseService } = await import('../src/services/databaseService.js'));
+  ({ default: SyncService } = await import('../src/services/syncService.js'));
+});
+
+afterAll(async () => {
+  await mock.close();
+});
+
+beforeEach(() => {
+  mock.clearFaults();
+  mock.clearRequests();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * A sync service with its own database and no waiting between requests or retries
+ */
+function createSyncService(retryConfig = {}) {
+  const ampreApi = new AmpreApiService({ retryConfig });
+  ampreApi.sleep = async () => {};
+
+  const syncService = new SyncService(ampreApi, new DatabaseService());
+  syncService.sleep = async () => {};
+  return syncService;
+}
+
+async function countRows(syncService, table) {
+  return syncService.database.storage.count(table, []);
+}
+
+function faultedRequests() {
+  return mock.getRequests().filter(request => request.fault);
+}
+
+describe('SyncService against the mock AMPRE server', () => {
+  test('a full sync replicates every resource and records the high-water marks', async () => {
+    const syncService = createSyncService();
+
+    const result = await syncService.performFullSync();
+
+    expect(result.success).toBe(true);
+    expect(result.mode).toBe('full');
+    expect(await countRows(syncService, 'Property')).toBe(4);
+    expect(await countRows(syncService, 'Media')).toBe(8);
+    expect(await countRows(syncService, 'PropertyRooms')).toBe(12);
+    expect(await countRows(syncService, 'OpenHouse')).toBe(3);
+    expect(await countRows(syncService, 'Member')).toBe(3);
+    expect(await countRows(syncService, 'Office')).toBe(2);
+
+    // Completed loops leave no checkpoint behind
+    expect(await countRows(syncService, 'sync_checkpoints')).toBe(0);
+
+    const cursors = await syncService.database.getSyncCursors();
+    expect(cursors.idx_property).toEqual({ lastTimestamp: '2025-10-03T09:30:00Z', lastKey: 'W12400003' });
+    expect(cursors.vow_property).toEqual({ lastTimestamp: '2025-10-04T18:45:00Z', lastKey: 'W12400004' });
+  });
+
+  test('an incremental sync only requests records past the stored cursor', async () => {
+    const syncService = createSyncService();
+    await syncService.performFullSync({ resources: ['property'] });
+    mock.clearRequests();
+
+    const result = await syncService.performIncrementalSync({ resources: ['property'] });
+
+    expect(result.success).toBe(true);
+    expect(result.resources.idx_property.fetched).toBe(0);
+    expect(result.resources.vow_property.fetched).toBe(0);
+
+    const filters = mock.getRequests().map(request => request.query.$filter);
+    expect(filters.some(filter => filter.includes("ListingKey gt 'W12400003'"))).toBe(true);
+    expect(filters.some(filter => filter.includes("ListingKey gt 'W12400004'"))).toBe(true);
+  });
+
+  test('rate limiting (429) and server errors (5xx) are retried', async () => {
+    const syncService = createSyncService({ maxRetries: 4 });
+    mock.injectFault({ status: 429, times: 2, retryAfter: 1, match: '/odata/Property' });
+    mock.injectFault({ status: 503, times: 1, match: '/odata/Property' });
+
+    const result = await syncService.performIncrementalSync({ resources: ['property'], feeds: ['idx'] });
+
+    expect(result.success).toBe(true);
+    expect(faultedRequests().map(request => request.status)).toEqual([429, 429, 503]);
+    expect(await countRows(syncService, 'Property')).toBe(3);
+  });
+
+  test('an interrupted sync keeps its checkpoint and the next run resumes from it', async () => {
+    const syncService = createSyncService({ maxRetries: 1 });
+    syncService.config.property.batchSize = 1;
+    mock.injectFault({ status: 500, times: Infinity, match: "'W12400001'" });
+
+    const failed = await syncService.performFullSync({ resources: ['property'], feeds: ['idx'], reconcile: false });
+
+    expect(failed.success).toBe(false);
+    expect(await countRows(syncService, 'Property')).toBe(1);
+
+    const checkpoint = await syncService.database.getSyncCheckpoint('idx_property');
+    expect(checkpoint).toMatchObject({ mode: 'full', lastKey: 'W12400001', batchNumber: 1 });
+
+    mock.clearFaults();
+    mock.clearRequests();
+
+    const resumed = await syncService.performFullSync({ resources: ['property'], feeds: ['idx'], reconcile: false });
+
+    expect(resumed.success).toBe(true);
+    expect(await countRows(syncService, 'Property')).toBe(3);
+    expect(await syncService.database.getSyncCheckpoint('idx_property')).toBeNull();
+    expect(mock.getRequests()[0].query.$filter).toContain("'W12400001'");
+  });
+});